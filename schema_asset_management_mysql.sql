@@ -177,7 +177,7 @@ CREATE TABLE IF NOT EXISTS job_history (
   work_order_id BIGINT NOT NULL,
   assignment_id BIGINT NULL,
   technician_id CHAR(36) NULL,
-  action_type VARCHAR(50) NOT NULL, -- assigned, started, paused, resumed, completed, reassigned, cancelled
+  action_type VARCHAR(50) NOT NULL, -- assigned, started, paused, resumed, auto_paused, completed, reassigned, cancelled
   start_time TIMESTAMP NULL,
   end_time TIMESTAMP NULL,
   duration_seconds BIGINT,
@@ -160,7 +160,7 @@ CREATE TABLE IF NOT EXISTS job_history (
   work_order_id BIGINT NOT NULL REFERENCES job_cards(id) ON DELETE CASCADE,
   assignment_id BIGINT REFERENCES assignments(id) ON DELETE SET NULL,
   technician_id UUID REFERENCES technicians(user_id) ON DELETE SET NULL,
-  action_type VARCHAR(50) NOT NULL, -- assigned, started, paused, resumed, completed, reassigned, cancelled
+  action_type VARCHAR(50) NOT NULL, -- assigned, started, paused, resumed, auto_paused, completed, reassigned, cancelled
   start_time TIMESTAMP WITH TIME ZONE,
   end_time TIMESTAMP WITH TIME ZONE,
   duration_seconds BIGINT,
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- Break Policies
+-- Per-BU rules enforced by /shifts/start-break and /shifts/end-break
+-- (src/services/breakPolicyService.js): paid vs unpaid break types, a maximum
+-- number and length of breaks, a mandatory break after N hours, and auto-end
+-- of breaks that run past their allowed length (src/jobs/breakAutoEnder.js).
+-- Each technician_shifts.notes break_segments entry records its break_type and
+-- is_paid; only unpaid breaks count towards break_seconds. Violations are kept
+-- in notes.break_violations for GET /shifts/break-compliance.
+-- ============================================================================
+
+-- ============================================================================
+-- BREAK POLICIES (one row per BU; BUs without a row allow unlimited unpaid breaks)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS break_policies (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  max_breaks_per_shift INT NULL, -- NULL = unlimited
+  max_break_minutes INT NULL, -- default length limit per break; NULL = unlimited
+  max_total_break_minutes INT NULL, -- all breaks of a shift together; NULL = unlimited
+  mandatory_break_after_hours DECIMAL(4,2) NULL, -- a break must start within this many hours of clock-in
+  mandatory_break_minutes INT NOT NULL DEFAULT 0, -- minimum length of that break
+  auto_end_enabled BOOLEAN NOT NULL DEFAULT false, -- end breaks at their allowed length
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  updated_by CHAR(36),
+  CONSTRAINT fk_break_policies_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_break_policies_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT fk_break_policies_updated_by FOREIGN KEY (updated_by) REFERENCES users(id),
+  UNIQUE KEY unique_break_policy_per_bu (business_unit_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- BREAK TYPES (per BU; when a BU has active types, start-break requires one)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS break_types (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  type_code VARCHAR(50) NOT NULL,
+  type_name VARCHAR(100) NOT NULL,
+  is_paid BOOLEAN NOT NULL DEFAULT false, -- paid breaks are not deducted from worked time
+  max_per_shift INT NULL, -- NULL = only the policy's max_breaks_per_shift applies
+  max_minutes INT NULL, -- overrides break_policies.max_break_minutes for this type
+  is_default BOOLEAN NOT NULL DEFAULT false, -- used when start-break does not name a type
+  display_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_break_types_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_break_types_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  UNIQUE KEY unique_break_type_per_bu (business_unit_id, type_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,14 @@
+-- ============================================================================
+-- Concurrent Job Timers
+-- With multi-tasking on (timer.multi_tasking_enabled / timer.multi_tasking_allowed), a technician may run up to
+-- technicians.max_concurrent_jobs timers at once. Overlapping seconds are split
+-- between the running logs by allocation_weight, so each wall-clock second is
+-- counted once in productivity reports.
+-- ============================================================================
+
+ALTER TABLE time_logs
+ADD COLUMN IF NOT EXISTS allocation_weight DECIMAL(5,2) NOT NULL DEFAULT 1.00 COMMENT 'Relative share of overlapping time (1.00 = equal split)',
+ADD COLUMN IF NOT EXISTS allocated_seconds BIGINT NULL COMMENT 'duration_seconds apportioned across overlapping logs; NULL until the log closes';
+
+-- Overlap lookups scan a technician's logs by time
+CREATE INDEX idx_time_logs_technician_start ON time_logs(technician_id, start_ts);
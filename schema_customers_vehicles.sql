@@ -0,0 +1,82 @@
+-- ============================================================================
+-- Customer & Vehicle Registry
+-- First-class customers and vehicles (/customers, /vehicles) replacing the free
+-- text job_cards.customer_name and the vehicle_info JSON as the source of truth.
+-- normalized_* columns hold the de-duplication keys (plates upper-cased with
+-- spaces/dashes removed, VINs upper-cased, phones reduced to digits). Merged
+-- duplicates stay as inactive rows pointing at merged_into_id.
+-- Existing job cards are linked by POST /vehicles/backfill.
+-- ============================================================================
+
+-- ============================================================================
+-- CUSTOMERS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS customers (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NULL,
+  customer_name VARCHAR(255) NOT NULL,
+  normalized_name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NULL,
+  phone VARCHAR(50) NULL,
+  normalized_phone VARCHAR(30) NULL,
+  address TEXT NULL,
+  notes TEXT NULL,
+  merged_into_id BIGINT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_customers_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE SET NULL,
+  CONSTRAINT fk_customers_merged_into FOREIGN KEY (merged_into_id) REFERENCES customers(id),
+  CONSTRAINT fk_customers_created_by FOREIGN KEY (created_by) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_customers_bu_name ON customers(business_unit_id, normalized_name);
+CREATE INDEX idx_customers_bu_email ON customers(business_unit_id, email);
+CREATE INDEX idx_customers_bu_phone ON customers(business_unit_id, normalized_phone);
+
+-- ============================================================================
+-- VEHICLES
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS vehicles (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NULL,
+  customer_id BIGINT NULL,
+  license_plate VARCHAR(30) NULL,
+  normalized_plate VARCHAR(30) NULL,
+  vin VARCHAR(17) NULL, -- stored upper-case
+  make VARCHAR(100) NULL,
+  model VARCHAR(100) NULL,
+  year SMALLINT NULL,
+  color VARCHAR(50) NULL,
+  odometer INT NULL, -- last known reading
+  notes TEXT NULL,
+  merged_into_id BIGINT NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_vehicles_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE SET NULL,
+  CONSTRAINT fk_vehicles_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+  CONSTRAINT fk_vehicles_merged_into FOREIGN KEY (merged_into_id) REFERENCES vehicles(id),
+  CONSTRAINT fk_vehicles_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT chk_vehicles_identified CHECK (normalized_plate IS NOT NULL OR vin IS NOT NULL)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_vehicles_bu_plate ON vehicles(business_unit_id, normalized_plate);
+CREATE INDEX idx_vehicles_vin ON vehicles(vin);
+CREATE INDEX idx_vehicles_customer ON vehicles(customer_id);
+
+-- ============================================================================
+-- JOB CARD LINKS
+-- ============================================================================
+ALTER TABLE job_cards
+ADD COLUMN IF NOT EXISTS customer_id BIGINT NULL,
+ADD COLUMN IF NOT EXISTS vehicle_id BIGINT NULL;
+
+ALTER TABLE job_cards
+ADD CONSTRAINT fk_job_cards_customer FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE SET NULL,
+ADD CONSTRAINT fk_job_cards_vehicle FOREIGN KEY (vehicle_id) REFERENCES vehicles(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_job_cards_vehicle ON job_cards(vehicle_id);
+CREATE INDEX idx_job_cards_customer ON job_cards(customer_id);
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- Business Unit Holiday Calendars
+-- business_unit_holidays (schema_overtime_rules.sql) rows are entered manually
+-- or imported from an ICS feed via POST /holidays/:business_unit_id/import.
+-- Holidays are removed from expected hours in technician efficiency, overtime,
+-- stale-shift and technician availability calculations.
+-- ============================================================================
+
+ALTER TABLE business_unit_holidays
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'manual' COMMENT 'manual, ics',
+ADD COLUMN IF NOT EXISTS external_uid VARCHAR(255) NULL COMMENT 'VEVENT UID for ICS-imported holidays',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP;
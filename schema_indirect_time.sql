@@ -0,0 +1,75 @@
+-- ============================================================================
+-- Indirect (non-job) Time
+-- Per-BU activity codes for time a technician spends on the clock but not on a
+-- job card (cleaning, training, waiting for parts, meetings), and the timers
+-- logged against them. Used by /reports/technician-efficiency to split clocked
+-- time into productive, indirect and unaccounted time.
+-- ============================================================================
+
+-- ============================================================================
+-- INDIRECT ACTIVITY CODES (Configurable per BU)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS indirect_activity_codes (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  activity_code VARCHAR(50) NOT NULL,
+  activity_name VARCHAR(100) NOT NULL,
+  description TEXT,
+  color VARCHAR(20) DEFAULT '#6c757d',
+  is_active BOOLEAN DEFAULT true,
+  display_order INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_indirect_activity_codes_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_indirect_activity_codes_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  UNIQUE KEY unique_indirect_activity_per_bu (business_unit_id, activity_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Insert default indirect activity codes
+INSERT INTO indirect_activity_codes (business_unit_id, activity_code, activity_name, description, color, display_order)
+SELECT bu.id, 'CLEANING', 'Cleaning', 'Bay, tool and workshop housekeeping', '#20c997', 1
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM indirect_activity_codes WHERE business_unit_id = bu.id AND activity_code = 'CLEANING');
+
+INSERT INTO indirect_activity_codes (business_unit_id, activity_code, activity_name, description, color, display_order)
+SELECT bu.id, 'TRAINING', 'Training', 'Courses, certification and on-the-job training', '#0d6efd', 2
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM indirect_activity_codes WHERE business_unit_id = bu.id AND activity_code = 'TRAINING');
+
+INSERT INTO indirect_activity_codes (business_unit_id, activity_code, activity_name, description, color, display_order)
+SELECT bu.id, 'WAITING_PARTS', 'Waiting for Parts', 'Idle while parts are sourced or delivered', '#fd7e14', 3
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM indirect_activity_codes WHERE business_unit_id = bu.id AND activity_code = 'WAITING_PARTS');
+
+INSERT INTO indirect_activity_codes (business_unit_id, activity_code, activity_name, description, color, display_order)
+SELECT bu.id, 'MEETING', 'Meeting', 'Toolbox talks, team and safety meetings', '#6f42c1', 4
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM indirect_activity_codes WHERE business_unit_id = bu.id AND activity_code = 'MEETING');
+
+-- ============================================================================
+-- INDIRECT TIME LOGS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS indirect_time_logs (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  technician_id CHAR(36) NOT NULL,
+  activity_code_id BIGINT NOT NULL,
+  shift_id BIGINT NULL, -- technician_shifts row the timer ran in
+  business_unit_id BIGINT,
+  start_ts TIMESTAMP NOT NULL,
+  end_ts TIMESTAMP NULL,
+  duration_seconds BIGINT DEFAULT 0,
+  status VARCHAR(30) DEFAULT 'active', -- active, finished, cancelled
+  stop_reason VARCHAR(50), -- manual, clock_out, break_start, job_timer_start, shift_auto_close
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_indirect_time_logs_technician FOREIGN KEY (technician_id) REFERENCES technicians(user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_indirect_time_logs_activity FOREIGN KEY (activity_code_id) REFERENCES indirect_activity_codes(id),
+  CONSTRAINT fk_indirect_time_logs_shift FOREIGN KEY (shift_id) REFERENCES technician_shifts(id) ON DELETE SET NULL,
+  CONSTRAINT fk_indirect_time_logs_business_unit FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_indirect_time_logs_technician_start ON indirect_time_logs(technician_id, start_ts);
+CREATE INDEX idx_indirect_time_logs_status ON indirect_time_logs(status);
+CREATE INDEX idx_indirect_time_logs_shift ON indirect_time_logs(shift_id);
@@ -0,0 +1,13 @@
+-- ============================================================================
+-- Job Card Attachments
+-- Upload, list, download and delete under /jobcards/:id/attachments
+-- (src/routes/jobCardAttachments.js). Files go through the storage driver in
+-- STORAGE_DRIVER (src/services/attachmentStorage.js): 'local' disk or 's3'
+-- (any S3-compatible endpoint, e.g. MinIO). file_path holds the object key
+-- within that driver; image uploads also get a JPEG thumbnail.
+-- ============================================================================
+
+ALTER TABLE job_card_attachments
+ADD COLUMN IF NOT EXISTS storage_driver VARCHAR(20) NOT NULL DEFAULT 'local' COMMENT 'Driver that holds file_path / thumbnail_path',
+ADD COLUMN IF NOT EXISTS thumbnail_path TEXT NULL,
+ADD COLUMN IF NOT EXISTS checksum_sha256 CHAR(64) NULL;
@@ -0,0 +1,73 @@
+-- ============================================================================
+-- Customer Estimates & Approval
+-- Estimates on job cards (/jobcards/:id/estimates) built from labour lines
+-- (job type x hours x business_unit_job_types.labour_rate) and part lines
+-- (work_order_parts rows or proposed parts). Flow: draft -> sent -> approved /
+-- partially_approved / declined, recording who approved and when. Extra work
+-- found once an estimate is approved goes on a supplementary estimate.
+-- Starting or resuming a timer on work the customer has not approved returns a
+-- warning (or, with estimates.unapproved_timer_policy = "block", is refused).
+-- ============================================================================
+
+ALTER TABLE business_unit_job_types
+ADD COLUMN IF NOT EXISTS labour_rate DECIMAL(10,2) NULL COMMENT 'Hourly labour rate charged for this job type';
+
+CREATE TABLE IF NOT EXISTS job_card_estimates (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_card_id BIGINT NOT NULL,
+  estimate_number INT NOT NULL, -- 1, 2, ... per job card
+  is_supplementary BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, sent, approved, partially_approved, declined
+  currency_code VARCHAR(3) NULL,
+  labour_total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  parts_total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  approved_total DECIMAL(15,2) NULL,
+  notes TEXT NULL,
+  sent_at TIMESTAMP NULL,
+  sent_by CHAR(36) NULL,
+  decided_at TIMESTAMP NULL,
+  approver_name VARCHAR(255) NULL, -- the customer (or their representative) who decided
+  approval_method VARCHAR(20) NULL, -- in_person, phone, email, sms, other
+  decision_note TEXT NULL,
+  decision_recorded_by CHAR(36) NULL,
+  created_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_job_card_estimate (job_card_id, estimate_number),
+  CONSTRAINT fk_job_card_estimates_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE CASCADE,
+  CONSTRAINT fk_job_card_estimates_sent_by FOREIGN KEY (sent_by) REFERENCES users(id),
+  CONSTRAINT fk_job_card_estimates_recorded_by FOREIGN KEY (decision_recorded_by) REFERENCES users(id),
+  CONSTRAINT fk_job_card_estimates_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT chk_job_card_estimates_status CHECK (status IN ('draft', 'sent', 'approved', 'partially_approved', 'declined'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS job_card_estimate_lines (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  estimate_id BIGINT NOT NULL,
+  line_type VARCHAR(10) NOT NULL, -- labour | part
+  sequence INT NOT NULL DEFAULT 1,
+  description VARCHAR(255) NOT NULL,
+  job_type_code VARCHAR(50) NULL, -- labour lines
+  task_id BIGINT NULL, -- labour lines: checklist task the work is booked against
+  part_id BIGINT NULL, -- part lines
+  work_order_part_id BIGINT NULL, -- part lines already on the job card
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 1, -- hours for labour lines
+  unit_price DECIMAL(15,2) NOT NULL DEFAULT 0, -- hourly rate for labour lines
+  line_total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  approval_status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, declined
+  CONSTRAINT fk_estimate_lines_estimate FOREIGN KEY (estimate_id) REFERENCES job_card_estimates(id) ON DELETE CASCADE,
+  CONSTRAINT fk_estimate_lines_task FOREIGN KEY (task_id) REFERENCES job_card_tasks(id) ON DELETE SET NULL,
+  CONSTRAINT fk_estimate_lines_part FOREIGN KEY (part_id) REFERENCES parts(id) ON DELETE RESTRICT,
+  CONSTRAINT fk_estimate_lines_work_order_part FOREIGN KEY (work_order_part_id) REFERENCES work_order_parts(id) ON DELETE SET NULL,
+  CONSTRAINT chk_estimate_lines_type CHECK (line_type IN ('labour', 'part')),
+  CONSTRAINT chk_estimate_lines_approval CHECK (approval_status IN ('pending', 'approved', 'declined'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_estimate_lines_estimate ON job_card_estimate_lines(estimate_id, sequence);
+CREATE INDEX idx_estimate_lines_task ON job_card_estimate_lines(task_id);
+
+INSERT INTO system_settings (`key`, value, description, category) VALUES
+  ('estimates.default_labour_rate', '"0"', 'Hourly labour rate for job types without labour_rate', 'estimates'),
+  ('estimates.unapproved_timer_policy', '"warn"', 'Timers on work without customer approval: warn, block or off', 'estimates')
+ON DUPLICATE KEY UPDATE `key`=`key`;
@@ -0,0 +1,157 @@
+-- ============================================================================
+-- Job Costing & Invoices
+-- GET /jobcards/:id/costing adds up what a job card cost: labour (time_logs x
+-- technicians.hourly_rate), parts (work_order_parts.total_cost), then sublet
+-- work and consumables (job_card_cost_items), with the margin against the
+-- approved estimate. /jobcards/:id/invoices turns it into invoice drafts; an
+-- issued invoice gets its number (invoice_number_sequences) and can no longer
+-- change - corrections are credit notes (document_type = 'credit_note').
+-- Amounts in other currencies are converted with invoices.exchange_rates
+-- (units of invoices.base_currency per unit of the other currency). Hourly
+-- rates are in the base currency.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS job_card_cost_items (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_card_id BIGINT NOT NULL,
+  cost_type VARCHAR(20) NOT NULL, -- sublet, consumable
+  description VARCHAR(255) NOT NULL,
+  supplier_name VARCHAR(255) NULL, -- sublet: who did the outsourced work
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 1,
+  unit_cost DECIMAL(15,2) NOT NULL DEFAULT 0, -- what it cost us
+  unit_price DECIMAL(15,2) NULL, -- what the customer is charged; NULL = unit_cost
+  currency_code VARCHAR(3) NULL, -- NULL = invoices.base_currency
+  tax_code VARCHAR(20) NULL, -- NULL = invoices.default_tax_code
+  created_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_job_card_cost_items_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE CASCADE,
+  CONSTRAINT fk_job_card_cost_items_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT chk_job_card_cost_items_type CHECK (cost_type IN ('sublet', 'consumable'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_job_card_cost_items_job_card ON job_card_cost_items(job_card_id);
+
+-- Last number handed out per document type and year (INV-2026-000001, CN-2026-000001)
+CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+  document_type VARCHAR(20) NOT NULL,
+  sequence_year INT NOT NULL,
+  last_number INT NOT NULL DEFAULT 0,
+  PRIMARY KEY (document_type, sequence_year)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS job_card_invoices (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_card_id BIGINT NOT NULL,
+  document_type VARCHAR(20) NOT NULL DEFAULT 'invoice', -- invoice, credit_note
+  credited_invoice_id BIGINT NULL, -- credit notes: the invoice being corrected
+  invoice_number VARCHAR(50) NULL, -- assigned when issued
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, issued
+  currency_code VARCHAR(3) NOT NULL,
+  subtotal DECIMAL(15,2) NOT NULL DEFAULT 0,
+  tax_total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  total DECIMAL(15,2) NOT NULL DEFAULT 0,
+  tax_lines JSON NULL, -- [{ code, name, rate, taxable_amount, tax_amount }]
+  bill_to JSON NULL, -- customer and vehicle as they were when issued
+  notes TEXT NULL,
+  reason TEXT NULL, -- credit notes: why the invoice was corrected
+  issued_at TIMESTAMP NULL,
+  issued_by CHAR(36) NULL,
+  due_at TIMESTAMP NULL,
+  created_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_invoice_number (invoice_number),
+  CONSTRAINT fk_job_card_invoices_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE RESTRICT,
+  CONSTRAINT fk_job_card_invoices_credited FOREIGN KEY (credited_invoice_id) REFERENCES job_card_invoices(id) ON DELETE RESTRICT,
+  CONSTRAINT fk_job_card_invoices_issued_by FOREIGN KEY (issued_by) REFERENCES users(id),
+  CONSTRAINT fk_job_card_invoices_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT chk_job_card_invoices_type CHECK (document_type IN ('invoice', 'credit_note')),
+  CONSTRAINT chk_job_card_invoices_status CHECK (status IN ('draft', 'issued'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_job_card_invoices_job_card ON job_card_invoices(job_card_id, document_type);
+CREATE INDEX idx_job_card_invoices_issued ON job_card_invoices(status, issued_at);
+
+CREATE TABLE IF NOT EXISTS job_card_invoice_lines (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  invoice_id BIGINT NOT NULL,
+  sequence INT NOT NULL DEFAULT 1,
+  line_type VARCHAR(20) NOT NULL, -- labour, part, sublet, consumable, adjustment
+  description VARCHAR(255) NOT NULL,
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 1,
+  unit_price DECIMAL(15,2) NOT NULL DEFAULT 0, -- invoice currency
+  line_total DECIMAL(15,2) NOT NULL DEFAULT 0, -- before tax
+  tax_code VARCHAR(20) NULL,
+  tax_rate DECIMAL(6,3) NOT NULL DEFAULT 0,
+  tax_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+  source_type VARCHAR(30) NULL, -- estimate_line, work_order_part, cost_item, time_logs
+  source_id BIGINT NULL,
+  source_currency_code VARCHAR(3) NULL,
+  source_unit_price DECIMAL(15,2) NULL,
+  exchange_rate DECIMAL(18,8) NULL, -- source currency -> invoice currency
+  credited_line_id BIGINT NULL, -- credit notes: the invoice line being credited
+  CONSTRAINT fk_invoice_lines_invoice FOREIGN KEY (invoice_id) REFERENCES job_card_invoices(id) ON DELETE CASCADE,
+  CONSTRAINT fk_invoice_lines_credited FOREIGN KEY (credited_line_id) REFERENCES job_card_invoice_lines(id) ON DELETE RESTRICT,
+  CONSTRAINT chk_invoice_lines_type CHECK (line_type IN ('labour', 'part', 'sublet', 'consumable', 'adjustment'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_invoice_lines_invoice ON job_card_invoice_lines(invoice_id, sequence);
+
+-- Issued documents are immutable, whatever path the change comes from
+DELIMITER //
+CREATE TRIGGER IF NOT EXISTS job_card_invoices_issued_no_update
+BEFORE UPDATE ON job_card_invoices
+FOR EACH ROW
+BEGIN
+  IF OLD.status = 'issued' THEN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Issued invoices cannot be changed; issue a credit note';
+  END IF;
+END//
+
+CREATE TRIGGER IF NOT EXISTS job_card_invoices_issued_no_delete
+BEFORE DELETE ON job_card_invoices
+FOR EACH ROW
+BEGIN
+  IF OLD.status = 'issued' THEN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Issued invoices cannot be deleted; issue a credit note';
+  END IF;
+END//
+
+CREATE TRIGGER IF NOT EXISTS job_card_invoice_lines_issued_no_insert
+BEFORE INSERT ON job_card_invoice_lines
+FOR EACH ROW
+BEGIN
+  IF (SELECT status FROM job_card_invoices WHERE id = NEW.invoice_id) = 'issued' THEN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Issued invoices cannot be changed; issue a credit note';
+  END IF;
+END//
+
+CREATE TRIGGER IF NOT EXISTS job_card_invoice_lines_issued_no_update
+BEFORE UPDATE ON job_card_invoice_lines
+FOR EACH ROW
+BEGIN
+  IF (SELECT status FROM job_card_invoices WHERE id = OLD.invoice_id) = 'issued' THEN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Issued invoices cannot be changed; issue a credit note';
+  END IF;
+END//
+
+CREATE TRIGGER IF NOT EXISTS job_card_invoice_lines_issued_no_delete
+BEFORE DELETE ON job_card_invoice_lines
+FOR EACH ROW
+BEGIN
+  IF (SELECT status FROM job_card_invoices WHERE id = OLD.invoice_id) = 'issued' THEN
+    SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'Issued invoices cannot be changed; issue a credit note';
+  END IF;
+END//
+DELIMITER ;
+
+INSERT INTO system_settings (`key`, value, description, category) VALUES
+  ('invoices.base_currency', '"AED"', 'Currency costs are reported in and hourly rates are paid in', 'invoices'),
+  ('invoices.exchange_rates', '{}', 'Units of the base currency per unit of another currency, e.g. {"USD": 3.6725}', 'invoices'),
+  ('invoices.tax_rates', '[{"code": "VAT", "name": "VAT", "rate": 5}]', 'Tax codes invoice lines may use (rate in percent)', 'invoices'),
+  ('invoices.default_tax_code', '"VAT"', 'Tax code of invoice lines that do not name one; empty = untaxed', 'invoices'),
+  ('invoices.number_prefix', '"INV"', 'Invoice numbers: <prefix>-<year>-<sequence>', 'invoices'),
+  ('invoices.credit_note_prefix', '"CN"', 'Credit note numbers: <prefix>-<year>-<sequence>', 'invoices'),
+  ('invoices.payment_terms_days', '"30"', 'Days from issue until an invoice is due', 'invoices')
+ON DUPLICATE KEY UPDATE `key`=`key`;
@@ -0,0 +1,68 @@
+-- ============================================================================
+-- Job Card Notes
+-- CRUD under /jobcards/:id/notes (src/routes/jobCardNotes.js). Edits and
+-- deletes keep the previous text in job_card_note_revisions; deleted notes are
+-- soft-deleted so the history stays readable. @mentions are stored per note
+-- and each newly mentioned user gets a row in notifications.
+-- ============================================================================
+
+ALTER TABLE job_card_notes
+ADD COLUMN IF NOT EXISTS time_log_id BIGINT NULL COMMENT 'Timer that was running when a technician added the note',
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NULL,
+ADD COLUMN IF NOT EXISTS updated_by CHAR(36) NULL,
+ADD COLUMN IF NOT EXISTS edit_count INT NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP NULL,
+ADD COLUMN IF NOT EXISTS deleted_by CHAR(36) NULL;
+
+-- ============================================================================
+-- NOTE REVISIONS (the note as it was before each edit or delete)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS job_card_note_revisions (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  note_id BIGINT NOT NULL,
+  revision_number INT NOT NULL,
+  note_text TEXT NOT NULL,
+  is_internal BOOLEAN NOT NULL DEFAULT false,
+  change_type VARCHAR(20) NOT NULL DEFAULT 'edited', -- 'edited' | 'deleted'
+  changed_by CHAR(36) NOT NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_note_revisions_note FOREIGN KEY (note_id) REFERENCES job_card_notes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_revisions_changed_by FOREIGN KEY (changed_by) REFERENCES users(id),
+  UNIQUE KEY unique_note_revision (note_id, revision_number)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- NOTE MENTIONS
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS job_card_note_mentions (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  note_id BIGINT NOT NULL,
+  user_id CHAR(36) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_note_mentions_note FOREIGN KEY (note_id) REFERENCES job_card_notes(id) ON DELETE CASCADE,
+  CONSTRAINT fk_note_mentions_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_note_mention (note_id, user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- NOTIFICATIONS (in-app, per user; read via /notifications)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id CHAR(36) NOT NULL,
+  type VARCHAR(100) NOT NULL, -- 'jobcard.note_mention', ...
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  object_type VARCHAR(50), -- 'job_card', ...
+  object_id VARCHAR(64),
+  data JSON DEFAULT ('{}'),
+  is_read BOOLEAN NOT NULL DEFAULT false,
+  read_at TIMESTAMP NULL,
+  created_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_notifications_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  CONSTRAINT fk_notifications_created_by FOREIGN KEY (created_by) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_notifications_user_read ON notifications(user_id, is_read, created_at);
+CREATE INDEX idx_job_card_notes_time_log ON job_card_notes(time_log_id);
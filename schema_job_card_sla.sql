@@ -0,0 +1,48 @@
+-- ============================================================================
+-- Job Card Due Dates & SLA Tracking
+-- priority_levels.sla_target_hours is the delivery target in working hours
+-- (sla.working_hours on weekdays, skipping business_unit_holidays). New job
+-- cards get sla_due_at from their priority and promised_at (the time given to
+-- the customer, defaulting to sla_due_at). src/jobs/slaMonitor.js flags open
+-- cards at risk or breached and keeps every flag in job_card_sla_events;
+-- /reports/sla-compliance reports on both.
+-- ============================================================================
+
+ALTER TABLE priority_levels
+ADD COLUMN IF NOT EXISTS sla_target_hours DECIMAL(6,2) NULL COMMENT 'Working hours from creation to delivery; NULL = no SLA';
+
+UPDATE priority_levels SET sla_target_hours = 4 WHERE priority_value = 1 AND sla_target_hours IS NULL;
+UPDATE priority_levels SET sla_target_hours = 8 WHERE priority_value = 2 AND sla_target_hours IS NULL;
+UPDATE priority_levels SET sla_target_hours = 24 WHERE priority_value = 3 AND sla_target_hours IS NULL;
+UPDATE priority_levels SET sla_target_hours = 40 WHERE priority_value = 4 AND sla_target_hours IS NULL;
+UPDATE priority_levels SET sla_target_hours = 80 WHERE priority_value = 5 AND sla_target_hours IS NULL;
+
+ALTER TABLE job_cards
+ADD COLUMN IF NOT EXISTS sla_due_at TIMESTAMP NULL,
+ADD COLUMN IF NOT EXISTS promised_at TIMESTAMP NULL,
+ADD COLUMN IF NOT EXISTS sla_status VARCHAR(20) NULL COMMENT 'on_track, at_risk, breached, met, cancelled',
+ADD COLUMN IF NOT EXISTS promise_status VARCHAR(20) NULL COMMENT 'on_track, at_risk, breached, met, cancelled';
+
+CREATE INDEX idx_job_cards_sla_status ON job_cards(sla_status, sla_due_at);
+
+CREATE TABLE IF NOT EXISTS job_card_sla_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_card_id BIGINT NOT NULL,
+  deadline_type VARCHAR(20) NOT NULL, -- 'sla' (priority target) | 'promised' (customer promise)
+  event_type VARCHAR(20) NOT NULL, -- 'at_risk' | 'breached'
+  due_at TIMESTAMP NOT NULL,
+  detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  priority TINYINT NULL,
+  job_card_status VARCHAR(50) NULL,
+  CONSTRAINT fk_job_card_sla_events_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE CASCADE,
+  CONSTRAINT chk_job_card_sla_events_deadline CHECK (deadline_type IN ('sla', 'promised')),
+  CONSTRAINT chk_job_card_sla_events_type CHECK (event_type IN ('at_risk', 'breached'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_job_card_sla_events_job_card ON job_card_sla_events(job_card_id, deadline_type);
+CREATE INDEX idx_job_card_sla_events_detected ON job_card_sla_events(detected_at, event_type);
+
+INSERT INTO system_settings (`key`, value, description, category) VALUES
+  ('sla.working_hours', '{"start": "08:00", "end": "18:00", "weekdays": [1, 2, 3, 4, 5, 6]}', 'Working hours SLA targets count in (system.timezone; weekdays 0=Sunday)', 'sla'),
+  ('sla.at_risk_percent', '"75"', 'Flag a job at risk once this share of its SLA window has elapsed', 'sla')
+ON DUPLICATE KEY UPDATE `key`=`key`;
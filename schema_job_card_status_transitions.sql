@@ -0,0 +1,25 @@
+-- ============================================================================
+-- Job Card Status Transitions
+-- Per-BU state machine over the statuses in job_card_statuses. PATCH /jobcards/:id
+-- accepts any active status of the card's BU; once a BU has at least one active
+-- transition, only the configured from -> to moves are allowed, optionally
+-- limited to some roles and requiring fields such as a completion note.
+-- Managed under /job-card-statuses/:business_unit_id/transitions.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS job_card_status_transitions (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id INT NOT NULL,
+  from_status_code VARCHAR(50) NOT NULL,
+  to_status_code VARCHAR(50) NOT NULL,
+  allowed_roles JSON NULL, -- ["Service Advisor", "Business Unit Admin"]; NULL or [] = every role that may edit job cards
+  required_fields JSON NULL, -- ["completion_note"]; see REQUIRED_FIELD_OPTIONS in jobCardStatusService
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by CHAR(36),
+  updated_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_bu_transition (business_unit_id, from_status_code, to_status_code),
+  INDEX idx_job_card_status_transitions_bu (business_unit_id, is_active),
+  CONSTRAINT chk_job_card_status_transitions_distinct CHECK (from_status_code <> to_status_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
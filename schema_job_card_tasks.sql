@@ -0,0 +1,46 @@
+-- ============================================================================
+-- Job Card Task Checklists
+-- Ordered tasks per job card (/jobcards/:id/tasks), seeded on creation from the
+-- template checklist or the job type's default_tasks. Each task has its own
+-- estimate, technician and done/skipped state. time_logs.task_id ties timer
+-- time to a task so /reports/task-efficiency can compare estimate vs actual per
+-- operation_code (e.g. BRAKE_PAD_REPLACEMENT) across all jobs.
+-- ============================================================================
+
+-- [{ title, operation_code, estimated_minutes }]
+ALTER TABLE business_unit_job_types
+ADD COLUMN IF NOT EXISTS default_tasks JSON NULL;
+
+CREATE TABLE IF NOT EXISTS job_card_tasks (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_card_id BIGINT NOT NULL,
+  sequence INT NOT NULL DEFAULT 1,
+  title VARCHAR(255) NOT NULL,
+  operation_code VARCHAR(50) NULL,
+  estimated_minutes INT NULL,
+  assigned_technician_id CHAR(36) NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, in_progress, done, skipped
+  status_note TEXT NULL, -- required when skipped
+  completed_by CHAR(36) NULL,
+  completed_at TIMESTAMP NULL,
+  created_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_job_card_tasks_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE CASCADE,
+  CONSTRAINT fk_job_card_tasks_technician FOREIGN KEY (assigned_technician_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT fk_job_card_tasks_completed_by FOREIGN KEY (completed_by) REFERENCES users(id),
+  CONSTRAINT fk_job_card_tasks_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT chk_job_card_tasks_status CHECK (status IN ('pending', 'in_progress', 'done', 'skipped'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_job_card_tasks_job_card ON job_card_tasks(job_card_id, sequence);
+CREATE INDEX idx_job_card_tasks_operation ON job_card_tasks(operation_code);
+CREATE INDEX idx_job_card_tasks_technician ON job_card_tasks(assigned_technician_id, status);
+
+ALTER TABLE time_logs
+ADD COLUMN IF NOT EXISTS task_id BIGINT NULL;
+
+ALTER TABLE time_logs
+ADD CONSTRAINT fk_time_logs_task FOREIGN KEY (task_id) REFERENCES job_card_tasks(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_time_logs_task ON time_logs(task_id);
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- Job Card Templates / Service Packages
+-- Per-BU templates (/job-card-templates) for routine services. POST /jobcards
+-- with template_id pre-fills job_type (business_unit_job_types.job_type_code),
+-- estimated duration, priority and complaint, copies the checklist into the
+-- card's metadata and reserves the default parts as work_order_parts rows.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS job_card_templates (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id INT NOT NULL,
+  template_code VARCHAR(50) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT NULL,
+  job_type_code VARCHAR(50) NULL,
+  estimated_minutes INT NULL,
+  default_priority TINYINT DEFAULT 3,
+  problem_description TEXT NULL,
+  checklist JSON NULL, -- [{ title, operation_code, estimated_minutes }]
+  is_active BOOLEAN DEFAULT TRUE,
+  display_order INT DEFAULT 0,
+  created_by CHAR(36),
+  updated_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_bu_template (business_unit_id, template_code),
+  INDEX idx_job_card_templates_bu (business_unit_id, is_active),
+  CONSTRAINT chk_job_card_templates_priority CHECK (default_priority BETWEEN 1 AND 5)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS job_card_template_parts (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  template_id BIGINT NOT NULL,
+  part_id BIGINT NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  unit_cost DECIMAL(15,2) NULL, -- NULL = part's current cost at reservation time
+  notes TEXT NULL,
+  display_order INT DEFAULT 0,
+  CONSTRAINT fk_job_card_template_parts_template FOREIGN KEY (template_id) REFERENCES job_card_templates(id) ON DELETE CASCADE,
+  CONSTRAINT fk_job_card_template_parts_part FOREIGN KEY (part_id) REFERENCES parts(id) ON DELETE RESTRICT,
+  CONSTRAINT chk_job_card_template_parts_quantity CHECK (quantity > 0)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_job_card_template_parts_template ON job_card_template_parts(template_id);
+
+ALTER TABLE job_cards
+ADD COLUMN IF NOT EXISTS template_id BIGINT NULL;
+
+ALTER TABLE job_cards
+ADD CONSTRAINT fk_job_cards_template FOREIGN KEY (template_id) REFERENCES job_card_templates(id) ON DELETE SET NULL;
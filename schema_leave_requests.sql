@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Schedule Exceptions & Leave Requests
+-- Technicians request leave; a BU admin approves it and one schedule_exceptions
+-- day-off row is written per leave day (schedule_exceptions.leave_request_id).
+-- Expected-hours math (technician efficiency, overtime, capacity) reads
+-- schedule_exceptions only, so pending/rejected requests never affect it.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  technician_id CHAR(36) NOT NULL,
+  business_unit_id BIGINT NULL,
+  leave_type VARCHAR(30) NOT NULL DEFAULT 'annual', -- annual, sick, unpaid, compassionate, other
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, cancelled
+  reviewed_by CHAR(36) NULL,
+  reviewed_at TIMESTAMP NULL,
+  review_notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_leave_requests_technician FOREIGN KEY (technician_id) REFERENCES technicians(user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_leave_requests_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE SET NULL,
+  CONSTRAINT fk_leave_requests_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id),
+  CONSTRAINT fk_leave_requests_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT chk_leave_requests_dates CHECK (end_date >= start_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_leave_requests_technician_dates ON leave_requests(technician_id, start_date, end_date);
+CREATE INDEX idx_leave_requests_bu_status ON leave_requests(business_unit_id, status);
+
+ALTER TABLE schedule_exceptions
+ADD COLUMN IF NOT EXISTS leave_request_id BIGINT NULL COMMENT 'Set when the exception was created by approving a leave request',
+ADD COLUMN IF NOT EXISTS leave_type VARCHAR(30) NULL COMMENT 'Copied from leave_requests.leave_type',
+ADD COLUMN IF NOT EXISTS created_by CHAR(36) NULL,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP;
+
+CREATE INDEX idx_schedule_exceptions_leave_request ON schedule_exceptions(leave_request_id);
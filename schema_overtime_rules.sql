@@ -0,0 +1,52 @@
+-- ============================================================================
+-- Overtime & Shift Variance Rules
+-- Per-BU thresholds and multipliers used by src/services/overtimeService.js to
+-- split clocked shift time into regular, overtime, late-arrival and
+-- early-leave minutes per technician per day (GET /shifts/overtime-report).
+-- ============================================================================
+
+-- ============================================================================
+-- OVERTIME RULES (one row per BU; BUs without a row use the defaults below)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS overtime_rules (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  daily_threshold_minutes INT NULL DEFAULT 480, -- NULL = use the technician's scheduled minutes for the day
+  weekly_threshold_minutes INT NULL DEFAULT 2880, -- NULL = no weekly overtime
+  week_start_day TINYINT NOT NULL DEFAULT 1, -- 0=Sunday, 1=Monday, ..., 6=Saturday
+  daily_overtime_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.25,
+  weekly_overtime_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.25,
+  rest_day_multiplier DECIMAL(4,2) NOT NULL DEFAULT 1.50,
+  holiday_multiplier DECIMAL(4,2) NOT NULL DEFAULT 2.00,
+  late_arrival_grace_minutes INT NOT NULL DEFAULT 5,
+  early_leave_grace_minutes INT NOT NULL DEFAULT 5,
+  min_overtime_minutes INT NOT NULL DEFAULT 0, -- daily overtime below this is treated as regular time
+  timezone VARCHAR(64) NULL, -- used when a technician has no tech_schedules timezone
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  updated_by CHAR(36),
+  CONSTRAINT fk_overtime_rules_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_overtime_rules_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT fk_overtime_rules_updated_by FOREIGN KEY (updated_by) REFERENCES users(id),
+  CONSTRAINT chk_overtime_week_start CHECK (week_start_day BETWEEN 0 AND 6),
+  UNIQUE KEY unique_overtime_rules_per_bu (business_unit_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- BUSINESS UNIT HOLIDAYS (public holidays; work on these days is holiday overtime)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS business_unit_holidays (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  holiday_date DATE NOT NULL,
+  name VARCHAR(150) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_business_unit_holidays_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_business_unit_holidays_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  UNIQUE KEY unique_holiday_per_bu (business_unit_id, holiday_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_business_unit_holidays_date ON business_unit_holidays(holiday_date);
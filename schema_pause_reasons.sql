@@ -0,0 +1,113 @@
+-- ============================================================================
+-- Timer Pause Reasons
+-- Every job timer pause carries a reason (awaiting parts, awaiting customer
+-- approval, end of shift, tool unavailable...). Each pause is stored as an
+-- interval that stays open until the assignment's timer is resumed, so
+-- /reports/blocked-time can total blocked time per reason per job card.
+-- ============================================================================
+
+-- ============================================================================
+-- PAUSE REASONS (Configurable per BU)
+-- business_unit_id NULL marks a global reason: used by technicians outside any
+-- BU and by BUs that have no active reasons of their own.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS pause_reasons (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NULL,
+  reason_code VARCHAR(50) NOT NULL,
+  reason_name VARCHAR(100) NOT NULL,
+  description TEXT,
+  color VARCHAR(20) DEFAULT '#6c757d',
+  is_active BOOLEAN DEFAULT true,
+  display_order INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_pause_reasons_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_pause_reasons_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  UNIQUE KEY unique_pause_reason_per_bu (business_unit_id, reason_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Databases created before global reasons existed
+ALTER TABLE pause_reasons MODIFY business_unit_id BIGINT NULL;
+
+-- Insert default pause reasons (keep in sync with DEFAULT_PAUSE_REASONS in
+-- src/services/pauseReasonService.js, which seeds BUs created later)
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT bu.id, 'AWAITING_PARTS', 'Awaiting Parts', 'Work blocked until parts arrive from the parts counter or supplier', '#fd7e14', 1
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id = bu.id AND reason_code = 'AWAITING_PARTS');
+
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT bu.id, 'AWAITING_APPROVAL', 'Awaiting Customer Approval', 'Work blocked until the customer approves additional work or cost', '#ffc107', 2
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id = bu.id AND reason_code = 'AWAITING_APPROVAL');
+
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT bu.id, 'END_OF_SHIFT', 'End of Shift', 'Job continues on the next shift', '#6c757d', 3
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id = bu.id AND reason_code = 'END_OF_SHIFT');
+
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT bu.id, 'TOOL_UNAVAILABLE', 'Tool Unavailable', 'Required tool, equipment or bay is in use or out of service', '#dc3545', 4
+FROM business_units bu
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id = bu.id AND reason_code = 'TOOL_UNAVAILABLE');
+
+-- Global defaults
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT NULL, 'AWAITING_PARTS', 'Awaiting Parts', 'Work blocked until parts arrive from the parts counter or supplier', '#fd7e14', 1
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id IS NULL AND reason_code = 'AWAITING_PARTS');
+
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT NULL, 'AWAITING_APPROVAL', 'Awaiting Customer Approval', 'Work blocked until the customer approves additional work or cost', '#ffc107', 2
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id IS NULL AND reason_code = 'AWAITING_APPROVAL');
+
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT NULL, 'END_OF_SHIFT', 'End of Shift', 'Job continues on the next shift', '#6c757d', 3
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id IS NULL AND reason_code = 'END_OF_SHIFT');
+
+INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order)
+SELECT NULL, 'TOOL_UNAVAILABLE', 'Tool Unavailable', 'Required tool, equipment or bay is in use or out of service', '#dc3545', 4
+FROM DUAL
+WHERE NOT EXISTS (SELECT 1 FROM pause_reasons WHERE business_unit_id IS NULL AND reason_code = 'TOOL_UNAVAILABLE');
+
+-- ============================================================================
+-- TIME LOG PAUSES (one row per pause interval)
+-- reason_code / reason_name are snapshots so renaming or retiring a reason
+-- does not rewrite history. System pauses (break start, idle timeout, shift
+-- auto-close) have no pause_reason_id and use the reserved codes BREAK,
+-- IDLE_TIMEOUT and SHIFT_AUTO_CLOSED.
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS time_log_pauses (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  time_log_id BIGINT NOT NULL, -- segment that was paused
+  assignment_id BIGINT NOT NULL,
+  job_card_id BIGINT NOT NULL,
+  technician_id CHAR(36) NOT NULL,
+  business_unit_id BIGINT,
+  pause_reason_id BIGINT NULL,
+  reason_code VARCHAR(50) NOT NULL,
+  reason_name VARCHAR(100) NOT NULL,
+  source VARCHAR(30) DEFAULT 'manual', -- manual, offline_sync, break, idle_timeout, shift_auto_close
+  paused_at TIMESTAMP NOT NULL,
+  resumed_at TIMESTAMP NULL,
+  resume_time_log_id BIGINT NULL, -- segment that ended the pause
+  duration_seconds BIGINT NULL, -- set when the pause is closed
+  notes TEXT,
+  created_by CHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_time_log_pauses_time_log FOREIGN KEY (time_log_id) REFERENCES time_logs(id) ON DELETE CASCADE,
+  CONSTRAINT fk_time_log_pauses_assignment FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+  CONSTRAINT fk_time_log_pauses_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE CASCADE,
+  CONSTRAINT fk_time_log_pauses_technician FOREIGN KEY (technician_id) REFERENCES technicians(user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_time_log_pauses_business_unit FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE SET NULL,
+  CONSTRAINT fk_time_log_pauses_reason FOREIGN KEY (pause_reason_id) REFERENCES pause_reasons(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_time_log_pauses_assignment_open ON time_log_pauses(assignment_id, resumed_at);
+CREATE INDEX idx_time_log_pauses_job_card ON time_log_pauses(job_card_id);
+CREATE INDEX idx_time_log_pauses_paused_at ON time_log_pauses(paused_at);
@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Pay Periods
+-- Per-BU payroll periods. Closing a period freezes the BU's time data inside it:
+-- routes that write technician_shifts or time_logs refuse changes dated in a
+-- closed period (423 PERIOD_LOCKED) until a Super Admin reopens it.
+-- Locked payroll exports (schema_payroll_export.sql) freeze their range the same way.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pay_periods (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'open', -- open, closed
+  opened_by CHAR(36),
+  opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_by CHAR(36) NULL,
+  closed_at TIMESTAMP NULL,
+  reopened_by CHAR(36) NULL,
+  reopened_at TIMESTAMP NULL,
+  reopen_reason TEXT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_pay_periods_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_pay_periods_opened_by FOREIGN KEY (opened_by) REFERENCES users(id),
+  CONSTRAINT fk_pay_periods_closed_by FOREIGN KEY (closed_by) REFERENCES users(id),
+  CONSTRAINT fk_pay_periods_reopened_by FOREIGN KEY (reopened_by) REFERENCES users(id),
+  CONSTRAINT chk_pay_periods_range CHECK (period_end >= period_start),
+  CONSTRAINT chk_pay_periods_status CHECK (status IN ('open', 'closed')),
+  UNIQUE KEY uk_pay_periods_bu_start (business_unit_id, period_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_pay_periods_bu_status ON pay_periods(business_unit_id, status, period_start, period_end);
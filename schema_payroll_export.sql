@@ -0,0 +1,65 @@
+-- ============================================================================
+-- Payroll Export
+-- POST /shifts/payroll-export aggregates closed technician_shifts (breaks,
+-- overtime buckets, leave days) per employee_number / cost_center and renders
+-- them through the generic CSV layout or an admin-defined template.
+-- Each export locks its BU + period: shift edits in a locked period are
+-- refused until the export is reopened (POST /shifts/payroll-exports/:id/reopen).
+-- ============================================================================
+
+-- ============================================================================
+-- PAYROLL EXPORT TEMPLATES
+-- columns JSON: [{ "field": "employee_number", "header": "EMP", "width": 10, "align": "left", "pad": " ", "decimals": 2 }]
+--   header  - CSV header / JSON key (defaults to field)
+--   width   - fixed_width only; values are truncated or padded to this width
+--   align   - fixed_width only: left | right
+--   pad     - fixed_width only: single padding character (default space)
+--   decimals- number formatting for hour fields
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS payroll_export_templates (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NULL, -- NULL = available to every BU
+  name VARCHAR(100) NOT NULL,
+  format VARCHAR(20) NOT NULL, -- csv, fixed_width, json
+  columns JSON NOT NULL,
+  delimiter VARCHAR(5) NOT NULL DEFAULT ',', -- csv only
+  include_header BOOLEAN NOT NULL DEFAULT true, -- csv / fixed_width
+  json_root_key VARCHAR(50) NULL, -- json only; defaults to "records"
+  file_extension VARCHAR(10) NULL,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  updated_by CHAR(36),
+  CONSTRAINT fk_payroll_templates_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_payroll_templates_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT fk_payroll_templates_updated_by FOREIGN KEY (updated_by) REFERENCES users(id),
+  CONSTRAINT chk_payroll_template_format CHECK (format IN ('csv', 'fixed_width', 'json'))
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- PAYROLL EXPORTS (one row per locking export)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS payroll_exports (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  template_id BIGINT NULL, -- NULL = generic CSV
+  format VARCHAR(20) NOT NULL,
+  row_count INT NOT NULL DEFAULT 0,
+  totals JSON NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'locked', -- locked, reopened
+  exported_by CHAR(36) NOT NULL,
+  exported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  reopened_by CHAR(36) NULL,
+  reopened_at TIMESTAMP NULL,
+  reopen_reason TEXT,
+  CONSTRAINT fk_payroll_exports_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_payroll_exports_template FOREIGN KEY (template_id) REFERENCES payroll_export_templates(id) ON DELETE SET NULL,
+  CONSTRAINT fk_payroll_exports_exported_by FOREIGN KEY (exported_by) REFERENCES users(id),
+  CONSTRAINT fk_payroll_exports_reopened_by FOREIGN KEY (reopened_by) REFERENCES users(id),
+  CONSTRAINT chk_payroll_exports_period CHECK (period_end >= period_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_payroll_exports_bu_period ON payroll_exports(business_unit_id, status, period_start, period_end);
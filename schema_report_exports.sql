@@ -0,0 +1,12 @@
+-- ============================================================================
+-- Report Exports
+-- Every /reports/* endpoint accepts ?format=csv|xlsx|pdf. CSV and XLSX are
+-- written to the response as they are produced. CSV numbers and dates use
+-- reports.export_locale (or ?locale=); locales with a decimal comma get ';'
+-- as the field separator. XLSX keeps native numbers and dates, shown as the
+-- wall-clock time in system.timezone.
+-- ============================================================================
+
+INSERT INTO system_settings (`key`, value, description, category) VALUES
+  ('reports.export_locale', '"en-US"', 'Locale CSV report exports format numbers and dates in (BCP 47 tag, e.g. en-GB, de-DE)', 'reports')
+ON DUPLICATE KEY UPDATE `key`=`key`;
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- Stale Shift Auto-Close
+-- Shifts left open (forgotten clock-out) are closed by src/jobs/staleShiftCloser.js
+-- at the scheduled end from tech_schedules, or after a maximum shift length.
+-- Closed shifts get a needs_review entry in technician_shifts.notes.shift_adjustments.
+-- ============================================================================
+
+INSERT INTO system_settings (`key`, value, description, category) VALUES
+  ('shifts.auto_close_enabled', '"true"', 'Automatically close shifts that were never clocked out', 'shifts'),
+  ('shifts.max_shift_hours', '"16"', 'Close open shifts this many hours after clock-in when no schedule applies', 'shifts'),
+  ('shifts.auto_close_grace_minutes', '"60"', 'Minutes after the scheduled shift end before an open shift is closed', 'shifts')
+ON DUPLICATE KEY UPDATE `key`=`key`;
@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Time Log Corrections
+-- Technicians request changes to finished/paused time logs (adjust times, split,
+-- reassign to another job card). A Business Unit Admin approves or rejects each
+-- request; only an approved request modifies time_logs.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS time_log_corrections (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  time_log_id BIGINT NOT NULL,
+  technician_id CHAR(36) NOT NULL,
+  business_unit_id BIGINT, -- Technician's BU at request time, used to route approvals
+  correction_type VARCHAR(20) NOT NULL, -- adjust, split, reassign
+  proposed_changes JSON NOT NULL, -- {start_ts, end_ts} | {split_at, job_card_id?} | {job_card_id, assignment_id}
+  original_snapshot JSON NOT NULL, -- time_logs row as it was when the request was made
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, cancelled
+  requested_by CHAR(36) NOT NULL,
+  reviewed_by CHAR(36),
+  reviewed_at TIMESTAMP NULL,
+  review_notes TEXT,
+  created_time_log_id BIGINT NULL, -- Second segment created by an approved split
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  CONSTRAINT fk_time_log_corrections_time_log FOREIGN KEY (time_log_id) REFERENCES time_logs(id) ON DELETE CASCADE,
+  CONSTRAINT fk_time_log_corrections_technician FOREIGN KEY (technician_id) REFERENCES technicians(user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_time_log_corrections_business_unit FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE SET NULL,
+  CONSTRAINT fk_time_log_corrections_requested_by FOREIGN KEY (requested_by) REFERENCES users(id),
+  CONSTRAINT fk_time_log_corrections_reviewed_by FOREIGN KEY (reviewed_by) REFERENCES users(id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_time_log_corrections_time_log ON time_log_corrections(time_log_id);
+CREATE INDEX idx_time_log_corrections_status_bu ON time_log_corrections(status, business_unit_id);
+CREATE INDEX idx_time_log_corrections_technician ON time_log_corrections(technician_id);
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Offline Timer Sync
+-- Technician tablets queue timer events (start/pause/resume/stop) while offline and
+-- replay them through POST /api/v1/timelogs/sync once connectivity returns.
+-- ============================================================================
+
+-- Processed offline events, keyed by the client-generated idempotency key.
+-- A retried batch returns the stored result instead of applying the event twice.
+CREATE TABLE IF NOT EXISTS timer_sync_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  technician_id CHAR(36) NOT NULL,
+  idempotency_key VARCHAR(100) NOT NULL,
+  event_type VARCHAR(20) NOT NULL, -- start, pause, resume, stop
+  client_ts TIMESTAMP NULL,
+  assignment_id BIGINT NULL,
+  time_log_id BIGINT NULL, -- Time log created or closed by this event
+  result_status VARCHAR(20) NOT NULL, -- accepted, rejected
+  result JSON, -- Result returned to the client
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_timer_sync_events_technician FOREIGN KEY (technician_id) REFERENCES technicians(user_id) ON DELETE CASCADE,
+  UNIQUE KEY unique_sync_event_per_technician (technician_id, idempotency_key)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_timer_sync_events_time_log ON timer_sync_events(time_log_id);
+CREATE INDEX idx_timer_sync_events_created_at ON timer_sync_events(created_at);
+
+-- Sync limits
+INSERT INTO system_settings (`key`, value, description, category) VALUES
+  ('timer.offline_sync_max_age_hours', '"72"', 'Reject offline timer events older than this many hours', 'timer'),
+  ('timer.offline_sync_max_clock_skew_seconds', '"300"', 'Reject offline timer events stamped this far in the future (device clock skew)', 'timer')
+ON DUPLICATE KEY UPDATE `key`=`key`;
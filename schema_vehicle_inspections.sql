@@ -0,0 +1,56 @@
+-- ============================================================================
+-- Vehicle Check-in Inspections
+-- Structured replacement for metadata.work_order_details.bike_condition_review.
+-- Checklist items are configured per BU (/inspection-items); each inspection
+-- saved on a job card (/jobcards/:id/inspection) is a new version, and only the
+-- latest is_current. Damage markers sit on a vehicle diagram view with
+-- normalised x/y (0..1) and may link a photo from job_card_attachments; the
+-- customer signature is stored as a PNG attachment.
+-- ============================================================================
+
+-- ============================================================================
+-- INSPECTION CHECKLIST ITEMS (per BU)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS inspection_checklist_items (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  business_unit_id BIGINT NOT NULL,
+  item_code VARCHAR(50) NOT NULL,
+  label VARCHAR(255) NOT NULL,
+  category VARCHAR(100) NULL, -- 'Exterior', 'Lights', 'Tyres', ...
+  is_required BOOLEAN NOT NULL DEFAULT false, -- every inspection must record a result for it
+  display_order INT DEFAULT 0,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  created_by CHAR(36),
+  CONSTRAINT fk_inspection_items_bu FOREIGN KEY (business_unit_id) REFERENCES business_units(id) ON DELETE CASCADE,
+  CONSTRAINT fk_inspection_items_created_by FOREIGN KEY (created_by) REFERENCES users(id),
+  UNIQUE KEY unique_inspection_item_per_bu (business_unit_id, item_code)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- VEHICLE INSPECTIONS (versioned per job card)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS vehicle_inspections (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  job_card_id BIGINT NOT NULL,
+  version INT NOT NULL,
+  is_current BOOLEAN NOT NULL DEFAULT true,
+  inspected_by CHAR(36) NOT NULL,
+  fuel_level_percent TINYINT NULL, -- 0..100
+  odometer_reading DECIMAL(10,1) NULL,
+  odometer_unit VARCHAR(5) NOT NULL DEFAULT 'km', -- 'km' | 'mi'
+  checklist JSON NOT NULL, -- [{ item_code, label, category, result: ok|attention|damaged|not_applicable, comment }]
+  damage_markers JSON NOT NULL, -- [{ marker_id, view, x, y, damage_type, severity, note, attachment_id }]
+  notes TEXT NULL,
+  customer_signature_attachment_id BIGINT NULL,
+  signed_by_name VARCHAR(200) NULL,
+  signed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT fk_vehicle_inspections_job_card FOREIGN KEY (job_card_id) REFERENCES job_cards(id) ON DELETE CASCADE,
+  CONSTRAINT fk_vehicle_inspections_inspected_by FOREIGN KEY (inspected_by) REFERENCES users(id),
+  CONSTRAINT fk_vehicle_inspections_signature FOREIGN KEY (customer_signature_attachment_id) REFERENCES job_card_attachments(id) ON DELETE SET NULL,
+  UNIQUE KEY unique_inspection_version (job_card_id, version)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE INDEX idx_vehicle_inspections_current ON vehicle_inspections(job_card_id, is_current);
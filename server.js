@@ -19,6 +19,7 @@ const technicianRoutes = require('./src/routes/technicians');
 const jobCardRoutes = require('./src/routes/jobCards');
 const assignmentRoutes = require('./src/routes/assignments');
 const timeLogRoutes = require('./src/routes/timeLogs');
+const timeLogCorrectionRoutes = require('./src/routes/timeLogCorrections');
 const shiftsRoutes = require('./src/routes/shifts');
 const reportRoutes = require('./src/routes/reports');
 const settingsRoutes = require('./src/routes/settings');
@@ -40,6 +41,19 @@ const priorityLevelsRoutes = require('./src/routes/priorityLevels');
 const jobCardStatusesRoutes = require('./src/routes/jobCardStatuses');
 const assignmentStatusesRoutes = require('./src/routes/assignmentStatuses');
 const partCategoriesRoutes = require('./src/routes/partCategories');
+const indirectActivityCodesRoutes = require('./src/routes/indirectActivityCodes');
+const indirectTimeRoutes = require('./src/routes/indirectTime');
+const overtimeRulesRoutes = require('./src/routes/overtimeRules');
+const leaveRequestsRoutes = require('./src/routes/leaveRequests');
+const holidaysRoutes = require('./src/routes/holidays');
+const payPeriodsRoutes = require('./src/routes/payPeriods');
+const breakPoliciesRoutes = require('./src/routes/breakPolicies');
+const pauseReasonsRoutes = require('./src/routes/pauseReasons');
+const notificationsRoutes = require('./src/routes/notifications');
+const inspectionItemsRoutes = require('./src/routes/inspectionItems');
+const customersRoutes = require('./src/routes/customers');
+const vehiclesRoutes = require('./src/routes/vehicles');
+const jobCardTemplatesRoutes = require('./src/routes/jobCardTemplates');
 const workOrderStageHistoryRoutes = require('./src/routes/workOrderStageHistory');
 const integrityRoutes = require('./src/routes/integrity');
 const brandingRoutes = require('./src/routes/branding');
@@ -47,6 +61,10 @@ const brandingRoutes = require('./src/routes/branding');
 // WebSocket handler
 const socketHandler = require('./src/websocket/handler');
 
+// Background jobs (idle timer sweeper, etc.)
+const { startBackgroundJobs } = require('./src/jobs');
+const { getStorageDriver } = require('./src/services/attachmentStorage');
+
 const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
@@ -168,6 +186,7 @@ app.use(`/api/${API_VERSION}/technicians`, technicianRoutes);
 app.use(`/api/${API_VERSION}/jobcards`, jobCardRoutes);
 app.use(`/api/${API_VERSION}/assignments`, assignmentRoutes);
 app.use(`/api/${API_VERSION}/timelogs`, timeLogRoutes);
+app.use(`/api/${API_VERSION}/time-log-corrections`, timeLogCorrectionRoutes);
 app.use(`/api/${API_VERSION}/shifts`, shiftsRoutes);
 app.use(`/api/${API_VERSION}/reports`, reportRoutes);
 app.use(`/api/${API_VERSION}/settings`, settingsRoutes);
@@ -189,6 +208,19 @@ app.use(`/api/${API_VERSION}/priority-levels`, priorityLevelsRoutes);
 app.use(`/api/${API_VERSION}/job-card-statuses`, jobCardStatusesRoutes);
 app.use(`/api/${API_VERSION}/assignment-statuses`, assignmentStatusesRoutes);
 app.use(`/api/${API_VERSION}/part-categories`, partCategoriesRoutes);
+app.use(`/api/${API_VERSION}/indirect-activity-codes`, indirectActivityCodesRoutes);
+app.use(`/api/${API_VERSION}/indirect-time`, indirectTimeRoutes);
+app.use(`/api/${API_VERSION}/overtime-rules`, overtimeRulesRoutes);
+app.use(`/api/${API_VERSION}/leave-requests`, leaveRequestsRoutes);
+app.use(`/api/${API_VERSION}/holidays`, holidaysRoutes);
+app.use(`/api/${API_VERSION}/pay-periods`, payPeriodsRoutes);
+app.use(`/api/${API_VERSION}/break-policies`, breakPoliciesRoutes);
+app.use(`/api/${API_VERSION}/pause-reasons`, pauseReasonsRoutes);
+app.use(`/api/${API_VERSION}/notifications`, notificationsRoutes);
+app.use(`/api/${API_VERSION}/inspection-items`, inspectionItemsRoutes);
+app.use(`/api/${API_VERSION}/customers`, customersRoutes);
+app.use(`/api/${API_VERSION}/vehicles`, vehiclesRoutes);
+app.use(`/api/${API_VERSION}/job-card-templates`, jobCardTemplatesRoutes);
 app.use(`/api/${API_VERSION}/work-order-stage-history`, workOrderStageHistoryRoutes);
 app.use(`/api/${API_VERSION}/integrity`, integrityRoutes);
 app.use(`/api/${API_VERSION}/branding`, brandingRoutes);
@@ -217,6 +249,14 @@ app.use((req, res) => {
   });
 });
 
+// Fail fast on attachment storage that express.static above would make public
+try {
+  getStorageDriver();
+} catch (error) {
+  logger.error('Attachment storage configuration error:', error);
+  process.exit(1);
+}
+
 // Start server
 httpServer.listen(PORT, async () => {
   logger.info(`Server running on port ${PORT}`);
@@ -231,6 +271,8 @@ httpServer.listen(PORT, async () => {
     logger.error('Database connection failed:', error);
     process.exit(1);
   }
+
+  startBackgroundJobs();
 });
 
 // Unhandled rejection handler
@@ -39,30 +39,33 @@ pool.on('error', (err) => {
   process.exit(-1);
 });
 
+// Run a statement on a pool, connection or client and return { rows, rowCount, fields }
+const runQuery = async (executor, text, params) => {
+  if (DB_TYPE === 'mysql') {
+    // Convert PostgreSQL-style $1, $2 placeholders to MySQL ? placeholders
+    let mysqlText = text;
+    if (params && params.length > 0 && text.includes('$')) {
+      // Replace $1, $2, etc. with ?
+      mysqlText = text.replace(/\$(\d+)/g, '?');
+    }
+    // Use query instead of execute - execute is too strict for dynamic queries
+    const [rows, fields] = await executor.query(mysqlText, params || []);
+    // For MySQL: SELECT returns array, UPDATE/INSERT/DELETE returns object with affectedRows
+    const isArray = Array.isArray(rows);
+    return {
+      rows: rows,
+      rowCount: isArray ? rows.length : (rows.affectedRows || 0),
+      fields: fields
+    };
+  }
+  return executor.query(text, params);
+};
+
 // Query helper with logging
 const query = async (text, params) => {
   const start = Date.now();
   try {
-    let res;
-    if (DB_TYPE === 'mysql') {
-      // Convert PostgreSQL-style $1, $2 placeholders to MySQL ? placeholders
-      let mysqlText = text;
-      if (params && params.length > 0 && text.includes('$')) {
-        // Replace $1, $2, etc. with ?
-        mysqlText = text.replace(/\$(\d+)/g, '?');
-      }
-      // Use query instead of execute - execute is too strict for dynamic queries
-      const [rows, fields] = await pool.query(mysqlText, params || []);
-      // For MySQL: SELECT returns array, UPDATE/INSERT/DELETE returns object with affectedRows
-      const isArray = Array.isArray(rows);
-      res = {
-        rows: rows,
-        rowCount: isArray ? rows.length : (rows.affectedRows || 0),
-        fields: fields
-      };
-    } else {
-      res = await pool.query(text, params);
-    }
+    const res = await runQuery(pool, text, params);
     const duration = Date.now() - start;
     logger.debug('Executed query', { text, duration, rows: res.rowCount });
     return res;
@@ -72,13 +75,25 @@ const query = async (text, params) => {
   }
 };
 
+// Handle passed to transaction callbacks: tx.query() behaves like query() on the transaction's connection
+const transactionHandle = (executor) => ({
+  query: async (text, params) => {
+    try {
+      return await runQuery(executor, text, params);
+    } catch (error) {
+      logger.error('Query error', { text, error: error.message, params });
+      throw error;
+    }
+  }
+});
+
 // Transaction helper
 const transaction = async (callback) => {
   if (DB_TYPE === 'mysql') {
     const connection = await pool.getConnection();
     try {
       await connection.beginTransaction();
-      const result = await callback(connection);
+      const result = await callback(transactionHandle(connection));
       await connection.commit();
       return result;
     } catch (error) {
@@ -91,7 +106,7 @@ const transaction = async (callback) => {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
-      const result = await callback(client);
+      const result = await callback(transactionHandle(client));
       await client.query('COMMIT');
       return result;
     } catch (error) {
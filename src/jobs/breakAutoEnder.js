@@ -0,0 +1,149 @@
+const cron = require('node-cron');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const { getOpenBreakSegmentFromNotes } = require('../utils/shiftNotes');
+const { computeBreakEnd } = require('../services/breakPolicyService');
+const { findTechnicianTimeLock, flagTimeLockedWrite } = require('../services/payPeriodService');
+
+const LOCK_KEY = 'jobs:break-auto-ender';
+const DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * End breaks that ran past their allowed length under a BU policy with auto-end enabled.
+ *
+ * The allowed length and auto-end flag were captured on the break segment at start-break, so
+ * only segments carrying auto_end are touched. The break ends at its allowed length, not at
+ * sweep time, and the overrun is recorded in notes.break_violations.
+ */
+async function endOverrunBreaks() {
+  if (!(await tableExists('technician_shifts'))) {
+    return { checked: 0, ended: 0 };
+  }
+  const schema = {
+    hasBreakSeconds: await columnExists('technician_shifts', 'break_seconds'),
+    hasBreakStartColumn: await columnExists('technician_shifts', 'break_start_time')
+  };
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const openResult = await db.query(`SELECT * FROM technician_shifts WHERE clock_out_time IS NULL`);
+  const now = new Date();
+
+  let checked = 0;
+  let ended = 0;
+  for (const shift of openResult.rows || []) {
+    const segment = getOpenBreakSegmentFromNotes(shift.notes);
+    if (!segment || !segment.auto_end || !segment.max_seconds) continue;
+    checked++;
+    try {
+      const result = computeBreakEnd(shift, now, schema);
+      if (!result || !result.autoEnded) continue;
+
+      const timeLock = await findTechnicianTimeLock(shift.technician_id, segment.start_time, result.breakEnd);
+      if (timeLock) {
+        if (await flagTimeLockedWrite('shift.break_auto_end_blocked', 'technician_shift', shift.id, timeLock, {
+          technician_id: shift.technician_id,
+          break_start: segment.start_time
+        })) {
+          logger.warn(`[BREAK-AUTO-END] Shift ${shift.id} is in a locked period, break left open for review`);
+        }
+        continue;
+      }
+
+      const setParts = ['notes'];
+      const params = [result.notes];
+      if (schema.hasBreakSeconds) {
+        setParts.push('break_seconds');
+        params.push(result.breakSeconds);
+      }
+      if (schema.hasBreakStartColumn) {
+        setParts.push('break_start_time');
+        params.push(null);
+      }
+      params.push(shift.id);
+      const assignments = setParts.map((col, i) => `${col} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ');
+
+      // Guard on clock_out_time so a clock-out at the same moment wins
+      const updateResult = await db.query(
+        `UPDATE technician_shifts SET ${assignments}
+         WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`} AND clock_out_time IS NULL`,
+        params
+      );
+      if (!updateResult.rowCount) continue;
+      ended++;
+
+      await db.query(
+        dbType === 'mysql'
+          ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'shift.break_auto_ended', 'technician_shift', ?, ?)`
+          : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'shift.break_auto_ended', 'technician_shift', $2, $3)`,
+        [null, String(shift.id), JSON.stringify({
+          technician_id: shift.technician_id,
+          break_type: segment.break_type || null,
+          break_start: segment.start_time,
+          break_end: result.breakEnd.toISOString(),
+          allowed_seconds: segment.max_seconds
+        })]
+      );
+      logger.info(`[BREAK-AUTO-END] Ended break on shift ${shift.id} for technician ${shift.technician_id} at ${result.breakEnd.toISOString()}`);
+    } catch (error) {
+      logger.error(`[BREAK-AUTO-END] Failed to end break on shift ${shift.id}:`, error);
+    }
+  }
+
+  return { checked, ended };
+}
+
+async function runOnce() {
+  const lockAcquired = await redis.acquireLock(LOCK_KEY, 50000);
+  if (!lockAcquired) return null;
+  try {
+    return await endOverrunBreaks();
+  } catch (error) {
+    logger.error('[BREAK-AUTO-END] Run failed:', error);
+    return null;
+  } finally {
+    await redis.releaseLock(LOCK_KEY);
+  }
+}
+
+function start() {
+  const schedule = process.env.BREAK_AUTO_END_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    logger.error(`[BREAK-AUTO-END] Invalid cron expression "${schedule}", job not started`);
+    return null;
+  }
+  logger.info(`[BREAK-AUTO-END] Scheduled with "${schedule}"`);
+  return cron.schedule(schedule, runOnce);
+}
+
+module.exports = {
+  endOverrunBreaks,
+  runOnce,
+  start
+};
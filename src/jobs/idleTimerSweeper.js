@@ -0,0 +1,138 @@
+const cron = require('node-cron');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const { getNumberSetting } = require('../utils/settings');
+const { recordJobHistory } = require('../utils/jobHistory');
+const { reallocateOverlappingTime } = require('../services/timerConcurrencyService');
+const { SYSTEM_PAUSE_REASONS, recordPause } = require('../services/pauseReasonService');
+const { findTechnicianTimeLock, flagTimeLockedWrite } = require('../services/payPeriodService');
+
+const LOCK_KEY = 'jobs:idle-timer-sweeper';
+const DEFAULT_SCHEDULE = '* * * * *'; // every minute
+
+/**
+ * Auto-pause active timers whose client stopped sending heartbeats.
+ *
+ * Only timers that have sent at least one heartbeat are considered, so clients that do not
+ * implement heartbeats yet are never paused behind their back. The paused segment ends at the
+ * last heartbeat (the last moment the device was known to be alive), not at sweep time.
+ */
+async function sweepIdleTimers() {
+  const idleTimeoutSeconds = await getNumberSetting('timer.idle_timeout_seconds', 300);
+  if (!(idleTimeoutSeconds > 0)) {
+    return { checked: 0, paused: 0 };
+  }
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const cutoff = new Date(Date.now() - idleTimeoutSeconds * 1000);
+
+  const staleResult = await db.query(
+    `SELECT tl.id, tl.assignment_id, tl.technician_id, tl.job_card_id, tl.start_ts,
+            hb.last_heartbeat_ts
+     FROM time_logs tl
+     JOIN (
+       SELECT time_log_id, MAX(heartbeat_ts) as last_heartbeat_ts
+       FROM timer_heartbeats
+       GROUP BY time_log_id
+     ) hb ON hb.time_log_id = tl.id
+     WHERE tl.status = 'active'
+       AND hb.last_heartbeat_ts < ${dbType === 'mysql' ? '?' : '$1'}`,
+    [cutoff]
+  );
+
+  let paused = 0;
+  for (const log of staleResult.rows || []) {
+    try {
+      const startTs = new Date(log.start_ts);
+      const lastHeartbeat = new Date(log.last_heartbeat_ts);
+      const endTs = lastHeartbeat > startTs ? lastHeartbeat : startTs;
+      const durationSeconds = Math.max(0, Math.floor((endTs - startTs) / 1000));
+
+      // A closed pay period or locked payroll export is never rewritten by the sweeper
+      const timeLock = await findTechnicianTimeLock(log.technician_id, startTs, endTs);
+      if (timeLock) {
+        if (await flagTimeLockedWrite('timelog.auto_pause_blocked', 'time_log', log.id, timeLock, {
+          reason: 'idle_timeout',
+          last_heartbeat_ts: lastHeartbeat.toISOString()
+        })) {
+          logger.warn(`[IDLE-SWEEPER] Time log ${log.id} is in a locked period, left running for review`);
+        }
+        continue;
+      }
+
+      // Guard on status so a technician pausing/stopping at the same moment wins.
+      const updateResult = await db.query(
+        dbType === 'mysql'
+          ? `UPDATE time_logs SET end_ts = ?, status = 'paused', duration_seconds = ? WHERE id = ? AND status = 'active'`
+          : `UPDATE time_logs SET end_ts = $1, status = 'paused', duration_seconds = $2 WHERE id = $3 AND status = 'active'`,
+        [endTs, durationSeconds, log.id]
+      );
+      if (!updateResult.rowCount) continue;
+      paused++;
+      await reallocateOverlappingTime(log.technician_id, startTs, endTs);
+      await recordPause({ timeLog: log, reason: SYSTEM_PAUSE_REASONS.IDLE_TIMEOUT, pausedAt: endTs, source: 'idle_timeout' });
+
+      const details = {
+        reason: 'idle_timeout',
+        idle_timeout_seconds: idleTimeoutSeconds,
+        last_heartbeat_ts: lastHeartbeat.toISOString(),
+        duration_seconds: durationSeconds
+      };
+      await db.query(
+        dbType === 'mysql'
+          ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'timelog.auto_paused', 'time_log', ?, ?)`
+          : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'timelog.auto_paused', 'time_log', $2, $3)`,
+        [null, String(log.id), JSON.stringify(details)]
+      );
+
+      await recordJobHistory({
+        workOrderId: log.job_card_id,
+        assignmentId: log.assignment_id,
+        technicianId: log.technician_id,
+        actionType: 'auto_paused',
+        startTime: startTs,
+        endTime: endTs,
+        durationSeconds,
+        status: 'paused',
+        notes: `Timer auto-paused: no heartbeat for ${idleTimeoutSeconds}s (last heartbeat ${lastHeartbeat.toISOString()})`
+      });
+
+      logger.info(`[IDLE-SWEEPER] Auto-paused time log ${log.id} for technician ${log.technician_id}`);
+    } catch (error) {
+      logger.error(`[IDLE-SWEEPER] Failed to auto-pause time log ${log.id}:`, error);
+    }
+  }
+
+  return { checked: (staleResult.rows || []).length, paused };
+}
+
+async function runOnce() {
+  // PM2 runs the app in cluster mode; the lock keeps instances from sweeping concurrently.
+  const lockAcquired = await redis.acquireLock(LOCK_KEY, 50000);
+  if (!lockAcquired) return null;
+  try {
+    return await sweepIdleTimers();
+  } catch (error) {
+    logger.error('[IDLE-SWEEPER] Sweep failed:', error);
+    return null;
+  } finally {
+    await redis.releaseLock(LOCK_KEY);
+  }
+}
+
+function start() {
+  const schedule = process.env.IDLE_TIMER_SWEEP_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    logger.error(`[IDLE-SWEEPER] Invalid cron expression "${schedule}", sweeper not started`);
+    return null;
+  }
+  logger.info(`[IDLE-SWEEPER] Scheduled with "${schedule}"`);
+  return cron.schedule(schedule, runOnce);
+}
+
+module.exports = {
+  sweepIdleTimers,
+  runOnce,
+  start
+};
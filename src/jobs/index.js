@@ -0,0 +1,23 @@
+const logger = require('../utils/logger');
+const idleTimerSweeper = require('./idleTimerSweeper');
+const staleShiftCloser = require('./staleShiftCloser');
+const breakAutoEnder = require('./breakAutoEnder');
+const slaMonitor = require('./slaMonitor');
+
+// Background jobs run inside the web process. Set BACKGROUND_JOBS_ENABLED=false on
+// instances that should only serve HTTP traffic.
+function startBackgroundJobs() {
+  if (process.env.BACKGROUND_JOBS_ENABLED === 'false') {
+    logger.info('Background jobs disabled (BACKGROUND_JOBS_ENABLED=false)');
+    return;
+  }
+
+  idleTimerSweeper.start();
+  staleShiftCloser.start();
+  breakAutoEnder.start();
+  slaMonitor.start();
+}
+
+module.exports = {
+  startBackgroundJobs
+};
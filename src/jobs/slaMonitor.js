@@ -0,0 +1,222 @@
+const cron = require('node-cron');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const { notifyUsers } = require('../services/notificationService');
+const {
+  slaAvailable,
+  getWorkingCalendar,
+  addWorkingHours,
+  getSlaTargetHours,
+  evaluateDeadline,
+  getAtRiskPercent,
+  closedCondition
+} = require('../services/slaService');
+
+const LOCK_KEY = 'jobs:sla-monitor';
+const DEFAULT_SCHEDULE = '*/5 * * * *'; // every 5 minutes
+const STATE_RANK = { on_track: 0, met: 0, cancelled: 0, at_risk: 1, breached: 2 };
+const DEADLINES = [
+  { type: 'sla', dueColumn: 'sla_due_at', statusColumn: 'sla_status', label: 'SLA' },
+  { type: 'promised', dueColumn: 'promised_at', statusColumn: 'promise_status', label: 'promised delivery' }
+];
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function recordEvent(card, deadline, eventType, dueAt, detectedAt) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  await db.query(
+    `INSERT INTO job_card_sla_events (job_card_id, deadline_type, event_type, due_at, detected_at, priority, job_card_status)
+     VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)}, ${p(7)})`,
+    [card.id, deadline.type, eventType, dueAt, detectedAt, card.priority, card.status]
+  );
+}
+
+// The card's creator and the technicians currently assigned to it
+async function getRecipients(card) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT DISTINCT technician_id FROM assignments
+     WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'} AND status IN ('assigned', 'in_progress')`,
+    [card.id]
+  );
+  return [card.created_by, ...(result.rows || []).map(row => row.technician_id)];
+}
+
+/**
+ * Move one deadline of a card to newState. Getting worse (on_track -> at_risk -> breached) is
+ * kept in job_card_sla_events and notified; recovering after a due date moves only updates the card.
+ */
+async function applyState(card, deadline, newState, { hasEvents, detectedAt = new Date(), notify = true }) {
+  const oldState = card[deadline.statusColumn] || null;
+  if (oldState === newState) return false;
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    `UPDATE job_cards SET ${deadline.statusColumn} = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [newState, card.id]
+  );
+  card[deadline.statusColumn] = newState;
+
+  const worsened = (STATE_RANK[newState] || 0) > (STATE_RANK[oldState] || 0);
+  if (!worsened) return false;
+  const dueAt = new Date(card[deadline.dueColumn]);
+  if (hasEvents) {
+    await recordEvent(card, deadline, newState, dueAt, detectedAt);
+  }
+  if (notify) {
+    const breached = newState === 'breached';
+    await notifyUsers(await getRecipients(card), {
+      type: breached ? 'jobcard.sla_breached' : 'jobcard.sla_at_risk',
+      title: breached
+        ? `Job ${card.job_number} missed its ${deadline.label} time`
+        : `Job ${card.job_number} is at risk of missing its ${deadline.label} time`,
+      message: `Due ${dueAt.toISOString()}`,
+      objectType: 'job_card',
+      objectId: card.id,
+      data: { job_card_id: card.id, job_number: card.job_number, deadline_type: deadline.type, state: newState, due_at: dueAt.toISOString() }
+    });
+  }
+  logger.info(`[SLA-MONITOR] Job card ${card.id} ${deadline.type} deadline ${newState}`);
+  return true;
+}
+
+/**
+ * Flag open job cards at risk of missing (or past) their SLA and promised times, fill in sla_due_at
+ * for open cards created before SLA targets existed, and settle cards closed since the last run as
+ * met or breached (or cancelled when they were never completed).
+ */
+async function monitorSla() {
+  if (!(await slaAvailable())) {
+    return { checked: 0, flagged: 0, settled: 0 };
+  }
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasEvents = await tableExists('job_card_sla_events');
+  const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+  const closed = closedCondition(hasJobCardsBU && await tableExists('job_card_statuses'));
+  const atRiskPercent = await getAtRiskPercent();
+  const now = new Date();
+
+  const calendars = new Map();
+  const calendarFor = async (businessUnitId) => {
+    const key = String(businessUnitId || '');
+    if (!calendars.has(key)) {
+      calendars.set(key, await getWorkingCalendar(businessUnitId, new Date(now.getTime() - 365 * 86400000), new Date(now.getTime() + 90 * 86400000)));
+    }
+    return calendars.get(key);
+  };
+  const targets = new Map();
+  const targetFor = async (businessUnitId, priority) => {
+    const key = `${businessUnitId}:${priority}`;
+    if (!targets.has(key)) targets.set(key, await getSlaTargetHours(businessUnitId, priority));
+    return targets.get(key);
+  };
+
+  const columns = `jc.id, jc.job_number, ${hasJobCardsBU ? 'jc.business_unit_id' : 'NULL as business_unit_id'}, jc.priority, jc.status, jc.created_at, jc.created_by,
+                   jc.completed_at, jc.updated_at, jc.sla_due_at, jc.promised_at, jc.sla_status, jc.promise_status`;
+
+  const openResult = await db.query(`SELECT ${columns} FROM job_cards jc WHERE NOT ${closed}`);
+  let flagged = 0;
+  for (const card of openResult.rows || []) {
+    try {
+      const calendar = await calendarFor(card.business_unit_id);
+      const targetHours = card.sla_due_at ? null : await targetFor(card.business_unit_id, card.priority);
+      if (targetHours) {
+        card.sla_due_at = addWorkingHours(card.created_at, targetHours, calendar);
+        await db.query(
+          `UPDATE job_cards SET sla_due_at = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+          [card.sla_due_at, card.id]
+        );
+      }
+      for (const deadline of DEADLINES) {
+        if (!card[deadline.dueColumn]) continue;
+        const state = evaluateDeadline({ startAt: card.created_at, dueAt: card[deadline.dueColumn], now, calendar, atRiskPercent });
+        if (await applyState(card, deadline, state, { hasEvents })) flagged++;
+      }
+    } catch (error) {
+      logger.error(`[SLA-MONITOR] Failed to check job card ${card.id}:`, error);
+    }
+  }
+
+  const settleResult = await db.query(
+    `SELECT ${columns} FROM job_cards jc
+     WHERE ${closed}
+       AND (jc.sla_status IN ('on_track', 'at_risk') OR jc.promise_status IN ('on_track', 'at_risk'))`
+  );
+  let settled = 0;
+  for (const card of settleResult.rows || []) {
+    try {
+      // Cancelled cards, and cards closed without ever being completed, were never delivered:
+      // their deadlines are void rather than met or breached
+      const cancelled = card.status === 'cancelled' || !card.completed_at;
+      const closedAt = new Date(card.completed_at || card.updated_at || now);
+      for (const deadline of DEADLINES) {
+        if (!card[deadline.dueColumn] || !['on_track', 'at_risk'].includes(card[deadline.statusColumn])) continue;
+        let state = closedAt <= new Date(card[deadline.dueColumn]) ? 'met' : 'breached';
+        if (cancelled) state = 'cancelled';
+        // Already closed, so a late finish is history rather than something to act on
+        await applyState(card, deadline, state, { hasEvents, detectedAt: closedAt, notify: false });
+      }
+      settled++;
+    } catch (error) {
+      logger.error(`[SLA-MONITOR] Failed to settle job card ${card.id}:`, error);
+    }
+  }
+
+  return { checked: (openResult.rows || []).length, flagged, settled };
+}
+
+async function runOnce() {
+  const lockAcquired = await redis.acquireLock(LOCK_KEY, 240000);
+  if (!lockAcquired) return null;
+  try {
+    return await monitorSla();
+  } catch (error) {
+    logger.error('[SLA-MONITOR] Run failed:', error);
+    return null;
+  } finally {
+    await redis.releaseLock(LOCK_KEY);
+  }
+}
+
+function start() {
+  const schedule = process.env.SLA_MONITOR_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    logger.error(`[SLA-MONITOR] Invalid cron expression "${schedule}", job not started`);
+    return null;
+  }
+  logger.info(`[SLA-MONITOR] Scheduled with "${schedule}"`);
+  return cron.schedule(schedule, runOnce);
+}
+
+module.exports = {
+  monitorSla,
+  runOnce,
+  start
+};
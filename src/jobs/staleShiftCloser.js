@@ -0,0 +1,339 @@
+const cron = require('node-cron');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const redis = require('../utils/redis');
+const { getNumberSetting, getBooleanSetting } = require('../utils/settings');
+const { recordJobHistory } = require('../utils/jobHistory');
+const { reallocateOverlappingTime } = require('../services/timerConcurrencyService');
+const { SYSTEM_PAUSE_REASONS, recordPause } = require('../services/pauseReasonService');
+const { stopActiveIndirectTimers } = require('../services/indirectTimeService');
+const {
+  getBreakSegmentsFromNotes,
+  addBreakViolationToNotes,
+  getTotalBreakSecondsFromNotes,
+  addShiftAdjustmentAudit
+} = require('../utils/shiftNotes');
+const { getTechnicianBreakPolicy, computeBreakEnd, findMissedMandatoryBreak } = require('../services/breakPolicyService');
+const { safeTimeZone, zonedParts, zonedTimeToDate } = require('../utils/timezone');
+const { getTechnicianHolidayDates } = require('../services/holidayService');
+const { findTechnicianTimeLock, flagTimeLockedWrite } = require('../services/payPeriodService');
+
+const LOCK_KEY = 'jobs:stale-shift-closer';
+const DEFAULT_SCHEDULE = '*/5 * * * *'; // every 5 minutes
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Scheduled end of the working day a shift was clocked in on, from tech_schedules
+ * (and schedule_exceptions when present). Null when the technician is not scheduled that day
+ * or it is a BU holiday.
+ */
+async function getScheduledShiftEnd(technicianId, clockIn, hasExceptions) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+  const schedules = await db.query(
+    `SELECT weekday, start_time, end_time, timezone FROM tech_schedules
+     WHERE technician_id = ${p(1)} AND is_active = true`,
+    [technicianId]
+  );
+  if (!schedules.rows || schedules.rows.length === 0) return null;
+
+  const timeZone = safeTimeZone(schedules.rows.find(row => row.timezone)?.timezone);
+  const local = zonedParts(clockIn, timeZone);
+
+  let endTime = schedules.rows.find(row => Number(row.weekday) === local.weekday)?.end_time || null;
+
+  let exception = null;
+  if (hasExceptions) {
+    const exceptions = await db.query(
+      `SELECT start_time, end_time, is_working_day FROM schedule_exceptions
+       WHERE technician_id = ${p(1)} AND exception_date = ${p(2)} LIMIT 1`,
+      [technicianId, local.ymd]
+    );
+    exception = exceptions.rows[0] || null;
+    if (exception) {
+      endTime = exception.is_working_day ? (exception.end_time || endTime) : null;
+    }
+  }
+  // Public holidays have no scheduled end unless an exception makes the day a working day
+  if (!exception && endTime) {
+    const holidays = await getTechnicianHolidayDates(technicianId, local.ymd, local.ymd);
+    if (holidays.has(local.ymd)) endTime = null;
+  }
+
+  if (!endTime) return null;
+  return zonedTimeToDate(local.ymd, endTime, timeZone);
+}
+
+// Pause the technician's running job timers at the forced clock-out time
+async function pauseActiveTimers(shift, closeTs) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const activeResult = await db.query(
+    `SELECT id, assignment_id, technician_id, job_card_id, start_ts FROM time_logs
+     WHERE technician_id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'active'`,
+    [shift.technician_id]
+  );
+
+  let paused = 0;
+  for (const log of activeResult.rows || []) {
+    const startTs = new Date(log.start_ts);
+    const endTs = closeTs > startTs ? closeTs : startTs;
+    const durationSeconds = Math.max(0, Math.floor((endTs - startTs) / 1000));
+
+    // Timers started before the shift can reach back into a locked period
+    const timeLock = await findTechnicianTimeLock(log.technician_id, startTs, endTs);
+    if (timeLock) {
+      if (await flagTimeLockedWrite('timelog.auto_pause_blocked', 'time_log', log.id, timeLock, {
+        reason: 'shift_auto_closed',
+        shift_id: shift.id
+      })) {
+        logger.warn(`[STALE-SHIFTS] Time log ${log.id} is in a locked period, left running for review`);
+      }
+      continue;
+    }
+
+    const updateResult = await db.query(
+      dbType === 'mysql'
+        ? `UPDATE time_logs SET end_ts = ?, status = 'paused', duration_seconds = ? WHERE id = ? AND status = 'active'`
+        : `UPDATE time_logs SET end_ts = $1, status = 'paused', duration_seconds = $2 WHERE id = $3 AND status = 'active'`,
+      [endTs, durationSeconds, log.id]
+    );
+    if (!updateResult.rowCount) continue;
+    paused++;
+
+    await reallocateOverlappingTime(log.technician_id, startTs, endTs);
+    await recordPause({ timeLog: log, reason: SYSTEM_PAUSE_REASONS.SHIFT_AUTO_CLOSED, pausedAt: endTs, source: 'shift_auto_close' });
+
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'timelog.auto_paused', 'time_log', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'timelog.auto_paused', 'time_log', $2, $3)`,
+      [null, String(log.id), JSON.stringify({ reason: 'shift_auto_closed', shift_id: shift.id, duration_seconds: durationSeconds })]
+    );
+
+    await recordJobHistory({
+      workOrderId: log.job_card_id,
+      assignmentId: log.assignment_id,
+      technicianId: log.technician_id,
+      actionType: 'auto_paused',
+      startTime: startTs,
+      endTime: endTs,
+      durationSeconds,
+      status: 'paused',
+      notes: `Timer auto-paused: shift ${shift.id} was closed automatically`
+    });
+  }
+  return paused;
+}
+
+/**
+ * Close one stale shift at closeTs: finalize an open break, set clock_out_time, stop timers,
+ * and append a needs_review entry to shift_adjustments. Returns false if the shift was closed meanwhile.
+ */
+async function closeShift(shift, closeTs, reason, schema) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const clockIn = new Date(shift.clock_in_time);
+
+  const ended = computeBreakEnd(shift, closeTs, schema);
+  let notes = ended ? ended.notes : shift.notes;
+  const breakSeconds = ended
+    ? ended.breakSeconds
+    : (schema.hasBreakSeconds ? (Number(shift.break_seconds) || 0) : getTotalBreakSecondsFromNotes(shift.notes));
+
+  const missedBreak = findMissedMandatoryBreak(await getTechnicianBreakPolicy(shift.technician_id), {
+    clockIn,
+    clockOut: closeTs,
+    segments: getBreakSegmentsFromNotes(notes)
+  });
+  if (missedBreak) notes = addBreakViolationToNotes(notes, missedBreak);
+
+  notes = addShiftAdjustmentAudit(notes, {
+    at: new Date().toISOString(),
+    by_user_id: null,
+    by_name: 'System',
+    reason,
+    auto_closed: true,
+    needs_review: true,
+    changes: {
+      clock_out_time: { from: null, to: closeTs.toISOString() }
+    }
+  });
+
+  const setParts = ['clock_out_time', 'notes'];
+  const params = [closeTs, notes];
+  if (schema.hasBreakSeconds) {
+    setParts.push('break_seconds');
+    params.push(breakSeconds);
+  }
+  if (schema.hasBreakStartColumn) {
+    setParts.push('break_start_time');
+    params.push(null);
+  }
+  params.push(shift.id);
+  const assignments = setParts.map((col, i) => `${col} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ');
+
+  // Guard on clock_out_time so a technician clocking out at the same moment wins
+  const updateResult = await db.query(
+    `UPDATE technician_shifts SET ${assignments}
+     WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`} AND clock_out_time IS NULL`,
+    params
+  );
+  if (!updateResult.rowCount) return false;
+
+  const pausedTimers = await pauseActiveTimers(shift, closeTs);
+  await stopActiveIndirectTimers(shift.technician_id, closeTs, 'shift_auto_close');
+
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'shift.auto_closed', 'technician_shift', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'shift.auto_closed', 'technician_shift', $2, $3)`,
+    [null, String(shift.id), JSON.stringify({
+      technician_id: shift.technician_id,
+      clock_in_time: clockIn.toISOString(),
+      clock_out_time: closeTs.toISOString(),
+      reason,
+      paused_timers: pausedTimers
+    })]
+  );
+
+  logger.info(`[STALE-SHIFTS] Closed shift ${shift.id} for technician ${shift.technician_id} at ${closeTs.toISOString()} (${reason})`);
+  return true;
+}
+
+/**
+ * Close shifts that were never clocked out.
+ *
+ * A shift is closed at the technician's scheduled end (tech_schedules) once that is more than
+ * shifts.auto_close_grace_minutes in the past, unless a job timer was started after the scheduled end
+ * (overtime). Otherwise, and for unscheduled days, it is closed at clock-in + shifts.max_shift_hours.
+ */
+async function closeStaleShifts() {
+  if (!(await getBooleanSetting('shifts.auto_close_enabled', true))) {
+    return { checked: 0, closed: 0 };
+  }
+  if (!(await tableExists('technician_shifts'))) {
+    return { checked: 0, closed: 0 };
+  }
+
+  const maxShiftHours = await getNumberSetting('shifts.max_shift_hours', 16);
+  const graceMinutes = await getNumberSetting('shifts.auto_close_grace_minutes', 60);
+  const hasSchedules = await tableExists('tech_schedules');
+  const hasExceptions = hasSchedules && await tableExists('schedule_exceptions');
+  const schema = {
+    hasBreakSeconds: await columnExists('technician_shifts', 'break_seconds'),
+    hasBreakStartColumn: await columnExists('technician_shifts', 'break_start_time')
+  };
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const openResult = await db.query(`SELECT * FROM technician_shifts WHERE clock_out_time IS NULL`);
+  const now = new Date();
+
+  let closed = 0;
+  for (const shift of openResult.rows || []) {
+    try {
+      const clockIn = new Date(shift.clock_in_time);
+      let closeTs = null;
+      let reason = null;
+
+      if (hasSchedules) {
+        const scheduledEnd = await getScheduledShiftEnd(shift.technician_id, clockIn, hasExceptions);
+        if (scheduledEnd && scheduledEnd > clockIn && now - scheduledEnd >= graceMinutes * 60 * 1000) {
+          const overtimeResult = await db.query(
+            `SELECT id FROM time_logs
+             WHERE technician_id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'active'
+               AND start_ts > ${dbType === 'mysql' ? '?' : '$2'}
+             LIMIT 1`,
+            [shift.technician_id, scheduledEnd]
+          );
+          if (overtimeResult.rows.length === 0) {
+            closeTs = scheduledEnd;
+            reason = `Auto-closed at scheduled shift end: no clock-out within ${graceMinutes} min`;
+          }
+        }
+      }
+
+      if (!closeTs && maxShiftHours > 0 && now - clockIn >= maxShiftHours * 3600 * 1000) {
+        closeTs = new Date(clockIn.getTime() + maxShiftHours * 3600 * 1000);
+        reason = `Auto-closed after maximum shift length of ${maxShiftHours} hours`;
+      }
+
+      if (closeTs) {
+        const timeLock = await findTechnicianTimeLock(shift.technician_id, clockIn, closeTs);
+        if (timeLock) {
+          if (await flagTimeLockedWrite('shift.auto_close_blocked', 'technician_shift', shift.id, timeLock, {
+            technician_id: shift.technician_id,
+            clock_in_time: clockIn.toISOString(),
+            proposed_clock_out_time: closeTs.toISOString(),
+            reason
+          })) {
+            logger.warn(`[STALE-SHIFTS] Shift ${shift.id} is in a locked period, left open for review`);
+          }
+          continue;
+        }
+      }
+
+      if (closeTs && await closeShift(shift, closeTs, reason, schema)) {
+        closed++;
+      }
+    } catch (error) {
+      logger.error(`[STALE-SHIFTS] Failed to close shift ${shift.id}:`, error);
+    }
+  }
+
+  return { checked: (openResult.rows || []).length, closed };
+}
+
+async function runOnce() {
+  const lockAcquired = await redis.acquireLock(LOCK_KEY, 240000);
+  if (!lockAcquired) return null;
+  try {
+    return await closeStaleShifts();
+  } catch (error) {
+    logger.error('[STALE-SHIFTS] Run failed:', error);
+    return null;
+  } finally {
+    await redis.releaseLock(LOCK_KEY);
+  }
+}
+
+function start() {
+  const schedule = process.env.STALE_SHIFT_CLOSE_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    logger.error(`[STALE-SHIFTS] Invalid cron expression "${schedule}", job not started`);
+    return null;
+  }
+  logger.info(`[STALE-SHIFTS] Scheduled with "${schedule}"`);
+  return cron.schedule(schedule, runOnce);
+}
+
+module.exports = {
+  closeStaleShifts,
+  getScheduledShiftEnd,
+  runOnce,
+  start
+};
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate } = require('../middleware/auth');
+const { getStatuses, isClosedStatus, checkStatusTransition } = require('../services/jobCardStatusService');
 
 const router = express.Router();
 
@@ -46,6 +47,64 @@ async function columnExists(tableName, columnName) {
   }
 }
 
+// Job card with the BU its statuses come from (the card's own, else its creator's)
+async function getJobCardForStatus(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+  const result = await db.query(
+    `SELECT jc.*, ${hasJobCardsBU ? 'COALESCE(jc.business_unit_id, u.business_unit_id)' : 'u.business_unit_id'} as status_business_unit_id
+     FROM job_cards jc
+     LEFT JOIN users u ON jc.created_by = u.id
+     WHERE jc.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Move a job card to the status its assignments imply, through the BU's statuses and transitions.
+ * An assignment update carries no completion notes, so a move the BU's rules refuse (unknown
+ * status, no transition, role limit, required field) is skipped and left to staff on the card.
+ * Returns true when the status was changed.
+ */
+async function syncJobCardStatus(jobCard, toStatus, user, assignmentId) {
+  if (jobCard.status === toStatus) return false;
+  const check = await checkStatusTransition({
+    businessUnitId: jobCard.status_business_unit_id,
+    jobCard,
+    toStatus,
+    user
+  });
+  if (check.error) {
+    logger.info(`Job card ${jobCard.id} left at "${jobCard.status}" after assignment ${assignmentId} update: ${check.error.message}`);
+    return false;
+  }
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const closesCard = check.status ? isClosedStatus(check.status) : toStatus === 'completed';
+  const completedAt = closesCard ? (dbType === 'mysql' ? 'NOW()' : 'now()') : 'NULL';
+  // Only move the card from the status the check was made against
+  const result = await db.query(
+    `UPDATE job_cards SET status = ${p(1)}, completed_at = ${completedAt}
+     WHERE id = ${p(2)} AND status = ${p(3)}`,
+    [toStatus, jobCard.id, jobCard.status]
+  );
+  if (!result.rowCount) return false;
+
+  await db.query(
+    `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+     VALUES (${p(1)}, 'jobcard.status_changed', 'job_card', ${p(2)}, ${p(3)})`,
+    [user.id, jobCard.id, JSON.stringify({
+      from: jobCard.status,
+      to: toStatus,
+      transition_id: check.transition?.id || null,
+      assignment_id: assignmentId
+    })]
+  );
+  return true;
+}
+
 // GET /api/v1/assignments
 router.get('/', async (req, res, next) => {
   try {
@@ -770,50 +829,30 @@ router.patch('/:id',
         const completedAssignments = parseInt(allAssignmentsResult.rows[0].completed_count || 0);
         const activeAssignments = parseInt(allAssignmentsResult.rows[0].active_count || 0);
         
-        // Get current job card status
-        const jobCardStatusResult = await db.query(
-          `SELECT status FROM job_cards WHERE id = ${jobCardPlaceholder}`,
-          [jobCardId]
-        );
+        const jobCard = await getJobCardForStatus(jobCardId);
         
-        if (jobCardStatusResult.rows.length > 0) {
-          const currentJobCardStatus = jobCardStatusResult.rows[0].status;
+        if (jobCard) {
+          // Closed per the BU's statuses, or the legacy 'completed' when it has none
+          const statuses = await getStatuses(jobCard.status_business_unit_id);
+          const isClosed = statuses.length > 0
+            ? isClosedStatus(statuses.find(s => s.status_code === jobCard.status))
+            : jobCard.status === 'completed';
           
           // If assignment was set to completed, check if all are completed
           if (assignmentStatus === 'completed' && totalAssignments > 0 && totalAssignments === completedAssignments) {
             // All assignments completed - set job card to completed
-            await db.query(
-              `UPDATE job_cards SET status = 'completed', completed_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'} 
-               WHERE id = ${jobCardPlaceholder}`,
-              [jobCardId]
-            );
+            if (!isClosed) await syncJobCardStatus(jobCard, 'completed', req.user, assignment.id);
           } 
-          // If we have active assignments (assigned or in_progress), job card should be in_progress
+          // If we have active assignments (assigned or in_progress), job card should be in_progress:
+          // reopened after a reassignment, or started from open (both subject to the BU's rules)
           else if (activeAssignments > 0) {
-            // If job card is completed but we have active assignments (reassignment happened)
-            if (currentJobCardStatus === 'completed') {
-              await db.query(
-                `UPDATE job_cards SET status = 'in_progress', completed_at = NULL 
-                 WHERE id = ${jobCardPlaceholder}`,
-                [jobCardId]
-              );
-            }
-            // If job card is open but we have active assignments
-            else if (currentJobCardStatus === 'open') {
-              await db.query(
-                `UPDATE job_cards SET status = 'in_progress' 
-                 WHERE id = ${jobCardPlaceholder}`,
-                [jobCardId]
-              );
+            if (isClosed || jobCard.status === 'open') {
+              await syncJobCardStatus(jobCard, 'in_progress', req.user, assignment.id);
             }
           }
           // If at least one assignment is completed but no active assignments, and job card is open
-          else if (completedAssignments > 0 && activeAssignments === 0 && currentJobCardStatus === 'open') {
-            await db.query(
-              `UPDATE job_cards SET status = 'in_progress' 
-               WHERE id = ${jobCardPlaceholder}`,
-              [jobCardId]
-            );
+          else if (completedAssignments > 0 && activeAssignments === 0 && jobCard.status === 'open') {
+            await syncJobCardStatus(jobCard, 'in_progress', req.user, assignment.id);
           }
         }
       }
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate, requireSuperAdmin } = require('../middleware/auth');
+const { defaultBranding, normalizeBranding, getEffectiveBranding } = require('../services/brandingService');
 
 const router = express.Router();
 
@@ -85,39 +86,6 @@ async function deleteSetting(key) {
   }
 }
 
-function defaultBranding() {
-  // Fallback palette inspired by the provided Legend Holding Group logo.
-  // This is used only when no DB branding is configured yet.
-  return {
-    system_name: 'WTTT',
-    logo_data_url: null,
-    colors: {
-      primary: '#4B2B7F',   // purple
-      secondary: '#0B1F3A', // dark navy
-      accent: '#F39C12',    // orange
-      background: '#FFFFFF',
-      text: '#0B1F3A'
-    }
-  };
-}
-
-function normalizeBranding(raw) {
-  const base = defaultBranding();
-  const obj = (raw && typeof raw === 'object') ? raw : {};
-  const colors = (obj.colors && typeof obj.colors === 'object') ? obj.colors : {};
-  return {
-    system_name: (obj.system_name || base.system_name),
-    logo_data_url: (obj.logo_data_url || null),
-    colors: {
-      primary: colors.primary || base.colors.primary,
-      secondary: colors.secondary || base.colors.secondary,
-      accent: colors.accent || base.colors.accent,
-      background: colors.background || base.colors.background,
-      text: colors.text || base.colors.text
-    }
-  };
-}
-
 // -------------------------
 // Public endpoint (login page, unauthenticated)
 // -------------------------
@@ -163,25 +131,7 @@ router.get('/business-unit/:business_unit_id', requireSuperAdmin, async (req, re
 // Returns effective branding for current user (global or BU override, depending on enforce flag).
 router.get('/effective', async (req, res) => {
   try {
-    const global = await getSetting('branding.global');
-    const enforce = await getSetting('branding.enforce_global');
-    const enforceGlobal = (enforce === true || enforce === 'true' || enforce === 1 || enforce === '1');
-
-    const buId = req.user.businessUnitId ? String(req.user.businessUnitId) : null;
-    const buKey = buId ? `branding.bu.${buId}` : null;
-    const buBranding = (!enforceGlobal && buKey) ? await getSetting(buKey) : null;
-
-    const effective = normalizeBranding(buBranding || global);
-    const source = buBranding ? 'business_unit' : (global ? 'global' : 'default');
-
-    res.json({
-      data: {
-        ...effective,
-        source,
-        enforce_global: enforceGlobal,
-        business_unit_id: buId
-      }
-    });
+    res.json({ data: await getEffectiveBranding(req.user.businessUnitId) });
   } catch (error) {
     logger.error('Branding effective error:', error);
     res.json({ data: { ...defaultBranding(), source: 'default' } });
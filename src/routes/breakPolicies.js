@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { DEFAULT_BREAK_POLICY, getBreakPolicy } = require('../services/breakPolicyService');
+
+const router = express.Router();
+router.use(authenticate);
+
+const POLICY_FIELDS = Object.keys(DEFAULT_BREAK_POLICY);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function schemaMismatch(res, tableName) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: `${tableName} table does not exist`
+    }
+  });
+}
+
+// Only one default break type per BU
+async function clearDefaultBreakType(businessUnitId, exceptId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    `UPDATE break_types SET is_default = false
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND id <> ${dbType === 'mysql' ? '?' : '$2'}`,
+    [businessUnitId, exceptId]
+  );
+}
+
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    const policy = await getBreakPolicy(userResult.rows[0].business_unit_id);
+    res.json({ data: { business_unit_id: userResult.rows[0].business_unit_id, ...policy } });
+  } catch (error) {
+    logger.error('Get my BU break policy error:', error);
+    next(error);
+  }
+});
+
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    const { business_unit_id } = req.params;
+    const policy = await getBreakPolicy(business_unit_id);
+    res.json({ data: { business_unit_id: parseInt(business_unit_id), ...policy } });
+  } catch (error) {
+    logger.error('Get break policy error:', error);
+    next(error);
+  }
+});
+
+// Create or replace the BU's policy; omitted fields keep their current (or default) value, null lifts a limit
+router.put('/:business_unit_id', requireAdmin, [
+  body('max_breaks_per_shift').optional({ nullable: true }).isInt({ min: 1, max: 20 }),
+  body('max_break_minutes').optional({ nullable: true }).isInt({ min: 1, max: 480 }),
+  body('max_total_break_minutes').optional({ nullable: true }).isInt({ min: 1, max: 720 }),
+  body('mandatory_break_after_hours').optional({ nullable: true }).isFloat({ min: 0.5, max: 24 }),
+  body('mandatory_break_minutes').optional().isInt({ min: 0, max: 240 }),
+  body('auto_end_enabled').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('break_policies'))) return schemaMismatch(res, 'break_policies');
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+
+    const { break_types: currentTypes, ...current } = await getBreakPolicy(business_unit_id);
+    const updated = { ...current };
+    for (const field of POLICY_FIELDS) {
+      if (req.body[field] !== undefined) updated[field] = req.body[field];
+    }
+    updated.auto_end_enabled = updated.auto_end_enabled === true || updated.auto_end_enabled === 'true';
+    const values = POLICY_FIELDS.map(field => updated[field]);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    const existing = await db.query(
+      `SELECT id FROM break_policies WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [business_unit_id]
+    );
+    if (existing.rows.length > 0) {
+      const sets = POLICY_FIELDS.map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`);
+      const n = POLICY_FIELDS.length;
+      await db.query(
+        `UPDATE break_policies SET ${sets.join(', ')}, is_active = true, updated_by = ${dbType === 'mysql' ? '?' : `$${n + 1}`}
+         WHERE business_unit_id = ${dbType === 'mysql' ? '?' : `$${n + 2}`}`,
+        [...values, req.user.id, business_unit_id]
+      );
+    } else {
+      const columns = ['business_unit_id', ...POLICY_FIELDS, 'created_by', 'updated_by'];
+      const placeholders = columns.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`));
+      await db.query(
+        `INSERT INTO break_policies (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+        [business_unit_id, ...values, req.user.id, req.user.id]
+      );
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+       VALUES (${dbType === 'mysql' ? '?' : '$1'}, 'break_policy.updated', 'business_unit', ${dbType === 'mysql' ? '?' : '$2'}, ${dbType === 'mysql' ? '?' : '$3'})`,
+      [req.user.id, String(business_unit_id), JSON.stringify({ before: current, after: updated })]
+    );
+
+    const policy = await getBreakPolicy(business_unit_id);
+    res.json({ data: { business_unit_id: parseInt(business_unit_id), ...policy } });
+  } catch (error) {
+    logger.error('Update break policy error:', error);
+    next(error);
+  }
+});
+
+router.post('/:business_unit_id/types', requireAdmin, [
+  body('type_code').trim().notEmpty().matches(/^[A-Z0-9_]+$/),
+  body('type_name').trim().notEmpty().isLength({ max: 100 }),
+  body('is_paid').optional().isBoolean(),
+  body('max_per_shift').optional({ nullable: true }).isInt({ min: 1, max: 20 }),
+  body('max_minutes').optional({ nullable: true }).isInt({ min: 1, max: 480 }),
+  body('is_default').optional().isBoolean(),
+  body('display_order').optional().isInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('break_types'))) return schemaMismatch(res, 'break_types');
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const {
+      type_code, type_name, is_paid = false, max_per_shift = null, max_minutes = null, is_default = false, display_order = 0
+    } = req.body;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    const existing = await db.query(
+      `SELECT id FROM break_types WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND type_code = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [business_unit_id, type_code]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'Break type with this code already exists' } });
+    }
+
+    const params = [business_unit_id, type_code, type_name, !!is_paid, max_per_shift, max_minutes, !!is_default, display_order, req.user.id];
+    let result;
+    if (dbType === 'mysql') {
+      await db.query(
+        `INSERT INTO break_types (business_unit_id, type_code, type_name, is_paid, max_per_shift, max_minutes, is_default, display_order, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params
+      );
+      result = await db.query(`SELECT * FROM break_types WHERE business_unit_id = ? AND type_code = ?`, [business_unit_id, type_code]);
+    } else {
+      result = await db.query(
+        `INSERT INTO break_types (business_unit_id, type_code, type_name, is_paid, max_per_shift, max_minutes, is_default, display_order, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        params
+      );
+    }
+    if (is_default) await clearDefaultBreakType(business_unit_id, result.rows[0].id);
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create break type error:', error);
+    next(error);
+  }
+});
+
+router.patch('/:business_unit_id/types/:id', requireAdmin, [
+  body('type_name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('is_paid').optional().isBoolean(),
+  body('max_per_shift').optional({ nullable: true }).isInt({ min: 1, max: 20 }),
+  body('max_minutes').optional({ nullable: true }).isInt({ min: 1, max: 480 }),
+  body('is_default').optional().isBoolean(),
+  body('display_order').optional().isInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('break_types'))) return schemaMismatch(res, 'break_types');
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    for (const field of ['type_name', 'is_paid', 'max_per_shift', 'max_minutes', 'is_default', 'display_order']) {
+      if (req.body[field] === undefined) continue;
+      params.push(req.body[field]);
+      updates.push(`${field} = ${dbType === 'mysql' ? '?' : `$${params.length}`}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+    params.push(id, business_unit_id);
+
+    const updateResult = await db.query(
+      `UPDATE break_types SET ${updates.join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length - 1}`} AND business_unit_id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    if (!updateResult.rowCount) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Break type not found' } });
+    }
+    if (req.body.is_default === true) await clearDefaultBreakType(business_unit_id, id);
+
+    const result = await db.query(`SELECT * FROM break_types WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [id]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Update break type error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: break segments keep their break_type code
+router.delete('/:business_unit_id/types/:id', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('break_types'))) return schemaMismatch(res, 'break_types');
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE break_types SET is_active = false, is_default = false WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [id, business_unit_id]
+    );
+    res.json({ message: 'Break type deleted successfully' });
+  } catch (error) {
+    logger.error('Delete break type error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const { normalizeChecklist } = require('../services/jobCardTemplateService');
 
 const router = express.Router();
 
@@ -41,6 +42,53 @@ async function canManageBU(userId, businessUnitId) {
   }
 }
 
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// default_tasks seed the task checklist of job cards of this type (schema_job_card_tasks.sql).
+// Returns { tasks } (JSON string or undefined when not sent) or { error } response body.
+async function resolveDefaultTasks(defaultTasks) {
+  if (defaultTasks === undefined) return { tasks: undefined };
+  if (!(await columnExists('business_unit_job_types', 'default_tasks'))) {
+    return {
+      error: {
+        code: 'SCHEMA_MISMATCH',
+        message: 'Database schema is missing required table/column for this operation.',
+        details: 'business_unit_job_types.default_tasks column does not exist'
+      }
+    };
+  }
+  const { checklist, error } = normalizeChecklist(defaultTasks);
+  if (error) return { error: { code: 'VALIDATION_ERROR', message: error.replace(/^checklist/, 'default_tasks') } };
+  return { tasks: JSON.stringify(checklist) };
+}
+
+// labour_rate prices labour lines on customer estimates (schema_job_card_estimates.sql).
+// Returns { rate } (number, null or undefined when not sent) or { error } response body.
+async function resolveLabourRate(labourRate) {
+  if (labourRate === undefined) return { rate: undefined };
+  if (!(await columnExists('business_unit_job_types', 'labour_rate'))) {
+    return {
+      error: {
+        code: 'SCHEMA_MISMATCH',
+        message: 'Database schema is missing required table/column for this operation.',
+        details: 'business_unit_job_types.labour_rate column does not exist'
+      }
+    };
+  }
+  return { rate: labourRate === null || labourRate === '' ? null : parseFloat(labourRate) };
+}
+
 // GET /api/v1/business-unit-job-types/:business_unit_id
 // Get job types for a specific Business Unit
 router.get('/:business_unit_id', async (req, res, next) => {
@@ -103,6 +151,7 @@ router.post('/:business_unit_id',
     body('job_type_name').notEmpty().trim().isLength({ max: 255 }),
     body('description').optional().trim(),
     body('default_estimated_hours').optional().isFloat({ min: 0 }),
+    body('labour_rate').optional({ nullable: true }).isFloat({ min: 0 }),
     body('display_order').optional().isInt({ min: 0 })
   ],
   async (req, res, next) => {
@@ -140,6 +189,11 @@ router.post('/:business_unit_id',
         display_order = 0
       } = req.body;
 
+      const defaultTasks = await resolveDefaultTasks(req.body.default_tasks);
+      if (defaultTasks.error) return res.status(400).json({ error: defaultTasks.error });
+      const labourRate = await resolveLabourRate(req.body.labour_rate);
+      if (labourRate.error) return res.status(400).json({ error: labourRate.error });
+
       const dbType = process.env.DB_TYPE || 'postgresql';
 
       // Check for duplicate
@@ -184,6 +238,21 @@ router.post('/:business_unit_id',
         newJobType = result.rows[0];
       }
 
+      if (defaultTasks.tasks !== undefined) {
+        await db.query(
+          `UPDATE business_unit_job_types SET default_tasks = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+          [defaultTasks.tasks, newJobType.id]
+        );
+        newJobType.default_tasks = defaultTasks.tasks;
+      }
+      if (labourRate.rate !== undefined) {
+        await db.query(
+          `UPDATE business_unit_job_types SET labour_rate = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+          [labourRate.rate, newJobType.id]
+        );
+        newJobType.labour_rate = labourRate.rate;
+      }
+
       // Log audit
       await db.query(
         `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
@@ -206,6 +275,7 @@ router.patch('/:id', requireAdmin,
     body('job_type_name').optional().trim().isLength({ max: 255 }),
     body('description').optional().trim(),
     body('default_estimated_hours').optional().isFloat({ min: 0 }),
+    body('labour_rate').optional({ nullable: true }).isFloat({ min: 0 }),
     body('is_active').optional().isBoolean(),
     body('display_order').optional().isInt({ min: 0 })
   ],
@@ -283,6 +353,20 @@ router.patch('/:id', requireAdmin,
         updates.push(`display_order = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`);
         params.push(req.body.display_order);
       }
+      const defaultTasks = await resolveDefaultTasks(req.body.default_tasks);
+      if (defaultTasks.error) return res.status(400).json({ error: defaultTasks.error });
+      if (defaultTasks.tasks !== undefined) {
+        paramCount++;
+        updates.push(`default_tasks = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`);
+        params.push(defaultTasks.tasks);
+      }
+      const labourRate = await resolveLabourRate(req.body.labour_rate);
+      if (labourRate.error) return res.status(400).json({ error: labourRate.error });
+      if (labourRate.rate !== undefined) {
+        paramCount++;
+        updates.push(`labour_rate = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`);
+        params.push(labourRate.rate);
+      }
 
       if (updates.length === 0) {
         return res.status(400).json({
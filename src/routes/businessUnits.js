@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate, requireSuperAdmin } = require('../middleware/auth');
+const { seedDefaultPauseReasons } = require('../services/pauseReasonService');
 
 const router = express.Router();
 
@@ -127,6 +128,9 @@ router.post('/', requireSuperAdmin, [
       );
     }
     
+    // Technicians can't pause a timer without a reason to pick
+    await seedDefaultPauseReasons(result.rows[0].id, req.user.id);
+    
     // Create audit log
     const auditPlaceholder = dbType === 'mysql' ? '?' : '$1';
     await db.query(
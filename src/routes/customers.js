@@ -0,0 +1,283 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdminOrServiceAdvisor } = require('../middleware/auth');
+const {
+  registryAvailable,
+  normalizeName,
+  normalizePhone,
+  normalizeEmail,
+  getCustomer,
+  findCustomerMatch,
+  createCustomer,
+  mergeCustomers,
+  findDuplicateGroups
+} = require('../services/customerVehicleService');
+
+const router = express.Router();
+router.use(authenticate);
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'customers/vehicles tables or job_cards.customer_id/vehicle_id do not exist (apply schema_customers_vehicles.sql)'
+    }
+  });
+}
+
+// Super admins may pick a BU (or see all); everyone else is held to their own
+function scopeBusinessUnit(req, requested) {
+  if (req.user.roleName === 'Super Admin') return requested ? parseInt(requested, 10) : null;
+  return req.user.businessUnitId || null;
+}
+
+async function loadCustomer(req, res, id) {
+  const customer = await getCustomer(id, scopeBusinessUnit(req, null));
+  if (!customer) {
+    res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Customer not found' } });
+    return null;
+  }
+  return customer;
+}
+
+// GET /api/v1/customers?q=...&limit=50
+router.get('/', async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const { q, limit = 50, business_unit_id } = req.query;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = [];
+    const p = (val) => { params.push(val); return dbType === 'mysql' ? '?' : `$${params.length}`; };
+
+    let queryText = `SELECT c.*,
+                            (SELECT COUNT(*) FROM vehicles v WHERE v.customer_id = c.id AND v.is_active = true) as vehicle_count,
+                            (SELECT COUNT(*) FROM job_cards jc WHERE jc.customer_id = c.id) as job_card_count
+                     FROM customers c
+                     WHERE c.is_active = true`;
+    const bu = scopeBusinessUnit(req, business_unit_id);
+    if (bu) queryText += ` AND (c.business_unit_id = ${p(bu)} OR c.business_unit_id IS NULL)`;
+    if (q && String(q).trim()) {
+      const term = String(q).trim();
+      const phone = normalizePhone(term);
+      queryText += ` AND (c.normalized_name LIKE ${p(`%${normalizeName(term)}%`)} OR LOWER(c.email) LIKE ${p(`%${term.toLowerCase()}%`)}`;
+      if (phone) queryText += ` OR c.normalized_phone LIKE ${p(`%${phone}%`)}`;
+      queryText += ')';
+    }
+    queryText += ` ORDER BY c.customer_name ASC LIMIT ${Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)}`;
+
+    const result = await db.query(queryText, params);
+    res.json({
+      data: (result.rows || []).map(row => ({
+        ...row,
+        vehicle_count: parseInt(row.vehicle_count, 10) || 0,
+        job_card_count: parseInt(row.job_card_count, 10) || 0
+      }))
+    });
+  } catch (error) {
+    logger.error('List customers error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/customers/duplicates
+// Active customers sharing an email, phone number or name, as merge candidates
+router.get('/duplicates', requireAdminOrServiceAdvisor, async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const groups = await findDuplicateGroups('customers', scopeBusinessUnit(req, req.query.business_unit_id), [
+      ['email', 'LOWER(t.email)'],
+      ['phone', 't.normalized_phone'],
+      ['name', 't.normalized_name']
+    ]);
+    res.json({ data: groups });
+  } catch (error) {
+    logger.error('Find duplicate customers error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/customers/:id (with vehicles and recent job cards)
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const customer = await loadCustomer(req, res, req.params.id);
+    if (!customer) return;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+
+    const vehicles = await db.query(
+      `SELECT * FROM vehicles WHERE customer_id = ${placeholder} AND is_active = true ORDER BY created_at DESC`,
+      [customer.id]
+    );
+    const jobCards = await db.query(
+      `SELECT id, job_number, status, priority, work_type, vehicle_id, created_at, completed_at
+       FROM job_cards WHERE customer_id = ${placeholder}
+       ORDER BY created_at DESC LIMIT 50`,
+      [customer.id]
+    );
+    res.json({ ...customer, vehicles: vehicles.rows || [], job_cards: jobCards.rows || [] });
+  } catch (error) {
+    logger.error('Get customer error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/customers
+// Rejects a customer whose email or phone is already registered unless allow_duplicate is set
+router.post('/', requireAdminOrServiceAdvisor, [
+  body('customer_name').trim().notEmpty().isLength({ max: 255 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  body('phone').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('address').optional({ nullable: true }).isString(),
+  body('notes').optional({ nullable: true }).isString(),
+  body('allow_duplicate').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const businessUnitId = scopeBusinessUnit(req, req.body.business_unit_id);
+
+    if (!req.body.allow_duplicate) {
+      const existing = await findCustomerMatch(businessUnitId, { email: req.body.email, phone: req.body.phone }, ['email', 'phone']);
+      if (existing) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_CUSTOMER',
+            message: 'A customer with this email or phone already exists',
+            details: { existing_customer_id: existing.id, customer_name: existing.customer_name }
+          }
+        });
+      }
+    }
+
+    const customer = await createCustomer(businessUnitId, req.body, req.user.id);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'customer.created', 'customer', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'customer.created', 'customer', $2, $3)`,
+      [req.user.id, String(customer.id), JSON.stringify({ customer_name: customer.customer_name })]
+    );
+    res.status(201).json(customer);
+  } catch (error) {
+    logger.error('Create customer error:', error);
+    next(error);
+  }
+});
+
+router.patch('/:id', requireAdminOrServiceAdvisor, [
+  body('customer_name').optional().trim().notEmpty().isLength({ max: 255 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+  body('phone').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('address').optional({ nullable: true }).isString(),
+  body('notes').optional({ nullable: true }).isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const customer = await loadCustomer(req, res, req.params.id);
+    if (!customer) return;
+
+    const fields = {};
+    if (req.body.customer_name !== undefined) {
+      fields.customer_name = req.body.customer_name;
+      fields.normalized_name = normalizeName(req.body.customer_name);
+    }
+    if (req.body.email !== undefined) fields.email = normalizeEmail(req.body.email);
+    if (req.body.phone !== undefined) {
+      fields.phone = req.body.phone ? String(req.body.phone).trim() : null;
+      fields.normalized_phone = normalizePhone(req.body.phone);
+    }
+    if (req.body.address !== undefined) fields.address = req.body.address || null;
+    if (req.body.notes !== undefined) fields.notes = req.body.notes || null;
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = Object.values(fields);
+    params.push(customer.id);
+    await db.query(
+      `UPDATE customers SET ${Object.keys(fields).map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    res.json(await getCustomer(customer.id));
+  } catch (error) {
+    logger.error('Update customer error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: job cards keep their customer_id and customer_name
+router.delete('/:id', requireAdminOrServiceAdvisor, async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const customer = await loadCustomer(req, res, req.params.id);
+    if (!customer) return;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(`UPDATE customers SET is_active = false WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [customer.id]);
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'customer.deleted', 'customer', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'customer.deleted', 'customer', $2, $3)`,
+      [req.user.id, String(customer.id), JSON.stringify({ customer_name: customer.customer_name })]
+    );
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    logger.error('Delete customer error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/customers/:id/merge { source_ids: [...] }
+// Moves the duplicates' job cards and vehicles to :id and retires the duplicates
+router.post('/:id/merge', requireAdminOrServiceAdvisor, [
+  body('source_ids').isArray({ min: 1, max: 50 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const target = await loadCustomer(req, res, req.params.id);
+    if (!target) return;
+
+    const sources = [];
+    for (const sourceId of [...new Set(req.body.source_ids.map(String))]) {
+      const source = await getCustomer(sourceId, scopeBusinessUnit(req, null));
+      if (!source || String(source.id) !== sourceId) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `Customer ${sourceId} not found or already merged` } });
+      }
+      if (String(source.id) === String(target.id)) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A customer cannot be merged into itself' } });
+      }
+      sources.push(source);
+    }
+
+    const result = await mergeCustomers(target, sources);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'customer.merged', 'customer', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'customer.merged', 'customer', $2, $3)`,
+      [req.user.id, String(target.id), JSON.stringify({ source_ids: sources.map(source => source.id), ...result })]
+    );
+    res.json({ customer: await getCustomer(target.id), merged_ids: sources.map(source => source.id), ...result });
+  } catch (error) {
+    logger.error('Merge customers error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { parseHolidayIcs } = require('../utils/icsParser');
+const { datesInRange, toDateOnly } = require('../services/scheduleExceptionService');
+
+const router = express.Router();
+router.use(authenticate);
+
+const MAX_IMPORT_HOLIDAYS = 1000;
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'business_unit_holidays table does not exist'
+    }
+  });
+}
+
+async function listHolidays(businessUnitId, year) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const params = [businessUnitId];
+  let queryText = `SELECT * FROM business_unit_holidays WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}`;
+  if (year && /^\d{4}$/.test(String(year))) {
+    params.push(`${year}-01-01`, `${year}-12-31`);
+    queryText += dbType === 'mysql'
+      ? ' AND holiday_date >= ? AND holiday_date <= ?'
+      : ' AND holiday_date >= $2 AND holiday_date <= $3';
+  }
+  queryText += ' ORDER BY holiday_date ASC';
+  const result = await db.query(queryText, params);
+  return (result.rows || []).map(row => ({ ...row, holiday_date: toDateOnly(row.holiday_date) }));
+}
+
+/**
+ * Insert a holiday, or rename the existing one on that date when overwrite is set.
+ * Returns 'created', 'updated' or 'skipped'.
+ */
+async function saveHoliday(businessUnitId, { date, name, source = 'manual', uid = null }, userId, overwrite) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const hasSource = await columnExists('business_unit_holidays', 'source');
+
+  const existing = await db.query(
+    `SELECT id FROM business_unit_holidays WHERE business_unit_id = ${p(1)} AND holiday_date = ${p(2)}`,
+    [businessUnitId, date]
+  );
+  if (existing.rows.length > 0) {
+    if (!overwrite) return 'skipped';
+    await db.query(
+      hasSource
+        ? `UPDATE business_unit_holidays SET name = ${p(1)}, source = ${p(2)}, external_uid = ${p(3)} WHERE id = ${p(4)}`
+        : `UPDATE business_unit_holidays SET name = ${p(1)} WHERE id = ${p(2)}`,
+      hasSource ? [name, source, uid, existing.rows[0].id] : [name, existing.rows[0].id]
+    );
+    return 'updated';
+  }
+
+  await db.query(
+    hasSource
+      ? `INSERT INTO business_unit_holidays (business_unit_id, holiday_date, name, source, external_uid, created_by)
+         VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)})`
+      : `INSERT INTO business_unit_holidays (business_unit_id, holiday_date, name, created_by)
+         VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)})`,
+    hasSource ? [businessUnitId, date, name, source, uid, userId] : [businessUnitId, date, name, userId]
+  );
+  return 'created';
+}
+
+async function auditHolidays(actorId, action, businessUnitId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'business_unit', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'business_unit', $3, $4)`,
+    [actorId, action, String(businessUnitId), JSON.stringify(details)]
+  );
+}
+
+// GET /api/v1/holidays/my-bu?year=2026
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    if (!(await tableExists('business_unit_holidays'))) return schemaMismatch(res);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    res.json({ data: await listHolidays(userResult.rows[0].business_unit_id, req.query.year) });
+  } catch (error) {
+    logger.error('Get my BU holidays error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/holidays/:business_unit_id?year=2026
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    if (!(await tableExists('business_unit_holidays'))) return schemaMismatch(res);
+    res.json({ data: await listHolidays(req.params.business_unit_id, req.query.year) });
+  } catch (error) {
+    logger.error('Get business unit holidays error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/holidays/:business_unit_id
+// Body: { holiday_date, end_date?, name } - end_date adds one row per day (e.g. a three-day Eid)
+router.post('/:business_unit_id', requireAdmin, [
+  body('holiday_date').isISO8601(),
+  body('end_date').optional().isISO8601(),
+  body('name').trim().notEmpty().isLength({ max: 150 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('business_unit_holidays'))) return schemaMismatch(res);
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+
+    const startDay = String(req.body.holiday_date).slice(0, 10);
+    const endDay = req.body.end_date ? String(req.body.end_date).slice(0, 10) : startDay;
+    if (endDay < startDay) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'end_date must be on or after holiday_date' } });
+    }
+    const days = datesInRange(startDay, endDay);
+    if (days.length > 31) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A holiday cannot span more than 31 days' } });
+    }
+
+    const created = [];
+    const skipped = [];
+    for (const day of days) {
+      const outcome = await saveHoliday(parseInt(business_unit_id), { date: day, name: req.body.name }, req.user.id, false);
+      (outcome === 'created' ? created : skipped).push(day);
+    }
+    if (created.length === 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'A holiday already exists on these dates' } });
+    }
+
+    await auditHolidays(req.user.id, 'holiday.created', business_unit_id, { name: req.body.name, dates: created });
+    res.status(201).json({ data: { created, skipped } });
+  } catch (error) {
+    logger.error('Create business unit holiday error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/holidays/:business_unit_id/import
+// Body: { ics: "<BEGIN:VCALENDAR...>", year?, overwrite? }
+// Existing dates are kept unless overwrite is true.
+router.post('/:business_unit_id/import', requireAdmin, [
+  body('ics').isString().notEmpty(),
+  body('year').optional().isInt({ min: 2000, max: 2100 }),
+  body('overwrite').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('business_unit_holidays'))) return schemaMismatch(res);
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+
+    if (!/BEGIN:VCALENDAR/i.test(req.body.ics)) {
+      return res.status(400).json({ error: { code: 'INVALID_ICS', message: 'ics must be an iCalendar (BEGIN:VCALENDAR) document' } });
+    }
+    let holidays = parseHolidayIcs(req.body.ics);
+    if (req.body.year) {
+      holidays = holidays.filter(h => h.date.startsWith(`${req.body.year}-`));
+    }
+    if (holidays.length === 0) {
+      return res.status(400).json({ error: { code: 'INVALID_ICS', message: 'No dated events found in the calendar' } });
+    }
+    if (holidays.length > MAX_IMPORT_HOLIDAYS) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `Calendar has more than ${MAX_IMPORT_HOLIDAYS} holiday days` } });
+    }
+
+    const overwrite = req.body.overwrite === true || req.body.overwrite === 'true';
+    const summary = { created: 0, updated: 0, skipped: 0 };
+    const seen = new Set();
+    for (const holiday of holidays) {
+      // Overlapping events in one feed: first one wins
+      if (seen.has(holiday.date)) continue;
+      seen.add(holiday.date);
+      const outcome = await saveHoliday(
+        parseInt(business_unit_id),
+        { date: holiday.date, name: holiday.name, source: 'ics', uid: holiday.uid },
+        req.user.id,
+        overwrite
+      );
+      summary[outcome]++;
+    }
+
+    await auditHolidays(req.user.id, 'holiday.imported', business_unit_id, { ...summary, year: req.body.year || null, overwrite });
+    res.json({ data: summary });
+  } catch (error) {
+    logger.error('Import business unit holidays error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/holidays/:business_unit_id/:id
+router.patch('/:business_unit_id/:id', requireAdmin, [
+  body('name').optional().trim().notEmpty().isLength({ max: 150 }),
+  body('holiday_date').optional().isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('business_unit_holidays'))) return schemaMismatch(res);
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    if (req.body.name !== undefined) {
+      params.push(req.body.name);
+      updates.push(`name = ${dbType === 'mysql' ? '?' : `$${params.length}`}`);
+    }
+    if (req.body.holiday_date !== undefined) {
+      const newDate = String(req.body.holiday_date).slice(0, 10);
+      const clash = await db.query(
+        `SELECT id FROM business_unit_holidays WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND holiday_date = ${dbType === 'mysql' ? '?' : '$2'} AND id <> ${dbType === 'mysql' ? '?' : '$3'}`,
+        [business_unit_id, newDate, id]
+      );
+      if (clash.rows.length > 0) {
+        return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'A holiday already exists on this date' } });
+      }
+      params.push(newDate);
+      updates.push(`holiday_date = ${dbType === 'mysql' ? '?' : `$${params.length}`}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    params.push(id, business_unit_id);
+    const result = await db.query(
+      `UPDATE business_unit_holidays SET ${updates.join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length - 1}`} AND business_unit_id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    if (!result.rowCount) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Holiday not found' } });
+    }
+
+    await auditHolidays(req.user.id, 'holiday.updated', business_unit_id, { holiday_id: id, name: req.body.name, holiday_date: req.body.holiday_date });
+    const refreshed = await db.query(`SELECT * FROM business_unit_holidays WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [id]);
+    res.json({ ...refreshed.rows[0], holiday_date: toDateOnly(refreshed.rows[0].holiday_date) });
+  } catch (error) {
+    logger.error('Update business unit holiday error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/holidays/:business_unit_id/:id
+router.delete('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('business_unit_holidays'))) return schemaMismatch(res);
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      `DELETE FROM business_unit_holidays WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [id, business_unit_id]
+    );
+    if (!result.rowCount) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Holiday not found' } });
+    }
+    await auditHolidays(req.user.id, 'holiday.deleted', business_unit_id, { holiday_id: id });
+    res.json({ message: 'Holiday deleted successfully' });
+  } catch (error) {
+    logger.error('Delete business unit holiday error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
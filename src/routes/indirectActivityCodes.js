@@ -0,0 +1,173 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticate);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${placeholder}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    const businessUnitId = userResult.rows[0].business_unit_id;
+    const result = await db.query(
+      `SELECT * FROM indirect_activity_codes WHERE business_unit_id = ${placeholder} AND is_active = true ORDER BY display_order ASC`,
+      [businessUnitId]
+    );
+    res.json({ data: result.rows || [] });
+  } catch (error) {
+    logger.error('Get my BU indirect activity codes error:', error);
+    next(error);
+  }
+});
+
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    const { business_unit_id } = req.params;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const result = await db.query(
+      `SELECT * FROM indirect_activity_codes WHERE business_unit_id = ${placeholder} AND is_active = true ORDER BY display_order ASC`,
+      [business_unit_id]
+    );
+    res.json({ data: result.rows || [] });
+  } catch (error) {
+    logger.error('Get indirect activity codes error:', error);
+    next(error);
+  }
+});
+
+router.post('/:business_unit_id', requireAdmin, [
+  body('activity_code').trim().notEmpty().matches(/^[A-Z0-9_]+$/),
+  body('activity_name').trim().notEmpty(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const { activity_code, activity_name, description, color = '#6c757d', display_order = 0 } = req.body;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    const checkPlaceholder = dbType === 'mysql' ? '?' : '$1';
+    const existing = await db.query(
+      `SELECT id FROM indirect_activity_codes WHERE business_unit_id = ${checkPlaceholder} AND activity_code = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [business_unit_id, activity_code]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'Indirect activity with this code already exists' } });
+    }
+
+    let result;
+    if (dbType === 'mysql') {
+      await db.query(
+        `INSERT INTO indirect_activity_codes (business_unit_id, activity_code, activity_name, description, color, display_order, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [business_unit_id, activity_code, activity_name, description || null, color, display_order, req.user.id]
+      );
+      result = await db.query(`SELECT * FROM indirect_activity_codes WHERE business_unit_id = ? AND activity_code = ?`, [business_unit_id, activity_code]);
+    } else {
+      result = await db.query(
+        `INSERT INTO indirect_activity_codes (business_unit_id, activity_code, activity_name, description, color, display_order, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [business_unit_id, activity_code, activity_name, description || null, color, display_order, req.user.id]
+      );
+    }
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create indirect activity code error:', error);
+    next(error);
+  }
+});
+
+router.patch('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const { activity_name, description, color, display_order } = req.body;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    let paramCount = 0;
+
+    if (activity_name !== undefined) { paramCount++; updates.push(`activity_name = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(activity_name); }
+    if (description !== undefined) { paramCount++; updates.push(`description = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(description); }
+    if (color !== undefined) { paramCount++; updates.push(`color = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(color); }
+    if (display_order !== undefined) { paramCount++; updates.push(`display_order = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(display_order); }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    paramCount++;
+    params.push(id);
+    paramCount++;
+    params.push(business_unit_id);
+
+    if (dbType === 'mysql') {
+      await db.query(`UPDATE indirect_activity_codes SET ${updates.join(', ')} WHERE id = ? AND business_unit_id = ?`, params);
+      const result = await db.query(`SELECT * FROM indirect_activity_codes WHERE id = ?`, [id]);
+      res.json(result.rows[0]);
+    } else {
+      const result = await db.query(
+        `UPDATE indirect_activity_codes SET ${updates.join(', ')} WHERE id = $${paramCount - 1} AND business_unit_id = $${paramCount} RETURNING *`,
+        params
+      );
+      res.json(result.rows[0]);
+    }
+  } catch (error) {
+    logger.error('Update indirect activity code error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: existing indirect time logs keep referencing the code
+router.delete('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE indirect_activity_codes SET is_active = false WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [id, business_unit_id]
+    );
+    res.json({ message: 'Indirect activity code deleted successfully' });
+  } catch (error) {
+    logger.error('Delete indirect activity code error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,313 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate } = require('../middleware/auth');
+const redis = require('../utils/redis');
+const {
+  indirectTimeTableExists,
+  getActiveIndirectTimer,
+  stopIndirectTimer
+} = require('../services/indirectTimeService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Helper function to check if column exists
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isBusinessUnitAdmin(roleName) {
+  return typeof roleName === 'string' && roleName.toLowerCase().includes('business unit admin');
+}
+
+function isAdminRole(roleName) {
+  return ['Super Admin', 'Business Unit Admin', 'Admin'].includes(roleName);
+}
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'indirect_time_logs table does not exist'
+    }
+  });
+}
+
+// Active (not clocked out) shift, with break state resolved the same way shifts.js stores it
+async function getActiveShift(technicianId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM technician_shifts
+     WHERE technician_id = ${dbType === 'mysql' ? '?' : '$1'} AND clock_out_time IS NULL
+     ORDER BY clock_in_time DESC LIMIT 1`,
+    [technicianId]
+  );
+  const shift = result.rows[0];
+  if (!shift) return null;
+
+  let onBreak = false;
+  if (await columnExists('technician_shifts', 'break_start_time')) {
+    onBreak = !!shift.break_start_time;
+  } else {
+    try {
+      const notesObj = typeof shift.notes === 'string' ? JSON.parse(shift.notes) : shift.notes;
+      onBreak = !!notesObj?.break_state?.start_time;
+    } catch (e) {
+      onBreak = false;
+    }
+  }
+  return { ...shift, on_break: onBreak };
+}
+
+// GET /api/v1/indirect-time/active
+router.get('/active', async (req, res, next) => {
+  try {
+    if (!(await indirectTimeTableExists())) return schemaMismatch(res);
+    const timer = await getActiveIndirectTimer(req.user.id);
+    res.json({ data: timer });
+  } catch (error) {
+    logger.error('Get active indirect timer error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/indirect-time
+// Technicians see their own entries; admins may filter by technician (BU admins within their BU).
+router.get('/',
+  [
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await indirectTimeTableExists())) return schemaMismatch(res);
+
+      const { technician_id, start_date, end_date } = req.query;
+      const limit = parseInt(req.query.limit || 100, 10);
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const params = [];
+      const p = (val) => {
+        params.push(val);
+        return dbType === 'mysql' ? '?' : `$${params.length}`;
+      };
+
+      let queryText = `
+        SELECT itl.*, iac.activity_code, iac.activity_name, iac.color, u.display_name as technician_name
+        FROM indirect_time_logs itl
+        JOIN indirect_activity_codes iac ON itl.activity_code_id = iac.id
+        LEFT JOIN users u ON itl.technician_id = u.id
+        WHERE itl.status <> 'cancelled'`;
+
+      if (!isAdminRole(req.user.roleName)) {
+        queryText += ` AND itl.technician_id = ${p(req.user.id)}`;
+      } else {
+        if (isBusinessUnitAdmin(req.user.roleName)) {
+          queryText += ` AND itl.business_unit_id = ${p(req.user.businessUnitId || 0)}`;
+        }
+        if (technician_id) {
+          queryText += ` AND itl.technician_id = ${p(technician_id)}`;
+        }
+      }
+      if (start_date) queryText += ` AND itl.start_ts >= ${p(start_date)}`;
+      if (end_date) queryText += ` AND itl.start_ts <= ${p(end_date)}`;
+      queryText += ` ORDER BY itl.start_ts DESC LIMIT ${limit}`;
+
+      const result = await db.query(queryText, params);
+      res.json({ data: result.rows || [] });
+    } catch (error) {
+      logger.error('Get indirect time logs error:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/indirect-time/start
+// Start a non-job timer (cleaning, training, waiting for parts...) inside the current shift.
+router.post('/start',
+  [
+    body('activity_code_id').isInt(),
+    body('notes').optional()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await indirectTimeTableExists())) return schemaMismatch(res);
+
+      const technicianId = req.user.id;
+      const { activity_code_id, notes } = req.body;
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+      const codeResult = await db.query(
+        `SELECT * FROM indirect_activity_codes WHERE id = ${p(1)} AND is_active = true`,
+        [activity_code_id]
+      );
+      if (codeResult.rows.length === 0) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Indirect activity code not found' } });
+      }
+      const activity = codeResult.rows[0];
+
+      const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${p(1)}`, [technicianId]);
+      const userBusinessUnitId = userResult.rows[0]?.business_unit_id || null;
+      if (userBusinessUnitId && String(activity.business_unit_id) !== String(userBusinessUnitId)) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Activity code belongs to another Business Unit' } });
+      }
+
+      // Indirect time only counts inside a shift
+      const shift = await getActiveShift(technicianId);
+      if (!shift) {
+        return res.status(400).json({
+          error: {
+            code: 'NOT_CLOCKED_IN',
+            message: 'You must clock in to your shift before starting an indirect activity.'
+          }
+        });
+      }
+      if (shift.on_break) {
+        return res.status(409).json({
+          error: {
+            code: 'ON_BREAK',
+            message: 'You cannot start an indirect activity while on break. Please end your break first.'
+          }
+        });
+      }
+
+      const lockKey = `timer:lock:${technicianId}`;
+      const lockAcquired = await redis.acquireLock(lockKey, 5000);
+      if (!lockAcquired) {
+        return res.status(423).json({ error: { code: 'LOCK_ACQUISITION_FAILED', message: 'Could not acquire lock, please retry' } });
+      }
+
+      try {
+        // Job time and indirect time must not overlap, or the same minutes count twice
+        const activeJobResult = await db.query(
+          `SELECT id FROM time_logs WHERE technician_id = ${p(1)} AND status = 'active' LIMIT 1`,
+          [technicianId]
+        );
+        if (activeJobResult.rows.length > 0) {
+          return res.status(409).json({
+            error: {
+              code: 'JOB_TIMER_ACTIVE',
+              message: 'Pause or stop your running job timer before starting an indirect activity.',
+              details: { time_log_id: activeJobResult.rows[0].id }
+            }
+          });
+        }
+
+        const running = await getActiveIndirectTimer(technicianId);
+        if (running) {
+          return res.status(409).json({
+            error: {
+              code: 'TIMER_ALREADY_ACTIVE',
+              message: `Indirect activity "${running.activity_name}" is already running. Stop it first.`,
+              details: { indirect_time_log_id: running.id }
+            }
+          });
+        }
+
+        const now = new Date();
+        const insertParams = [
+          technicianId,
+          activity.id,
+          shift.id,
+          userBusinessUnitId || activity.business_unit_id,
+          now,
+          notes !== undefined ? notes : null
+        ];
+        let timerId;
+        if (dbType === 'mysql') {
+          const insertResult = await db.query(
+            `INSERT INTO indirect_time_logs (technician_id, activity_code_id, shift_id, business_unit_id, start_ts, status, notes)
+             VALUES (?, ?, ?, ?, ?, 'active', ?)`,
+            insertParams
+          );
+          timerId = insertResult.rows.insertId;
+        } else {
+          const insertResult = await db.query(
+            `INSERT INTO indirect_time_logs (technician_id, activity_code_id, shift_id, business_unit_id, start_ts, status, notes)
+             VALUES ($1, $2, $3, $4, $5, 'active', $6)
+             RETURNING id`,
+            insertParams
+          );
+          timerId = insertResult.rows[0].id;
+        }
+
+        await db.query(
+          `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+           VALUES (${p(1)}, 'indirect_time.started', 'indirect_time_log', ${p(2)}, ${p(3)})`,
+          [technicianId, String(timerId), JSON.stringify({ activity_code: activity.activity_code, shift_id: shift.id })]
+        );
+
+        const timer = await getActiveIndirectTimer(technicianId);
+        res.status(201).json(timer);
+      } finally {
+        await redis.releaseLock(lockKey);
+      }
+    } catch (error) {
+      logger.error('Start indirect timer error:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/indirect-time/:id/stop
+router.post('/:id/stop',
+  [
+    body('notes').optional()
+  ],
+  async (req, res, next) => {
+    try {
+      if (!(await indirectTimeTableExists())) return schemaMismatch(res);
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const result = await db.query(
+        `SELECT * FROM indirect_time_logs WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Indirect time log not found' } });
+      }
+
+      const timer = result.rows[0];
+      if (timer.technician_id !== req.user.id && req.user.roleId !== 1) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Indirect time log does not belong to this technician' } });
+      }
+      if (timer.status !== 'active') {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Indirect time log is not active' } });
+      }
+
+      const stopped = await stopIndirectTimer(timer, new Date(), 'manual', req.body.notes !== undefined ? req.body.notes : null);
+      if (!stopped) {
+        return res.status(409).json({ error: { code: 'TIMER_NOT_ACTIVE', message: 'Indirect time log was already stopped' } });
+      }
+      res.json(stopped);
+    } catch (error) {
+      logger.error('Stop indirect timer error:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticate);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'inspection_checklist_items table does not exist'
+    }
+  });
+}
+
+async function listItems(businessUnitId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM inspection_checklist_items
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true
+     ORDER BY display_order ASC, label ASC`,
+    [businessUnitId]
+  );
+  return result.rows || [];
+}
+
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    if (!(await tableExists('inspection_checklist_items'))) return schemaMismatch(res);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${placeholder}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    res.json({ data: await listItems(userResult.rows[0].business_unit_id) });
+  } catch (error) {
+    logger.error('Get my BU inspection items error:', error);
+    next(error);
+  }
+});
+
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    if (!(await tableExists('inspection_checklist_items'))) return schemaMismatch(res);
+    res.json({ data: await listItems(req.params.business_unit_id) });
+  } catch (error) {
+    logger.error('Get inspection items error:', error);
+    next(error);
+  }
+});
+
+router.post('/:business_unit_id', requireAdmin, [
+  body('item_code').trim().notEmpty().matches(/^[A-Z0-9_]+$/),
+  body('label').trim().notEmpty().isLength({ max: 255 }),
+  body('category').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('is_required').optional().isBoolean(),
+  body('display_order').optional().isInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('inspection_checklist_items'))) return schemaMismatch(res);
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const { item_code, label, category = null, is_required = false, display_order = 0 } = req.body;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    const existing = await db.query(
+      `SELECT id FROM inspection_checklist_items
+       WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND item_code = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [business_unit_id, item_code]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'Checklist item with this code already exists' } });
+    }
+
+    const params = [business_unit_id, item_code, label, category || null, !!is_required, display_order, req.user.id];
+    let result;
+    if (dbType === 'mysql') {
+      await db.query(
+        `INSERT INTO inspection_checklist_items (business_unit_id, item_code, label, category, is_required, display_order, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        params
+      );
+      result = await db.query(`SELECT * FROM inspection_checklist_items WHERE business_unit_id = ? AND item_code = ?`, [business_unit_id, item_code]);
+    } else {
+      result = await db.query(
+        `INSERT INTO inspection_checklist_items (business_unit_id, item_code, label, category, is_required, display_order, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        params
+      );
+    }
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create inspection item error:', error);
+    next(error);
+  }
+});
+
+router.patch('/:business_unit_id/:id', requireAdmin, [
+  body('label').optional().trim().notEmpty().isLength({ max: 255 }),
+  body('category').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('is_required').optional().isBoolean(),
+  body('display_order').optional().isInt(),
+  body('is_active').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('inspection_checklist_items'))) return schemaMismatch(res);
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    for (const field of ['label', 'category', 'is_required', 'display_order', 'is_active']) {
+      if (req.body[field] === undefined) continue;
+      params.push(req.body[field]);
+      updates.push(`${field} = ${dbType === 'mysql' ? '?' : `$${params.length}`}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+    params.push(id, business_unit_id);
+
+    const updateResult = await db.query(
+      `UPDATE inspection_checklist_items SET ${updates.join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length - 1}`} AND business_unit_id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    if (!updateResult.rowCount) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Checklist item not found' } });
+    }
+    const result = await db.query(`SELECT * FROM inspection_checklist_items WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [id]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Update inspection item error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: recorded inspections keep the item's code and label
+router.delete('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('inspection_checklist_items'))) return schemaMismatch(res);
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE inspection_checklist_items SET is_active = false
+       WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [id, business_unit_id]
+    );
+    res.json({ message: 'Checklist item deleted successfully' });
+  } catch (error) {
+    logger.error('Delete inspection item error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,320 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const { getStorageDriver } = require('../services/attachmentStorage');
+const { findInspectionUsingAttachment } = require('../services/vehicleInspectionService');
+const {
+  createThumbnail,
+  storeJobCardAttachment,
+  getJobCardAttachment,
+  deleteJobCardAttachment
+} = require('../services/jobCardAttachmentService');
+
+// Mounted by jobCards.js at /jobcards/:id/attachments (authentication already applied there)
+const router = express.Router({ mergeParams: true });
+
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 10) * 1024 * 1024;
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'image/webp': ['.webp'],
+  'image/gif': ['.gif'],
+  'image/heic': ['.heic'],
+  'application/pdf': ['.pdf'],
+  'text/plain': ['.txt'],
+  'text/csv': ['.csv'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'video/mp4': ['.mp4'],
+  'video/quicktime': ['.mov']
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+});
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function loadAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  return access;
+}
+
+// multer as a promise, with its limit errors mapped to API errors
+function receiveFile(req, res) {
+  return new Promise((resolve) => {
+    upload.single('file')(req, res, (error) => {
+      if (!error) return resolve(null);
+      if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+        return resolve({
+          status: 413,
+          code: 'FILE_TOO_LARGE',
+          message: `Attachments cannot exceed ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB`,
+          details: { max_bytes: MAX_ATTACHMENT_BYTES }
+        });
+      }
+      if (error instanceof multer.MulterError) {
+        return resolve({ status: 400, code: 'VALIDATION_ERROR', message: `Upload a single file in the "file" field (${error.message})` });
+      }
+      resolve({ status: 400, code: 'VALIDATION_ERROR', message: error.message });
+    });
+  });
+}
+
+function validateFileType(file) {
+  const extensions = ALLOWED_MIME_TYPES[file.mimetype];
+  if (!extensions) {
+    return {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: `File type ${file.mimetype || 'unknown'} is not allowed`,
+      details: { allowed_types: Object.keys(ALLOWED_MIME_TYPES) }
+    };
+  }
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!extensions.includes(extension)) {
+    return {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      message: `File extension "${extension || 'none'}" does not match type ${file.mimetype}`,
+      details: { allowed_extensions: extensions }
+    };
+  }
+  return null;
+}
+
+function selectColumns(hasStorageColumns) {
+  return `jca.id, jca.job_card_id, jca.file_name, jca.file_size, jca.mime_type, jca.created_at,
+          jca.uploaded_by, u.display_name as uploaded_by_name${hasStorageColumns ? ', jca.thumbnail_path IS NOT NULL as has_thumbnail' : ''}`;
+}
+
+// Attachments uploaded before schema_job_card_attachments.sql was applied live on local disk
+function driverFor(attachment) {
+  return getStorageDriver(attachment.storage_driver || 'local');
+}
+
+async function streamObject(res, driver, key, { contentType, fileName, inline }) {
+  const stream = await driver.getStream(key);
+  res.setHeader('Content-Type', contentType || 'application/octet-stream');
+  const safeName = String(fileName || 'attachment').replace(/["\r\n]/g, '');
+  res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${safeName}"`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  stream.on('error', (error) => {
+    logger.error('Attachment stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+async function writeAudit(actorId, action, attachmentId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'job_card_attachment', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'job_card_attachment', $3, $4)`,
+    [actorId, action, String(attachmentId), JSON.stringify(details)]
+  );
+}
+
+// GET /api/v1/jobcards/:id/attachments
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const hasStorageColumns = await columnExists('job_card_attachments', 'storage_driver');
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      `SELECT ${selectColumns(hasStorageColumns)}
+       FROM job_card_attachments jca
+       LEFT JOIN users u ON jca.uploaded_by = u.id
+       WHERE jca.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+       ORDER BY jca.created_at DESC`,
+      [access.jobCard.id]
+    );
+    res.json({
+      data: (result.rows || []).map(row => ({ ...row, has_thumbnail: !!row.has_thumbnail })),
+      limits: { max_bytes: MAX_ATTACHMENT_BYTES, allowed_types: Object.keys(ALLOWED_MIME_TYPES) }
+    });
+  } catch (error) {
+    logger.error('Get job card attachments error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/attachments (multipart/form-data, file field "file")
+router.post('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const uploadError = await receiveFile(req, res);
+    if (uploadError) {
+      const { status, ...error } = uploadError;
+      return res.status(status).json({ error });
+    }
+    const file = req.file;
+    if (!file || !file.buffer || file.size === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A non-empty file is required in the "file" field' } });
+    }
+    const typeError = validateFileType(file);
+    if (typeError) {
+      return res.status(415).json({ error: typeError });
+    }
+
+    // Decoding the image doubles as a check that the content really is the declared image type
+    let thumbnail = null;
+    try {
+      thumbnail = await createThumbnail(file.buffer, file.mimetype);
+    } catch (error) {
+      return res.status(415).json({
+        error: { code: 'UNSUPPORTED_FILE_TYPE', message: `File content is not a valid ${file.mimetype} image` }
+      });
+    }
+
+    const attachmentId = await storeJobCardAttachment({
+      jobCardId: access.jobCard.id,
+      uploadedBy: req.user.id,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      buffer: file.buffer,
+      thumbnail
+    });
+    const attachment = await getJobCardAttachment(access.jobCard.id, attachmentId);
+
+    await writeAudit(req.user.id, 'jobcard.attachment_uploaded', attachmentId, {
+      job_card_id: access.jobCard.id,
+      file_name: file.originalname,
+      file_size: file.size,
+      mime_type: file.mimetype,
+      storage_driver: attachment.storage_driver || 'local'
+    });
+
+    res.status(201).json({
+      id: attachment.id,
+      job_card_id: attachment.job_card_id,
+      file_name: attachment.file_name,
+      file_size: attachment.file_size,
+      mime_type: attachment.mime_type,
+      created_at: attachment.created_at,
+      uploaded_by: attachment.uploaded_by,
+      uploaded_by_name: attachment.uploaded_by_name,
+      has_thumbnail: !!attachment.thumbnail_path
+    });
+  } catch (error) {
+    logger.error('Upload job card attachment error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/attachments/:attachmentId/download?inline=true
+router.get('/:attachmentId/download', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const attachment = await getJobCardAttachment(access.jobCard.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Attachment not found' } });
+    }
+    try {
+      await streamObject(res, driverFor(attachment), attachment.file_path, {
+        contentType: attachment.mime_type,
+        fileName: attachment.file_name,
+        inline: req.query.inline === 'true'
+      });
+    } catch (error) {
+      logger.error('Attachment file missing from storage:', { attachmentId: attachment.id, error: error.message });
+      return res.status(404).json({ error: { code: 'FILE_NOT_FOUND', message: 'Attachment file is missing from storage' } });
+    }
+  } catch (error) {
+    logger.error('Download job card attachment error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/attachments/:attachmentId/thumbnail
+router.get('/:attachmentId/thumbnail', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const attachment = await getJobCardAttachment(access.jobCard.id, req.params.attachmentId);
+    if (!attachment || !attachment.thumbnail_path) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Thumbnail not found' } });
+    }
+    try {
+      await streamObject(res, driverFor(attachment), attachment.thumbnail_path, {
+        contentType: 'image/jpeg',
+        fileName: `thumb-${path.parse(attachment.file_name).name}.jpg`,
+        inline: true
+      });
+    } catch (error) {
+      return res.status(404).json({ error: { code: 'FILE_NOT_FOUND', message: 'Thumbnail is missing from storage' } });
+    }
+  } catch (error) {
+    logger.error('Get attachment thumbnail error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/jobcards/:id/attachments/:attachmentId
+// Uploaders can delete their own files; admins and service advisors any file on the card.
+// Files a vehicle inspection uses (signature, damage photos) can't be deleted.
+router.delete('/:attachmentId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const attachment = await getJobCardAttachment(access.jobCard.id, req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Attachment not found' } });
+    }
+    if (!access.isStaff && String(attachment.uploaded_by) !== String(req.user.id)) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You can only delete your own attachments' } });
+    }
+    // Signed inspections are a record of the vehicle at check-in; their files stay with them
+    const inspection = await findInspectionUsingAttachment(access.jobCard.id, attachment.id);
+    if (inspection) {
+      return res.status(409).json({
+        error: {
+          code: 'ATTACHMENT_IN_USE',
+          message: `Attachment is the ${inspection.usage === 'customer_signature' ? 'customer signature' : 'damage photo'} of vehicle inspection version ${inspection.version}`,
+          details: inspection
+        }
+      });
+    }
+
+    await deleteJobCardAttachment(attachment);
+    await writeAudit(req.user.id, 'jobcard.attachment_deleted', attachment.id, {
+      job_card_id: access.jobCard.id,
+      file_name: attachment.file_name,
+      storage_driver: attachment.storage_driver || 'local'
+    });
+    res.json({ message: 'Attachment deleted' });
+  } catch (error) {
+    logger.error('Delete job card attachment error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
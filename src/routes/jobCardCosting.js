@@ -0,0 +1,231 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const {
+  COST_ITEM_TYPES,
+  costItemsTableExists,
+  normalizeCode,
+  listCostItems,
+  computeJobCosting
+} = require('../services/jobCostingService');
+
+// Mounted by jobCards.js at /jobcards/:id/costing (authentication already applied there).
+// Costs and margins are for Admins and Service Advisors only.
+const router = express.Router({ mergeParams: true });
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'job_card_cost_items table does not exist'
+    }
+  });
+}
+
+async function loadStaffAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  if (!access.isStaff) {
+    res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Admin or Service Advisor access required' } });
+    return null;
+  }
+  return access;
+}
+
+async function writeAudit(userId, action, jobCardId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'job_card', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'job_card', $3, $4)`,
+    [userId, action, String(jobCardId), JSON.stringify(details)]
+  );
+}
+
+/**
+ * Validate the cost item fields present in body.
+ * Returns { fields } or { error } (a message).
+ */
+function validateItemFields(body, { creating = false } = {}) {
+  const fields = {};
+  if (body.cost_type !== undefined || creating) {
+    if (!COST_ITEM_TYPES.includes(body.cost_type)) return { error: `cost_type must be one of ${COST_ITEM_TYPES.join(', ')}` };
+    fields.cost_type = body.cost_type;
+  }
+  if (body.description !== undefined || creating) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (!description || description.length > 255) return { error: 'description is required (max 255 characters)' };
+    fields.description = description;
+  }
+  if (body.supplier_name !== undefined) {
+    fields.supplier_name = body.supplier_name ? String(body.supplier_name).trim().slice(0, 255) : null;
+  }
+  if (body.quantity !== undefined) {
+    const quantity = Number(body.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) return { error: 'quantity must be a positive number' };
+    fields.quantity = quantity;
+  }
+  if (body.unit_cost !== undefined || creating) {
+    const unitCost = Number(body.unit_cost);
+    if (body.unit_cost === null || body.unit_cost === '' || !Number.isFinite(unitCost) || unitCost < 0) {
+      return { error: 'unit_cost must be a non-negative number' };
+    }
+    fields.unit_cost = unitCost;
+  }
+  if (body.unit_price !== undefined) {
+    if (body.unit_price === null || body.unit_price === '') {
+      fields.unit_price = null;
+    } else {
+      const unitPrice = Number(body.unit_price);
+      if (!Number.isFinite(unitPrice) || unitPrice < 0) return { error: 'unit_price must be a non-negative number' };
+      fields.unit_price = unitPrice;
+    }
+  }
+  if (body.currency_code !== undefined) {
+    const currency = normalizeCode(body.currency_code);
+    if (currency && !/^[A-Z]{3}$/.test(currency)) return { error: 'currency_code must be a 3-letter ISO code' };
+    fields.currency_code = currency;
+  }
+  if (body.tax_code !== undefined) {
+    fields.tax_code = normalizeCode(body.tax_code);
+  }
+  return { fields };
+}
+
+async function getItem(jobCardId, itemId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_cost_items WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND job_card_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [itemId, jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+// GET /api/v1/jobcards/:id/costing?currency_code=USD
+// Labour, parts, sublet and consumables cost with the margin against the approved estimate
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    const currency = normalizeCode(req.query.currency_code);
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'currency_code must be a 3-letter ISO code' } });
+    }
+    const { costing, error } = await computeJobCosting(access.jobCard.id, { currencyCode: currency });
+    if (error) {
+      return res.status(error.status).json({ error: { code: error.code, message: error.message, ...(error.details ? { details: error.details } : {}) } });
+    }
+    res.json(costing);
+  } catch (error) {
+    logger.error('Get job costing error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/costing/items
+router.get('/items', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await costItemsTableExists())) return schemaMismatch(res);
+    res.json({ data: await listCostItems(access.jobCard.id) });
+  } catch (error) {
+    logger.error('List job cost items error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/costing/items
+// Body: { cost_type: sublet | consumable, description, supplier_name, quantity, unit_cost, unit_price, currency_code, tax_code }
+router.post('/items', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await costItemsTableExists())) return schemaMismatch(res);
+    const { fields, error } = validateItemFields(req.body || {}, { creating: true });
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const columns = ['job_card_id', ...Object.keys(fields), 'created_by'];
+    const params = [access.jobCard.id, ...Object.values(fields), req.user.id];
+    const placeholders = params.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+    let itemId;
+    if (dbType === 'mysql') {
+      const result = await db.query(`INSERT INTO job_card_cost_items (${columns.join(', ')}) VALUES (${placeholders})`, params);
+      itemId = result.rows.insertId;
+    } else {
+      const result = await db.query(`INSERT INTO job_card_cost_items (${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`, params);
+      itemId = result.rows[0].id;
+    }
+    await writeAudit(req.user.id, 'jobcard.cost_item_added', access.jobCard.id, { item_id: itemId, ...fields });
+
+    const items = await listCostItems(access.jobCard.id);
+    res.status(201).json(items.find(item => String(item.id) === String(itemId)));
+  } catch (error) {
+    logger.error('Add job cost item error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/jobcards/:id/costing/items/:itemId
+router.patch('/items/:itemId', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await costItemsTableExists())) return schemaMismatch(res);
+    const item = await getItem(access.jobCard.id, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Cost item not found' } });
+    }
+    const { fields, error } = validateItemFields(req.body || {});
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = [...Object.values(fields), item.id];
+    await db.query(
+      `UPDATE job_card_cost_items SET ${Object.keys(fields).map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    await writeAudit(req.user.id, 'jobcard.cost_item_updated', access.jobCard.id, { item_id: item.id, fields: Object.keys(fields) });
+
+    const items = await listCostItems(access.jobCard.id);
+    res.json(items.find(row => String(row.id) === String(item.id)));
+  } catch (error) {
+    logger.error('Update job cost item error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/jobcards/:id/costing/items/:itemId
+// Invoices already issued keep their own copy of the line
+router.delete('/items/:itemId', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await costItemsTableExists())) return schemaMismatch(res);
+    const item = await getItem(access.jobCard.id, req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Cost item not found' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(`DELETE FROM job_card_cost_items WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [item.id]);
+    await writeAudit(req.user.id, 'jobcard.cost_item_deleted', access.jobCard.id, {
+      item_id: item.id, cost_type: item.cost_type, description: item.description
+    });
+    res.json({ message: 'Cost item deleted successfully' });
+  } catch (error) {
+    logger.error('Delete job cost item error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,413 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const {
+  OPEN_ESTIMATE_STATUSES,
+  APPROVED_ESTIMATE_STATUSES,
+  APPROVAL_METHODS,
+  estimatesTableExists,
+  roundMoney,
+  buildEstimateLines,
+  replaceEstimateLines,
+  listEstimates,
+  getEstimate
+} = require('../services/estimateService');
+
+// Mounted by jobCards.js at /jobcards/:id/estimates (authentication already applied there)
+const router = express.Router({ mergeParams: true });
+
+const DECISIONS = ['approved', 'partially_approved', 'declined'];
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'job_card_estimates table does not exist'
+    }
+  });
+}
+
+async function loadAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  return access;
+}
+
+function requireStaff(access, res) {
+  if (access.isStaff) return true;
+  res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Admin or Service Advisor access required' } });
+  return false;
+}
+
+async function writeAudit(userId, action, jobCardId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'job_card', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'job_card', $3, $4)`,
+    [userId, action, String(jobCardId), JSON.stringify(details)]
+  );
+}
+
+// Job card fields estimate lines default from
+async function loadEstimateCard(jobCard) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT job_type, estimated_hours FROM job_cards WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [jobCard.id]
+  );
+  return {
+    id: jobCard.id,
+    business_unit_id: jobCard.business_unit_id || jobCard.creator_business_unit_id,
+    job_type: result.rows[0]?.job_type || null,
+    estimated_hours: result.rows[0]?.estimated_hours ?? null
+  };
+}
+
+function normalizeCurrency(value) {
+  if (value === undefined) return { currency: undefined };
+  if (value === null || value === '') return { currency: null };
+  const code = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) return { error: 'currency_code must be a 3-letter ISO code' };
+  return { currency: code };
+}
+
+async function loadEstimate(req, res, access) {
+  const estimate = await getEstimate(access.jobCard.id, req.params.estimateId);
+  if (!estimate) {
+    res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Estimate not found' } });
+    return null;
+  }
+  return estimate;
+}
+
+function requireStatus(estimate, statuses, res, action) {
+  if (statuses.includes(estimate.status)) return true;
+  res.status(409).json({
+    error: {
+      code: 'INVALID_ESTIMATE_STATUS',
+      message: `Cannot ${action} an estimate that is ${estimate.status}`,
+      details: { status: estimate.status, allowed_statuses: statuses }
+    }
+  });
+  return false;
+}
+
+function summarize(estimates) {
+  const summary = { total: estimates.length, quoted_total: 0, approved_total: 0, pending_total: 0 };
+  for (const estimate of estimates) {
+    summary.quoted_total += estimate.total;
+    if (APPROVED_ESTIMATE_STATUSES.includes(estimate.status)) summary.approved_total += estimate.approved_total || 0;
+    if (OPEN_ESTIMATE_STATUSES.includes(estimate.status)) summary.pending_total += estimate.total;
+  }
+  summary.quoted_total = roundMoney(summary.quoted_total);
+  summary.approved_total = roundMoney(summary.approved_total);
+  summary.pending_total = roundMoney(summary.pending_total);
+  return summary;
+}
+
+// GET /api/v1/jobcards/:id/estimates
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimates = await listEstimates(access.jobCard.id);
+    res.json({ data: estimates, summary: summarize(estimates) });
+  } catch (error) {
+    logger.error('List job card estimates error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/estimates/:estimateId
+router.get('/:estimateId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimate = await loadEstimate(req, res, access);
+    if (!estimate) return;
+    res.json(estimate);
+  } catch (error) {
+    logger.error('Get job card estimate error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/estimates
+// Body: { labour_lines: [{ job_type_code, hours, rate, task_id, description }],
+//         part_lines: [{ work_order_part_id } | { part_id, quantity, unit_price, description }],
+//         include_work_order_parts (default true), currency_code, notes }
+// Once the customer has approved an estimate, further estimates are supplementary.
+router.post('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+
+    const body = req.body || {};
+    const existing = await listEstimates(access.jobCard.id);
+    const open = existing.find(estimate => OPEN_ESTIMATE_STATUSES.includes(estimate.status));
+    if (open) {
+      return res.status(409).json({
+        error: {
+          code: 'ESTIMATE_PENDING',
+          message: `Estimate #${open.estimate_number} is still ${open.status}; record the customer's decision or delete it first`
+        }
+      });
+    }
+    const { currency, error: currencyError } = normalizeCurrency(body.currency_code);
+    if (currencyError) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: currencyError } });
+
+    const card = await loadEstimateCard(access.jobCard);
+    const { lines, error } = await buildEstimateLines(body, card);
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+    if (lines.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'An estimate needs at least one labour or part line' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const estimateNumber = existing.reduce((max, estimate) => Math.max(max, estimate.estimate_number), 0) + 1;
+    const isSupplementary = existing.some(estimate => APPROVED_ESTIMATE_STATUSES.includes(estimate.status));
+    const notes = typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null;
+    const params = [access.jobCard.id, estimateNumber, isSupplementary, currency || null, notes, req.user.id];
+    let estimateId;
+    if (dbType === 'mysql') {
+      const result = await db.query(
+        `INSERT INTO job_card_estimates (job_card_id, estimate_number, is_supplementary, currency_code, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        params
+      );
+      estimateId = result.rows.insertId;
+    } else {
+      const result = await db.query(
+        `INSERT INTO job_card_estimates (job_card_id, estimate_number, is_supplementary, currency_code, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        params
+      );
+      estimateId = result.rows[0].id;
+    }
+    const totals = await replaceEstimateLines(estimateId, lines);
+    await writeAudit(req.user.id, 'jobcard.estimate_created', access.jobCard.id, {
+      estimate_id: estimateId, estimate_number: estimateNumber, is_supplementary: isSupplementary, total: totals.total
+    });
+
+    res.status(201).json(await getEstimate(access.jobCard.id, estimateId));
+  } catch (error) {
+    logger.error('Create job card estimate error:', error);
+    next(error);
+  }
+});
+
+// PUT /api/v1/jobcards/:id/estimates/:estimateId/lines
+// Replaces every line of a draft; same body as POST
+router.put('/:estimateId/lines', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimate = await loadEstimate(req, res, access);
+    if (!estimate || !requireStatus(estimate, ['draft'], res, 'change the lines of')) return;
+
+    const card = await loadEstimateCard(access.jobCard);
+    const { lines, error } = await buildEstimateLines(req.body || {}, card, { excludeEstimateId: estimate.id });
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+    if (lines.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'An estimate needs at least one labour or part line' } });
+    }
+    const totals = await replaceEstimateLines(estimate.id, lines);
+    await writeAudit(req.user.id, 'jobcard.estimate_updated', access.jobCard.id, {
+      estimate_id: estimate.id, lines: lines.length, total: totals.total
+    });
+
+    res.json(await getEstimate(access.jobCard.id, estimate.id));
+  } catch (error) {
+    logger.error('Update job card estimate lines error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/jobcards/:id/estimates/:estimateId { notes, currency_code } (drafts only)
+router.patch('/:estimateId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimate = await loadEstimate(req, res, access);
+    if (!estimate || !requireStatus(estimate, ['draft'], res, 'edit')) return;
+
+    const body = req.body || {};
+    const fields = {};
+    if (body.notes !== undefined) fields.notes = body.notes ? String(body.notes).trim() : null;
+    const { currency, error: currencyError } = normalizeCurrency(body.currency_code);
+    if (currencyError) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: currencyError } });
+    if (currency !== undefined) fields.currency_code = currency;
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = [...Object.values(fields), estimate.id];
+    await db.query(
+      `UPDATE job_card_estimates SET ${Object.keys(fields).map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    await writeAudit(req.user.id, 'jobcard.estimate_updated', access.jobCard.id, { estimate_id: estimate.id, fields: Object.keys(fields) });
+
+    res.json(await getEstimate(access.jobCard.id, estimate.id));
+  } catch (error) {
+    logger.error('Update job card estimate error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/estimates/:estimateId/send
+// Marks a draft as presented to the customer; its lines are frozen from here on
+router.post('/:estimateId/send', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimate = await loadEstimate(req, res, access);
+    if (!estimate || !requireStatus(estimate, ['draft'], res, 'send')) return;
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE job_card_estimates SET status = 'sent', sent_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'}, sent_by = ${dbType === 'mysql' ? '?' : '$1'}
+       WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [req.user.id, estimate.id]
+    );
+    await writeAudit(req.user.id, 'jobcard.estimate_sent', access.jobCard.id, { estimate_id: estimate.id, total: estimate.total });
+
+    res.json(await getEstimate(access.jobCard.id, estimate.id));
+  } catch (error) {
+    logger.error('Send job card estimate error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/estimates/:estimateId/decision
+// Body: { decision: approved | partially_approved | declined, approver_name, approval_method, note,
+//         approved_line_ids (partially_approved only) }
+// Records the customer's answer; a draft may be decided directly when it was agreed in person.
+router.post('/:estimateId/decision', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimate = await loadEstimate(req, res, access);
+    if (!estimate || !requireStatus(estimate, OPEN_ESTIMATE_STATUSES, res, 'record a decision on')) return;
+
+    const body = req.body || {};
+    if (!DECISIONS.includes(body.decision)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `decision must be one of ${DECISIONS.join(', ')}` } });
+    }
+    const approverName = typeof body.approver_name === 'string' ? body.approver_name.trim() : '';
+    if (!approverName || approverName.length > 255) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'approver_name is required (max 255 characters)' } });
+    }
+    const method = body.approval_method || null;
+    if (method && !APPROVAL_METHODS.includes(method)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `approval_method must be one of ${APPROVAL_METHODS.join(', ')}` } });
+    }
+
+    const lineIds = estimate.lines.map(line => String(line.id));
+    let approvedIds;
+    if (body.decision === 'approved') {
+      approvedIds = lineIds;
+    } else if (body.decision === 'declined') {
+      approvedIds = [];
+    } else {
+      approvedIds = Array.isArray(body.approved_line_ids) ? [...new Set(body.approved_line_ids.map(String))] : [];
+      if (approvedIds.length === 0 || approvedIds.length >= lineIds.length || !approvedIds.every(id => lineIds.includes(id))) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'approved_line_ids must list some, but not all, lines of this estimate'
+          }
+        });
+      }
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const approvedTotal = roundMoney(estimate.lines
+      .filter(line => approvedIds.includes(String(line.id)))
+      .reduce((sum, line) => sum + line.line_total, 0));
+    const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+    const openStatuses = OPEN_ESTIMATE_STATUSES.map((_, i) => p(i + 8)).join(', ');
+    // Claim the estimate while it is still open, then mark its lines, so of two concurrent
+    // decisions only the first is recorded and a failure leaves neither half behind
+    const decided = await db.transaction(async (tx) => {
+      const claim = await tx.query(
+        `UPDATE job_card_estimates
+         SET status = ${p(1)}, approved_total = ${p(2)}, approver_name = ${p(3)}, approval_method = ${p(4)},
+             decision_note = ${p(5)}, decision_recorded_by = ${p(6)}, decided_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'}
+         WHERE id = ${p(7)} AND status IN (${openStatuses})`,
+        [body.decision, approvedTotal, approverName, method, note, req.user.id, estimate.id, ...OPEN_ESTIMATE_STATUSES]
+      );
+      if (!claim.rowCount) return false;
+      for (const line of estimate.lines) {
+        await tx.query(
+          `UPDATE job_card_estimate_lines SET approval_status = ${p(1)} WHERE id = ${p(2)}`,
+          [approvedIds.includes(String(line.id)) ? 'approved' : 'declined', line.id]
+        );
+      }
+      return true;
+    });
+    if (!decided) {
+      const current = await getEstimate(access.jobCard.id, estimate.id);
+      return res.status(409).json({
+        error: {
+          code: 'INVALID_ESTIMATE_STATUS',
+          message: `Cannot record a decision on an estimate that is ${current ? current.status : 'deleted'}`,
+          details: { status: current ? current.status : null, allowed_statuses: OPEN_ESTIMATE_STATUSES }
+        }
+      });
+    }
+    await writeAudit(req.user.id, 'jobcard.estimate_decided', access.jobCard.id, {
+      estimate_id: estimate.id,
+      decision: body.decision,
+      approver_name: approverName,
+      approval_method: method,
+      approved_total: approvedTotal,
+      approved_line_ids: approvedIds
+    });
+
+    res.json(await getEstimate(access.jobCard.id, estimate.id));
+  } catch (error) {
+    logger.error('Record job card estimate decision error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/jobcards/:id/estimates/:estimateId
+// Only drafts; anything shown to the customer stays on record
+router.delete('/:estimateId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await estimatesTableExists())) return schemaMismatch(res);
+    const estimate = await loadEstimate(req, res, access);
+    if (!estimate || !requireStatus(estimate, ['draft'], res, 'delete')) return;
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(`DELETE FROM job_card_estimates WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [estimate.id]);
+    await writeAudit(req.user.id, 'jobcard.estimate_deleted', access.jobCard.id, {
+      estimate_id: estimate.id, estimate_number: estimate.estimate_number
+    });
+    res.json({ message: 'Estimate deleted successfully' });
+  } catch (error) {
+    logger.error('Delete job card estimate error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
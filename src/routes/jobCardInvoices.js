@@ -0,0 +1,485 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const {
+  invoicesTableExists,
+  normalizeCode,
+  applyTaxes,
+  buildInvoiceLines,
+  saveInvoiceLines,
+  allocateDocumentNumber,
+  getBillTo,
+  listInvoices,
+  getInvoice,
+  getCreditedQuantities,
+  buildCreditNoteLines,
+  buildInvoiceDocument,
+  getPaymentTermsDays
+} = require('../services/jobCostingService');
+
+// Mounted by jobCards.js at /jobcards/:id/invoices (authentication already applied there).
+// Drafts can be regenerated, edited and deleted; issuing numbers an invoice and freezes it for good,
+// after which corrections are credit notes.
+const router = express.Router({ mergeParams: true });
+
+const MANUAL_LINE_TYPES = ['labour', 'part', 'sublet', 'consumable', 'adjustment'];
+const MAX_INVOICE_LINES = 300;
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'job_card_invoices table does not exist'
+    }
+  });
+}
+
+function serviceError(res, error) {
+  return res.status(error.status).json({
+    error: { code: error.code, message: error.message, ...(error.details ? { details: error.details } : {}) }
+  });
+}
+
+async function loadStaffAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  if (!access.isStaff) {
+    res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Admin or Service Advisor access required' } });
+    return null;
+  }
+  return access;
+}
+
+async function writeAudit(userId, action, jobCardId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'job_card', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'job_card', $3, $4)`,
+    [userId, action, String(jobCardId), JSON.stringify(details)]
+  );
+}
+
+async function loadInvoice(req, res, access) {
+  const invoice = await getInvoice(access.jobCard.id, req.params.invoiceId);
+  if (!invoice) {
+    res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Invoice not found' } });
+    return null;
+  }
+  return invoice;
+}
+
+function requireDraft(invoice, res) {
+  if (invoice.status === 'draft') return true;
+  res.status(409).json({
+    error: {
+      code: 'INVOICE_ISSUED',
+      message: `${invoice.invoice_number} has been issued and cannot be changed; issue a credit note to correct it`
+    }
+  });
+  return false;
+}
+
+const NO_LONGER_DRAFT = {
+  status: 409,
+  code: 'INVALID_INVOICE_STATUS',
+  message: 'Invoice was issued or deleted meanwhile, please reload'
+};
+
+// Replace a draft's lines with its row locked, so an /issue racing the edit can't end up with
+// rewritten lines. Returns false (and writes nothing) when the invoice is no longer a draft.
+async function replaceDraftLines(invoiceId, priced) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  return db.transaction(async (tx) => {
+    const locked = await tx.query(
+      `SELECT status FROM job_card_invoices WHERE id = ${dbType === 'mysql' ? '?' : '$1'} FOR UPDATE`,
+      [invoiceId]
+    );
+    if (!locked.rows[0] || locked.rows[0].status !== 'draft') return false;
+    await saveInvoiceLines(invoiceId, priced, tx);
+    return true;
+  });
+}
+
+// Price lines from the job card's current costing and store them on a draft
+async function regenerateLines(invoice) {
+  const built = await buildInvoiceLines(invoice.job_card_id, invoice.currency_code);
+  if (built.error) return built;
+  const priced = await applyTaxes(built.lines);
+  if (priced.error) return priced;
+  if (!(await replaceDraftLines(invoice.id, priced))) return { error: NO_LONGER_DRAFT };
+  return { priced };
+}
+
+/**
+ * Manual draft lines: [{ line_type, description, quantity, unit_price, tax_code }] in the invoice currency.
+ * Returns { lines } or { error } (a message).
+ */
+function validateManualLines(lines) {
+  if (!Array.isArray(lines) || lines.length === 0) return { error: 'lines must be a non-empty array' };
+  if (lines.length > MAX_INVOICE_LINES) return { error: `An invoice cannot have more than ${MAX_INVOICE_LINES} lines` };
+  const validated = [];
+  for (const [index, entry] of lines.entries()) {
+    const line = entry || {};
+    const lineType = line.line_type || 'adjustment';
+    if (!MANUAL_LINE_TYPES.includes(lineType)) return { error: `lines[${index}].line_type must be one of ${MANUAL_LINE_TYPES.join(', ')}` };
+    const description = typeof line.description === 'string' ? line.description.trim() : '';
+    if (!description || description.length > 255) return { error: `lines[${index}].description is required (max 255 characters)` };
+    const quantity = line.quantity === undefined ? 1 : Number(line.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) return { error: `lines[${index}].quantity must be a positive number` };
+    const unitPrice = Number(line.unit_price);
+    if (line.unit_price === undefined || line.unit_price === null || !Number.isFinite(unitPrice)) {
+      return { error: `lines[${index}].unit_price must be a number (negative for discounts)` };
+    }
+    validated.push({
+      line_type: lineType,
+      description,
+      quantity,
+      unit_price: unitPrice,
+      ...(line.tax_code !== undefined ? { tax_code: line.tax_code } : {})
+    });
+  }
+  return { lines: validated };
+}
+
+function summarize(invoices) {
+  const summary = { invoiced_total: 0, credited_total: 0, net_total: 0, drafts: 0, by_currency: {} };
+  for (const invoice of invoices) {
+    if (invoice.status !== 'issued') {
+      summary.drafts++;
+      continue;
+    }
+    const currency = summary.by_currency[invoice.currency_code] || { invoiced_total: 0, credited_total: 0, net_total: 0 };
+    const key = invoice.document_type === 'credit_note' ? 'credited_total' : 'invoiced_total';
+    currency[key] = Math.round((currency[key] + invoice.total) * 100) / 100;
+    currency.net_total = Math.round((currency.invoiced_total - currency.credited_total) * 100) / 100;
+    summary.by_currency[invoice.currency_code] = currency;
+  }
+  // Top-level totals only when every issued document shares one currency
+  const currencies = Object.keys(summary.by_currency);
+  if (currencies.length === 1) Object.assign(summary, summary.by_currency[currencies[0]], { currency_code: currencies[0] });
+  return summary;
+}
+
+// GET /api/v1/jobcards/:id/invoices (invoices and credit notes)
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoices = await listInvoices(access.jobCard.id);
+    res.json({ data: invoices, summary: summarize(invoices) });
+  } catch (error) {
+    logger.error('List job card invoices error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/invoices/:invoiceId
+router.get('/:invoiceId', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice) return;
+    res.json(invoice);
+  } catch (error) {
+    logger.error('Get job card invoice error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/invoices/:invoiceId/document
+// The invoice laid out for printing (seller, bill-to, lines, tax lines, totals)
+router.get('/:invoiceId/document', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice) return;
+    res.json(await buildInvoiceDocument(invoice));
+  } catch (error) {
+    logger.error('Get job card invoice document error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/invoices { currency_code, notes }
+// Drafts an invoice from the job card's costing (approved estimate labour or worked hours, parts,
+// sublet and consumables) in currency_code (default invoices.base_currency)
+router.post('/', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+
+    const body = req.body || {};
+    const existing = await listInvoices(access.jobCard.id);
+    if (existing.some(invoice => invoice.document_type === 'invoice' && invoice.status === 'draft')) {
+      return res.status(409).json({
+        error: { code: 'INVOICE_DRAFT_EXISTS', message: 'This job card already has a draft invoice; issue or delete it first' }
+      });
+    }
+    const currency = normalizeCode(body.currency_code);
+    if (currency && !/^[A-Z]{3}$/.test(currency)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'currency_code must be a 3-letter ISO code' } });
+    }
+
+    const built = await buildInvoiceLines(access.jobCard.id, currency);
+    if (built.error) return serviceError(res, built.error);
+    if (built.lines.length === 0) {
+      return res.status(400).json({ error: { code: 'NOTHING_TO_INVOICE', message: 'No labour, parts or cost items to invoice on this job card' } });
+    }
+    const priced = await applyTaxes(built.lines);
+    if (priced.error) return serviceError(res, priced.error);
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const notes = typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null;
+    const params = [access.jobCard.id, built.currency, notes, req.user.id];
+    let invoiceId;
+    if (dbType === 'mysql') {
+      const result = await db.query(
+        `INSERT INTO job_card_invoices (job_card_id, document_type, currency_code, notes, created_by) VALUES (?, 'invoice', ?, ?, ?)`,
+        params
+      );
+      invoiceId = result.rows.insertId;
+    } else {
+      const result = await db.query(
+        `INSERT INTO job_card_invoices (job_card_id, document_type, currency_code, notes, created_by) VALUES ($1, 'invoice', $2, $3, $4) RETURNING id`,
+        params
+      );
+      invoiceId = result.rows[0].id;
+    }
+    await saveInvoiceLines(invoiceId, priced);
+    await writeAudit(req.user.id, 'jobcard.invoice_drafted', access.jobCard.id, {
+      invoice_id: invoiceId, currency_code: built.currency, total: priced.total
+    });
+
+    res.status(201).json(await getInvoice(access.jobCard.id, invoiceId));
+  } catch (error) {
+    logger.error('Create job card invoice error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/invoices/:invoiceId/regenerate
+// Rebuilds a draft's lines from the job card as it is now (manual lines are replaced)
+router.post('/:invoiceId/regenerate', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice || !requireDraft(invoice, res)) return;
+    if (invoice.document_type !== 'invoice') {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Only invoices can be regenerated' } });
+    }
+
+    const { priced, error } = await regenerateLines(invoice);
+    if (error) return serviceError(res, error);
+    await writeAudit(req.user.id, 'jobcard.invoice_updated', access.jobCard.id, {
+      invoice_id: invoice.id, regenerated: true, total: priced.total
+    });
+    res.json(await getInvoice(access.jobCard.id, invoice.id));
+  } catch (error) {
+    logger.error('Regenerate job card invoice error:', error);
+    next(error);
+  }
+});
+
+// PUT /api/v1/jobcards/:id/invoices/:invoiceId/lines
+// Body: { lines: [{ line_type, description, quantity, unit_price, tax_code }] } replaces a draft's lines
+router.put('/:invoiceId/lines', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice || !requireDraft(invoice, res)) return;
+
+    const { lines, error } = validateManualLines(req.body?.lines);
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+    const priced = await applyTaxes(lines);
+    if (priced.error) return serviceError(res, priced.error);
+    if (priced.total < 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'An invoice total cannot be negative; issue a credit note instead' } });
+    }
+    if (!(await replaceDraftLines(invoice.id, priced))) return serviceError(res, NO_LONGER_DRAFT);
+    await writeAudit(req.user.id, 'jobcard.invoice_updated', access.jobCard.id, {
+      invoice_id: invoice.id, lines: lines.length, total: priced.total
+    });
+    res.json(await getInvoice(access.jobCard.id, invoice.id));
+  } catch (error) {
+    logger.error('Update job card invoice lines error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/jobcards/:id/invoices/:invoiceId { notes } (drafts only)
+router.patch('/:invoiceId', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice || !requireDraft(invoice, res)) return;
+    if (req.body?.notes === undefined) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+    const notes = req.body.notes ? String(req.body.notes).trim() : null;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE job_card_invoices SET notes = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [notes, invoice.id]
+    );
+    await writeAudit(req.user.id, 'jobcard.invoice_updated', access.jobCard.id, { invoice_id: invoice.id, fields: ['notes'] });
+    res.json(await getInvoice(access.jobCard.id, invoice.id));
+  } catch (error) {
+    logger.error('Update job card invoice error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/invoices/:invoiceId/issue
+// Numbers the invoice, freezes the bill-to details and makes it immutable
+router.post('/:invoiceId/issue', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice || !requireDraft(invoice, res)) return;
+    if (invoice.lines.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'An invoice needs at least one line' } });
+    }
+
+    const dueAt = new Date(Date.now() + (await getPaymentTermsDays()) * 86400000);
+    const billTo = await getBillTo(access.jobCard.id);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    // Claim the draft first: a concurrent issue or delete then leaves the sequence untouched
+    const invoiceNumber = await db.transaction(async (tx) => {
+      const claimResult = await tx.query(
+        `UPDATE job_card_invoices
+         SET status = 'issued', issued_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'}, issued_by = ${p(1)}, due_at = ${p(2)}, bill_to = ${p(3)}
+         WHERE id = ${p(4)} AND status = 'draft'`,
+        [req.user.id, dueAt, JSON.stringify(billTo), invoice.id]
+      );
+      if (!claimResult.rowCount) return null;
+      const number = await allocateDocumentNumber('invoice', tx);
+      await tx.query(`UPDATE job_card_invoices SET invoice_number = ${p(1)} WHERE id = ${p(2)}`, [number, invoice.id]);
+      return number;
+    });
+    if (!invoiceNumber) {
+      return res.status(409).json({ error: { code: 'INVALID_INVOICE_STATUS', message: 'Invoice was issued or deleted meanwhile, please reload' } });
+    }
+    await writeAudit(req.user.id, 'jobcard.invoice_issued', access.jobCard.id, {
+      invoice_id: invoice.id, invoice_number: invoiceNumber, currency_code: invoice.currency_code, total: invoice.total
+    });
+    res.json(await getInvoice(access.jobCard.id, invoice.id));
+  } catch (error) {
+    logger.error('Issue job card invoice error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/invoices/:invoiceId/credit-notes
+// Body: { reason, lines: [{ invoice_line_id, quantity }] } - without lines, credits everything not yet credited.
+// The credit note is issued straight away.
+router.post('/:invoiceId/credit-notes', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice) return;
+    if (invoice.document_type !== 'invoice' || invoice.status !== 'issued') {
+      return res.status(409).json({ error: { code: 'INVALID_INVOICE_STATUS', message: 'Only issued invoices can be credited' } });
+    }
+    const body = req.body || {};
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'reason is required' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    // The invoice row lock serializes credit notes against it, so remaining quantities can't be credited twice
+    const outcome = await db.transaction(async (tx) => {
+      await tx.query(`SELECT id FROM job_card_invoices WHERE id = ${p(1)} FOR UPDATE`, [invoice.id]);
+      const credited = await getCreditedQuantities(invoice.id, tx);
+      const priced = buildCreditNoteLines(invoice, body.lines, credited);
+      if (priced.error) return { error: priced.error };
+
+      const params = [access.jobCard.id, invoice.id, invoice.currency_code, reason, req.user.id];
+      let creditNoteId;
+      if (dbType === 'mysql') {
+        const result = await tx.query(
+          `INSERT INTO job_card_invoices (job_card_id, document_type, credited_invoice_id, currency_code, reason, created_by)
+           VALUES (?, 'credit_note', ?, ?, ?, ?)`,
+          params
+        );
+        creditNoteId = result.rows.insertId;
+      } else {
+        const result = await tx.query(
+          `INSERT INTO job_card_invoices (job_card_id, document_type, credited_invoice_id, currency_code, reason, created_by)
+           VALUES ($1, 'credit_note', $2, $3, $4, $5) RETURNING id`,
+          params
+        );
+        creditNoteId = result.rows[0].id;
+      }
+      await saveInvoiceLines(creditNoteId, priced, tx);
+
+      const creditNoteNumber = await allocateDocumentNumber('credit_note', tx);
+      await tx.query(
+        `UPDATE job_card_invoices
+         SET status = 'issued', invoice_number = ${p(1)}, issued_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'}, issued_by = ${p(2)}, bill_to = ${p(3)}
+         WHERE id = ${p(4)}`,
+        [creditNoteNumber, req.user.id, JSON.stringify(invoice.bill_to), creditNoteId]
+      );
+      return { creditNoteId, creditNoteNumber, total: priced.total };
+    });
+    if (outcome.error) return serviceError(res, outcome.error);
+    const { creditNoteId, creditNoteNumber } = outcome;
+    await writeAudit(req.user.id, 'jobcard.credit_note_issued', access.jobCard.id, {
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number,
+      credit_note_id: creditNoteId,
+      credit_note_number: creditNoteNumber,
+      total: outcome.total,
+      reason
+    });
+
+    res.status(201).json(await getInvoice(access.jobCard.id, creditNoteId));
+  } catch (error) {
+    logger.error('Create credit note error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/jobcards/:id/invoices/:invoiceId (drafts only)
+router.delete('/:invoiceId', async (req, res, next) => {
+  try {
+    const access = await loadStaffAccess(req, res);
+    if (!access) return;
+    if (!(await invoicesTableExists())) return schemaMismatch(res);
+    const invoice = await loadInvoice(req, res, access);
+    if (!invoice || !requireDraft(invoice, res)) return;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(`DELETE FROM job_card_invoices WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [invoice.id]);
+    await writeAudit(req.user.id, 'jobcard.invoice_deleted', access.jobCard.id, { invoice_id: invoice.id, total: invoice.total });
+    res.json({ message: 'Invoice deleted successfully' });
+  } catch (error) {
+    logger.error('Delete job card invoice error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,465 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const { notifyUsers } = require('../services/notificationService');
+
+// Mounted by jobCards.js at /jobcards/:id/notes (authentication already applied there)
+const router = express.Router({ mergeParams: true });
+
+const MAX_NOTE_LENGTH = 10000;
+const MENTION_EMAIL_PATTERN = /@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Which parts of schema_job_card_notes.sql are applied; without them notes can still be added and read
+async function getNoteSchema() {
+  return {
+    hasNoteHistory: await columnExists('job_card_notes', 'edit_count'),
+    hasRevisions: await tableExists('job_card_note_revisions'),
+    hasMentions: await tableExists('job_card_note_mentions')
+  };
+}
+
+async function loadAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  return access;
+}
+
+function validateNoteText(noteText) {
+  if (typeof noteText !== 'string' || !noteText.trim()) return 'note_text is required';
+  if (noteText.length > MAX_NOTE_LENGTH) return `note_text cannot exceed ${MAX_NOTE_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Users mentioned in a note: "@user@example.com" in the text, plus mention_user_ids sent by a
+ * picker. Mentions are limited to active users who can see the job card's BU.
+ * Returns { users } or { error } when an explicit id is not mentionable.
+ */
+async function resolveMentions(noteText, mentionUserIds, jobCard) {
+  const emails = [...new Set([...String(noteText || '').matchAll(MENTION_EMAIL_PATTERN)].map(match => match[1].toLowerCase()))];
+  const ids = Array.isArray(mentionUserIds) ? [...new Set(mentionUserIds.filter(Boolean).map(String))] : [];
+  if (emails.length === 0 && ids.length === 0) return { users: [] };
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const params = [];
+  const p = (val) => {
+    params.push(val);
+    return dbType === 'mysql' ? '?' : `$${params.length}`;
+  };
+  const matchers = [];
+  if (emails.length > 0) matchers.push(`LOWER(u.email) IN (${emails.map(p).join(', ')})`);
+  if (ids.length > 0) matchers.push(`u.id IN (${ids.map(p).join(', ')})`);
+
+  let query = `SELECT u.id, u.display_name, u.email FROM users u
+               JOIN roles r ON u.role_id = r.id
+               WHERE u.is_active = true AND (${matchers.join(' OR ')})`;
+  const cardBu = jobCard.business_unit_id != null ? jobCard.business_unit_id : jobCard.creator_business_unit_id;
+  if (cardBu != null) {
+    query += ` AND (u.business_unit_id = ${p(cardBu)} OR u.business_unit_id IS NULL OR r.name = 'Super Admin')`;
+  }
+  const result = await db.query(query, params);
+  const users = result.rows || [];
+
+  const unknownIds = ids.filter(id => !users.some(user => String(user.id) === id));
+  if (unknownIds.length > 0) {
+    return {
+      error: {
+        code: 'INVALID_MENTION',
+        message: 'Some mentioned users do not exist or cannot see this job card',
+        details: { user_ids: unknownIds }
+      }
+    };
+  }
+  return { users };
+}
+
+// Store mentions for the note and notify users who were not mentioned in it before (never the author)
+async function saveMentions(note, users, jobCard, actor, schema) {
+  if (!schema.hasMentions || users.length === 0) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+  const existingResult = await db.query(`SELECT user_id FROM job_card_note_mentions WHERE note_id = ${p(1)}`, [note.id]);
+  const existing = new Set((existingResult.rows || []).map(row => String(row.user_id)));
+  const added = users.filter(user => !existing.has(String(user.id)));
+  for (const user of added) {
+    await db.query(`INSERT INTO job_card_note_mentions (note_id, user_id) VALUES (${p(1)}, ${p(2)})`, [note.id, user.id]);
+  }
+
+  const recipients = added.map(user => user.id).filter(id => String(id) !== String(actor.id));
+  await notifyUsers(recipients, {
+    type: 'jobcard.note_mention',
+    title: `${actor.displayName || actor.email} mentioned you on job ${jobCard.job_number}`,
+    message: note.note_text.length > 200 ? `${note.note_text.slice(0, 197)}...` : note.note_text,
+    objectType: 'job_card',
+    objectId: jobCard.id,
+    data: { job_card_id: jobCard.id, job_number: jobCard.job_number, note_id: note.id, is_internal: !!note.is_internal },
+    createdBy: actor.id
+  });
+  return added;
+}
+
+async function loadNote(jobCardId, noteId, schema) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT jcn.*, u.display_name as author_name
+     FROM job_card_notes jcn
+     JOIN users u ON jcn.author_id = u.id
+     WHERE jcn.id = ${p(1)} AND jcn.job_card_id = ${p(2)}${schema.hasNoteHistory ? ' AND jcn.deleted_at IS NULL' : ''}`,
+    [noteId, jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+async function attachMentions(notes, schema) {
+  if (!schema.hasMentions || notes.length === 0) {
+    return notes.map(note => ({ ...note, mentions: [] }));
+  }
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const ids = notes.map(note => note.id);
+  const placeholders = ids.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+  const result = await db.query(
+    `SELECT m.note_id, m.user_id, u.display_name
+     FROM job_card_note_mentions m
+     JOIN users u ON m.user_id = u.id
+     WHERE m.note_id IN (${placeholders})`,
+    ids
+  );
+  const byNote = {};
+  for (const row of result.rows || []) {
+    (byNote[row.note_id] = byNote[row.note_id] || []).push({ user_id: row.user_id, display_name: row.display_name });
+  }
+  return notes.map(note => ({ ...note, mentions: byNote[note.id] || [] }));
+}
+
+// Keep the note as it was before an edit or delete
+async function saveRevision(note, changeType, actorId, schema) {
+  if (!schema.hasRevisions) return;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const countResult = await db.query(
+    `SELECT COALESCE(MAX(revision_number), 0) as last_revision FROM job_card_note_revisions WHERE note_id = ${p(1)}`,
+    [note.id]
+  );
+  const revisionNumber = (parseInt(countResult.rows[0]?.last_revision, 10) || 0) + 1;
+  await db.query(
+    `INSERT INTO job_card_note_revisions (note_id, revision_number, note_text, is_internal, change_type, changed_by)
+     VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)})`,
+    [note.id, revisionNumber, note.note_text, !!note.is_internal, changeType, actorId]
+  );
+}
+
+async function writeAudit(actorId, action, noteId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'job_card_note', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'job_card_note', $3, $4)`,
+    [actorId, action, String(noteId), JSON.stringify(details)]
+  );
+}
+
+// Authors manage their own notes; admins manage any note on cards they can see
+function canChangeNote(access, note, user) {
+  return access.isAdmin || String(note.author_id) === String(user.id);
+}
+
+// GET /api/v1/jobcards/:id/notes?visibility=all|customer|internal
+// visibility=customer returns only what may be shown to the customer (is_internal = false)
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const visibility = req.query.visibility || 'all';
+    if (!['all', 'customer', 'internal'].includes(visibility)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'visibility must be all, customer or internal' } });
+    }
+
+    const schema = await getNoteSchema();
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    let query = `SELECT jcn.*, u.display_name as author_name
+                 FROM job_card_notes jcn
+                 JOIN users u ON jcn.author_id = u.id
+                 WHERE jcn.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}`;
+    if (schema.hasNoteHistory) query += ' AND jcn.deleted_at IS NULL';
+    if (visibility === 'customer') query += ' AND (jcn.is_internal = false OR jcn.is_internal IS NULL)';
+    if (visibility === 'internal') query += ' AND jcn.is_internal = true';
+    query += ' ORDER BY jcn.created_at DESC';
+
+    const result = await db.query(query, [access.jobCard.id]);
+    res.json({ data: await attachMentions(result.rows || [], schema) });
+  } catch (error) {
+    logger.error('Get job card notes error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/notes/:noteId/history
+router.get('/:noteId/history', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const schema = await getNoteSchema();
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    // Deleted notes keep their history, so look the note up without the deleted_at filter
+    const noteResult = await db.query(
+      `SELECT jcn.*, u.display_name as author_name
+       FROM job_card_notes jcn
+       JOIN users u ON jcn.author_id = u.id
+       WHERE jcn.id = ${p(1)} AND jcn.job_card_id = ${p(2)}`,
+      [req.params.noteId, access.jobCard.id]
+    );
+    const note = noteResult.rows[0];
+    if (!note) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Note not found' } });
+    }
+
+    let revisions = [];
+    if (schema.hasRevisions) {
+      const revisionResult = await db.query(
+        `SELECT r.revision_number, r.note_text, r.is_internal, r.change_type, r.changed_at,
+                r.changed_by, u.display_name as changed_by_name
+         FROM job_card_note_revisions r
+         JOIN users u ON r.changed_by = u.id
+         WHERE r.note_id = ${p(1)}
+         ORDER BY r.revision_number ASC`,
+        [note.id]
+      );
+      revisions = revisionResult.rows || [];
+    }
+    res.json({ note, revisions });
+  } catch (error) {
+    logger.error('Get job card note history error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/notes
+// Body: { note_text, is_internal?, mention_user_ids? }. A note added by a technician while their
+// timer on this job card runs is linked to that time log.
+router.post('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const { note_text, is_internal = false, mention_user_ids } = req.body;
+    const textError = validateNoteText(note_text);
+    if (textError) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: textError } });
+    }
+    if (typeof is_internal !== 'boolean') {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'is_internal must be a boolean' } });
+    }
+
+    const mentions = await resolveMentions(note_text, mention_user_ids, access.jobCard);
+    if (mentions.error) {
+      return res.status(400).json({ error: mentions.error });
+    }
+
+    const schema = await getNoteSchema();
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+    let timeLogId = null;
+    if (schema.hasNoteHistory) {
+      const timerResult = await db.query(
+        `SELECT id FROM time_logs
+         WHERE technician_id = ${p(1)} AND job_card_id = ${p(2)} AND end_ts IS NULL AND status = 'active'
+         ORDER BY start_ts DESC LIMIT 1`,
+        [req.user.id, access.jobCard.id]
+      );
+      timeLogId = timerResult.rows[0]?.id || null;
+    }
+
+    const columns = ['job_card_id', 'author_id', 'note_text', 'is_internal'];
+    const values = [access.jobCard.id, req.user.id, note_text.trim(), is_internal];
+    if (schema.hasNoteHistory) {
+      columns.push('time_log_id');
+      values.push(timeLogId);
+    }
+    const placeholders = values.map((_, i) => p(i + 1)).join(', ');
+
+    let noteId;
+    if (dbType === 'mysql') {
+      const insertResult = await db.query(
+        `INSERT INTO job_card_notes (${columns.join(', ')}) VALUES (${placeholders})`,
+        values
+      );
+      noteId = insertResult.rows.insertId;
+    } else {
+      const insertResult = await db.query(
+        `INSERT INTO job_card_notes (${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`,
+        values
+      );
+      noteId = insertResult.rows[0].id;
+    }
+
+    const note = await loadNote(access.jobCard.id, noteId, schema);
+    const mentioned = await saveMentions(note, mentions.users, access.jobCard, req.user, schema);
+    await writeAudit(req.user.id, 'jobcard.note_added', noteId, {
+      job_card_id: access.jobCard.id,
+      is_internal,
+      time_log_id: timeLogId,
+      mentioned_user_ids: mentioned.map(user => user.id)
+    });
+
+    const [data] = await attachMentions([note], schema);
+    res.status(201).json(data);
+  } catch (error) {
+    logger.error('Create job card note error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/jobcards/:id/notes/:noteId
+// Body: { note_text?, is_internal?, mention_user_ids? }. The previous version is kept in the note's history.
+router.patch('/:noteId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const schema = await getNoteSchema();
+    const note = await loadNote(access.jobCard.id, req.params.noteId, schema);
+    if (!note) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Note not found' } });
+    }
+    if (!canChangeNote(access, note, req.user)) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You can only edit your own notes' } });
+    }
+
+    const { note_text, is_internal, mention_user_ids } = req.body;
+    if (note_text !== undefined) {
+      const textError = validateNoteText(note_text);
+      if (textError) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: textError } });
+      }
+    }
+    if (is_internal !== undefined && typeof is_internal !== 'boolean') {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'is_internal must be a boolean' } });
+    }
+
+    const newText = note_text !== undefined ? note_text.trim() : note.note_text;
+    const newInternal = is_internal !== undefined ? is_internal : !!note.is_internal;
+    const contentChanged = newText !== note.note_text || newInternal !== !!note.is_internal;
+    if (!contentChanged && mention_user_ids === undefined) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No changes to save' } });
+    }
+
+    const mentions = await resolveMentions(newText, mention_user_ids, access.jobCard);
+    if (mentions.error) {
+      return res.status(400).json({ error: mentions.error });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    if (contentChanged) {
+      await saveRevision(note, 'edited', req.user.id, schema);
+      const setParts = ['note_text', 'is_internal'];
+      const params = [newText, newInternal];
+      if (schema.hasNoteHistory) {
+        setParts.push('updated_by');
+        params.push(req.user.id);
+      }
+      const assignments = setParts.map((col, i) => `${col} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`);
+      if (schema.hasNoteHistory) {
+        assignments.push('edit_count = edit_count + 1', dbType === 'mysql' ? 'updated_at = NOW()' : 'updated_at = now()');
+      }
+      params.push(note.id);
+      await db.query(
+        `UPDATE job_card_notes SET ${assignments.join(', ')} WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+        params
+      );
+    }
+
+    const updated = await loadNote(access.jobCard.id, note.id, schema);
+    const mentioned = await saveMentions(updated, mentions.users, access.jobCard, req.user, schema);
+    await writeAudit(req.user.id, 'jobcard.note_edited', note.id, {
+      job_card_id: access.jobCard.id,
+      previous: { note_text: note.note_text, is_internal: !!note.is_internal },
+      is_internal: newInternal,
+      mentioned_user_ids: mentioned.map(user => user.id)
+    });
+
+    const [data] = await attachMentions([updated], schema);
+    res.json(data);
+  } catch (error) {
+    logger.error('Update job card note error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/jobcards/:id/notes/:noteId
+// Soft delete once schema_job_card_notes.sql is applied, so the note's history survives
+router.delete('/:noteId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+
+    const schema = await getNoteSchema();
+    const note = await loadNote(access.jobCard.id, req.params.noteId, schema);
+    if (!note) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Note not found' } });
+    }
+    if (!canChangeNote(access, note, req.user)) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You can only delete your own notes' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    if (schema.hasNoteHistory) {
+      await saveRevision(note, 'deleted', req.user.id, schema);
+      await db.query(
+        `UPDATE job_card_notes SET deleted_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'}, deleted_by = ${p(1)}
+         WHERE id = ${p(2)} AND deleted_at IS NULL`,
+        [req.user.id, note.id]
+      );
+    } else {
+      await db.query(`DELETE FROM job_card_notes WHERE id = ${p(1)}`, [note.id]);
+    }
+
+    await writeAudit(req.user.id, 'jobcard.note_deleted', note.id, {
+      job_card_id: access.jobCard.id,
+      note_text: note.note_text,
+      is_internal: !!note.is_internal
+    });
+    res.json({ message: 'Note deleted' });
+  } catch (error) {
+    logger.error('Delete job card note error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
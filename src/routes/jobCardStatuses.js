@@ -3,6 +3,15 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  REQUIRED_FIELD_OPTIONS,
+  transitionsTableExists,
+  normalizeAllowedRoles,
+  normalizeRequiredFields,
+  formatTransition,
+  getStatuses,
+  listTransitions
+} = require('../services/jobCardStatusService');
 
 const router = express.Router();
 router.use(authenticate);
@@ -245,6 +254,192 @@ router.delete('/:business_unit_id/:id', requireAdmin, async (req, res, next) =>
   }
 });
 
+// ============================================================================
+// TRANSITIONS: allowed from -> to moves between this BU's statuses
+// ============================================================================
+
+function transitionsMissing(res) {
+  return res.status(400).json({
+    error: { code: 'FEATURE_NOT_AVAILABLE', message: 'Job card status transitions table not found. Please run schema_job_card_status_transitions.sql' }
+  });
+}
+
+async function getTransition(businessUnitId, id) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_status_transitions
+     WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [id, businessUnitId]
+  );
+  return result.rows[0] ? formatTransition(result.rows[0]) : null;
+}
+
+// GET /api/v1/job-card-statuses/:business_unit_id/transitions
+router.get('/:business_unit_id/transitions', async (req, res, next) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const data = await listTransitions(req.params.business_unit_id, { includeInactive });
+    res.json({ data, required_field_options: REQUIRED_FIELD_OPTIONS });
+  } catch (error) {
+    logger.error('Get job card status transitions error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/job-card-statuses/:business_unit_id/transitions
+// Body: { from_status_code, to_status_code, allowed_roles?, required_fields? }
+router.post('/:business_unit_id/transitions', requireAdmin, [
+  body('from_status_code').trim().notEmpty().matches(/^[a-z0-9_]+$/),
+  body('to_status_code').trim().notEmpty().matches(/^[a-z0-9_]+$/),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    const business_unit_id = parseInt(req.params.business_unit_id);
+    const hasPermission = await canManageBU(req.user.id, business_unit_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (!(await transitionsTableExists())) return transitionsMissing(res);
+
+    const { from_status_code, to_status_code } = req.body;
+    if (from_status_code === to_status_code) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'from_status_code and to_status_code must differ' } });
+    }
+    const statusCodes = (await getStatuses(business_unit_id)).map(s => s.status_code);
+    const unknown = [from_status_code, to_status_code].filter(code => !statusCodes.includes(code));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: { code: 'VALIDATION_ERROR', message: `Status not configured for this business unit: ${unknown.join(', ')}` }
+      });
+    }
+    const roles = normalizeAllowedRoles(req.body.allowed_roles);
+    if (roles.error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: roles.error } });
+    const fields = normalizeRequiredFields(req.body.required_fields);
+    if (fields.error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: fields.error } });
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const existing = await db.query(
+      `SELECT id, is_active FROM job_card_status_transitions
+       WHERE business_unit_id = ${p(1)} AND from_status_code = ${p(2)} AND to_status_code = ${p(3)}`,
+      [business_unit_id, from_status_code, to_status_code]
+    );
+    const rolesJson = JSON.stringify(roles.roles);
+    const fieldsJson = JSON.stringify(fields.fields);
+
+    let id;
+    if (existing.rows.length > 0) {
+      if (existing.rows[0].is_active === true || existing.rows[0].is_active === 1) {
+        return res.status(409).json({ error: { code: 'DUPLICATE_TRANSITION', message: 'This transition already exists' } });
+      }
+      // Re-adding a deleted transition brings it back with the new settings
+      id = existing.rows[0].id;
+      await db.query(
+        `UPDATE job_card_status_transitions
+         SET allowed_roles = ${p(1)}, required_fields = ${p(2)}, is_active = true, updated_by = ${p(3)}
+         WHERE id = ${p(4)}`,
+        [rolesJson, fieldsJson, req.user.id, id]
+      );
+    } else if (dbType === 'mysql') {
+      const insert = await db.query(
+        `INSERT INTO job_card_status_transitions (business_unit_id, from_status_code, to_status_code, allowed_roles, required_fields, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [business_unit_id, from_status_code, to_status_code, rolesJson, fieldsJson, req.user.id]
+      );
+      id = insert.rows.insertId;
+    } else {
+      const insert = await db.query(
+        `INSERT INTO job_card_status_transitions (business_unit_id, from_status_code, to_status_code, allowed_roles, required_fields, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [business_unit_id, from_status_code, to_status_code, rolesJson, fieldsJson, req.user.id]
+      );
+      id = insert.rows[0].id;
+    }
+
+    res.status(201).json(await getTransition(business_unit_id, id));
+  } catch (error) {
+    logger.error('Create job card status transition error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/job-card-statuses/:business_unit_id/transitions/:id
+// Body: { allowed_roles?, required_fields?, is_active? }
+router.patch('/:business_unit_id/transitions/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const business_unit_id = parseInt(req.params.business_unit_id);
+    const hasPermission = await canManageBU(req.user.id, business_unit_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (!(await transitionsTableExists())) return transitionsMissing(res);
+    const transition = await getTransition(business_unit_id, req.params.id);
+    if (!transition) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Transition not found' } });
+    }
+
+    const { allowed_roles, required_fields, is_active } = req.body;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    const p = (val) => { params.push(val); return dbType === 'mysql' ? '?' : `$${params.length}`; };
+
+    if (allowed_roles !== undefined) {
+      const roles = normalizeAllowedRoles(allowed_roles);
+      if (roles.error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: roles.error } });
+      updates.push(`allowed_roles = ${p(JSON.stringify(roles.roles))}`);
+    }
+    if (required_fields !== undefined) {
+      const fields = normalizeRequiredFields(required_fields);
+      if (fields.error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: fields.error } });
+      updates.push(`required_fields = ${p(JSON.stringify(fields.fields))}`);
+    }
+    if (is_active !== undefined) {
+      if (typeof is_active !== 'boolean') {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'is_active must be a boolean' } });
+      }
+      updates.push(`is_active = ${p(is_active)}`);
+    }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+    updates.push(`updated_by = ${p(req.user.id)}`);
+
+    await db.query(`UPDATE job_card_status_transitions SET ${updates.join(', ')} WHERE id = ${p(transition.id)}`, params);
+    res.json(await getTransition(business_unit_id, transition.id));
+  } catch (error) {
+    logger.error('Update job card status transition error:', error);
+    next(error);
+  }
+});
+
+router.delete('/:business_unit_id/transitions/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const business_unit_id = parseInt(req.params.business_unit_id);
+    const hasPermission = await canManageBU(req.user.id, business_unit_id);
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (!(await transitionsTableExists())) return transitionsMissing(res);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      `UPDATE job_card_status_transitions SET is_active = false
+       WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [req.params.id, business_unit_id]
+    );
+    if (!result.rowCount) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Transition not found' } });
+    }
+    res.json({ message: 'Job card status transition deleted successfully' });
+  } catch (error) {
+    logger.error('Delete job card status transition error:', error);
+    next(error);
+  }
+});
+
 module.exports = router;
 
 
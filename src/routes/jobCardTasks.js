@@ -0,0 +1,321 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const {
+  TASK_STATUSES,
+  CLOSED_TASK_STATUSES,
+  tasksTableExists,
+  timeLogTaskColumnExists,
+  getSeedDefinitions,
+  insertTask,
+  seedJobCardTasks,
+  listTasks,
+  getTask
+} = require('../services/jobCardTaskService');
+
+// Mounted by jobCards.js at /jobcards/:id/tasks (authentication already applied there)
+const router = express.Router({ mergeParams: true });
+
+const OPERATION_CODE_PATTERN = /^[A-Z0-9_]{1,50}$/;
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'job_card_tasks table does not exist'
+    }
+  });
+}
+
+async function loadAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  return access;
+}
+
+function requireStaff(access, res) {
+  if (access.isStaff) return true;
+  res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Admin or Service Advisor access required' } });
+  return false;
+}
+
+async function writeAudit(userId, action, jobCardId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'job_card', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'job_card', $3, $4)`,
+    [userId, action, String(jobCardId), JSON.stringify(details)]
+  );
+}
+
+/**
+ * Validate the editable task fields present in body.
+ * Returns { fields } or { error } (a message).
+ */
+async function validateTaskFields(body, { requireTitle = false } = {}) {
+  const fields = {};
+  if (body.title !== undefined || requireTitle) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title) return { error: 'title is required' };
+    if (title.length > 255) return { error: 'title cannot exceed 255 characters' };
+    fields.title = title;
+  }
+  if (body.operation_code !== undefined) {
+    const code = body.operation_code ? String(body.operation_code).trim().toUpperCase() : null;
+    if (code && !OPERATION_CODE_PATTERN.test(code)) return { error: 'operation_code must be letters, digits or underscores (max 50)' };
+    fields.operation_code = code;
+  }
+  if (body.estimated_minutes !== undefined) {
+    if (body.estimated_minutes === null || body.estimated_minutes === '') {
+      fields.estimated_minutes = null;
+    } else {
+      const minutes = Number(body.estimated_minutes);
+      if (!Number.isInteger(minutes) || minutes < 0) return { error: 'estimated_minutes must be a non-negative integer' };
+      fields.estimated_minutes = minutes;
+    }
+  }
+  if (body.assigned_technician_id !== undefined) {
+    if (!body.assigned_technician_id) {
+      fields.assigned_technician_id = null;
+    } else {
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const userResult = await db.query(
+        `SELECT id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true`,
+        [body.assigned_technician_id]
+      );
+      if (userResult.rows.length === 0) return { error: 'assigned_technician_id is not an active user' };
+      fields.assigned_technician_id = body.assigned_technician_id;
+    }
+  }
+  return { fields };
+}
+
+function summarize(tasks) {
+  const summary = { total: tasks.length, estimated_minutes: 0, actual_minutes: 0 };
+  for (const status of TASK_STATUSES) summary[status] = 0;
+  for (const task of tasks) {
+    summary[task.status] = (summary[task.status] || 0) + 1;
+    summary.estimated_minutes += task.estimated_minutes || 0;
+    summary.actual_minutes += task.actual_minutes || 0;
+  }
+  return summary;
+}
+
+// GET /api/v1/jobcards/:id/tasks
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await tasksTableExists())) return schemaMismatch(res);
+    const tasks = await listTasks(access.jobCard.id);
+    res.json({ data: tasks, summary: summarize(tasks) });
+  } catch (error) {
+    logger.error('List job card tasks error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/tasks
+// Body: { title, operation_code, estimated_minutes, assigned_technician_id } (appended to the end)
+router.post('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await tasksTableExists())) return schemaMismatch(res);
+    const { fields, error } = await validateTaskFields(req.body || {}, { requireTitle: true });
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const seqResult = await db.query(
+      `SELECT COALESCE(MAX(sequence), 0) as last_sequence FROM job_card_tasks WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [access.jobCard.id]
+    );
+    const taskId = await insertTask(access.jobCard.id, {
+      ...fields,
+      sequence: (parseInt(seqResult.rows[0]?.last_sequence, 10) || 0) + 1
+    }, req.user.id);
+    await writeAudit(req.user.id, 'jobcard.task_added', access.jobCard.id, { task_id: taskId, title: fields.title });
+
+    const tasks = await listTasks(access.jobCard.id);
+    res.status(201).json(tasks.find(task => String(task.id) === String(taskId)));
+  } catch (error) {
+    logger.error('Add job card task error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/tasks/seed
+// Creates the checklist from the card's template or job type default_tasks when the card has none yet
+router.post('/seed', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await tasksTableExists())) return schemaMismatch(res);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const cardResult = await db.query(
+      `SELECT job_type, metadata FROM job_cards WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [access.jobCard.id]
+    );
+    const definitions = await getSeedDefinitions({
+      businessUnitId: access.jobCard.business_unit_id || access.jobCard.creator_business_unit_id,
+      jobTypeCode: cardResult.rows[0]?.job_type,
+      metadata: cardResult.rows[0]?.metadata
+    });
+    if (definitions.length === 0) {
+      return res.status(400).json({ error: { code: 'NO_TASK_DEFINITIONS', message: 'Neither the template nor the job type defines tasks' } });
+    }
+    const created = await seedJobCardTasks(access.jobCard.id, definitions, req.user.id);
+    if (created === 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'Job card already has tasks' } });
+    }
+    await writeAudit(req.user.id, 'jobcard.tasks_seeded', access.jobCard.id, { created });
+    const tasks = await listTasks(access.jobCard.id);
+    res.status(201).json({ data: tasks, summary: summarize(tasks) });
+  } catch (error) {
+    logger.error('Seed job card tasks error:', error);
+    next(error);
+  }
+});
+
+// PUT /api/v1/jobcards/:id/tasks/order { task_ids: [...] } (every task of the card, in the new order)
+router.put('/order', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await tasksTableExists())) return schemaMismatch(res);
+    const taskIds = Array.isArray(req.body?.task_ids) ? req.body.task_ids.map(String) : null;
+    const tasks = await listTasks(access.jobCard.id);
+    const currentIds = tasks.map(task => String(task.id));
+    if (!taskIds || taskIds.length !== currentIds.length || new Set(taskIds).size !== taskIds.length ||
+        !taskIds.every(id => currentIds.includes(id))) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'task_ids must list every task of the job card exactly once' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    for (let i = 0; i < taskIds.length; i++) {
+      await db.query(
+        `UPDATE job_card_tasks SET sequence = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+        [i + 1, taskIds[i]]
+      );
+    }
+    const reordered = await listTasks(access.jobCard.id);
+    res.json({ data: reordered, summary: summarize(reordered) });
+  } catch (error) {
+    logger.error('Reorder job card tasks error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/jobcards/:id/tasks/:taskId
+// Staff edit any field. The assigned technician (or a technician on the card) may only change
+// status: done, skipped (status_note required) or back to pending.
+router.patch('/:taskId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await tasksTableExists())) return schemaMismatch(res);
+    const task = await getTask(access.jobCard.id, req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Task not found' } });
+    }
+
+    const body = req.body || {};
+    const editsFields = ['title', 'operation_code', 'estimated_minutes', 'assigned_technician_id'].some(field => body[field] !== undefined);
+    if (editsFields && !access.isStaff) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Only Admins and Service Advisors can edit tasks' } });
+    }
+    const { fields, error } = await validateTaskFields(body);
+    if (error) return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: error } });
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    let statusChange = null;
+    if (body.status !== undefined && body.status !== task.status) {
+      if (!TASK_STATUSES.includes(body.status)) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `status must be one of ${TASK_STATUSES.join(', ')}` } });
+      }
+      const note = typeof body.status_note === 'string' && body.status_note.trim() ? body.status_note.trim() : null;
+      if (body.status === 'skipped' && !note) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'status_note is required when skipping a task' } });
+      }
+      if (CLOSED_TASK_STATUSES.includes(body.status) && await timeLogTaskColumnExists()) {
+        const running = await db.query(
+          `SELECT COUNT(*) as running FROM time_logs WHERE task_id = ${dbType === 'mysql' ? '?' : '$1'} AND status IN ('active', 'paused')`,
+          [task.id]
+        );
+        if ((parseInt(running.rows[0]?.running, 10) || 0) > 0) {
+          return res.status(409).json({ error: { code: 'TASK_TIMER_RUNNING', message: 'Stop the timers running on this task first' } });
+        }
+      }
+      const closing = CLOSED_TASK_STATUSES.includes(body.status);
+      fields.status = body.status;
+      fields.status_note = note;
+      fields.completed_by = closing ? req.user.id : null;
+      fields.completed_at = closing ? new Date() : null;
+      statusChange = { from: task.status, to: body.status };
+    } else if (body.status_note !== undefined) {
+      fields.status_note = body.status_note ? String(body.status_note).trim() : null;
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+    const params = Object.values(fields);
+    params.push(task.id);
+    await db.query(
+      `UPDATE job_card_tasks SET ${Object.keys(fields).map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    await writeAudit(
+      req.user.id,
+      statusChange ? 'jobcard.task_status_changed' : 'jobcard.task_updated',
+      access.jobCard.id,
+      { task_id: task.id, ...(statusChange || {}), fields: Object.keys(fields) }
+    );
+
+    const tasks = await listTasks(access.jobCard.id);
+    res.json(tasks.find(row => String(row.id) === String(task.id)));
+  } catch (error) {
+    logger.error('Update job card task error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/jobcards/:id/tasks/:taskId
+// Tasks with logged time are kept for the efficiency history; skip them instead
+router.delete('/:taskId', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access || !requireStaff(access, res)) return;
+    if (!(await tasksTableExists())) return schemaMismatch(res);
+    const task = await getTask(access.jobCard.id, req.params.taskId);
+    if (!task) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Task not found' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    if (await timeLogTaskColumnExists()) {
+      const logged = await db.query(
+        `SELECT COUNT(*) as log_count FROM time_logs WHERE task_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [task.id]
+      );
+      if ((parseInt(logged.rows[0]?.log_count, 10) || 0) > 0) {
+        return res.status(409).json({
+          error: { code: 'TASK_HAS_TIME_LOGS', message: 'Time has been logged against this task; mark it skipped instead' }
+        });
+      }
+    }
+    await db.query(`DELETE FROM job_card_tasks WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [task.id]);
+    await writeAudit(req.user.id, 'jobcard.task_deleted', access.jobCard.id, { task_id: task.id, title: task.title });
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    logger.error('Delete job card task error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
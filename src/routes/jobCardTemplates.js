@@ -0,0 +1,271 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  templatesTableExists,
+  normalizeChecklist,
+  normalizeTemplateParts,
+  listTemplates,
+  getTemplate,
+  replaceTemplateParts
+} = require('../services/jobCardTemplateService');
+
+const router = express.Router();
+router.use(authenticate);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'job_card_templates/job_card_template_parts tables do not exist'
+    }
+  });
+}
+
+async function jobTypeExists(businessUnitId, jobTypeCode) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT id FROM business_unit_job_types
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND job_type_code = ${dbType === 'mysql' ? '?' : '$2'} AND is_active = true`,
+    [businessUnitId, jobTypeCode]
+  );
+  return result.rows.length > 0;
+}
+
+// Checks shared by create and update; returns an error response body or the normalised values
+async function validateTemplateBody(businessUnitId, reqBody) {
+  const values = {};
+  if (reqBody.job_type_code !== undefined) {
+    values.job_type_code = reqBody.job_type_code ? String(reqBody.job_type_code).trim() : null;
+    if (values.job_type_code && !(await jobTypeExists(businessUnitId, values.job_type_code))) {
+      return { error: { code: 'VALIDATION_ERROR', message: `Job type ${values.job_type_code} is not configured for this Business Unit` } };
+    }
+  }
+  if (reqBody.checklist !== undefined) {
+    const { checklist, error } = normalizeChecklist(reqBody.checklist);
+    if (error) return { error: { code: 'VALIDATION_ERROR', message: error } };
+    values.checklist = checklist;
+  }
+  if (reqBody.parts !== undefined) {
+    const { parts, error } = await normalizeTemplateParts(reqBody.parts);
+    if (error) return { error: { code: 'VALIDATION_ERROR', message: error } };
+    values.parts = parts;
+  }
+  return { values };
+}
+
+const templateValidators = [
+  body('name').optional().trim().notEmpty().isLength({ max: 255 }),
+  body('description').optional({ nullable: true }).isString(),
+  body('job_type_code').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('estimated_minutes').optional({ nullable: true }).isInt({ min: 0 }),
+  body('default_priority').optional().isInt({ min: 1, max: 5 }),
+  body('problem_description').optional({ nullable: true }).isString(),
+  body('display_order').optional().isInt()
+];
+
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    if (!(await templatesTableExists())) return schemaMismatch(res);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${placeholder}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    res.json({ data: await listTemplates(userResult.rows[0].business_unit_id) });
+  } catch (error) {
+    logger.error('Get my BU job card templates error:', error);
+    next(error);
+  }
+});
+
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    if (!(await templatesTableExists())) return schemaMismatch(res);
+    res.json({
+      data: await listTemplates(req.params.business_unit_id, { includeInactive: req.query.include_inactive === 'true' })
+    });
+  } catch (error) {
+    logger.error('Get job card templates error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/job-card-templates/:business_unit_id
+// Body: { template_code, name, job_type_code, estimated_minutes, default_priority, problem_description,
+//         checklist: [{ title, estimated_minutes }], parts: [{ part_id, quantity, unit_cost, notes }] }
+router.post('/:business_unit_id', requireAdmin, [
+  body('template_code').trim().notEmpty().matches(/^[A-Z0-9_]+$/).isLength({ max: 50 }),
+  body('name').trim().notEmpty().isLength({ max: 255 }),
+  ...templateValidators
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await templatesTableExists())) return schemaMismatch(res);
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const { values, error } = await validateTemplateBody(business_unit_id, req.body);
+    if (error) return res.status(400).json({ error });
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const existing = await db.query(
+      `SELECT id FROM job_card_templates
+       WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND template_code = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [business_unit_id, req.body.template_code]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'Template with this code already exists' } });
+    }
+
+    const {
+      template_code,
+      name,
+      description = null,
+      estimated_minutes = null,
+      default_priority = 3,
+      problem_description = null,
+      display_order = 0
+    } = req.body;
+    const params = [
+      business_unit_id,
+      template_code,
+      name,
+      description || null,
+      values.job_type_code || null,
+      estimated_minutes,
+      default_priority,
+      problem_description || null,
+      JSON.stringify(values.checklist || []),
+      display_order,
+      req.user.id
+    ];
+    let templateId;
+    if (dbType === 'mysql') {
+      const result = await db.query(
+        `INSERT INTO job_card_templates (business_unit_id, template_code, name, description, job_type_code, estimated_minutes,
+                                         default_priority, problem_description, checklist, display_order, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params
+      );
+      templateId = result.rows.insertId;
+    } else {
+      const result = await db.query(
+        `INSERT INTO job_card_templates (business_unit_id, template_code, name, description, job_type_code, estimated_minutes,
+                                         default_priority, problem_description, checklist, display_order, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+        params
+      );
+      templateId = result.rows[0].id;
+    }
+    await replaceTemplateParts(templateId, values.parts || []);
+
+    res.status(201).json(await getTemplate(templateId));
+  } catch (error) {
+    logger.error('Create job card template error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/job-card-templates/:business_unit_id/:id
+// parts, when sent, replaces the template's whole parts list
+router.patch('/:business_unit_id/:id', requireAdmin, [
+  ...templateValidators,
+  body('is_active').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await templatesTableExists())) return schemaMismatch(res);
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const template = await getTemplate(id);
+    if (!template || String(template.business_unit_id) !== String(business_unit_id)) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Template not found' } });
+    }
+    const { values, error } = await validateTemplateBody(business_unit_id, req.body);
+    if (error) return res.status(400).json({ error });
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    const set = (field, value) => {
+      params.push(value);
+      updates.push(`${field} = ${dbType === 'mysql' ? '?' : `$${params.length}`}`);
+    };
+    for (const field of ['name', 'description', 'estimated_minutes', 'default_priority', 'problem_description', 'display_order', 'is_active']) {
+      if (req.body[field] !== undefined) set(field, req.body[field]);
+    }
+    if (values.job_type_code !== undefined) set('job_type_code', values.job_type_code);
+    if (values.checklist !== undefined) set('checklist', JSON.stringify(values.checklist));
+    if (updates.length === 0 && values.parts === undefined) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+    set('updated_by', req.user.id);
+    params.push(id);
+    await db.query(
+      `UPDATE job_card_templates SET ${updates.join(', ')} WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    if (values.parts !== undefined) await replaceTemplateParts(id, values.parts);
+
+    res.json(await getTemplate(id));
+  } catch (error) {
+    logger.error('Update job card template error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: job cards created from the template keep their template_id
+router.delete('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await templatesTableExists())) return schemaMismatch(res);
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE job_card_templates SET is_active = false
+       WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [id, business_unit_id]
+    );
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    logger.error('Delete job card template error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
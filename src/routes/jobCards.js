@@ -4,12 +4,40 @@ const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate, authorize, requireAdminOrServiceAdvisor } = require('../middleware/auth');
 const { validateRequiredFields, isFieldVisible } = require('../utils/fieldVisibility');
+const jobCardNotesRoutes = require('./jobCardNotes');
+const jobCardAttachmentsRoutes = require('./jobCardAttachments');
+const vehicleInspectionsRoutes = require('./vehicleInspections');
+const jobCardTasksRoutes = require('./jobCardTasks');
+const jobCardEstimatesRoutes = require('./jobCardEstimates');
+const jobCardCostingRoutes = require('./jobCardCosting');
+const jobCardInvoicesRoutes = require('./jobCardInvoices');
+const { getCurrentInspections, summarizeInspection } = require('../services/vehicleInspectionService');
+const { registryAvailable, normalizePlate, resolveJobCardRegistry, vehicleInfoFromVehicle } = require('../services/customerVehicleService');
+const { templatesTableExists, getTemplate, findStockShortages, reserveTemplateParts } = require('../services/jobCardTemplateService');
+const { tasksTableExists, getSeedDefinitions, seedJobCardTasks, listTasks } = require('../services/jobCardTaskService');
+const { NOTE_FIELDS, isClosedStatus, checkStatusTransition } = require('../services/jobCardStatusService');
+const { slaAvailable, computeSlaDueAt, listSlaEvents } = require('../services/slaService');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const { getJobCardPrintData } = require('../services/jobCardPrintService');
+const { getEffectiveBranding } = require('../services/brandingService');
+const { renderJobCardPdf, sendPdf } = require('../services/pdfService');
+const { getSetting } = require('../utils/settings');
+const { safeTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Notes CRUD: /jobcards/:id/notes, file uploads: /jobcards/:id/attachments, check-in: /jobcards/:id/inspection
+router.use('/:id/notes', jobCardNotesRoutes);
+router.use('/:id/attachments', jobCardAttachmentsRoutes);
+router.use('/:id/inspection', vehicleInspectionsRoutes);
+router.use('/:id/tasks', jobCardTasksRoutes);
+router.use('/:id/estimates', jobCardEstimatesRoutes);
+router.use('/:id/costing', jobCardCostingRoutes);
+router.use('/:id/invoices', jobCardInvoicesRoutes);
+
 // Helper function to check if table exists
 async function tableExists(tableName) {
   try {
@@ -57,6 +85,28 @@ function safeParseJson(value) {
   try { return JSON.parse(value); } catch { return null; }
 }
 
+// Keep the notes sent with a status change on the card and audit the move itself
+async function recordStatusChange(jobCardId, statusChange, reqBody, userId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const notes = {};
+  for (const field of NOTE_FIELDS) {
+    const text = typeof reqBody[field] === 'string' ? reqBody[field].trim() : '';
+    if (!text) continue;
+    notes[field] = text;
+    const label = field === 'completion_note' ? 'Completion note' : 'Status note';
+    await db.query(
+      `INSERT INTO job_card_notes (job_card_id, author_id, note_text, is_internal) VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)})`,
+      [jobCardId, userId, `${label} (${statusChange.from || 'none'} -> ${statusChange.to}): ${text}`, false]
+    );
+  }
+  await db.query(
+    `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+     VALUES (${p(1)}, 'jobcard.status_changed', 'job_card', ${p(2)}, ${p(3)})`,
+    [userId, jobCardId, JSON.stringify({ ...statusChange, ...notes })]
+  );
+}
+
 // GET /api/v1/jobcards/lookup?job_number=JC...
 // Lookup a job card by job_number (used for previous job linking)
 router.get('/lookup', async (req, res, next) => {
@@ -136,17 +186,23 @@ router.get('/lookup', async (req, res, next) => {
   }
 });
 
-// GET /api/v1/jobcards/plate-history?license_plate=...&limit=5
-// Returns recent job cards for a given plate with complaint + bike condition review (stored in metadata).
+// GET /api/v1/jobcards/plate-history?license_plate=...&limit=5 (or ?vehicle_id=...)
+// Returns recent job cards for a given plate with complaint + bike condition review (stored in metadata)
+// and a summary of each card's current check-in inspection. Cards are found through the vehicle registry;
+// cards not yet linked to a vehicle (before the backfill) still match on vehicle_info.license_plate.
 router.get('/plate-history', async (req, res, next) => {
   try {
-    let { license_plate, limit = 5, business_unit_id } = req.query;
+    let { license_plate, vehicle_id, limit = 5, business_unit_id } = req.query;
     const plateRaw = String(license_plate || '').trim();
-    if (!plateRaw) {
+    if (!plateRaw && !vehicle_id) {
       return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'license_plate is required' } });
     }
 
     const normalizedPlate = plateRaw.toUpperCase().replace(/\s+/g, '');
+    const useRegistry = await registryAvailable();
+    if (vehicle_id && !useRegistry) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'license_plate is required' } });
+    }
     const dbType = process.env.DB_TYPE || 'postgresql';
 
     // ENFORCE business unit filtering for non-Super Admin users (same approach as list endpoint)
@@ -179,9 +235,18 @@ router.get('/plate-history', async (req, res, next) => {
       queryText = `
         SELECT jc.id, jc.job_number, jc.created_at, jc.work_type, jc.vehicle_info, jc.metadata
         FROM job_cards jc
-        WHERE UPPER(REPLACE(JSON_UNQUOTE(JSON_EXTRACT(jc.vehicle_info, '$.license_plate')), ' ', '')) = ?
-      `;
-      params.push(normalizedPlate);
+        WHERE `;
+      if (useRegistry && vehicle_id) {
+        queryText += `jc.vehicle_id = ?`;
+        params.push(vehicle_id);
+      } else if (useRegistry) {
+        queryText += `(jc.vehicle_id IN (SELECT v.id FROM vehicles v WHERE v.normalized_plate = ?)
+          OR (jc.vehicle_id IS NULL AND UPPER(REPLACE(JSON_UNQUOTE(JSON_EXTRACT(jc.vehicle_info, '$.license_plate')), ' ', '')) = ?))`;
+        params.push(normalizePlate(plateRaw), normalizedPlate);
+      } else {
+        queryText += `UPPER(REPLACE(JSON_UNQUOTE(JSON_EXTRACT(jc.vehicle_info, '$.license_plate')), ' ', '')) = ?`;
+        params.push(normalizedPlate);
+      }
 
       if (business_unit_id) {
         const bu = parseInt(business_unit_id, 10);
@@ -199,11 +264,20 @@ router.get('/plate-history', async (req, res, next) => {
       queryText = `
         SELECT jc.id, jc.job_number, jc.created_at, jc.work_type, jc.vehicle_info, jc.metadata
         FROM job_cards jc
-        WHERE UPPER(REPLACE(COALESCE(jc.vehicle_info->>'license_plate',''), ' ', '')) = $1
-      `;
-      params.push(normalizedPlate);
+        WHERE `;
+      if (useRegistry && vehicle_id) {
+        queryText += `jc.vehicle_id = $1`;
+        params.push(vehicle_id);
+      } else if (useRegistry) {
+        queryText += `(jc.vehicle_id IN (SELECT v.id FROM vehicles v WHERE v.normalized_plate = $1)
+          OR (jc.vehicle_id IS NULL AND UPPER(REPLACE(COALESCE(jc.vehicle_info->>'license_plate',''), ' ', '')) = $2))`;
+        params.push(normalizePlate(plateRaw), normalizedPlate);
+      } else {
+        queryText += `UPPER(REPLACE(COALESCE(jc.vehicle_info->>'license_plate',''), ' ', '')) = $1`;
+        params.push(normalizedPlate);
+      }
 
-      let idx = 1;
+      let idx = params.length;
       if (business_unit_id) {
         const bu = parseInt(business_unit_id, 10);
         if (hasJobCardsBU) {
@@ -221,6 +295,7 @@ router.get('/plate-history', async (req, res, next) => {
     }
 
     const result = await db.query(queryText, params);
+    const inspections = await getCurrentInspections((result.rows || []).map(r => r.id));
     const rows = (result.rows || []).map(r => {
       const meta = safeParseJson(r.metadata) || r.metadata || {};
       const wod = (meta && typeof meta === 'object') ? (meta.work_order_details || {}) : {};
@@ -230,7 +305,8 @@ router.get('/plate-history', async (req, res, next) => {
         created_at: r.created_at,
         work_type: r.work_type,
         complaint: wod.complaint || wod.problem_description || null,
-        bike_condition_review: wod.bike_condition_review || null
+        bike_condition_review: wod.bike_condition_review || null,
+        inspection: summarizeInspection(inspections[r.id])
       };
     });
 
@@ -244,7 +320,7 @@ router.get('/plate-history', async (req, res, next) => {
 // GET /api/v1/jobcards
 router.get('/', async (req, res, next) => {
   try {
-    let { status, priority, assigned_to, created_after, created_before, search, asset_id, location_id, job_type, business_unit_id, page = 1, limit = 20 } = req.query;
+    let { status, priority, assigned_to, created_after, created_before, search, asset_id, location_id, job_type, business_unit_id, sla_status, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
     const dbType = process.env.DB_TYPE || 'postgresql';
     const placeholder = dbType === 'mysql' ? '?' : (n) => `$${n}`;
@@ -283,6 +359,11 @@ router.get('/', async (req, res, next) => {
     let joinClauses = `FROM job_cards jc
         LEFT JOIN users u ON jc.created_by = u.id`;
     
+    const hasSla = await slaAvailable();
+    if (hasSla) {
+      selectFields += `, jc.sla_due_at, jc.promised_at, jc.sla_status, jc.promise_status`;
+    }
+
     // Add asset management fields if tables exist
     if (assetsTableExists && locationsTableExists) {
       selectFields += `, jc.asset_id, jc.location_id, jc.job_type, jc.parent_work_order_id,
@@ -352,6 +433,20 @@ router.get('/', async (req, res, next) => {
       params.push(parseInt(priority));
     }
 
+    // e.g. ?sla_status=at_risk,breached for the jobs that need chasing
+    if (sla_status && hasSla) {
+      const slaStatuses = String(sla_status).split(',');
+      if (dbType === 'mysql') {
+        paramCount++;
+        queryText += ` AND jc.sla_status IN (${slaStatuses.map(() => '?').join(',')})`;
+        params.push(...slaStatuses);
+      } else {
+        paramCount++;
+        queryText += ` AND jc.sla_status = ANY($${paramCount})`;
+        params.push(slaStatuses);
+      }
+    }
+
     if (assigned_to) {
       paramCount++;
       queryText += ` AND EXISTS (
@@ -428,6 +523,9 @@ router.get('/', async (req, res, next) => {
     let groupByFields = `jc.id, jc.job_number, jc.customer_name, jc.vehicle_info, 
                             jc.work_type, jc.priority, jc.status, jc.estimated_hours, 
                             jc.actual_hours, jc.created_at, jc.updated_at, u.display_name`;
+    if (hasSla) {
+      groupByFields += `, jc.sla_due_at, jc.promised_at, jc.sla_status, jc.promise_status`;
+    }
     if (assetsTableExists && locationsTableExists) {
       groupByFields += `, jc.asset_id, jc.location_id, jc.job_type, jc.parent_work_order_id, a.name, a.asset_tag, l.name, parent.job_number`;
     }
@@ -468,7 +566,8 @@ router.get('/', async (req, res, next) => {
       }
     });
 
-    // Get assignments for each job card and check if job card status needs updating
+    // Get assignments for each job card. Listing never changes a card's status; assignment
+    // updates move it, subject to the BU's status transitions (see assignments.js).
     const assignmentPlaceholder = dbType === 'mysql' ? '?' : '$1';
     for (const jobCard of result.rows) {
       const assignmentsResult = await db.query(
@@ -482,33 +581,6 @@ router.get('/', async (req, res, next) => {
         [jobCard.id]
       );
       jobCard.assignments = assignmentsResult.rows;
-      
-      // Check if job card status should be updated based on assignments
-      if (jobCard.assignments.length > 0) {
-        const totalAssignments = jobCard.assignments.length;
-        const completedAssignments = jobCard.assignments.filter(a => a.status === 'completed').length;
-        const cancelledAssignments = jobCard.assignments.filter(a => a.status === 'cancelled').length;
-        const activeAssignments = totalAssignments - completedAssignments - cancelledAssignments;
-        
-        // If all assignments are completed and job card is not completed, update it
-        if (completedAssignments > 0 && activeAssignments === 0 && jobCard.status !== 'completed') {
-          await db.query(
-            `UPDATE job_cards SET status = 'completed', completed_at = ${dbType === 'mysql' ? 'NOW()' : 'now()'} 
-             WHERE id = ${assignmentPlaceholder}`,
-            [jobCard.id]
-          );
-          jobCard.status = 'completed';
-        } 
-        // If at least one assignment is completed and job card is still open, update to in_progress
-        else if (completedAssignments > 0 && jobCard.status === 'open') {
-          await db.query(
-            `UPDATE job_cards SET status = 'in_progress' 
-             WHERE id = ${assignmentPlaceholder}`,
-            [jobCard.id]
-          );
-          jobCard.status = 'in_progress';
-        }
-      }
     }
 
     res.json({
@@ -569,13 +641,14 @@ router.get('/:id', async (req, res, next) => {
 
     const jobCard = result.rows[0];
 
-    // Get notes
+    // Get notes (deleted notes only remain for their edit history)
+    const notesSoftDelete = await columnExists('job_card_notes', 'deleted_at');
     const notesResult = await db.query(
       `SELECT jcn.id, jcn.note_text, jcn.is_internal, jcn.created_at,
               u.display_name as author_name
        FROM job_card_notes jcn
        JOIN users u ON jcn.author_id = u.id
-       WHERE jcn.job_card_id = ${placeholder}
+       WHERE jcn.job_card_id = ${placeholder}${notesSoftDelete ? ' AND jcn.deleted_at IS NULL' : ''}
        ORDER BY jcn.created_at DESC`,
       [jobCardId]
     );
@@ -614,6 +687,14 @@ router.get('/:id', async (req, res, next) => {
     );
     jobCard.time_logs = timeLogsResult.rows;
 
+    if (await tasksTableExists()) {
+      jobCard.tasks = await listTasks(jobCardId);
+    }
+
+    if (await slaAvailable()) {
+      jobCard.sla_events = await listSlaEvents(jobCardId);
+    }
+
     res.json(jobCard);
   } catch (error) {
     logger.error('Get job card error:', error);
@@ -621,13 +702,39 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// GET /api/v1/jobcards/:id/pdf
+// Branded printout: customer/vehicle, tasks, time lines, parts and signature blocks.
+// Part prices are printed for Admins and Service Advisors only.
+router.get('/:id/pdf', async (req, res, next) => {
+  try {
+    const access = await getJobCardAccess(req.user, req.params.id);
+    if (access.error) {
+      return res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    }
+    const data = await getJobCardPrintData(access.jobCard.id, { includePrices: access.isStaff });
+    // The card's workshop letterhead, also when a Super Admin or another BU's staff prints it
+    const branding = await getEffectiveBranding(data.jobCard.print_business_unit_id);
+    const timeZone = safeTimeZone(await getSetting('system.timezone', 'UTC'));
+    const pdf = await renderJobCardPdf({ data, branding, timeZone });
+    sendPdf(res, pdf, `jobcard-${access.jobCard.job_number}.pdf`);
+  } catch (error) {
+    logger.error('Job card PDF error:', error);
+    next(error);
+  }
+});
+
 // POST /api/v1/jobcards
 router.post('/',
   [
     body('job_number').notEmpty().trim(),
     // Customer/Company name should be optional (non-mandatory)
     body('customer_name').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
-    body('priority').optional().isInt({ min: 1, max: 5 })
+    body('priority').optional().isInt({ min: 1, max: 5 }),
+    body('vehicle_id').optional({ nullable: true, checkFalsy: true }).isInt(),
+    body('customer_id').optional({ nullable: true, checkFalsy: true }).isInt(),
+    body('customer_email').optional({ nullable: true, checkFalsy: true }).isEmail(),
+    body('customer_phone').optional({ nullable: true }).trim().isLength({ max: 50 }),
+    body('promised_at').optional({ nullable: true, checkFalsy: true }).isISO8601()
   ],
   async (req, res, next) => {
     try {
@@ -647,7 +754,7 @@ router.post('/',
         customer_name,
         vehicle_info,
         work_type,
-        priority = 3,
+        priority,
         estimated_hours,
         estimated_minutes,
         asset_id,
@@ -658,9 +765,40 @@ router.post('/',
         bike_condition_review,
         job_category,
         previous_job_number,
+        vehicle_id,
+        customer_id,
+        customer_email,
+        customer_phone,
+        template_id,
+        reserve_parts = true,
+        promised_at,
         metadata = {}
       } = req.body;
 
+      // A template pre-fills job type, duration, priority, complaint and checklist; request values win
+      let template = null;
+      if (template_id) {
+        if (!(await templatesTableExists())) {
+          return res.status(400).json({
+            error: {
+              code: 'SCHEMA_MISMATCH',
+              message: 'Database schema is missing required table/column for this operation.',
+              details: 'job_card_templates table does not exist'
+            }
+          });
+        }
+        template = await getTemplate(template_id);
+        const templateOutOfScope = template && req.user.roleName !== 'Super Admin' &&
+          String(template.business_unit_id) !== String(req.user.businessUnitId);
+        if (!template || !template.is_active || templateOutOfScope) {
+          return res.status(400).json({ error: { code: 'INVALID_TEMPLATE', message: 'Job card template not found' } });
+        }
+      }
+      const priorityForInsert = priority !== undefined && priority !== null && priority !== ''
+        ? priority
+        : (template ? template.default_priority : 3);
+      const jobTypeForInsert = job_type || (template ? template.job_type_code : null) || null;
+
       // Normalize estimated duration: accept minutes or hours, store as hours (backward compatible)
       let normalizedEstimatedHours = null;
       if (estimated_minutes != null && estimated_minutes !== '') {
@@ -685,12 +823,17 @@ router.post('/',
           });
         }
         normalizedEstimatedHours = hrs;
+      } else if (template && template.estimated_minutes != null) {
+        normalizedEstimatedHours = Number(template.estimated_minutes) / 60;
       }
 
       // Normalize optional fields so empty strings don't get treated as "required"
       const normalizedCustomerName = (typeof customer_name === 'string' && customer_name.trim()) ? customer_name.trim() : null;
       const normalizedWorkType = (typeof work_type === 'string' && work_type.trim()) ? work_type.trim() : null;
-      const normalizedProblemDescription = (typeof problem_description === 'string' && problem_description.trim()) ? problem_description.trim() : null;
+      const problemDescriptionInput = (typeof problem_description === 'string' && problem_description.trim())
+        ? problem_description
+        : template?.problem_description;
+      const normalizedProblemDescription = (typeof problemDescriptionInput === 'string' && problemDescriptionInput.trim()) ? problemDescriptionInput.trim() : null;
       const normalizedLocationId =
         location_id === undefined || location_id === null || location_id === ''
           ? null
@@ -842,6 +985,26 @@ router.post('/',
       } catch (error) {
         logger.warn('Could not fetch user business_unit_id:', error);
       }
+
+      // Link the card to the vehicle/customer registry: an explicit vehicle_id/customer_id, else a match on
+      // vehicle_info's plate or VIN (returning vehicles), else newly registered records
+      const registry = await resolveJobCardRegistry({
+        businessUnitId: businessUnitIdForInsert,
+        userId: req.user.id,
+        vehicleId: vehicle_id || null,
+        customerId: customer_id || null,
+        vehicleInfo: vehicle_info,
+        customerName: normalizedCustomerName,
+        customerEmail: customer_email,
+        customerPhone: customer_phone
+      });
+      if (registry.error) {
+        return res.status(registry.error.status).json({ error: { code: registry.error.code, message: registry.error.message } });
+      }
+      const vehicleInfoForInsert = registry.vehicle
+        ? vehicleInfoFromVehicle(registry.vehicle, (vehicle_info && typeof vehicle_info === 'object') ? vehicle_info : {})
+        : vehicle_info;
+      const customerNameForInsert = normalizedCustomerName || registry.customer?.customer_name || null;
       
       // Normalize metadata and capture optional work order details
       const normalizedMetadata = (metadata && typeof metadata === 'object') ? { ...metadata } : {};
@@ -874,6 +1037,27 @@ router.post('/',
         normalizedMetadata.work_order_details.previous_job_number = String(previous_job_number);
         if (resolvedParentWorkOrderId) normalizedMetadata.work_order_details.previous_job_card_id = resolvedParentWorkOrderId;
       }
+      if (template) {
+        normalizedMetadata.template = { id: template.id, template_code: template.template_code, name: template.name };
+        if (!Array.isArray(normalizedMetadata.checklist) && template.checklist.length > 0) {
+          normalizedMetadata.checklist = template.checklist;
+        }
+      }
+
+      // Template parts are reserved after the insert; refuse up front when tracked stock cannot cover them
+      const shouldReserveParts = !!template && template.parts.length > 0 && reserve_parts !== false && reserve_parts !== 'false';
+      if (shouldReserveParts) {
+        const shortages = await findStockShortages(template.parts);
+        if (shortages.length > 0) {
+          return res.status(400).json({
+            error: {
+              code: 'INSUFFICIENT_STOCK',
+              message: 'Not enough stock for the template parts (send reserve_parts: false to create the job card without them)',
+              details: shortages
+            }
+          });
+        }
+      }
 
       // Check if business_unit_id column exists
       const buColumnExists = await columnExists('job_cards', 'business_unit_id');
@@ -892,14 +1076,14 @@ router.post('/',
         const insertParams = buColumnExists
           ? [
               job_number,
-              normalizedCustomerName,
-              JSON.stringify(vehicle_info || {}),
+              customerNameForInsert,
+              JSON.stringify(vehicleInfoForInsert || {}),
               normalizedWorkType,
-              priority,
-              estimated_hours,
+              priorityForInsert,
+              normalizedEstimatedHours,
               asset_id || null,
               normalizedLocationId,
-              job_type || null,
+              jobTypeForInsert,
               resolvedParentWorkOrderId || null,
               businessUnitIdForInsert,
               req.user.id,
@@ -907,14 +1091,14 @@ router.post('/',
             ]
           : [
               job_number,
-              normalizedCustomerName,
-              JSON.stringify(vehicle_info || {}),
+              customerNameForInsert,
+              JSON.stringify(vehicleInfoForInsert || {}),
               normalizedWorkType,
-              priority,
-              estimated_hours,
+              priorityForInsert,
+              normalizedEstimatedHours,
               asset_id || null,
               normalizedLocationId,
-              job_type || null,
+              jobTypeForInsert,
               resolvedParentWorkOrderId || null,
               req.user.id,
               JSON.stringify(normalizedMetadata)
@@ -943,14 +1127,14 @@ router.post('/',
         const insertParams = buColumnExists
           ? [
               job_number,
-              normalizedCustomerName,
-              JSON.stringify(vehicle_info || {}),
+              customerNameForInsert,
+              JSON.stringify(vehicleInfoForInsert || {}),
               normalizedWorkType,
-              priority,
+              priorityForInsert,
               normalizedEstimatedHours,
               asset_id || null,
               normalizedLocationId,
-              job_type || null,
+              jobTypeForInsert,
               resolvedParentWorkOrderId || null,
               businessUnitIdForInsert,
               req.user.id,
@@ -958,14 +1142,14 @@ router.post('/',
             ]
           : [
               job_number,
-              normalizedCustomerName,
-              JSON.stringify(vehicle_info || {}),
+              customerNameForInsert,
+              JSON.stringify(vehicleInfoForInsert || {}),
               normalizedWorkType,
-              priority,
+              priorityForInsert,
               normalizedEstimatedHours,
               asset_id || null,
               normalizedLocationId,
-              job_type || null,
+              jobTypeForInsert,
               resolvedParentWorkOrderId || null,
               req.user.id,
               JSON.stringify(normalizedMetadata)
@@ -978,11 +1162,68 @@ router.post('/',
         jobCard = result.rows[0];
       }
 
+      if (registry.vehicle || registry.customer) {
+        jobCard.vehicle_id = registry.vehicle ? registry.vehicle.id : null;
+        jobCard.customer_id = registry.customer ? registry.customer.id : null;
+        await db.query(
+          `UPDATE job_cards SET vehicle_id = ${dbType === 'mysql' ? '?' : '$1'}, customer_id = ${dbType === 'mysql' ? '?' : '$2'}
+           WHERE id = ${dbType === 'mysql' ? '?' : '$3'}`,
+          [jobCard.vehicle_id, jobCard.customer_id, jobCard.id]
+        );
+      }
+
+      if (template) {
+        jobCard.template_id = template.id;
+        await db.query(
+          `UPDATE job_cards SET template_id = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+          [template.id, jobCard.id]
+        );
+        jobCard.reserved_parts = shouldReserveParts ? await reserveTemplateParts(jobCard.id, template, req.user.id) : [];
+      }
+
+      // SLA due time from the priority level; the customer is promised that time unless told otherwise
+      if (await slaAvailable()) {
+        const slaDueAt = await computeSlaDueAt({
+          businessUnitId: businessUnitIdForInsert,
+          priority: priorityForInsert,
+          createdAt: jobCard.created_at
+        });
+        const promisedAt = promised_at ? new Date(promised_at) : slaDueAt;
+        jobCard.sla_due_at = slaDueAt;
+        jobCard.promised_at = promisedAt;
+        jobCard.sla_status = slaDueAt ? 'on_track' : null;
+        jobCard.promise_status = promisedAt ? 'on_track' : null;
+        if (slaDueAt || promisedAt) {
+          const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+          await db.query(
+            `UPDATE job_cards SET sla_due_at = ${p(1)}, promised_at = ${p(2)}, sla_status = ${p(3)}, promise_status = ${p(4)}
+             WHERE id = ${p(5)}`,
+            [slaDueAt, promisedAt, jobCard.sla_status, jobCard.promise_status, jobCard.id]
+          );
+        }
+      }
+
+      // Task checklist from the template, else from the job type's default_tasks
+      if (await tasksTableExists()) {
+        const taskDefinitions = await getSeedDefinitions({
+          businessUnitId: businessUnitIdForInsert,
+          jobTypeCode: jobTypeForInsert,
+          metadata: normalizedMetadata
+        });
+        jobCard.tasks_created = await seedJobCardTasks(jobCard.id, taskDefinitions, req.user.id);
+      }
+
       // Create audit log (placeholders will be converted by connection.js for MySQL)
       await db.query(
         `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
          VALUES ($1, 'jobcard.created', 'job_card', $2, $3)`,
-        [req.user.id, jobCard.id, JSON.stringify({ job_number: jobCard.job_number })]
+        [req.user.id, jobCard.id, JSON.stringify({
+          job_number: jobCard.job_number,
+          vehicle_id: jobCard.vehicle_id || null,
+          customer_id: jobCard.customer_id || null,
+          template_id: jobCard.template_id || null,
+          reserved_parts: (jobCard.reserved_parts || []).length
+        })]
       );
 
       res.status(201).json(jobCard);
@@ -997,8 +1238,12 @@ router.post('/',
 router.patch('/:id',
   requireAdminOrServiceAdvisor,
   [
-    body('status').optional().isIn(['open', 'in_progress', 'on_hold', 'completed', 'cancelled']),
+    // Checked against the BU's job_card_statuses and transitions in the handler
+    body('status').optional().trim().notEmpty().matches(/^[a-z0-9_]+$/),
+    body('completion_note').optional({ nullable: true }).isString().trim().isLength({ max: 5000 }),
+    body('status_note').optional({ nullable: true }).isString().trim().isLength({ max: 5000 }),
     body('priority').optional().isInt({ min: 1, max: 5 }),
+    body('promised_at').optional({ nullable: true }).isISO8601(),
     // Allow clearing these fields (non-mandatory)
     body('customer_name').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
     body('work_type').optional({ checkFalsy: true }).trim().isLength({ max: 255 }),
@@ -1035,6 +1280,12 @@ router.patch('/:id',
       const jcPlaceholder = dbType === 'mysql' ? '?' : '$1';
       const selectCols = [
         'jc.id',
+        'jc.status',
+        'jc.customer_name',
+        'jc.work_type',
+        'jc.estimated_hours',
+        'jc.priority',
+        'jc.created_at',
         'jc.metadata',
         hasJobCardsBU ? 'jc.business_unit_id' : null,
         hasJobCardsCreatedBy ? 'jc.created_by' : null,
@@ -1089,7 +1340,8 @@ router.patch('/:id',
         problem_description,
         bike_condition_review,
         job_category,
-        previous_job_number
+        previous_job_number,
+        promised_at
       } = req.body;
 
       // Normalize estimated duration for PATCH (same logic as POST)
@@ -1118,6 +1370,26 @@ router.patch('/:id',
         normalizedEstimatedHours = hrs;
       }
 
+      let statusChange = null;
+      let closesCard = false;
+      if (status !== undefined && status !== existing.status) {
+        const statusBu = existing.business_unit_id || existing.creator_business_unit_id || userBu;
+        const check = await checkStatusTransition({
+          businessUnitId: statusBu,
+          jobCard: existing,
+          toStatus: status,
+          user: req.user,
+          body: req.body
+        });
+        if (check.error) {
+          const { status: httpStatus, ...error } = check.error;
+          return res.status(httpStatus).json({ error });
+        }
+        statusChange = { from: existing.status, to: status, transition_id: check.transition?.id || null };
+        // BU statuses flag closed ones; without them only the legacy 'completed' closes a card
+        closesCard = check.status ? isClosedStatus(check.status) : status === 'completed';
+      }
+
       const updates = [];
       const params = [];
       let paramCount = 0;
@@ -1128,7 +1400,7 @@ router.patch('/:id',
         updates.push(`status = ${ph}`);
         params.push(status);
         
-        if (status === 'completed') {
+        if (closesCard) {
           // Only set completed_at if column exists (schema compatibility)
           if (await columnExists('job_cards', 'completed_at')) {
             updates.push(dbType === 'mysql' ? `completed_at = NOW()` : `completed_at = now()`);
@@ -1143,6 +1415,27 @@ router.patch('/:id',
         params.push(priority);
       }
 
+      // The SLA clock keeps running from creation; a new priority only moves the due time.
+      // sla_status/promise_status are left to the SLA monitor, which re-evaluates on its next run.
+      const hasSla = (priority !== undefined || promised_at !== undefined) && await slaAvailable();
+      if (hasSla && priority !== undefined && String(priority) !== String(existing.priority)) {
+        const slaDueAt = await computeSlaDueAt({
+          businessUnitId: existing.business_unit_id || existing.creator_business_unit_id || userBu,
+          priority: parseInt(priority, 10),
+          createdAt: existing.created_at
+        });
+        paramCount++;
+        updates.push(`sla_due_at = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`);
+        params.push(slaDueAt);
+        if (!slaDueAt) updates.push('sla_status = NULL');
+      }
+      if (hasSla && promised_at !== undefined) {
+        paramCount++;
+        updates.push(`promised_at = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`);
+        params.push(promised_at ? new Date(promised_at) : null);
+        if (!promised_at) updates.push('promise_status = NULL');
+      }
+
       if (customer_name !== undefined) {
         paramCount++;
         const ph = dbType === 'mysql' ? '?' : `$${paramCount}`;
@@ -1280,6 +1573,9 @@ router.patch('/:id',
            VALUES (?, 'jobcard.updated', 'job_card', ?, ?)`,
           [req.user.id, jobCardId, JSON.stringify(req.body)]
         );
+        if (statusChange) {
+          await recordStatusChange(jobCardId, statusChange, req.body, req.user.id);
+        }
 
         res.json(result.rows[0]);
       } else {
@@ -1307,6 +1603,9 @@ router.patch('/:id',
            VALUES ($1, 'jobcard.updated', 'job_card', $2, $3)`,
           [req.user.id, jobCardId, JSON.stringify(req.body)]
         );
+        if (statusChange) {
+          await recordStatusChange(jobCardId, statusChange, req.body, req.user.id);
+        }
 
         res.json(result.rows[0]);
       }
@@ -32,7 +32,7 @@ router.get('/',
     query('work_order_id').optional().isInt(),
     query('assignment_id').optional().isInt(),
     query('technician_id').optional().isInt(),
-    query('action_type').optional().isIn(['created', 'assigned', 'started', 'paused', 'resumed', 'completed', 'reassigned', 'cancelled']),
+    query('action_type').optional().isIn(['created', 'assigned', 'started', 'paused', 'resumed', 'auto_paused', 'completed', 'reassigned', 'cancelled']),
     query('start_date').optional().isISO8601(),
     query('end_date').optional().isISO8601(),
     query('page').optional().isInt({ min: 1 }),
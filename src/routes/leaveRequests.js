@@ -0,0 +1,441 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const {
+  LEAVE_TYPES,
+  datesInRange,
+  toDateOnly,
+  findNonLeaveExceptions,
+  createLeaveExceptions,
+  removeLeaveExceptions
+} = require('../services/scheduleExceptionService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const MAX_LEAVE_DAYS = 90;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && String(user.business_unit_id) === String(businessUnitId)) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+function isAdminRole(roleName) {
+  return ['Super Admin', 'Business Unit Admin', 'Admin'].includes(roleName);
+}
+
+function isBusinessUnitAdmin(roleName) {
+  return typeof roleName === 'string' && roleName.toLowerCase().includes('business unit admin');
+}
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'leave_requests table does not exist. Apply schema_leave_requests.sql.'
+    }
+  });
+}
+
+async function getLeaveRequest(id) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT lr.*, u.display_name as technician_name, rv.display_name as reviewed_by_name
+     FROM leave_requests lr
+     LEFT JOIN users u ON lr.technician_id = u.id
+     LEFT JOIN users rv ON lr.reviewed_by = rv.id
+     WHERE lr.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [id]
+  );
+  const row = result.rows[0];
+  if (!row) return null;
+  return {
+    ...row,
+    start_date: toDateOnly(row.start_date),
+    end_date: toDateOnly(row.end_date),
+    days: datesInRange(toDateOnly(row.start_date), toDateOnly(row.end_date)).length
+  };
+}
+
+// Another pending/approved request of the same technician covering any of the days
+async function findOverlappingRequest(technicianId, startDay, endDay, excludeId = null) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const params = [technicianId, endDay, startDay];
+  let queryText = dbType === 'mysql'
+    ? `SELECT id, status, start_date, end_date FROM leave_requests
+       WHERE technician_id = ? AND status IN ('pending', 'approved') AND start_date <= ? AND end_date >= ?`
+    : `SELECT id, status, start_date, end_date FROM leave_requests
+       WHERE technician_id = $1 AND status IN ('pending', 'approved') AND start_date <= $2 AND end_date >= $3`;
+  if (excludeId) {
+    params.push(excludeId);
+    queryText += ` AND id <> ${dbType === 'mysql' ? '?' : '$4'}`;
+  }
+  const result = await db.query(`${queryText} LIMIT 1`, params);
+  return result.rows[0] || null;
+}
+
+async function auditLeave(actorId, action, leaveRequestId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'leave_request', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'leave_request', $3, $4)`,
+    [actorId, action, String(leaveRequestId), JSON.stringify(details || {})]
+  );
+}
+
+// GET /api/v1/leave-requests?status=&technician_id=&start_date=&end_date=
+// Technicians see their own requests; BU admins see their BU; Super Admins everything.
+router.get('/',
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']),
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await tableExists('leave_requests'))) return schemaMismatch(res);
+
+      const { status, technician_id, business_unit_id, start_date, end_date } = req.query;
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const params = [];
+      const p = (val) => {
+        params.push(val);
+        return dbType === 'mysql' ? '?' : `$${params.length}`;
+      };
+
+      let queryText = `
+        SELECT lr.*, u.display_name as technician_name, rv.display_name as reviewed_by_name
+        FROM leave_requests lr
+        LEFT JOIN users u ON lr.technician_id = u.id
+        LEFT JOIN users rv ON lr.reviewed_by = rv.id
+        WHERE 1=1`;
+
+      if (!isAdminRole(req.user.roleName)) {
+        queryText += ` AND lr.technician_id = ${p(req.user.id)}`;
+      } else {
+        if (isBusinessUnitAdmin(req.user.roleName)) {
+          queryText += ` AND lr.business_unit_id = ${p(req.user.businessUnitId || 0)}`;
+        } else if (business_unit_id) {
+          queryText += ` AND lr.business_unit_id = ${p(business_unit_id)}`;
+        }
+        if (technician_id) queryText += ` AND lr.technician_id = ${p(technician_id)}`;
+      }
+      if (status) queryText += ` AND lr.status = ${p(status)}`;
+      // Requests overlapping the window
+      if (start_date) queryText += ` AND lr.end_date >= ${p(String(start_date).slice(0, 10))}`;
+      if (end_date) queryText += ` AND lr.start_date <= ${p(String(end_date).slice(0, 10))}`;
+      queryText += ' ORDER BY lr.start_date DESC, lr.id DESC LIMIT 500';
+
+      const result = await db.query(queryText, params);
+      const data = (result.rows || []).map(row => ({
+        ...row,
+        start_date: toDateOnly(row.start_date),
+        end_date: toDateOnly(row.end_date),
+        days: datesInRange(toDateOnly(row.start_date), toDateOnly(row.end_date)).length
+      }));
+      res.json({ data });
+    } catch (error) {
+      logger.error('Get leave requests error:', error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/leave-requests/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!(await tableExists('leave_requests'))) return schemaMismatch(res);
+    const leave = await getLeaveRequest(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Leave request not found' } });
+    }
+    if (String(leave.technician_id) !== String(req.user.id)) {
+      if (!isAdminRole(req.user.roleName) ||
+          (isBusinessUnitAdmin(req.user.roleName) && String(leave.business_unit_id) !== String(req.user.businessUnitId))) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+      }
+    }
+    res.json(leave);
+  } catch (error) {
+    logger.error('Get leave request error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/leave-requests
+// Body: { start_date, end_date, leave_type, reason, technician_id? (admins filing on someone's behalf) }
+router.post('/',
+  [
+    body('start_date').isISO8601().withMessage('start_date must be a date'),
+    body('end_date').isISO8601().withMessage('end_date must be a date'),
+    body('leave_type').optional().isIn(LEAVE_TYPES),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 2000 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await tableExists('leave_requests'))) return schemaMismatch(res);
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+      const technicianId = req.body.technician_id && isAdminRole(req.user.roleName)
+        ? String(req.body.technician_id)
+        : String(req.user.id);
+      const startDay = String(req.body.start_date).slice(0, 10);
+      const endDay = String(req.body.end_date).slice(0, 10);
+      const leaveType = req.body.leave_type || 'annual';
+
+      if (endDay < startDay) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'end_date must be on or after start_date' } });
+      }
+      if (datesInRange(startDay, endDay).length > MAX_LEAVE_DAYS) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `A leave request cannot exceed ${MAX_LEAVE_DAYS} days` } });
+      }
+
+      const techResult = await db.query(
+        `SELECT t.user_id, u.business_unit_id FROM technicians t JOIN users u ON t.user_id = u.id WHERE t.user_id = ${p(1)}`,
+        [technicianId]
+      );
+      if (techResult.rows.length === 0) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Technician not found' } });
+      }
+      const businessUnitId = techResult.rows[0].business_unit_id || null;
+      if (technicianId !== String(req.user.id) && !(await canManageBU(req.user.id, businessUnitId))) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Cannot file leave for technicians outside your business unit' } });
+      }
+
+      const overlap = await findOverlappingRequest(technicianId, startDay, endDay);
+      if (overlap) {
+        return res.status(409).json({
+          error: {
+            code: 'LEAVE_OVERLAP',
+            message: 'These dates overlap another pending or approved leave request',
+            details: { leave_request_id: overlap.id, status: overlap.status }
+          }
+        });
+      }
+
+      const params = [technicianId, businessUnitId, leaveType, startDay, endDay, req.body.reason || null, req.user.id];
+      let leaveId;
+      if (dbType === 'mysql') {
+        const insertResult = await db.query(
+          `INSERT INTO leave_requests (technician_id, business_unit_id, leave_type, start_date, end_date, reason, status, created_by)
+           VALUES (?, ?, ?, ?, ?, ?, 'pending', ?)`,
+          params
+        );
+        leaveId = insertResult.rows.insertId;
+      } else {
+        const insertResult = await db.query(
+          `INSERT INTO leave_requests (technician_id, business_unit_id, leave_type, start_date, end_date, reason, status, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, 'pending', $7)
+           RETURNING id`,
+          params
+        );
+        leaveId = insertResult.rows[0].id;
+      }
+
+      await auditLeave(req.user.id, 'leave_request.created', leaveId, { technician_id: technicianId, leave_type: leaveType, start_date: startDay, end_date: endDay });
+      res.status(201).json(await getLeaveRequest(leaveId));
+    } catch (error) {
+      logger.error('Create leave request error:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/leave-requests/:id/approve
+// Body: { review_notes? } - writes one day-off schedule exception per leave day.
+router.post('/:id/approve', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('leave_requests'))) return schemaMismatch(res);
+    const leave = await getLeaveRequest(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Leave request not found' } });
+    }
+    if (!(await canManageBU(req.user.id, leave.business_unit_id))) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (leave.status !== 'pending') {
+      return res.status(400).json({ error: { code: 'INVALID_STATUS', message: `Leave request is already ${leave.status}` } });
+    }
+    if (!(await tableExists('schedule_exceptions'))) {
+      return res.status(400).json({
+        error: {
+          code: 'SCHEMA_MISMATCH',
+          message: 'Database schema is missing required table/column for this operation.',
+          details: 'schedule_exceptions table does not exist'
+        }
+      });
+    }
+
+    const overlap = await findOverlappingRequest(leave.technician_id, leave.start_date, leave.end_date, leave.id);
+    if (overlap && overlap.status === 'approved') {
+      return res.status(409).json({
+        error: {
+          code: 'LEAVE_OVERLAP',
+          message: 'These dates overlap another approved leave request',
+          details: { leave_request_id: overlap.id }
+        }
+      });
+    }
+
+    const conflicts = await findNonLeaveExceptions(leave.technician_id, leave.start_date, leave.end_date);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: {
+          code: 'SCHEDULE_EXCEPTION_CONFLICT',
+          message: 'The technician already has schedule exceptions on some of these dates; remove or change them before approving',
+          details: { exception_dates: conflicts.map(row => row.exception_date) }
+        }
+      });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updateResult = await db.query(
+      dbType === 'mysql'
+        ? `UPDATE leave_requests SET status = 'approved', reviewed_by = ?, reviewed_at = ?, review_notes = ? WHERE id = ? AND status = 'pending'`
+        : `UPDATE leave_requests SET status = 'approved', reviewed_by = $1, reviewed_at = $2, review_notes = $3 WHERE id = $4 AND status = 'pending'`,
+      [req.user.id, new Date(), req.body?.review_notes || null, leave.id]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_STATUS', message: 'Leave request was already reviewed' } });
+    }
+
+    const daysWritten = await createLeaveExceptions(leave, req.user.id);
+    await auditLeave(req.user.id, 'leave_request.approved', leave.id, {
+      technician_id: leave.technician_id,
+      start_date: leave.start_date,
+      end_date: leave.end_date,
+      exception_days: daysWritten
+    });
+    res.json(await getLeaveRequest(leave.id));
+  } catch (error) {
+    logger.error('Approve leave request error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/leave-requests/:id/reject
+// Body: { review_notes }
+router.post('/:id/reject', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('leave_requests'))) return schemaMismatch(res);
+    const reviewNotes = req.body?.review_notes;
+    if (!reviewNotes || String(reviewNotes).trim().length < 3) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'review_notes is required (min 3 characters)' } });
+    }
+    const leave = await getLeaveRequest(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Leave request not found' } });
+    }
+    if (!(await canManageBU(req.user.id, leave.business_unit_id))) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (leave.status !== 'pending') {
+      return res.status(400).json({ error: { code: 'INVALID_STATUS', message: `Leave request is already ${leave.status}` } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updateResult = await db.query(
+      dbType === 'mysql'
+        ? `UPDATE leave_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = ?, review_notes = ? WHERE id = ? AND status = 'pending'`
+        : `UPDATE leave_requests SET status = 'rejected', reviewed_by = $1, reviewed_at = $2, review_notes = $3 WHERE id = $4 AND status = 'pending'`,
+      [req.user.id, new Date(), String(reviewNotes).trim(), leave.id]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_STATUS', message: 'Leave request was already reviewed' } });
+    }
+
+    await auditLeave(req.user.id, 'leave_request.rejected', leave.id, { technician_id: leave.technician_id, review_notes: String(reviewNotes).trim() });
+    res.json(await getLeaveRequest(leave.id));
+  } catch (error) {
+    logger.error('Reject leave request error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/leave-requests/:id/cancel
+// Technicians may withdraw their own pending requests; BU admins may also cancel approved
+// leave, which removes the schedule exceptions it created.
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    if (!(await tableExists('leave_requests'))) return schemaMismatch(res);
+    const leave = await getLeaveRequest(req.params.id);
+    if (!leave) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Leave request not found' } });
+    }
+
+    const isOwner = String(leave.technician_id) === String(req.user.id);
+    const canManage = await canManageBU(req.user.id, leave.business_unit_id);
+    if (!isOwner && !canManage) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (leave.status === 'approved' && !canManage) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Approved leave can only be cancelled by a business unit admin' } });
+    }
+    if (!['pending', 'approved'].includes(leave.status)) {
+      return res.status(400).json({ error: { code: 'INVALID_STATUS', message: `Leave request is already ${leave.status}` } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updateResult = await db.query(
+      dbType === 'mysql'
+        ? `UPDATE leave_requests SET status = 'cancelled', review_notes = COALESCE(?, review_notes) WHERE id = ? AND status = ?`
+        : `UPDATE leave_requests SET status = 'cancelled', review_notes = COALESCE($1, review_notes) WHERE id = $2 AND status = $3`,
+      [req.body?.reason || null, leave.id, leave.status]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_STATUS', message: 'Leave request changed while cancelling, please reload' } });
+    }
+
+    const removedDays = leave.status === 'approved' ? await removeLeaveExceptions(leave.id) : 0;
+    await auditLeave(req.user.id, 'leave_request.cancelled', leave.id, {
+      technician_id: leave.technician_id,
+      previous_status: leave.status,
+      removed_exception_days: removedDays
+    });
+    res.json(await getLeaveRequest(leave.id));
+  } catch (error) {
+    logger.error('Cancel leave request error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
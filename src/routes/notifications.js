@@ -0,0 +1,88 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate } = require('../middleware/auth');
+const { notificationsTableExists } = require('../services/notificationService');
+
+const router = express.Router();
+router.use(authenticate);
+
+// GET /api/v1/notifications?unread_only=true&limit=50
+router.get('/', async (req, res, next) => {
+  try {
+    if (!(await notificationsTableExists())) {
+      return res.json({ data: [], unread_count: 0 });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const unreadOnly = req.query.unread_only === 'true';
+
+    const result = await db.query(
+      `SELECT n.id, n.type, n.title, n.message, n.object_type, n.object_id, n.data, n.is_read, n.read_at, n.created_at,
+              u.display_name as created_by_name
+       FROM notifications n
+       LEFT JOIN users u ON n.created_by = u.id
+       WHERE n.user_id = ${p(1)}${unreadOnly ? ' AND n.is_read = false' : ''}
+       ORDER BY n.created_at DESC
+       LIMIT ${limit}`,
+      [req.user.id]
+    );
+    const countResult = await db.query(
+      `SELECT COUNT(*) as unread_count FROM notifications WHERE user_id = ${p(1)} AND is_read = false`,
+      [req.user.id]
+    );
+    res.json({
+      data: result.rows || [],
+      unread_count: parseInt(countResult.rows[0]?.unread_count, 10) || 0
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/notifications/read-all
+router.post('/read-all', async (req, res, next) => {
+  try {
+    if (!(await notificationsTableExists())) {
+      return res.json({ updated: 0 });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      dbType === 'mysql'
+        ? `UPDATE notifications SET is_read = true, read_at = NOW() WHERE user_id = ? AND is_read = false`
+        : `UPDATE notifications SET is_read = true, read_at = now() WHERE user_id = $1 AND is_read = false`,
+      [req.user.id]
+    );
+    res.json({ updated: result.rowCount || 0 });
+  } catch (error) {
+    logger.error('Mark all notifications read error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/notifications/:id/read
+router.post('/:id/read', async (req, res, next) => {
+  try {
+    if (!(await notificationsTableExists())) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Notification not found' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      dbType === 'mysql'
+        ? `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?`
+        : `UPDATE notifications SET is_read = true, read_at = COALESCE(read_at, now()) WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    if (!result.rowCount) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Notification not found' } });
+    }
+    res.json({ message: 'Notification marked as read' });
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
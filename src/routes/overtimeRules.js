@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { DEFAULT_OVERTIME_RULES, getOvertimeRules } = require('../services/overtimeService');
+
+const router = express.Router();
+router.use(authenticate);
+
+const RULE_FIELDS = Object.keys(DEFAULT_OVERTIME_RULES);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function schemaMismatch(res, tableName) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: `${tableName} table does not exist`
+    }
+  });
+}
+
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    const rules = await getOvertimeRules(userResult.rows[0].business_unit_id);
+    res.json({ data: { business_unit_id: userResult.rows[0].business_unit_id, ...rules } });
+  } catch (error) {
+    logger.error('Get my BU overtime rules error:', error);
+    next(error);
+  }
+});
+
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    const { business_unit_id } = req.params;
+    const rules = await getOvertimeRules(business_unit_id);
+    res.json({ data: { business_unit_id: parseInt(business_unit_id), ...rules } });
+  } catch (error) {
+    logger.error('Get overtime rules error:', error);
+    next(error);
+  }
+});
+
+// Create or replace the BU's rules; omitted fields keep their current (or default) value
+router.put('/:business_unit_id', requireAdmin, [
+  body('daily_threshold_minutes').optional({ nullable: true }).isInt({ min: 0, max: 1440 }),
+  body('weekly_threshold_minutes').optional({ nullable: true }).isInt({ min: 0, max: 10080 }),
+  body('week_start_day').optional().isInt({ min: 0, max: 6 }),
+  body('daily_overtime_multiplier').optional().isFloat({ min: 1, max: 10 }),
+  body('weekly_overtime_multiplier').optional().isFloat({ min: 1, max: 10 }),
+  body('rest_day_multiplier').optional().isFloat({ min: 1, max: 10 }),
+  body('holiday_multiplier').optional().isFloat({ min: 1, max: 10 }),
+  body('late_arrival_grace_minutes').optional().isInt({ min: 0, max: 240 }),
+  body('early_leave_grace_minutes').optional().isInt({ min: 0, max: 240 }),
+  body('min_overtime_minutes').optional().isInt({ min: 0, max: 480 }),
+  body('timezone').optional({ nullable: true }).isString().isLength({ max: 64 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('overtime_rules'))) return schemaMismatch(res, 'overtime_rules');
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    if (req.body.timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: req.body.timezone });
+      } catch (e) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `Unknown timezone: ${req.body.timezone}` } });
+      }
+    }
+
+    const current = await getOvertimeRules(business_unit_id);
+    const updated = { ...current };
+    for (const field of RULE_FIELDS) {
+      if (req.body[field] !== undefined) updated[field] = req.body[field];
+    }
+    const values = RULE_FIELDS.map(field => updated[field]);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    const existing = await db.query(
+      `SELECT id FROM overtime_rules WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [business_unit_id]
+    );
+    if (existing.rows.length > 0) {
+      const sets = RULE_FIELDS.map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`);
+      const n = RULE_FIELDS.length;
+      await db.query(
+        `UPDATE overtime_rules SET ${sets.join(', ')}, is_active = true, updated_by = ${dbType === 'mysql' ? '?' : `$${n + 1}`}
+         WHERE business_unit_id = ${dbType === 'mysql' ? '?' : `$${n + 2}`}`,
+        [...values, req.user.id, business_unit_id]
+      );
+    } else {
+      const columns = ['business_unit_id', ...RULE_FIELDS, 'created_by', 'updated_by'];
+      const placeholders = columns.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`));
+      await db.query(
+        `INSERT INTO overtime_rules (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`,
+        [business_unit_id, ...values, req.user.id, req.user.id]
+      );
+    }
+
+    await db.query(
+      `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+       VALUES (${dbType === 'mysql' ? '?' : '$1'}, 'overtime_rules.updated', 'business_unit', ${dbType === 'mysql' ? '?' : '$2'}, ${dbType === 'mysql' ? '?' : '$3'})`,
+      [req.user.id, String(business_unit_id), JSON.stringify({ before: current, after: updated })]
+    );
+
+    const rules = await getOvertimeRules(business_unit_id);
+    res.json({ data: { business_unit_id: parseInt(business_unit_id), ...rules } });
+  } catch (error) {
+    logger.error('Update overtime rules error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
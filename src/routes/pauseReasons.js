@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { SYSTEM_PAUSE_REASONS, listPauseReasons } = require('../services/pauseReasonService');
+
+const router = express.Router();
+router.use(authenticate);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${placeholder}`, [req.user.id]);
+    // Users outside any BU, and BUs without reasons of their own, get the global reasons
+    const businessUnitId = userResult.rows[0]?.business_unit_id || null;
+    res.json({ data: await listPauseReasons(businessUnitId) });
+  } catch (error) {
+    logger.error('Get my BU pause reasons error:', error);
+    next(error);
+  }
+});
+
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    const { business_unit_id } = req.params;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const result = await db.query(
+      `SELECT * FROM pause_reasons WHERE business_unit_id = ${placeholder} AND is_active = true ORDER BY display_order ASC`,
+      [business_unit_id]
+    );
+    res.json({ data: result.rows || [] });
+  } catch (error) {
+    logger.error('Get pause reasons error:', error);
+    next(error);
+  }
+});
+
+router.post('/:business_unit_id', requireAdmin, [
+  body('reason_code').trim().notEmpty().matches(/^[A-Z0-9_]+$/),
+  body('reason_name').trim().notEmpty(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    const { business_unit_id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const { reason_code, reason_name, description, color = '#6c757d', display_order = 0 } = req.body;
+    if (Object.values(SYSTEM_PAUSE_REASONS).some(r => r.code === reason_code)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `${reason_code} is reserved for system pauses` } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    const checkPlaceholder = dbType === 'mysql' ? '?' : '$1';
+    const existing = await db.query(
+      `SELECT id FROM pause_reasons WHERE business_unit_id = ${checkPlaceholder} AND reason_code = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [business_unit_id, reason_code]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ error: { code: 'RESOURCE_CONFLICT', message: 'Pause reason with this code already exists' } });
+    }
+
+    let result;
+    if (dbType === 'mysql') {
+      await db.query(
+        `INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [business_unit_id, reason_code, reason_name, description || null, color, display_order, req.user.id]
+      );
+      result = await db.query(`SELECT * FROM pause_reasons WHERE business_unit_id = ? AND reason_code = ?`, [business_unit_id, reason_code]);
+    } else {
+      result = await db.query(
+        `INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [business_unit_id, reason_code, reason_name, description || null, color, display_order, req.user.id]
+      );
+    }
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    logger.error('Create pause reason error:', error);
+    next(error);
+  }
+});
+
+router.patch('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const { reason_name, description, color, display_order } = req.body;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updates = [];
+    const params = [];
+    let paramCount = 0;
+
+    if (reason_name !== undefined) { paramCount++; updates.push(`reason_name = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(reason_name); }
+    if (description !== undefined) { paramCount++; updates.push(`description = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(description); }
+    if (color !== undefined) { paramCount++; updates.push(`color = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(color); }
+    if (display_order !== undefined) { paramCount++; updates.push(`display_order = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(display_order); }
+    if (updates.length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    paramCount++;
+    params.push(id);
+    paramCount++;
+    params.push(business_unit_id);
+
+    if (dbType === 'mysql') {
+      await db.query(`UPDATE pause_reasons SET ${updates.join(', ')} WHERE id = ? AND business_unit_id = ?`, params);
+      const result = await db.query(`SELECT * FROM pause_reasons WHERE id = ?`, [id]);
+      res.json(result.rows[0]);
+    } else {
+      const result = await db.query(
+        `UPDATE pause_reasons SET ${updates.join(', ')} WHERE id = $${paramCount - 1} AND business_unit_id = $${paramCount} RETURNING *`,
+        params
+      );
+      res.json(result.rows[0]);
+    }
+  } catch (error) {
+    logger.error('Update pause reason error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: recorded pauses keep referencing the reason
+router.delete('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const { business_unit_id, id } = req.params;
+    const hasPermission = await canManageBU(req.user.id, parseInt(business_unit_id));
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE pause_reasons SET is_active = false WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND business_unit_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [id, business_unit_id]
+    );
+    res.json({ message: 'Pause reason deleted successfully' });
+  } catch (error) {
+    logger.error('Delete pause reason error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
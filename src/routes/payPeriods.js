@@ -0,0 +1,272 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { toDateOnly } = require('../services/scheduleExceptionService');
+
+const router = express.Router();
+router.use(authenticate);
+
+async function canManageBU(userId, businessUnitId) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const userResult = await db.query(
+      `SELECT u.id, r.name as role_name, u.business_unit_id FROM users u JOIN roles r ON u.role_id = r.id WHERE u.id = ${placeholder}`,
+      [userId]
+    );
+    if (userResult.rows.length === 0) return false;
+    const user = userResult.rows[0];
+    if (user.role_name === 'Super Admin') return true;
+    if (user.role_name === 'Business Unit Admin' && user.business_unit_id === businessUnitId) return true;
+    return false;
+  } catch (error) { return false; }
+}
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'pay_periods table does not exist. Apply schema_pay_periods.sql.'
+    }
+  });
+}
+
+function formatPeriod(row) {
+  return { ...row, period_start: toDateOnly(row.period_start), period_end: toDateOnly(row.period_end) };
+}
+
+async function listPeriods(businessUnitId, { status, year } = {}) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const params = [];
+  const p = (val) => {
+    params.push(val);
+    return dbType === 'mysql' ? '?' : `$${params.length}`;
+  };
+  let queryText = `
+    SELECT pp.*, cu.display_name as closed_by_name, ru.display_name as reopened_by_name
+    FROM pay_periods pp
+    LEFT JOIN users cu ON pp.closed_by = cu.id
+    LEFT JOIN users ru ON pp.reopened_by = ru.id
+    WHERE pp.business_unit_id = ${p(businessUnitId)}`;
+  if (status) queryText += ` AND pp.status = ${p(status)}`;
+  if (year && /^\d{4}$/.test(String(year))) {
+    queryText += ` AND pp.period_end >= ${p(`${year}-01-01`)} AND pp.period_start <= ${p(`${year}-12-31`)}`;
+  }
+  queryText += ' ORDER BY pp.period_start DESC';
+  const result = await db.query(queryText, params);
+  return (result.rows || []).map(formatPeriod);
+}
+
+async function loadPeriod(businessUnitId, periodId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT * FROM pay_periods WHERE id = ${p(1)} AND business_unit_id = ${p(2)}`,
+    [periodId, businessUnitId]
+  );
+  return result.rows[0] || null;
+}
+
+async function auditPeriod(actorId, action, periodId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'pay_period', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'pay_period', $3, $4)`,
+    [actorId, action, String(periodId), JSON.stringify(details)]
+  );
+}
+
+// GET /api/v1/pay-periods/my-bu?status=closed&year=2026
+router.get('/my-bu', async (req, res, next) => {
+  try {
+    if (!(await tableExists('pay_periods'))) return schemaMismatch(res);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [req.user.id]);
+    if (userResult.rows.length === 0 || !userResult.rows[0].business_unit_id) {
+      return res.status(400).json({ error: { code: 'NO_BUSINESS_UNIT', message: 'User is not assigned to a business unit' } });
+    }
+    res.json({ data: await listPeriods(userResult.rows[0].business_unit_id, req.query) });
+  } catch (error) {
+    logger.error('Get my BU pay periods error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/pay-periods/:business_unit_id?status=closed&year=2026
+router.get('/:business_unit_id', async (req, res, next) => {
+  try {
+    if (!(await tableExists('pay_periods'))) return schemaMismatch(res);
+    res.json({ data: await listPeriods(req.params.business_unit_id, req.query) });
+  } catch (error) {
+    logger.error('Get business unit pay periods error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/pay-periods/:business_unit_id
+// Body: { period_start, period_end } - opens a new period; periods of a BU never overlap
+router.post('/:business_unit_id', requireAdmin, [
+  body('period_start').isISO8601(),
+  body('period_end').isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await tableExists('pay_periods'))) return schemaMismatch(res);
+    const businessUnitId = parseInt(req.params.business_unit_id);
+    const hasPermission = await canManageBU(req.user.id, businessUnitId);
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+
+    const periodStart = String(req.body.period_start).slice(0, 10);
+    const periodEnd = String(req.body.period_end).slice(0, 10);
+    if (periodEnd < periodStart) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'period_end must be on or after period_start' } });
+    }
+    if ((new Date(`${periodEnd}T00:00:00Z`) - new Date(`${periodStart}T00:00:00Z`)) / 86400000 > 92) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A pay period cannot exceed 93 days' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const overlap = await db.query(
+      `SELECT id, period_start, period_end FROM pay_periods
+       WHERE business_unit_id = ${p(1)} AND period_start <= ${p(2)} AND period_end >= ${p(3)} LIMIT 1`,
+      [businessUnitId, periodEnd, periodStart]
+    );
+    if (overlap.rows.length > 0) {
+      return res.status(409).json({
+        error: {
+          code: 'PERIOD_OVERLAP',
+          message: 'This range overlaps an existing pay period',
+          details: formatPeriod(overlap.rows[0])
+        }
+      });
+    }
+
+    let periodId;
+    if (dbType === 'mysql') {
+      const insertResult = await db.query(
+        `INSERT INTO pay_periods (business_unit_id, period_start, period_end, status, opened_by) VALUES (?, ?, ?, 'open', ?)`,
+        [businessUnitId, periodStart, periodEnd, req.user.id]
+      );
+      periodId = insertResult.rows.insertId;
+    } else {
+      const insertResult = await db.query(
+        `INSERT INTO pay_periods (business_unit_id, period_start, period_end, status, opened_by) VALUES ($1, $2, $3, 'open', $4) RETURNING id`,
+        [businessUnitId, periodStart, periodEnd, req.user.id]
+      );
+      periodId = insertResult.rows[0].id;
+    }
+
+    await auditPeriod(req.user.id, 'pay_period.opened', periodId, { business_unit_id: businessUnitId, period_start: periodStart, period_end: periodEnd });
+    res.status(201).json({ data: formatPeriod(await loadPeriod(businessUnitId, periodId)) });
+  } catch (error) {
+    logger.error('Open pay period error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/pay-periods/:business_unit_id/:id/close
+// Freezes shifts and time logs dated inside the period. Only finished periods can be closed.
+router.post('/:business_unit_id/:id/close', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('pay_periods'))) return schemaMismatch(res);
+    const businessUnitId = parseInt(req.params.business_unit_id);
+    const hasPermission = await canManageBU(req.user.id, businessUnitId);
+    if (!hasPermission) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    const period = await loadPeriod(businessUnitId, req.params.id);
+    if (!period) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Pay period not found' } });
+    }
+    if (toDateOnly(period.period_end) >= toDateOnly(new Date())) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A pay period can only be closed after its last day' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const updateResult = await db.query(
+      `UPDATE pay_periods SET status = 'closed', closed_by = ${p(1)}, closed_at = ${p(2)}
+       WHERE id = ${p(3)} AND status = 'open'`,
+      [req.user.id, new Date(), period.id]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_STATUS', message: 'Pay period is already closed' } });
+    }
+
+    await auditPeriod(req.user.id, 'pay_period.closed', period.id, {
+      business_unit_id: businessUnitId,
+      period_start: toDateOnly(period.period_start),
+      period_end: toDateOnly(period.period_end)
+    });
+    res.json({ data: formatPeriod(await loadPeriod(businessUnitId, period.id)) });
+  } catch (error) {
+    logger.error('Close pay period error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/pay-periods/:business_unit_id/:id/reopen
+// Body: { reason } - Super Admin only
+router.post('/:business_unit_id/:id/reopen', requireSuperAdmin, [
+  body('reason').trim().isLength({ min: 3, max: 1000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'reason is required (min 3 characters)', details: errors.array() } });
+    }
+    if (!(await tableExists('pay_periods'))) return schemaMismatch(res);
+    const businessUnitId = parseInt(req.params.business_unit_id);
+    const period = await loadPeriod(businessUnitId, req.params.id);
+    if (!period) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Pay period not found' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const updateResult = await db.query(
+      `UPDATE pay_periods SET status = 'open', reopened_by = ${p(1)}, reopened_at = ${p(2)}, reopen_reason = ${p(3)}
+       WHERE id = ${p(4)} AND status = 'closed'`,
+      [req.user.id, new Date(), req.body.reason, period.id]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_STATUS', message: 'Pay period is not closed' } });
+    }
+
+    await auditPeriod(req.user.id, 'pay_period.reopened', period.id, {
+      business_unit_id: businessUnitId,
+      period_start: toDateOnly(period.period_start),
+      period_end: toDateOnly(period.period_end),
+      reason: req.body.reason
+    });
+    res.json({ data: formatPeriod(await loadPeriod(businessUnitId, period.id)) });
+  } catch (error) {
+    logger.error('Reopen pay period error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,29 @@ const { authenticate, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 router.use(authenticate);
 
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : result.rows[0].exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// sla_target_hours: working hours to deliver at this priority (schema_job_card_sla.sql); null/'' clears it
+function parseSlaTargetHours(value) {
+  if (value === null || value === '') return { hours: null };
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 9999) {
+    return { error: 'sla_target_hours must be a positive number of working hours' };
+  }
+  return { hours };
+}
+
 async function canManageBU(userId, businessUnitId) {
   try {
     const dbType = process.env.DB_TYPE || 'postgresql';
@@ -73,9 +96,18 @@ router.post('/:business_unit_id', requireAdmin, [
     if (!hasPermission) {
       return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
     }
-    const { priority_value, priority_name, description, color = '#ffc107', badge_style = 'warning', display_order = 0 } = req.body;
+    const { priority_value, priority_name, description, color = '#ffc107', badge_style = 'warning', display_order = 0, sla_target_hours } = req.body;
     const dbType = process.env.DB_TYPE || 'postgresql';
 
+    let slaTarget = null;
+    if (sla_target_hours !== undefined) {
+      slaTarget = parseSlaTargetHours(sla_target_hours);
+      if (slaTarget.error) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: slaTarget.error } });
+      }
+      if (!(await columnExists('priority_levels', 'sla_target_hours'))) slaTarget = null;
+    }
+
     const checkPlaceholder = dbType === 'mysql' ? '?' : '$1';
     const existing = await db.query(
       `SELECT id FROM priority_levels WHERE business_unit_id = ${checkPlaceholder} AND priority_value = ${dbType === 'mysql' ? '?' : '$2'}`,
@@ -92,6 +124,9 @@ router.post('/:business_unit_id', requireAdmin, [
          VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
         [business_unit_id, priority_value, priority_name, description || null, color, badge_style, display_order, req.user.id]
       );
+      if (slaTarget) {
+        await db.query(`UPDATE priority_levels SET sla_target_hours = ? WHERE business_unit_id = ? AND priority_value = ?`, [slaTarget.hours, business_unit_id, priority_value]);
+      }
       result = await db.query(`SELECT * FROM priority_levels WHERE business_unit_id = ? AND priority_value = ?`, [business_unit_id, priority_value]);
     } else {
       result = await db.query(
@@ -99,6 +134,9 @@ router.post('/:business_unit_id', requireAdmin, [
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
         [business_unit_id, priority_value, priority_name, description || null, color, badge_style, display_order, req.user.id]
       );
+      if (slaTarget) {
+        result = await db.query(`UPDATE priority_levels SET sla_target_hours = $1 WHERE id = $2 RETURNING *`, [slaTarget.hours, result.rows[0].id]);
+      }
     }
     res.status(201).json(result.rows[0]);
   } catch (error) {
@@ -114,7 +152,7 @@ router.patch('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
     if (!hasPermission) {
       return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
     }
-    const { priority_name, description, color, badge_style, display_order } = req.body;
+    const { priority_name, description, color, badge_style, display_order, sla_target_hours } = req.body;
     const dbType = process.env.DB_TYPE || 'postgresql';
     const updates = [];
     const params = [];
@@ -125,6 +163,13 @@ router.patch('/:business_unit_id/:id', requireAdmin, async (req, res, next) => {
     if (color !== undefined) { paramCount++; updates.push(`color = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(color); }
     if (badge_style !== undefined) { paramCount++; updates.push(`badge_style = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(badge_style); }
     if (display_order !== undefined) { paramCount++; updates.push(`display_order = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(display_order); }
+    if (sla_target_hours !== undefined && await columnExists('priority_levels', 'sla_target_hours')) {
+      const slaTarget = parseSlaTargetHours(sla_target_hours);
+      if (slaTarget.error) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: slaTarget.error } });
+      }
+      paramCount++; updates.push(`sla_target_hours = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`); params.push(slaTarget.hours);
+    }
     if (updates.length === 0) {
       return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
     }
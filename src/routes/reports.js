@@ -4,18 +4,174 @@ const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate } = require('../middleware/auth');
 const { isFieldVisible } = require('../utils/fieldVisibility');
+const { toDateOnly } = require('../services/scheduleExceptionService');
+const { getTechnicianHolidayDates } = require('../services/holidayService');
+const { getEffectiveBranding } = require('../services/brandingService');
+const { renderReportPdf, sendPdf } = require('../services/pdfService');
+const { EXPORT_FORMATS, getExportOptions, streamReportExport } = require('../services/reportExportService');
+const { RowStream } = require('../services/reportTableService');
+const { closedCondition } = require('../services/slaService');
+const { getSetting } = require('../utils/settings');
+const { safeTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
+const REPORT_TITLES = {
+  'jobcard-times': 'Job Card Times',
+  'comprehensive': 'Comprehensive Report',
+  'asset-utilization': 'Asset Utilization',
+  'parts-consumption': 'Parts Consumption',
+  'technician-performance': 'Technician Performance',
+  'work-order-efficiency': 'Work Order Efficiency',
+  'sla-compliance': 'SLA Compliance',
+  'location-workload': 'Location Workload',
+  'assets-inventory': 'Assets Inventory',
+  'parts-inventory': 'Parts Inventory',
+  'cross-bu-comparison': 'Cross Business Unit Comparison',
+  'technician-efficiency': 'Technician Efficiency',
+  'blocked-time': 'Blocked Time',
+  'task-efficiency': 'Task Efficiency'
+};
+
+// Report columns that hold numbers. The drivers return DECIMAL and BIGINT values as strings, so CSV
+// and XLSX exports convert these columns (and only these: codes and phone numbers stay text).
+const NUMERIC_COLUMNS = new Set([
+  'active_jobs', 'active_technicians', 'actual_hours', 'actual_minutes',
+  'actual_minutes_with_estimate', 'advisor_count', 'allocated_seconds', 'asset_count',
+  'average_hours_per_job', 'avg_actual_hours', 'avg_actual_minutes', 'avg_efficiency',
+  'avg_estimated_hours', 'avg_estimated_minutes', 'avg_hours_per_job', 'avg_hours_per_technician',
+  'avg_job_efficiency', 'avg_overrun_hours', 'avg_productivity', 'avg_revenue_efficiency',
+  'avg_unit_cost', 'avg_utilization', 'best_efficiency', 'blocked_hours', 'breach_events',
+  'comeback_jobs', 'completed_count', 'completed_job_cards', 'completed_jobs',
+  'completed_work_orders', 'cost', 'duration_hours', 'duration_seconds', 'efficiency',
+  'efficiency_percent', 'estimated_hours', 'estimated_hours_completed',
+  'estimated_hours_incomplete', 'estimated_hours_total', 'estimated_minutes',
+  'estimated_minutes_with_time', 'event_count', 'hours', 'in_progress_job_cards',
+  'in_progress_jobs', 'incomplete_count', 'incomplete_job_cards', 'indirect_hours',
+  'indirect_percent', 'job_efficiency_percent', 'logged_seconds', 'missing_estimate_technicians',
+  'open_at_risk', 'open_breached', 'open_job_cards', 'open_jobs', 'overall_efficiency',
+  'overrun_hours', 'parts_count', 'parts_total_cost', 'parts_value', 'pause_count',
+  'planned_hours', 'productive_hours', 'productive_percent', 'productivity_percent',
+  'promise_compliance_percent', 'promised_jobs', 'promised_late', 'promised_on_time', 'quantity',
+  'quantity_in_stock', 'reorder_point', 'repeat_jobs', 'revenue_efficiency_percent', 'rework_jobs',
+  'scheduled_days_off', 'scheduled_holidays', 'service_tools_count', 'sla_breached',
+  'sla_compliance_percent', 'sla_jobs', 'sla_met', 'sla_target_hours', 'tasks_with_estimate',
+  'tasks_without_time', 'technician_count', 'time_log_count', 'total_actual_hours',
+  'total_actual_minutes', 'total_asset_value', 'total_assets', 'total_billed_hours',
+  'total_blocked_hours', 'total_business_units', 'total_combined_value', 'total_completed',
+  'total_completed_jobs', 'total_cost', 'total_cost_used', 'total_estimated_hours',
+  'total_estimated_minutes', 'total_hours', 'total_hours_used', 'total_incomplete',
+  'total_indirect_hours', 'total_inventory_value', 'total_job_cards', 'total_jobs',
+  'total_locations', 'total_parts', 'total_parts_used', 'total_parts_value', 'total_pauses',
+  'total_productive_hours', 'total_quantity', 'total_quantity_used', 'total_seconds',
+  'total_shift_hours', 'total_shift_hours_actual', 'total_shift_hours_planned', 'total_tasks',
+  'total_technicians', 'total_unaccounted_hours', 'total_used', 'total_used_cost',
+  'total_used_value', 'total_users', 'total_value', 'total_work_orders', 'total_worked_hours',
+  'unaccounted_hours', 'unaccounted_percent', 'unit_cost', 'utilization_percent', 'vehicles_count',
+  'work_orders_count', 'worked_hours_completed_only', 'worst_efficiency'
+]);
+
 // All routes require authentication
 router.use(authenticate);
 
+// ?format=pdf|csv|xlsx on any report: the handler builds its JSON payload as usual and it is sent
+// as a branded PDF or a CSV/XLSX download instead. Error responses stay JSON. For CSV/XLSX a handler
+// may pass a table as a RowStream (see /jobcard-times) so its rows are never all in memory.
+router.use(async (req, res, next) => {
+  const format = req.query.format;
+  if (format !== 'pdf' && !EXPORT_FORMATS.includes(format)) return next();
+  try {
+    const exportOptions = await getExportOptions(req.query);
+    if (exportOptions.error) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: exportOptions.error } });
+    }
+    const sendJson = res.json.bind(res);
+    res.json = (payload) => {
+      if (res.statusCode >= 400) return sendJson(payload);
+      const reportKey = req.path.replace(/^\/+|\/+$/g, '') || 'report';
+      const title = REPORT_TITLES[reportKey] || reportKey;
+      const filename = `${reportKey}-${new Date().toISOString().slice(0, 10)}`;
+      (async () => {
+        if (format === 'pdf') {
+          const branding = await getEffectiveBranding(req.user.businessUnitId);
+          const pdf = await renderReportPdf({ title, payload, filters: req.query, branding, timeZone: exportOptions.timeZone });
+          sendPdf(res, pdf, `${filename}.pdf`);
+        } else {
+          await streamReportExport(res, {
+            format, title, payload, filters: req.query, filename, numericColumns: NUMERIC_COLUMNS, ...exportOptions
+          });
+        }
+      })().catch((error) => {
+        logger.error(`Export report ${format} error:`, error);
+        // Part of the file is already out; cut the download short rather than append JSON to it
+        if (res.headersSent) return res.destroy(error);
+        next(error);
+      });
+      return res;
+    };
+    next();
+  } catch (error) {
+    logger.error('Report export options error:', error);
+    next(error);
+  }
+});
+
+const JOBCARD_TIME_SELECT = `
+  DATE(tl.start_ts) as date,
+  jc.id as job_card_id,
+  jc.job_number,
+  jc.customer_name,
+  jc.work_type,
+  jc.status as job_card_status,
+  jc.priority,
+  jc.estimated_hours,
+  u.id as technician_id,
+  u.display_name as technician_name,
+  t.employee_code,
+  tl.start_ts as start_time,
+  tl.end_ts as end_time,
+  tl.duration_seconds / 3600.0 as duration_hours,
+  tl.duration_seconds,
+  tl.notes,
+  tl.status as time_log_status`;
+const JOBCARD_TIME_COLUMNS = [
+  'date', 'job_card_id', 'job_number', 'customer_name', 'work_type', 'job_card_status', 'priority', 'estimated_hours',
+  'technician_id', 'technician_name', 'employee_code', 'start_time', 'end_time', 'duration_hours', 'duration_seconds',
+  'notes', 'time_log_status'
+];
+const EXPORT_BATCH_SIZE = 1000;
+
+// Rows of /jobcard-times in report order, EXPORT_BATCH_SIZE at a time (keyset paging on start_ts, id)
+async function* jobCardTimeBatches(fromWhere, params) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  let last = null;
+  for (;;) {
+    const batchParams = [...params];
+    const p = (val) => {
+      batchParams.push(val);
+      return dbType === 'mysql' ? '?' : `$${batchParams.length}`;
+    };
+    const after = last
+      ? ` AND (tl.start_ts < ${p(last.start_time)} OR (tl.start_ts = ${p(last.start_time)} AND tl.id < ${p(last.time_log_id)}))`
+      : '';
+    const result = await db.query(
+      `SELECT ${JOBCARD_TIME_SELECT}, tl.id as time_log_id ${fromWhere}${after}
+       ORDER BY tl.start_ts DESC, tl.id DESC LIMIT ${EXPORT_BATCH_SIZE}`,
+      batchParams
+    );
+    const rows = result.rows || [];
+    if (rows.length > 0) yield rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+    last = rows[rows.length - 1];
+  }
+}
+
 // GET /api/v1/reports/jobcard-times
 router.get('/jobcard-times',
   [
     query('from').isISO8601().toDate(),
     query('to').isISO8601().toDate(),
-    query('format').optional().isIn(['json', 'csv', 'pdf'])
+    query('format').optional().isIn(['json', 'csv', 'xlsx', 'pdf'])
   ],
   async (req, res, next) => {
     try {
@@ -30,54 +186,62 @@ router.get('/jobcard-times',
         });
       }
 
-      const { from, to, technician_id, job_card_id, format = 'json' } = req.query;
+      const { from, to, technician_id, job_card_id } = req.query;
+      const fromDate = new Date(from);
+      const toDate = new Date(to);
       const dbType = process.env.DB_TYPE || 'postgresql';
 
-      let queryText = `
-        SELECT 
-          ${dbType === 'mysql' ? 'DATE(tl.start_ts)' : 'DATE(tl.start_ts)'} as date,
-          jc.id as job_card_id,
-          jc.job_number,
-          jc.customer_name,
-          jc.work_type,
-          jc.status as job_card_status,
-          jc.priority,
-          jc.estimated_hours,
-          u.id as technician_id,
-          u.display_name as technician_name,
-          t.employee_code,
-          tl.start_ts as start_time,
-          tl.end_ts as end_time,
-          tl.duration_seconds / 3600.0 as duration_hours,
-          tl.duration_seconds,
-          tl.notes,
-          tl.status as time_log_status
+      const params = [];
+      const p = (val) => {
+        params.push(val);
+        return dbType === 'mysql' ? '?' : `$${params.length}`;
+      };
+      let fromWhere = `
         FROM time_logs tl
         JOIN job_cards jc ON tl.job_card_id = jc.id
         JOIN technicians t ON tl.technician_id = t.user_id
         JOIN users u ON t.user_id = u.id
         WHERE tl.status = 'finished'
-          AND tl.start_ts >= ${dbType === 'mysql' ? '?' : '$1'}
-          AND tl.start_ts <= ${dbType === 'mysql' ? '?' : '$2'}
+          AND tl.start_ts >= ${p(fromDate.toISOString())}
+          AND tl.start_ts <= ${p(toDate.toISOString())}
       `;
-      const params = [fromDate.toISOString(), toDate.toISOString()];
-      let paramCount = 2;
-
       if (technician_id) {
-        paramCount++;
-        queryText += ` AND tl.technician_id = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`;
-        params.push(technician_id);
+        fromWhere += ` AND tl.technician_id = ${p(technician_id)}`;
       }
-
       if (job_card_id) {
-        paramCount++;
-        queryText += ` AND tl.job_card_id = ${dbType === 'mysql' ? '?' : `$${paramCount}`}`;
-        params.push(job_card_id);
+        fromWhere += ` AND tl.job_card_id = ${p(job_card_id)}`;
       }
 
-      queryText += ' ORDER BY tl.start_ts DESC';
+      const report = {
+        from: fromDate.toISOString(),
+        to: toDate.toISOString(),
+        generated_at: new Date().toISOString()
+      };
+
+      // CSV/XLSX of a long range: totals come from SQL and the rows go to the file batch by batch
+      if (EXPORT_FORMATS.includes(req.query.format)) {
+        const totalsResult = await db.query(
+          `SELECT COALESCE(SUM(tl.duration_seconds), 0) / 3600.0 as total_hours, COUNT(DISTINCT jc.job_number) as total_job_cards
+           ${fromWhere}`,
+          params
+        );
+        const totalHours = parseFloat(totalsResult.rows[0]?.total_hours || 0);
+        const totalJobCards = parseInt(totalsResult.rows[0]?.total_job_cards || 0, 10);
+        return res.json({
+          report,
+          data: new RowStream(JOBCARD_TIME_COLUMNS, jobCardTimeBatches(fromWhere, params)),
+          summary: {
+            total_hours: totalHours,
+            total_job_cards: totalJobCards,
+            average_hours_per_job: totalJobCards > 0 ? totalHours / totalJobCards : 0
+          }
+        });
+      }
 
-      const result = await db.query(queryText, params);
+      const result = await db.query(
+        `SELECT ${JOBCARD_TIME_SELECT} ${fromWhere} ORDER BY tl.start_ts DESC, tl.id DESC`,
+        params
+      );
 
       // Calculate summary
       const summary = {
@@ -90,38 +254,13 @@ router.get('/jobcard-times',
         : 0;
 
       const reportData = {
-        report: {
-          from: fromDate.toISOString(),
-          to: toDate.toISOString(),
-          generated_at: new Date().toISOString()
-        },
+        report,
         data: result.rows,
         summary
       };
 
-      if (format === 'json') {
-        res.json(reportData);
-      } else if (format === 'csv') {
-        // TODO: Generate CSV
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="jobcard-times-${from}-${to}.csv"`);
-        // Simple CSV generation
-        const csv = [
-          'Date,Job Card Number,Technician,Start Time,End Time,Duration (Hours),Notes,Status',
-          ...result.rows.map(row => 
-            `${row.date},${row.job_number},${row.technician_name},${row.start_time},${row.end_time},${row.duration_hours},${row.notes || ''},${row.status}`
-          ).join('\n')
-        ].join('\n');
-        res.send(csv);
-      } else if (format === 'pdf') {
-        // TODO: Generate PDF
-        res.status(501).json({
-          error: {
-            code: 'NOT_IMPLEMENTED',
-            message: 'PDF export not yet implemented'
-          }
-        });
-      }
+      // pdf is produced from this payload by the export middleware
+      res.json(reportData);
     } catch (error) {
       logger.error('Generate report error:', error);
       next(error);
@@ -1345,6 +1484,240 @@ router.get('/work-order-efficiency',
   }
 );
 
+// GET /api/v1/reports/sla-compliance
+// Delivery against SLA due times and promised times per business unit and priority: jobs completed
+// in the range, met vs breached, breach flags raised by the SLA monitor in the range, and open jobs
+// flagged now. Priority names and targets come from each job card's own BU.
+router.get('/sla-compliance',
+  [
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601(),
+    query('business_unit_id').optional().isInt(),
+    query('priority').optional().isInt({ min: 1, max: 5 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      let { start_date, end_date, business_unit_id, priority } = req.query;
+      const dbType = process.env.DB_TYPE || 'postgresql';
+
+      // ENFORCE business unit filtering for non-Super Admin users
+      const userResult = await db.query(
+        `SELECT u.business_unit_id, r.name as role_name
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         WHERE u.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [req.user.id]
+      );
+      if (userResult.rows.length > 0) {
+        const userRole = userResult.rows[0].role_name;
+        const userBusinessUnitId = userResult.rows[0].business_unit_id;
+        if (userRole && userRole.toLowerCase() !== 'super admin' && userBusinessUnitId) {
+          business_unit_id = userBusinessUnitId;
+        }
+      }
+
+      const rangeStart = start_date ? new Date(start_date) : new Date(0);
+      const rangeEnd = end_date ? new Date(end_date) : new Date();
+      if (end_date && String(end_date).length <= 10) {
+        rangeEnd.setUTCHours(23, 59, 59, 999);
+      }
+      const report = {
+        from: start_date ? rangeStart.toISOString() : null,
+        to: rangeEnd.toISOString(),
+        generated_at: new Date().toISOString()
+      };
+
+      const emptySummary = {
+        completed_jobs: 0,
+        sla_jobs: 0,
+        sla_met: 0,
+        sla_breached: 0,
+        sla_compliance_percent: null,
+        promised_jobs: 0,
+        promised_on_time: 0,
+        promised_late: 0,
+        promise_compliance_percent: null,
+        breach_events: 0,
+        open_at_risk: 0,
+        open_breached: 0
+      };
+      if (!(await columnExists('job_cards', 'sla_due_at'))) {
+        return res.json({ report, data: [], summary: emptySummary });
+      }
+
+      const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+      const buColumn = hasJobCardsBU ? 'jc.business_unit_id' : 'NULL as business_unit_id';
+      const scopeFilter = (p) => {
+        let sql = '';
+        if (business_unit_id && hasJobCardsBU) sql += ` AND jc.business_unit_id = ${p(business_unit_id)}`;
+        if (priority) sql += ` AND jc.priority = ${p(parseInt(priority, 10))}`;
+        return sql;
+      };
+      const newParams = () => {
+        const params = [];
+        const p = (val) => {
+          params.push(val);
+          return dbType === 'mysql' ? '?' : `$${params.length}`;
+        };
+        return { params, p };
+      };
+
+      const closed = newParams();
+      const closedResult = await db.query(
+        `SELECT jc.id, ${buColumn}, jc.priority, jc.completed_at, jc.sla_due_at, jc.promised_at
+         FROM job_cards jc
+         WHERE jc.completed_at IS NOT NULL
+           AND jc.status <> 'cancelled'
+           AND jc.completed_at >= ${closed.p(rangeStart)}
+           AND jc.completed_at <= ${closed.p(rangeEnd)}
+           ${scopeFilter(closed.p)}`,
+        closed.params
+      );
+
+      // Same closed test as the SLA monitor, so cards closed through a BU status are not open
+      const closedStatus = closedCondition(hasJobCardsBU && await tableExists('job_card_statuses'));
+      const open = newParams();
+      const openResult = await db.query(
+        `SELECT ${buColumn}, jc.priority, jc.sla_status, jc.promise_status
+         FROM job_cards jc
+         WHERE jc.completed_at IS NULL
+           AND NOT ${closedStatus}
+           AND (jc.sla_status IN ('at_risk', 'breached') OR jc.promise_status IN ('at_risk', 'breached'))
+           ${scopeFilter(open.p)}`,
+        open.params
+      );
+
+      let eventRows = [];
+      if (await tableExists('job_card_sla_events')) {
+        const events = newParams();
+        const eventsResult = await db.query(
+          `SELECT ${buColumn}, e.priority, e.deadline_type, COUNT(*) as event_count
+           FROM job_card_sla_events e
+           JOIN job_cards jc ON e.job_card_id = jc.id
+           WHERE e.event_type = 'breached'
+             AND e.detected_at >= ${events.p(rangeStart)}
+             AND e.detected_at <= ${events.p(rangeEnd)}
+             ${scopeFilter(events.p)}
+           GROUP BY ${hasJobCardsBU ? 'jc.business_unit_id, ' : ''}e.priority, e.deadline_type`,
+          events.params
+        );
+        eventRows = eventsResult.rows || [];
+      }
+
+      const levels = newParams();
+      const levelsResult = await db.query(
+        `SELECT business_unit_id, priority_value, priority_name, sla_target_hours FROM priority_levels
+         WHERE is_active = true${business_unit_id ? ` AND business_unit_id = ${levels.p(business_unit_id)}` : ''}
+         ORDER BY priority_value ASC`,
+        levels.params
+      );
+
+      // Without a job_cards.business_unit_id column the only BU known is the one the report is scoped to
+      const byBuPriority = new Map();
+      const rowFor = (job) => {
+        const buId = job.business_unit_id != null ? String(job.business_unit_id) : (business_unit_id ? String(business_unit_id) : null);
+        const priorityValue = job.priority != null ? parseInt(job.priority, 10) : null;
+        const key = `${buId}:${priorityValue}`;
+        if (!byBuPriority.has(key)) {
+          const level = buId === null ? null : (levelsResult.rows || []).find(l =>
+            String(l.business_unit_id) === buId && parseInt(l.priority_value, 10) === priorityValue
+          );
+          byBuPriority.set(key, {
+            business_unit_id: buId,
+            priority: priorityValue,
+            priority_name: level ? level.priority_name : null,
+            sla_target_hours: level && level.sla_target_hours != null ? parseFloat(level.sla_target_hours) : null,
+            completed_jobs: 0,
+            sla_jobs: 0,
+            sla_met: 0,
+            sla_breached: 0,
+            overrun_hours: 0,
+            promised_jobs: 0,
+            promised_on_time: 0,
+            promised_late: 0,
+            breach_events: 0,
+            open_at_risk: 0,
+            open_breached: 0
+          });
+        }
+        return byBuPriority.get(key);
+      };
+
+      for (const job of closedResult.rows || []) {
+        const row = rowFor(job);
+        const completedAt = new Date(job.completed_at);
+        row.completed_jobs += 1;
+        if (job.sla_due_at) {
+          row.sla_jobs += 1;
+          const lateMs = completedAt - new Date(job.sla_due_at);
+          if (lateMs > 0) {
+            row.sla_breached += 1;
+            row.overrun_hours += lateMs / 3600000;
+          } else {
+            row.sla_met += 1;
+          }
+        }
+        if (job.promised_at) {
+          row.promised_jobs += 1;
+          if (completedAt > new Date(job.promised_at)) row.promised_late += 1;
+          else row.promised_on_time += 1;
+        }
+      }
+      for (const job of openResult.rows || []) {
+        const row = rowFor(job);
+        if (job.sla_status === 'breached' || job.promise_status === 'breached') row.open_breached += 1;
+        else row.open_at_risk += 1;
+      }
+      for (const event of eventRows) {
+        rowFor(event).breach_events += parseInt(event.event_count, 10) || 0;
+      }
+
+      const percent = (part, whole) => (whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : null);
+      const data = Array.from(byBuPriority.values())
+        .sort((a, b) => String(a.business_unit_id ?? '').localeCompare(String(b.business_unit_id ?? ''), undefined, { numeric: true })
+          || (a.priority ?? 99) - (b.priority ?? 99))
+        .map(({ overrun_hours, ...row }) => ({
+          ...row,
+          sla_compliance_percent: percent(row.sla_met, row.sla_jobs),
+          promise_compliance_percent: percent(row.promised_on_time, row.promised_jobs),
+          avg_overrun_hours: row.sla_breached > 0 ? Number((overrun_hours / row.sla_breached).toFixed(2)) : null
+        }));
+
+      const total = (field) => data.reduce((sum, row) => sum + row[field], 0);
+      const summary = {
+        completed_jobs: total('completed_jobs'),
+        sla_jobs: total('sla_jobs'),
+        sla_met: total('sla_met'),
+        sla_breached: total('sla_breached'),
+        sla_compliance_percent: percent(total('sla_met'), total('sla_jobs')),
+        promised_jobs: total('promised_jobs'),
+        promised_on_time: total('promised_on_time'),
+        promised_late: total('promised_late'),
+        promise_compliance_percent: percent(total('promised_on_time'), total('promised_jobs')),
+        breach_events: total('breach_events'),
+        open_at_risk: total('open_at_risk'),
+        open_breached: total('open_breached')
+      };
+
+      res.json({ report, data, summary });
+    } catch (error) {
+      logger.error('SLA compliance report error:', error);
+      next(error);
+    }
+  }
+);
+
 // GET /api/v1/reports/location-workload
 router.get('/location-workload',
   [
@@ -2269,7 +2642,7 @@ router.get('/technician-efficiency',
 
       async function computePlannedShiftHours(technicianId, startYYYYMMDD, endYYYYMMDD) {
         const hasSchedules = await tableExists('tech_schedules');
-        if (!hasSchedules) return { planned_hours: 0, timezone: null };
+        if (!hasSchedules) return { planned_hours: 0, timezone: null, scheduled_days_off: 0, scheduled_holidays: 0 };
 
         const hasExceptions = await tableExists('schedule_exceptions');
         const ph = dbType === 'mysql' ? '?' : '$';
@@ -2296,12 +2669,14 @@ router.get('/technician-efficiency',
         }
 
         let total = 0;
+        let daysOff = 0; // scheduled days removed by day-off exceptions (approved leave, manual days off)
         const counts = weekdayCountsInRange(startYYYYMMDD, endYYYYMMDD);
         for (let wd = 0; wd <= 6; wd++) {
           const h = byWeekday.get(wd) || 0;
           total += h * (counts[wd] || 0);
         }
 
+        const exceptionDays = new Set();
         if (hasExceptions) {
           const exceptions = await db.query(
             dbType === 'mysql'
@@ -2311,8 +2686,10 @@ router.get('/technician-efficiency',
           );
 
           for (const ex of (exceptions.rows || [])) {
-            const dateStr = normalizeDateOnly(ex.exception_date);
+            // mysql2 returns DATE columns as Date objects; String(date) would not parse back
+            const dateStr = toDateOnly(ex.exception_date);
             if (!dateStr) continue;
+            exceptionDays.add(dateStr);
             const d = new Date(`${dateStr}T00:00:00Z`);
             if (Number.isNaN(d.getTime())) continue;
             const wd = d.getUTCDay();
@@ -2325,18 +2702,101 @@ router.get('/technician-efficiency',
               const eSec = parseTimeToSeconds(ex.end_time);
               const exHours = (sSec != null && eSec != null) ? Math.max(0, (eSec - sSec) / 3600) : base;
               total += exHours;
+            } else if (base > 0) {
+              // not a working day => base removed and nothing added
+              daysOff++;
             }
-            // if not working day => base removed and nothing added
           }
         }
 
-        return { planned_hours: Math.max(0, Number(total.toFixed(4))), timezone: tz };
+        // BU public holidays are not expected working days, unless an exception explicitly schedules the day
+        let holidayDays = 0;
+        const holidays = await getTechnicianHolidayDates(technicianId, startYYYYMMDD, endYYYYMMDD);
+        for (const day of holidays.keys()) {
+          if (exceptionDays.has(day)) continue;
+          const base = byWeekday.get(new Date(`${day}T00:00:00Z`).getUTCDay()) || 0;
+          if (base > 0) {
+            total -= base;
+            holidayDays++;
+          }
+        }
+
+        return {
+          planned_hours: Math.max(0, Number(total.toFixed(4))),
+          timezone: tz,
+          scheduled_days_off: daysOff,
+          scheduled_holidays: holidayDays
+        };
+      }
+
+      // Indirect (non-job) time per technician, clipped to the report range.
+      // Returns Map technician_id -> { hours, breakdown: [{ activity_code, activity_name, hours }] }
+      async function computeIndirectHours(technicianIds, rangeStart, rangeEnd) {
+        const byTechnician = new Map();
+        const ids = (technicianIds || []).filter(Boolean);
+        if (ids.length === 0) return byTechnician;
+        const hasIndirect = await tableExists('indirect_time_logs');
+        if (!hasIndirect) return byTechnician;
+
+        const ph = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+        const idPlaceholders = ids.map((_, i) => ph(i + 3)).join(', ');
+        const clippedSeconds = dbType === 'mysql'
+          ? `TIMESTAMPDIFF(SECOND, GREATEST(itl.start_ts, ?), LEAST(COALESCE(itl.end_ts, NOW()), ?))`
+          : `EXTRACT(EPOCH FROM (LEAST(COALESCE(itl.end_ts, NOW()), $2) - GREATEST(itl.start_ts, $1)))`;
+        const indirectResult = await db.query(
+          `SELECT itl.technician_id, iac.activity_code, iac.activity_name,
+                  COALESCE(SUM(GREATEST(0, ${clippedSeconds})), 0) / 3600.0 as hours
+           FROM indirect_time_logs itl
+           JOIN indirect_activity_codes iac ON itl.activity_code_id = iac.id
+           WHERE itl.status <> 'cancelled'
+             AND itl.start_ts <= ${ph(2)}
+             AND COALESCE(itl.end_ts, NOW()) >= ${ph(1)}
+             AND itl.technician_id IN (${idPlaceholders})
+           GROUP BY itl.technician_id, iac.activity_code, iac.activity_name`,
+          dbType === 'mysql'
+            ? [rangeStart, rangeEnd, rangeEnd, rangeStart, ...ids]
+            : [rangeStart, rangeEnd, ...ids]
+        );
+
+        for (const r of (indirectResult.rows || [])) {
+          const hours = Number((parseFloat(r.hours || 0) || 0).toFixed(2));
+          const entry = byTechnician.get(r.technician_id) || { hours: 0, breakdown: [] };
+          entry.hours = Number((entry.hours + hours).toFixed(2));
+          entry.breakdown.push({ activity_code: r.activity_code, activity_name: r.activity_name, hours });
+          byTechnician.set(r.technician_id, entry);
+        }
+        return byTechnician;
+      }
+
+      // Split clocked (actual shift) time into productive (job timers), indirect and unaccounted.
+      function withTimeBreakdown(row, indirect) {
+        const clocked = parseFloat((row.total_shift_hours_actual ?? row.total_shift_hours) || 0) || 0;
+        const productive = parseFloat(row.total_worked_hours || 0) || 0;
+        const indirectHours = indirect ? indirect.hours : 0;
+        const unaccounted = Math.max(0, Number((clocked - productive - indirectHours).toFixed(2)));
+        const pct = (h) => (clocked > 0 ? Number(((h / clocked) * 100).toFixed(2)) : 0);
+        return {
+          ...row,
+          productive_hours: productive,
+          indirect_hours: indirectHours,
+          unaccounted_hours: unaccounted,
+          productive_percent: pct(productive),
+          indirect_percent: pct(indirectHours),
+          unaccounted_percent: pct(unaccounted),
+          indirect_breakdown: indirect ? indirect.breakdown : []
+        };
       }
       
       // Check if technician_shifts table exists
       const hasShiftsTable = await tableExists('technician_shifts');
       logger.info(`Technician shifts table exists: ${hasShiftsTable}`);
       const hasJobCardsVehicleInfo = await columnExists('job_cards', 'vehicle_info');
+      // Parallel timers: allocated_seconds is each log's share of overlapping time, so summing it
+      // counts every wall-clock second once. Logs that never overlapped (or predate it) fall back to duration.
+      const hasAllocatedSeconds = await columnExists('time_logs', 'allocated_seconds');
+      const allocatedSecondsCase = (alias = '') => (hasAllocatedSeconds
+        ? `WHEN ${alias}allocated_seconds IS NOT NULL THEN ${alias}allocated_seconds`
+        : '');
       
       // ENFORCE business unit filtering for non-Super Admin users
       const userCheckPlaceholder = dbType === 'mysql' ? '?' : '$1';
@@ -2500,6 +2960,7 @@ router.get('/technician-efficiency',
               CASE
                 WHEN status = 'finished' THEN
                   CASE
+                    ${allocatedSecondsCase()}
                     WHEN duration_seconds > 0 THEN duration_seconds
                     WHEN end_ts IS NOT NULL THEN TIMESTAMPDIFF(SECOND, start_ts, end_ts)
                     ELSE 0
@@ -2518,6 +2979,7 @@ router.get('/technician-efficiency',
               CASE
                 WHEN status = 'finished' THEN
                   CASE
+                    ${allocatedSecondsCase()}
                     WHEN duration_seconds > 0 THEN duration_seconds
                     WHEN end_ts IS NOT NULL THEN EXTRACT(EPOCH FROM (end_ts - start_ts))
                     ELSE 0
@@ -2678,6 +3140,8 @@ router.get('/technician-efficiency',
           total_shift_hours_actual: shiftHoursActual,
           total_shift_hours_planned: shiftHoursPlanned,
           total_shift_hours_source: shiftHoursSource,
+          scheduled_days_off: planned.scheduled_days_off || 0,
+          scheduled_holidays: planned.scheduled_holidays || 0,
           // Backwards compatible fields (deprecated)
           efficiency_percent: efficiency,
           productivity_percent: productivity,
@@ -2692,14 +3156,19 @@ router.get('/technician-efficiency',
           repeat_jobs: repeatJobs,
           avg_hours_per_job: avgPerJob
         };
+        const indirectByTechnician = await computeIndirectHours([technician_id], rangeStart, rangeEnd);
+        const brokenDownRow = withTimeBreakdown(row, indirectByTechnician.get(technician_id));
 
         return res.json({
-          data: [row],
+          data: [brokenDownRow],
           summary: {
             total_technicians: 1,
             total_completed_jobs: completedJobs,
             total_billed_hours: billedHours,
             total_worked_hours: workedHours,
+            total_productive_hours: brokenDownRow.productive_hours,
+            total_indirect_hours: brokenDownRow.indirect_hours,
+            total_unaccounted_hours: brokenDownRow.unaccounted_hours,
             // Backwards compatible fields (deprecated)
             avg_efficiency: efficiency,
             avg_productivity: productivity,
@@ -2942,6 +3411,7 @@ router.get('/technician-efficiency',
               CASE
                 WHEN status = 'finished' THEN
                   CASE
+                    ${allocatedSecondsCase()}
                     WHEN duration_seconds > 0 THEN duration_seconds
                     WHEN end_ts IS NOT NULL THEN ${dbType === 'mysql' ? 'TIMESTAMPDIFF(SECOND, start_ts, end_ts)' : "EXTRACT(EPOCH FROM (end_ts - start_ts))"}
                     ELSE 0
@@ -2958,6 +3428,7 @@ router.get('/technician-efficiency',
                   )
                 THEN
                   CASE
+                    ${allocatedSecondsCase('tl_agg.')}
                     WHEN tl_agg.duration_seconds > 0 THEN tl_agg.duration_seconds
                     WHEN tl_agg.end_ts IS NOT NULL THEN ${dbType === 'mysql' ? 'TIMESTAMPDIFF(SECOND, tl_agg.start_ts, tl_agg.end_ts)' : "EXTRACT(EPOCH FROM (tl_agg.end_ts - tl_agg.start_ts))"}
                     ELSE 0
@@ -3041,6 +3512,8 @@ router.get('/technician-efficiency',
             total_shift_hours_actual: actual,
             total_shift_hours_planned: plannedHours,
             total_shift_hours_source: source,
+            scheduled_days_off: planned.scheduled_days_off || 0,
+            scheduled_holidays: planned.scheduled_holidays || 0,
             // Backwards compatible fields (deprecated)
             productivity_percent: productivity,
             efficiency_percent: efficiency,
@@ -3101,12 +3574,21 @@ router.get('/technician-efficiency',
         }
       }
       
+      // Productive / indirect / unaccounted split of clocked time
+      if (result.rows && result.rows.length > 0) {
+        const indirectByTechnician = await computeIndirectHours(result.rows.map(r => r.technician_id), rangeStart, rangeEnd);
+        result.rows = result.rows.map(r => withTimeBreakdown(r, indirectByTechnician.get(r.technician_id)));
+      }
+
       // Calculate summary statistics
       const summary = {
         total_technicians: result.rows.length,
         total_completed_jobs: result.rows.reduce((sum, row) => sum + parseInt(row.completed_jobs || 0), 0),
         total_billed_hours: result.rows.reduce((sum, row) => sum + parseFloat(row.total_billed_hours || 0), 0),
         total_worked_hours: result.rows.reduce((sum, row) => sum + parseFloat(row.total_worked_hours || 0), 0),
+        total_productive_hours: result.rows.reduce((sum, row) => sum + parseFloat(row.productive_hours || 0), 0),
+        total_indirect_hours: result.rows.reduce((sum, row) => sum + parseFloat(row.indirect_hours || 0), 0),
+        total_unaccounted_hours: result.rows.reduce((sum, row) => sum + parseFloat(row.unaccounted_hours || 0), 0),
         // Backwards compatible summary fields (deprecated)
         avg_efficiency: result.rows.length > 0 
           ? result.rows.reduce((sum, row) => sum + parseFloat(row.efficiency_percent || 0), 0) / result.rows.length
@@ -3154,5 +3636,359 @@ router.get('/technician-efficiency',
   }
 );
 
-module.exports = router;
+// GET /api/v1/reports/blocked-time
+// Total paused (blocked) time per pause reason per job card, from time_log_pauses.
+// Pauses still open count until the assignment/job card was completed, or until now.
+// System pauses (break, idle timeout) are excluded unless include_system=true.
+router.get('/blocked-time',
+  [
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601(),
+    query('business_unit_id').optional().isInt(),
+    query('job_card_id').optional().isInt(),
+    query('technician_id').optional().isUUID(),
+    query('reason_code').optional().isString(),
+    query('include_system').optional().isBoolean()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      let { start_date, end_date, business_unit_id, job_card_id, technician_id, reason_code } = req.query;
+      const includeSystem = String(req.query.include_system) === 'true';
+      const dbType = process.env.DB_TYPE || 'postgresql';
+
+      // ENFORCE business unit filtering for non-Super Admin users
+      const userResult = await db.query(
+        `SELECT u.business_unit_id, r.name as role_name
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         WHERE u.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [req.user.id]
+      );
+      if (userResult.rows.length > 0) {
+        const userRole = userResult.rows[0].role_name;
+        const userBusinessUnitId = userResult.rows[0].business_unit_id;
+        if (userRole && userRole.toLowerCase() !== 'super admin' && userBusinessUnitId) {
+          business_unit_id = userBusinessUnitId;
+          logger.info(`[SECURITY] Enforcing business unit filter for ${userRole}: BU ${userBusinessUnitId}`);
+        }
+      }
+
+      const emptySummary = { total_blocked_hours: 0, total_pauses: 0, total_job_cards: 0, by_reason: [] };
+      const pausesTableExists = await tableExists('time_log_pauses');
+      if (!pausesTableExists) {
+        return res.json({ data: [], summary: emptySummary });
+      }
+
+      const rangeStart = start_date ? new Date(start_date) : new Date(0);
+      const rangeEnd = end_date ? new Date(end_date) : new Date();
+      if (end_date && String(end_date).length <= 10) {
+        rangeEnd.setUTCHours(23, 59, 59, 999);
+      }
+
+      const params = [];
+      const p = (val) => {
+        params.push(val);
+        return dbType === 'mysql' ? '?' : `$${params.length}`;
+      };
+
+      const pauseEnd = 'COALESCE(tlp.resumed_at, a.completed_at, jc.completed_at, NOW())';
+      const blockedSeconds = dbType === 'mysql'
+        ? `TIMESTAMPDIFF(SECOND, GREATEST(tlp.paused_at, ${p(rangeStart)}), LEAST(${pauseEnd}, ${p(rangeEnd)}))`
+        : `EXTRACT(EPOCH FROM (LEAST(${pauseEnd}, ${p(rangeEnd)}) - GREATEST(tlp.paused_at, ${p(rangeStart)})))`;
+
+      let queryText = `
+        SELECT
+          jc.id as job_card_id,
+          jc.job_number,
+          jc.customer_name,
+          jc.status as job_card_status,
+          tlp.reason_code,
+          MAX(tlp.reason_name) as reason_name,
+          COUNT(*) as pause_count,
+          COALESCE(SUM(GREATEST(0, ${blockedSeconds})), 0) / 3600.0 as blocked_hours
+        FROM time_log_pauses tlp
+        JOIN job_cards jc ON tlp.job_card_id = jc.id
+        LEFT JOIN assignments a ON tlp.assignment_id = a.id
+        WHERE tlp.paused_at <= ${p(rangeEnd)}
+          AND ${pauseEnd} >= ${p(rangeStart)}
+      `;
+
+      if (!includeSystem) {
+        queryText += ` AND tlp.pause_reason_id IS NOT NULL`;
+      }
+      if (business_unit_id) {
+        queryText += ` AND tlp.business_unit_id = ${p(business_unit_id)}`;
+      }
+      if (job_card_id) {
+        queryText += ` AND tlp.job_card_id = ${p(job_card_id)}`;
+      }
+      if (technician_id) {
+        queryText += ` AND tlp.technician_id = ${p(technician_id)}`;
+      }
+      if (reason_code) {
+        queryText += ` AND tlp.reason_code = ${p(reason_code)}`;
+      }
+
+      queryText += `
+        GROUP BY jc.id, jc.job_number, jc.customer_name, jc.status, tlp.reason_code
+        ORDER BY jc.id ASC, blocked_hours DESC
+      `;
+
+      const result = await db.query(queryText, params);
+
+      // One row per job card with its per-reason breakdown
+      const byJobCard = new Map();
+      const byReason = new Map();
+      for (const row of result.rows || []) {
+        const hours = Number((parseFloat(row.blocked_hours || 0) || 0).toFixed(2));
+        const pauseCount = parseInt(row.pause_count || 0, 10) || 0;
+
+        if (!byJobCard.has(row.job_card_id)) {
+          byJobCard.set(row.job_card_id, {
+            job_card_id: row.job_card_id,
+            job_number: row.job_number,
+            customer_name: row.customer_name,
+            job_card_status: row.job_card_status,
+            total_blocked_hours: 0,
+            pause_count: 0,
+            reasons: []
+          });
+        }
+        const jobCard = byJobCard.get(row.job_card_id);
+        jobCard.total_blocked_hours = Number((jobCard.total_blocked_hours + hours).toFixed(2));
+        jobCard.pause_count += pauseCount;
+        jobCard.reasons.push({ reason_code: row.reason_code, reason_name: row.reason_name, blocked_hours: hours, pause_count: pauseCount });
+
+        const reason = byReason.get(row.reason_code) || {
+          reason_code: row.reason_code,
+          reason_name: row.reason_name,
+          blocked_hours: 0,
+          pause_count: 0,
+          job_cards: 0
+        };
+        reason.blocked_hours = Number((reason.blocked_hours + hours).toFixed(2));
+        reason.pause_count += pauseCount;
+        reason.job_cards += 1;
+        byReason.set(row.reason_code, reason);
+      }
+
+      const data = Array.from(byJobCard.values())
+        .sort((a, b) => b.total_blocked_hours - a.total_blocked_hours);
+      const summary = {
+        total_blocked_hours: Number(data.reduce((sum, row) => sum + row.total_blocked_hours, 0).toFixed(2)),
+        total_pauses: data.reduce((sum, row) => sum + row.pause_count, 0),
+        total_job_cards: data.length,
+        by_reason: Array.from(byReason.values()).sort((a, b) => b.blocked_hours - a.blocked_hours)
+      };
+
+      res.json({
+        report: {
+          from: start_date ? rangeStart.toISOString() : null,
+          to: rangeEnd.toISOString(),
+          include_system: includeSystem,
+          generated_at: new Date().toISOString()
+        },
+        data,
+        summary
+      });
+    } catch (error) {
+      logger.error('Blocked time report error:', error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/reports/task-efficiency
+// Estimated vs logged time per operation across all job cards, from checklist tasks marked done
+// in the range. Tasks group by operation_code, or by title when they have none. Efficiency is
+// estimated / actual * 100 (over 100 = faster than estimated).
+router.get('/task-efficiency',
+  [
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601(),
+    query('business_unit_id').optional().isInt(),
+    query('technician_id').optional().isUUID(),
+    query('operation_code').optional().isString()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      let { start_date, end_date, business_unit_id, technician_id, operation_code } = req.query;
+      const dbType = process.env.DB_TYPE || 'postgresql';
+
+      // ENFORCE business unit filtering for non-Super Admin users
+      const userResult = await db.query(
+        `SELECT u.business_unit_id, r.name as role_name
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         WHERE u.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [req.user.id]
+      );
+      if (userResult.rows.length > 0) {
+        const userRole = userResult.rows[0].role_name;
+        const userBusinessUnitId = userResult.rows[0].business_unit_id;
+        if (userRole && userRole.toLowerCase() !== 'super admin' && userBusinessUnitId) {
+          business_unit_id = userBusinessUnitId;
+        }
+      }
+
+      const emptySummary = { total_tasks: 0, total_estimated_minutes: 0, total_actual_minutes: 0, overall_efficiency: 0 };
+      if (!(await tableExists('job_card_tasks')) || !(await columnExists('time_logs', 'task_id'))) {
+        return res.json({ data: [], summary: emptySummary });
+      }
+
+      const rangeStart = start_date ? new Date(start_date) : new Date(0);
+      const rangeEnd = end_date ? new Date(end_date) : new Date();
+      if (end_date && String(end_date).length <= 10) {
+        rangeEnd.setUTCHours(23, 59, 59, 999);
+      }
+
+      const params = [];
+      const p = (val) => {
+        params.push(val);
+        return dbType === 'mysql' ? '?' : `$${params.length}`;
+      };
+      const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+      const hasAllocatedSeconds = await columnExists('time_logs', 'allocated_seconds');
+      const elapsed = dbType === 'mysql'
+        ? 'TIMESTAMPDIFF(SECOND, tl.start_ts, tl.end_ts)'
+        : 'EXTRACT(EPOCH FROM (tl.end_ts - tl.start_ts))';
+
+      // Closed segments only (a task is usually worked over several pause/resume segments), counting
+      // the allocated share of parallel timers
+      let queryText = `
+        SELECT
+          t.id,
+          t.title,
+          t.operation_code,
+          t.estimated_minutes,
+          t.job_card_id,
+          jc.job_number,
+          COALESCE(SUM(CASE
+            ${hasAllocatedSeconds ? 'WHEN tl.allocated_seconds IS NOT NULL THEN tl.allocated_seconds' : ''}
+            WHEN tl.duration_seconds > 0 THEN tl.duration_seconds
+            ELSE ${elapsed}
+          END), 0) as logged_seconds,
+          COUNT(DISTINCT tl.technician_id) as technician_count
+        FROM job_card_tasks t
+        JOIN job_cards jc ON t.job_card_id = jc.id
+        LEFT JOIN time_logs tl ON tl.task_id = t.id AND tl.status IN ('finished', 'paused') AND tl.end_ts IS NOT NULL
+        WHERE t.status = 'done'
+          AND t.completed_at >= ${p(rangeStart)}
+          AND t.completed_at <= ${p(rangeEnd)}
+      `;
+      if (business_unit_id && hasJobCardsBU) {
+        queryText += ` AND jc.business_unit_id = ${p(business_unit_id)}`;
+      }
+      if (technician_id) {
+        queryText += ` AND EXISTS (SELECT 1 FROM time_logs tl2 WHERE tl2.task_id = t.id AND tl2.technician_id = ${p(technician_id)})`;
+      }
+      if (operation_code) {
+        queryText += ` AND t.operation_code = ${p(String(operation_code).trim().toUpperCase())}`;
+      }
+      queryText += `
+        GROUP BY t.id, t.title, t.operation_code, t.estimated_minutes, t.job_card_id, jc.job_number
+      `;
+
+      const result = await db.query(queryText, params);
+
+      const byOperation = new Map();
+      for (const row of result.rows || []) {
+        const key = row.operation_code || `title:${String(row.title).trim().toLowerCase()}`;
+        const actualMinutes = (parseFloat(row.logged_seconds || 0) || 0) / 60;
+        const estimatedMinutes = row.estimated_minutes != null ? parseInt(row.estimated_minutes, 10) || 0 : null;
+        const operation = byOperation.get(key) || {
+          operation_code: row.operation_code || null,
+          title: row.title,
+          tasks: 0,
+          tasks_with_estimate: 0,
+          tasks_without_time: 0,
+          job_cards: new Set(),
+          estimated_minutes: 0,
+          actual_minutes: 0,
+          estimated_minutes_with_time: 0,
+          actual_minutes_with_estimate: 0
+        };
+        operation.tasks += 1;
+        operation.job_cards.add(row.job_card_id);
+        if (actualMinutes === 0) operation.tasks_without_time += 1;
+        operation.actual_minutes += actualMinutes;
+        if (estimatedMinutes !== null) {
+          operation.tasks_with_estimate += 1;
+          operation.estimated_minutes += estimatedMinutes;
+          // Efficiency only compares tasks that have both an estimate and logged time
+          if (actualMinutes > 0) {
+            operation.estimated_minutes_with_time += estimatedMinutes;
+            operation.actual_minutes_with_estimate += actualMinutes;
+          }
+        }
+        byOperation.set(key, operation);
+      }
 
+      const data = Array.from(byOperation.values()).map(operation => {
+        const loggedTasks = operation.tasks - operation.tasks_without_time;
+        return {
+          operation_code: operation.operation_code,
+          title: operation.title,
+          tasks: operation.tasks,
+          job_cards: operation.job_cards.size,
+          tasks_without_time: operation.tasks_without_time,
+          total_estimated_minutes: Math.round(operation.estimated_minutes),
+          total_actual_minutes: Math.round(operation.actual_minutes),
+          avg_estimated_minutes: operation.tasks_with_estimate > 0
+            ? Number((operation.estimated_minutes / operation.tasks_with_estimate).toFixed(1))
+            : null,
+          avg_actual_minutes: loggedTasks > 0 ? Number((operation.actual_minutes / loggedTasks).toFixed(1)) : null,
+          efficiency: operation.actual_minutes_with_estimate > 0
+            ? Number(((operation.estimated_minutes_with_time / operation.actual_minutes_with_estimate) * 100).toFixed(2))
+            : null
+        };
+      }).sort((a, b) => b.tasks - a.tasks);
+
+      const estimatedWithTime = Array.from(byOperation.values()).reduce((sum, op) => sum + op.estimated_minutes_with_time, 0);
+      const actualWithEstimate = Array.from(byOperation.values()).reduce((sum, op) => sum + op.actual_minutes_with_estimate, 0);
+      const summary = {
+        total_tasks: data.reduce((sum, row) => sum + row.tasks, 0),
+        total_estimated_minutes: data.reduce((sum, row) => sum + row.total_estimated_minutes, 0),
+        total_actual_minutes: data.reduce((sum, row) => sum + row.total_actual_minutes, 0),
+        overall_efficiency: actualWithEstimate > 0 ? Number(((estimatedWithTime / actualWithEstimate) * 100).toFixed(2)) : 0
+      };
+
+      res.json({
+        report: {
+          from: start_date ? rangeStart.toISOString() : null,
+          to: rangeEnd.toISOString(),
+          generated_at: new Date().toISOString()
+        },
+        data,
+        summary
+      });
+    } catch (error) {
+      logger.error('Task efficiency report error:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
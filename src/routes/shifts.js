@@ -1,7 +1,47 @@
 const express = require('express');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
-const { authenticate, requireAdmin } = require('../middleware/auth');
+const { getSetting } = require('../utils/settings');
+const { safeTimeZone, zonedParts, zonedTimeToDate } = require('../utils/timezone');
+const { authenticate, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { reallocateOverlappingTime } = require('../services/timerConcurrencyService');
+const { stopActiveIndirectTimers } = require('../services/indirectTimeService');
+const { SYSTEM_PAUSE_REASONS, recordPause } = require('../services/pauseReasonService');
+const { computeShiftVariance } = require('../services/overtimeService');
+const {
+  PAYROLL_FIELDS,
+  GENERIC_CSV_COLUMNS,
+  TEMPLATE_FORMATS,
+  validateTemplate,
+  parseColumns,
+  buildPayrollRows,
+  renderPayroll,
+  findLockedExport
+} = require('../services/payrollExportService');
+const { toDateOnly } = require('../services/scheduleExceptionService');
+const { escapeFormula } = require('../services/reportExportService');
+const { findTimeLock, findTechnicianTimeLock, timeLockError } = require('../services/payPeriodService');
+const {
+  getTechnicianBreakPolicy,
+  resolveBreakType,
+  checkBreakStart,
+  buildBreakSegment,
+  computeBreakEnd,
+  getMandatoryBreakDueAt,
+  findMissedMandatoryBreak
+} = require('../services/breakPolicyService');
+const {
+  buildNotesWithBreakState,
+  appendBreakSegmentToNotes,
+  getBreakSegmentsFromNotes,
+  getOpenBreakSegmentFromNotes,
+  addBreakViolationToNotes,
+  getBreakViolationsFromNotes,
+  getBreakStartFromNotes,
+  getTotalBreakSecondsFromNotes,
+  addShiftAdjustmentAudit,
+  getShiftReviewState
+} = require('../utils/shiftNotes');
 
 const router = express.Router();
 
@@ -36,69 +76,6 @@ async function columnExists(tableName, columnName) {
   }
 }
 
-function safeParseJson(value) {
-  if (value == null) return null;
-  if (typeof value === 'object') return value;
-  if (typeof value !== 'string') return null;
-  try {
-    return JSON.parse(value);
-  } catch (e) {
-    return null;
-  }
-}
-
-function buildNotesWithBreakState(existingNotes, breakState) {
-  const parsed = safeParseJson(existingNotes);
-  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
-    return JSON.stringify({ ...parsed, break_state: breakState });
-  }
-  if (existingNotes && String(existingNotes).trim().length > 0) {
-    return JSON.stringify({ notes_text: String(existingNotes), break_state: breakState });
-  }
-  return JSON.stringify({ break_state: breakState });
-}
-
-function appendBreakSegmentToNotes(existingNotes, segment) {
-  const parsed = safeParseJson(existingNotes);
-  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
-  const prior = Array.isArray(base.break_segments) ? base.break_segments : [];
-  return JSON.stringify({
-    ...base,
-    break_segments: [...prior, segment]
-  });
-}
-
-function closeOpenBreakSegmentInNotes(existingNotes, endTimeIso) {
-  const parsed = safeParseJson(existingNotes);
-  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
-  const prior = Array.isArray(base.break_segments) ? base.break_segments : [];
-  if (!prior.length) return JSON.stringify(base);
-  const lastOpenFromEnd = [...prior].reverse().findIndex(s => s && !s.end_time);
-  if (lastOpenFromEnd < 0) return JSON.stringify(base);
-  const realIdx = prior.length - 1 - lastOpenFromEnd;
-  const seg = prior[realIdx];
-  const start = seg?.start_time ? new Date(seg.start_time) : null;
-  const end = endTimeIso ? new Date(endTimeIso) : null;
-  const durationSeconds = (start && end && !Number.isNaN(start.getTime()) && !Number.isNaN(end.getTime()))
-    ? Math.max(0, Math.floor((end.getTime() - start.getTime()) / 1000))
-    : (seg?.duration_seconds ?? null);
-  const updated = prior.map((s, i) => i === realIdx ? { ...s, end_time: endTimeIso, duration_seconds: durationSeconds } : s);
-  return JSON.stringify({ ...base, break_segments: updated });
-}
-
-function getBreakStartFromNotes(notes) {
-  const parsed = safeParseJson(notes);
-  const start = parsed?.break_state?.start_time || null;
-  return typeof start === 'string' ? start : null;
-}
-
-function getTotalBreakSecondsFromNotes(notes) {
-  const parsed = safeParseJson(notes);
-  const total = parsed?.break_state?.total_break_seconds;
-  const n = Number(total);
-  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 0;
-}
-
 function normalizeDateOnly(value) {
   if (!value) return null;
   if (typeof value === 'string' && value.includes('/') && value.split('/').length === 3) {
@@ -109,16 +86,6 @@ function normalizeDateOnly(value) {
   return String(value).slice(0, 10);
 }
 
-function addShiftAdjustmentAudit(existingNotes, auditEntry) {
-  const parsed = safeParseJson(existingNotes);
-  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
-  const prior = Array.isArray(base.shift_adjustments) ? base.shift_adjustments : [];
-  return JSON.stringify({
-    ...base,
-    shift_adjustments: [...prior, auditEntry]
-  });
-}
-
 function computeShiftUpdateChanges(existingShift, updates) {
   const changes = {};
   if (Object.prototype.hasOwnProperty.call(updates, 'clock_in_time')) {
@@ -137,6 +104,44 @@ function isBusinessUnitAdmin(roleName) {
   return typeof roleName === 'string' && roleName.toLowerCase().includes('business unit admin');
 }
 
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = escapeFormula(String(value));
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Technicians a shift report covers: technicians only see themselves, BU admins their BU
+async function listReportTechnicians(req, { technician_id, business_unit_id }) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const params = [];
+  const p = (val) => {
+    params.push(val);
+    return dbType === 'mysql' ? '?' : `$${params.length}`;
+  };
+
+  let techQuery = `
+    SELECT t.user_id as technician_id, u.display_name as technician_name, t.employee_code, u.business_unit_id
+    FROM technicians t
+    JOIN users u ON t.user_id = u.id
+    WHERE u.is_active = true`;
+  const actorRole = req.user?.roleName;
+  if (!['Super Admin', 'Business Unit Admin', 'Admin'].includes(actorRole)) {
+    techQuery += ` AND t.user_id = ${p(req.user.id)}`;
+  } else {
+    if (isBusinessUnitAdmin(actorRole) && req.user.businessUnitId) {
+      techQuery += ` AND u.business_unit_id = ${p(req.user.businessUnitId)}`;
+    } else if (business_unit_id) {
+      techQuery += ` AND u.business_unit_id = ${p(business_unit_id)}`;
+    }
+    if (technician_id) {
+      techQuery += ` AND t.user_id = ${p(technician_id)}`;
+    }
+  }
+  techQuery += ' ORDER BY u.display_name ASC';
+  const techResult = await db.query(techQuery, params);
+  return techResult.rows || [];
+}
+
 // GET /api/v1/shifts/active - Get technician's active shift
 router.get('/active', async (req, res, next) => {
   try {
@@ -274,13 +279,678 @@ router.get('/', requireAdmin, async (req, res, next) => {
     query += ` LIMIT ${safeLimit}`;
 
     const result = await db.query(query, params);
-    res.json({ data: result.rows });
+    res.json({ data: result.rows.map(row => ({ ...row, ...getShiftReviewState(row.notes) })) });
   } catch (error) {
     logger.error('List shifts (admin) error:', error);
     next(error);
   }
 });
 
+// GET /api/v1/shifts/needs-review
+// Shifts closed automatically (forgotten clock-out) that no admin has adjusted or reviewed yet.
+router.get('/needs-review', requireAdmin, async (req, res, next) => {
+  try {
+    const shiftsTableExists = await tableExists('technician_shifts');
+    if (!shiftsTableExists) {
+      return res.status(400).json({
+        error: { code: 'SCHEMA_MISMATCH', message: 'Database schema is missing required table/column for this operation.' }
+      });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const actorBuId = req.user?.businessUnitId;
+    const buScoped = isBusinessUnitAdmin(req.user?.roleName) && actorBuId;
+
+    let query = `
+      SELECT ts.*, u.display_name as technician_name, u.email as technician_email,
+             u.business_unit_id as technician_business_unit_id
+      FROM technician_shifts ts
+      LEFT JOIN users u ON ts.technician_id = u.id
+      WHERE ts.clock_out_time IS NOT NULL
+        AND ts.notes LIKE '%needs_review%'
+    `;
+    const params = [];
+    if (buScoped) {
+      query += ` AND u.business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}`;
+      params.push(actorBuId);
+    }
+    query += ' ORDER BY ts.clock_in_time DESC LIMIT 500';
+
+    const result = await db.query(query, params);
+    const data = result.rows
+      .map(row => ({ ...row, ...getShiftReviewState(row.notes) }))
+      .filter(row => row.needs_review);
+    res.json({ data });
+  } catch (error) {
+    logger.error('List shifts needing review error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/shifts/overtime-report?start_date=...&end_date=...&technician_id=...&business_unit_id=...&format=json|csv
+// Regular / overtime / late-arrival / early-leave minutes per technician per day, using the BU's overtime rules.
+// Technicians only get their own rows; BU admins are BU-scoped.
+router.get('/overtime-report', async (req, res, next) => {
+  try {
+    const shiftsTableExists = await tableExists('technician_shifts');
+    if (!shiftsTableExists) {
+      return res.status(400).json({
+        error: { code: 'SCHEMA_MISMATCH', message: 'Database schema is missing required table/column for this operation.' }
+      });
+    }
+
+    const { technician_id, business_unit_id, format = 'json' } = req.query;
+    const startDay = normalizeDateOnly(req.query.start_date);
+    const endDay = normalizeDateOnly(req.query.end_date);
+    if (!startDay || !endDay || !/^\d{4}-\d{2}-\d{2}$/.test(startDay) || !/^\d{4}-\d{2}-\d{2}$/.test(endDay)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'start_date and end_date are required (YYYY-MM-DD)' } });
+    }
+    if (endDay < startDay) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'end_date must be on or after start_date' } });
+    }
+    if ((new Date(`${endDay}T00:00:00Z`) - new Date(`${startDay}T00:00:00Z`)) / 86400000 > 92) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Date range cannot exceed 93 days' } });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'format must be json or csv' } });
+    }
+
+    const technicians = await listReportTechnicians(req, { technician_id, business_unit_id });
+    const report = await computeShiftVariance({ technicians, fromDay: startDay, toDay: endDay });
+    const summary = {
+      technicians: report.technicians.length,
+      worked_minutes: report.technicians.reduce((sum, t) => sum + t.totals.worked_minutes, 0),
+      regular_minutes: report.technicians.reduce((sum, t) => sum + t.totals.regular_minutes, 0),
+      overtime_minutes: report.technicians.reduce((sum, t) => sum + t.totals.overtime_minutes, 0),
+      late_arrival_minutes: report.technicians.reduce((sum, t) => sum + t.totals.late_arrival_minutes, 0),
+      early_leave_minutes: report.technicians.reduce((sum, t) => sum + t.totals.early_leave_minutes, 0)
+    };
+
+    if (format === 'csv') {
+      const columns = [
+        'date', 'day_type', 'holiday_name', 'scheduled_start', 'scheduled_end', 'first_clock_in', 'last_clock_out',
+        'shift_count', 'absent', 'scheduled_minutes', 'worked_minutes', 'break_minutes', 'regular_minutes',
+        'daily_overtime_minutes', 'weekly_overtime_minutes', 'rest_day_overtime_minutes', 'holiday_overtime_minutes',
+        'overtime_minutes', 'weighted_overtime_minutes', 'late_arrival_minutes', 'early_leave_minutes', 'variance_minutes'
+      ];
+      const lines = [['technician_id', 'technician_name', 'employee_code', ...columns].join(',')];
+      for (const tech of report.technicians) {
+        for (const day of tech.days) {
+          lines.push([tech.technician_id, tech.technician_name, tech.employee_code, ...columns.map(c => day[c])].map(csvValue).join(','));
+        }
+      }
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="overtime-${startDay}-${endDay}.csv"`);
+      return res.send(lines.join('\n'));
+    }
+
+    res.json({
+      report: { from: startDay, to: endDay, generated_at: new Date().toISOString() },
+      data: report.technicians,
+      rules: report.rules_by_business_unit,
+      summary
+    });
+  } catch (error) {
+    logger.error('Overtime report error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/shifts/break-compliance?start_date=...&end_date=...&technician_id=...&business_unit_id=...&format=json|csv
+// Breaks taken (paid / unpaid) and break policy violations per technician, from the break_segments and
+// break_violations recorded on each shift. Same scoping as the overtime report.
+router.get('/break-compliance', async (req, res, next) => {
+  try {
+    const shiftsTableExists = await tableExists('technician_shifts');
+    if (!shiftsTableExists) {
+      return res.status(400).json({
+        error: { code: 'SCHEMA_MISMATCH', message: 'Database schema is missing required table/column for this operation.' }
+      });
+    }
+
+    const { technician_id, business_unit_id, format = 'json' } = req.query;
+    const startDay = normalizeDateOnly(req.query.start_date);
+    const endDay = normalizeDateOnly(req.query.end_date);
+    if (!startDay || !endDay || !/^\d{4}-\d{2}-\d{2}$/.test(startDay) || !/^\d{4}-\d{2}-\d{2}$/.test(endDay)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'start_date and end_date are required (YYYY-MM-DD)' } });
+    }
+    if (endDay < startDay) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'end_date must be on or after start_date' } });
+    }
+    if ((new Date(`${endDay}T00:00:00Z`) - new Date(`${startDay}T00:00:00Z`)) / 86400000 > 92) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Date range cannot exceed 93 days' } });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'format must be json or csv' } });
+    }
+
+    const technicians = await listReportTechnicians(req, { technician_id, business_unit_id });
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    // Report days are calendar days in system.timezone, like the other shift reports
+    const timeZone = safeTimeZone(await getSetting('system.timezone', 'UTC'));
+    const dayAfterEnd = new Date(`${endDay}T00:00:00Z`);
+    dayAfterEnd.setUTCDate(dayAfterEnd.getUTCDate() + 1);
+    const rangeStart = zonedTimeToDate(startDay, '00:00', timeZone);
+    const rangeEnd = zonedTimeToDate(dayAfterEnd.toISOString().slice(0, 10), '00:00', timeZone);
+
+    const data = [];
+    for (const tech of technicians) {
+      const shiftResult = await db.query(
+        `SELECT id, clock_in_time, clock_out_time, notes FROM technician_shifts
+         WHERE technician_id = ${p(1)} AND clock_in_time >= ${p(2)} AND clock_in_time < ${p(3)}
+         ORDER BY clock_in_time ASC`,
+        [tech.technician_id, rangeStart, rangeEnd]
+      );
+
+      const totals = {
+        shifts: 0,
+        breaks_taken: 0,
+        paid_break_minutes: 0,
+        unpaid_break_minutes: 0,
+        break_overruns: 0,
+        auto_ended_breaks: 0,
+        missed_mandatory_breaks: 0,
+        violations: 0
+      };
+      const breaksByType = {};
+      const violations = [];
+      for (const shift of shiftResult.rows || []) {
+        totals.shifts++;
+        for (const segment of getBreakSegmentsFromNotes(shift.notes)) {
+          if (!segment.end_time) continue;
+          const minutes = Math.round((Number(segment.duration_seconds) || 0) / 60);
+          totals.breaks_taken++;
+          totals[segment.is_paid ? 'paid_break_minutes' : 'unpaid_break_minutes'] += minutes;
+          const typeKey = segment.break_type || 'UNSPECIFIED';
+          breaksByType[typeKey] = (breaksByType[typeKey] || 0) + 1;
+        }
+        for (const violation of getBreakViolationsFromNotes(shift.notes)) {
+          totals.violations++;
+          if (violation.type === 'break_overrun') totals.break_overruns++;
+          if (violation.type === 'missed_mandatory_break') totals.missed_mandatory_breaks++;
+          if (violation.auto_ended) totals.auto_ended_breaks++;
+          violations.push({ shift_id: shift.id, shift_date: zonedParts(new Date(shift.clock_in_time), timeZone).ymd, ...violation });
+        }
+      }
+      data.push({ ...tech, totals, breaks_by_type: breaksByType, violations });
+    }
+
+    if (format === 'csv') {
+      const columns = [
+        'shifts', 'breaks_taken', 'paid_break_minutes', 'unpaid_break_minutes',
+        'break_overruns', 'auto_ended_breaks', 'missed_mandatory_breaks', 'violations'
+      ];
+      const lines = [['technician_id', 'technician_name', 'employee_code', ...columns].join(',')];
+      for (const tech of data) {
+        lines.push([tech.technician_id, tech.technician_name, tech.employee_code, ...columns.map(c => tech.totals[c])].map(csvValue).join(','));
+      }
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="break-compliance-${startDay}-${endDay}.csv"`);
+      return res.send(lines.join('\n'));
+    }
+
+    res.json({
+      report: { from: startDay, to: endDay, generated_at: new Date().toISOString() },
+      data,
+      summary: {
+        technicians: data.length,
+        technicians_with_violations: data.filter(t => t.totals.violations > 0).length,
+        violations: data.reduce((sum, t) => sum + t.totals.violations, 0)
+      }
+    });
+  } catch (error) {
+    logger.error('Break compliance report error:', error);
+    next(error);
+  }
+});
+
+// ============================================================================
+// PAYROLL EXPORT
+// ============================================================================
+
+function payrollSchemaMismatch(res, tableName) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: `${tableName} table does not exist. Apply schema_payroll_export.sql.`
+    }
+  });
+}
+
+// Payroll is per BU: BU admins always export their own BU, Super Admins pick one
+function resolvePayrollBusinessUnit(req, requested) {
+  const actorBuId = req.user?.businessUnitId;
+  if (req.user?.roleName !== 'Super Admin') return actorBuId || null;
+  return requested ? parseInt(requested, 10) : (actorBuId || null);
+}
+
+function canManagePayrollTemplate(req, template) {
+  if (req.user?.roleName === 'Super Admin') return true;
+  return template.business_unit_id != null && String(template.business_unit_id) === String(req.user?.businessUnitId);
+}
+
+// GET /api/v1/shifts/payroll-fields - fields and formats available to payroll templates
+router.get('/payroll-fields', requireAdmin, (req, res) => {
+  res.json({
+    data: {
+      fields: PAYROLL_FIELDS,
+      formats: TEMPLATE_FORMATS,
+      generic_csv_columns: GENERIC_CSV_COLUMNS.map(column => column.field)
+    }
+  });
+});
+
+// GET /api/v1/shifts/payroll-templates
+router.get('/payroll-templates', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_export_templates'))) return payrollSchemaMismatch(res, 'payroll_export_templates');
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    let queryText = 'SELECT * FROM payroll_export_templates WHERE is_active = true';
+    const params = [];
+    if (req.user?.roleName !== 'Super Admin') {
+      queryText += ` AND (business_unit_id IS NULL OR business_unit_id = ${dbType === 'mysql' ? '?' : '$1'})`;
+      params.push(req.user?.businessUnitId || 0);
+    }
+    queryText += ' ORDER BY name ASC';
+    const result = await db.query(queryText, params);
+    res.json({ data: result.rows.map(row => ({ ...row, columns: parseColumns(row.columns) })) });
+  } catch (error) {
+    logger.error('List payroll templates error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/shifts/payroll-templates
+// Body: { name, format: csv|fixed_width|json, columns: [{ field, header, width, align, pad, decimals }],
+//         delimiter, include_header, json_root_key, file_extension, business_unit_id (Super Admin; null = global) }
+router.post('/payroll-templates', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_export_templates'))) return payrollSchemaMismatch(res, 'payroll_export_templates');
+    const {
+      name, format, columns, delimiter, include_header = true, json_root_key, file_extension
+    } = req.body || {};
+    if (!name || String(name).trim().length === 0 || String(name).length > 100) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'name is required (max 100 characters)' } });
+    }
+    const templateError = validateTemplate({ format, columns, delimiter });
+    if (templateError) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: templateError } });
+    }
+
+    const businessUnitId = req.user?.roleName === 'Super Admin'
+      ? (req.body.business_unit_id || null)
+      : (req.user?.businessUnitId || null);
+    if (req.user?.roleName !== 'Super Admin' && !businessUnitId) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You must be assigned to a business unit' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = [
+      businessUnitId,
+      String(name).trim(),
+      format,
+      JSON.stringify(parseColumns(columns)),
+      delimiter || ',',
+      !!include_header,
+      json_root_key || null,
+      file_extension || null,
+      req.user.id,
+      req.user.id
+    ];
+    let templateId;
+    if (dbType === 'mysql') {
+      const insertResult = await db.query(
+        `INSERT INTO payroll_export_templates
+         (business_unit_id, name, format, columns, delimiter, include_header, json_root_key, file_extension, created_by, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params
+      );
+      templateId = insertResult.rows.insertId;
+    } else {
+      const insertResult = await db.query(
+        `INSERT INTO payroll_export_templates
+         (business_unit_id, name, format, columns, delimiter, include_header, json_root_key, file_extension, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING id`,
+        params
+      );
+      templateId = insertResult.rows[0].id;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM payroll_export_templates WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [templateId]
+    );
+    res.status(201).json({ ...result.rows[0], columns: parseColumns(result.rows[0].columns) });
+  } catch (error) {
+    logger.error('Create payroll template error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/shifts/payroll-templates/:templateId
+router.patch('/payroll-templates/:templateId', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_export_templates'))) return payrollSchemaMismatch(res, 'payroll_export_templates');
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const existingResult = await db.query(
+      `SELECT * FROM payroll_export_templates WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true`,
+      [req.params.templateId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Payroll template not found' } });
+    }
+    const existing = existingResult.rows[0];
+    if (!canManagePayrollTemplate(req, existing)) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+
+    const merged = {
+      name: req.body.name !== undefined ? String(req.body.name).trim() : existing.name,
+      format: req.body.format !== undefined ? req.body.format : existing.format,
+      columns: req.body.columns !== undefined ? req.body.columns : parseColumns(existing.columns),
+      delimiter: req.body.delimiter !== undefined ? req.body.delimiter : existing.delimiter,
+      include_header: req.body.include_header !== undefined ? !!req.body.include_header : !!existing.include_header,
+      json_root_key: req.body.json_root_key !== undefined ? req.body.json_root_key : existing.json_root_key,
+      file_extension: req.body.file_extension !== undefined ? req.body.file_extension : existing.file_extension
+    };
+    if (!merged.name || merged.name.length > 100) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'name is required (max 100 characters)' } });
+    }
+    const templateError = validateTemplate(merged);
+    if (templateError) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: templateError } });
+    }
+
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    await db.query(
+      `UPDATE payroll_export_templates
+       SET name = ${p(1)}, format = ${p(2)}, columns = ${p(3)}, delimiter = ${p(4)}, include_header = ${p(5)},
+           json_root_key = ${p(6)}, file_extension = ${p(7)}, updated_by = ${p(8)}
+       WHERE id = ${p(9)}`,
+      [
+        merged.name,
+        merged.format,
+        JSON.stringify(parseColumns(merged.columns)),
+        merged.delimiter || ',',
+        merged.include_header,
+        merged.json_root_key || null,
+        merged.file_extension || null,
+        req.user.id,
+        existing.id
+      ]
+    );
+
+    const result = await db.query(`SELECT * FROM payroll_export_templates WHERE id = ${p(1)}`, [existing.id]);
+    res.json({ ...result.rows[0], columns: parseColumns(result.rows[0].columns) });
+  } catch (error) {
+    logger.error('Update payroll template error:', error);
+    next(error);
+  }
+});
+
+// DELETE /api/v1/shifts/payroll-templates/:templateId (soft delete; past exports keep their template_id)
+router.delete('/payroll-templates/:templateId', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_export_templates'))) return payrollSchemaMismatch(res, 'payroll_export_templates');
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const existingResult = await db.query(
+      `SELECT * FROM payroll_export_templates WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true`,
+      [req.params.templateId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Payroll template not found' } });
+    }
+    if (!canManagePayrollTemplate(req, existingResult.rows[0])) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You do not have permission' } });
+    }
+    await db.query(
+      `UPDATE payroll_export_templates SET is_active = false, updated_by = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [req.user.id, req.params.templateId]
+    );
+    res.json({ message: 'Payroll template deleted successfully' });
+  } catch (error) {
+    logger.error('Delete payroll template error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/shifts/payroll-export
+// Body: { start_date, end_date, business_unit_id (Super Admin), template_id (omit for generic CSV), dry_run }
+// Returns the file. Unless dry_run is set, the BU + period is locked: shift edits inside it are refused
+// until the export is reopened.
+router.post('/payroll-export', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_exports'))) return payrollSchemaMismatch(res, 'payroll_exports');
+
+    const { template_id } = req.body || {};
+    const dryRun = req.body?.dry_run === true || req.body?.dry_run === 'true';
+    const startDay = normalizeDateOnly(req.body?.start_date);
+    const endDay = normalizeDateOnly(req.body?.end_date);
+    if (!startDay || !endDay || !/^\d{4}-\d{2}-\d{2}$/.test(startDay) || !/^\d{4}-\d{2}-\d{2}$/.test(endDay)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'start_date and end_date are required (YYYY-MM-DD)' } });
+    }
+    if (endDay < startDay) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'end_date must be on or after start_date' } });
+    }
+    if ((new Date(`${endDay}T00:00:00Z`) - new Date(`${startDay}T00:00:00Z`)) / 86400000 > 92) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Payroll period cannot exceed 93 days' } });
+    }
+    if (!dryRun && endDay >= normalizeDateOnly(new Date().toISOString())) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Only past periods can be exported and locked; use dry_run to preview' } });
+    }
+
+    const businessUnitId = resolvePayrollBusinessUnit(req, req.body?.business_unit_id);
+    if (!businessUnitId) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'business_unit_id is required' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    let template = null;
+    if (template_id) {
+      if (!(await tableExists('payroll_export_templates'))) return payrollSchemaMismatch(res, 'payroll_export_templates');
+      const templateResult = await db.query(
+        `SELECT * FROM payroll_export_templates WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true`,
+        [template_id]
+      );
+      template = templateResult.rows[0] || null;
+      if (!template || (template.business_unit_id != null && String(template.business_unit_id) !== String(businessUnitId))) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Payroll template not found' } });
+      }
+    }
+
+    if (!dryRun) {
+      const locked = await findLockedExport(businessUnitId, startDay, endDay);
+      if (locked) {
+        return res.status(409).json({
+          error: {
+            code: 'PERIOD_ALREADY_EXPORTED',
+            message: 'Part of this period was already exported. Reopen that export first, or use dry_run to download again.',
+            details: { payroll_export_id: locked.id, period_start: toDateOnly(locked.period_start), period_end: toDateOnly(locked.period_end) }
+          }
+        });
+      }
+    }
+
+    const rows = await buildPayrollRows({ businessUnitId, fromDay: startDay, toDay: endDay });
+    const rendered = renderPayroll(rows, template, { period: { start: startDay, end: endDay, business_unit_id: businessUnitId } });
+    const totals = {
+      worked_hours: Number(rows.reduce((sum, row) => sum + row.worked_hours, 0).toFixed(2)),
+      regular_hours: Number(rows.reduce((sum, row) => sum + row.regular_hours, 0).toFixed(2)),
+      overtime_hours: Number(rows.reduce((sum, row) => sum + row.overtime_hours, 0).toFixed(2)),
+      leave_days: rows.reduce((sum, row) => sum + row.leave_days, 0)
+    };
+
+    if (!dryRun) {
+      const params = [
+        businessUnitId, startDay, endDay, template ? template.id : null, template ? template.format : 'csv',
+        rows.length, JSON.stringify(totals), req.user.id
+      ];
+      let exportId;
+      if (dbType === 'mysql') {
+        const insertResult = await db.query(
+          `INSERT INTO payroll_exports (business_unit_id, period_start, period_end, template_id, format, row_count, totals, status, exported_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'locked', ?)`,
+          params
+        );
+        exportId = insertResult.rows.insertId;
+      } else {
+        const insertResult = await db.query(
+          `INSERT INTO payroll_exports (business_unit_id, period_start, period_end, template_id, format, row_count, totals, status, exported_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, 'locked', $8)
+           RETURNING id`,
+          params
+        );
+        exportId = insertResult.rows[0].id;
+      }
+      await db.query(
+        `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+         VALUES (${dbType === 'mysql' ? '?' : '$1'}, 'payroll.exported', 'payroll_export', ${dbType === 'mysql' ? '?' : '$2'}, ${dbType === 'mysql' ? '?' : '$3'})`,
+        [req.user.id, String(exportId), JSON.stringify({ business_unit_id: businessUnitId, period_start: startDay, period_end: endDay, template_id: template ? template.id : null, row_count: rows.length, totals })]
+      );
+      res.setHeader('X-Payroll-Export-Id', String(exportId));
+    }
+
+    res.setHeader('Content-Type', rendered.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="payroll-${businessUnitId}-${startDay}-${endDay}.${rendered.extension}"`);
+    res.send(rendered.content);
+  } catch (error) {
+    logger.error('Payroll export error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/shifts/payroll-exports?business_unit_id=&status=
+router.get('/payroll-exports', requireAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_exports'))) return payrollSchemaMismatch(res, 'payroll_exports');
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = [];
+    const p = (val) => {
+      params.push(val);
+      return dbType === 'mysql' ? '?' : `$${params.length}`;
+    };
+    let queryText = `
+      SELECT pe.*, eu.display_name as exported_by_name, ru.display_name as reopened_by_name, pt.name as template_name
+      FROM payroll_exports pe
+      LEFT JOIN users eu ON pe.exported_by = eu.id
+      LEFT JOIN users ru ON pe.reopened_by = ru.id
+      LEFT JOIN payroll_export_templates pt ON pe.template_id = pt.id
+      WHERE 1=1`;
+    const businessUnitId = resolvePayrollBusinessUnit(req, req.query.business_unit_id);
+    if (req.user?.roleName !== 'Super Admin' || req.query.business_unit_id) {
+      queryText += ` AND pe.business_unit_id = ${p(businessUnitId || 0)}`;
+    }
+    if (req.query.status) queryText += ` AND pe.status = ${p(req.query.status)}`;
+    queryText += ' ORDER BY pe.period_start DESC, pe.id DESC LIMIT 200';
+    const result = await db.query(queryText, params);
+    res.json({ data: result.rows });
+  } catch (error) {
+    logger.error('List payroll exports error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/shifts/payroll-exports/:exportId/reopen
+// Body: { reason } - unlocks the period so shifts in it can be edited (and exported again).
+// Super Admin only, like reopening a closed pay period.
+router.post('/payroll-exports/:exportId/reopen', requireSuperAdmin, async (req, res, next) => {
+  try {
+    if (!(await tableExists('payroll_exports'))) return payrollSchemaMismatch(res, 'payroll_exports');
+    const { reason } = req.body || {};
+    if (!reason || String(reason).trim().length < 3) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'reason is required (min 3 characters)' } });
+    }
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const existingResult = await db.query(`SELECT * FROM payroll_exports WHERE id = ${p(1)}`, [req.params.exportId]);
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Payroll export not found' } });
+    }
+    const payrollExport = existingResult.rows[0];
+
+    const updateResult = await db.query(
+      `UPDATE payroll_exports SET status = 'reopened', reopened_by = ${p(1)}, reopened_at = ${p(2)}, reopen_reason = ${p(3)}
+       WHERE id = ${p(4)} AND status = 'locked'`,
+      [req.user.id, new Date(), String(reason).trim(), payrollExport.id]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_STATUS', message: 'Payroll export is not locked' } });
+    }
+    await db.query(
+      `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+       VALUES (${p(1)}, 'payroll.reopened', 'payroll_export', ${p(2)}, ${p(3)})`,
+      [req.user.id, String(payrollExport.id), JSON.stringify({ reason: String(reason).trim(), business_unit_id: payrollExport.business_unit_id })]
+    );
+
+    const result = await db.query(`SELECT * FROM payroll_exports WHERE id = ${p(1)}`, [payrollExport.id]);
+    res.json({ data: result.rows[0] });
+  } catch (error) {
+    logger.error('Reopen payroll export error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/shifts/:id/review
+// Body: { reason } - accept an auto-closed shift as-is. Use PATCH /:id to correct times instead.
+router.post('/:id/review', requireAdmin, async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason || String(reason).trim().length < 3) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'reason is required (min 3 characters)' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+    const existing = await db.query(
+      `SELECT ts.*, u.business_unit_id as technician_business_unit_id
+       FROM technician_shifts ts
+       LEFT JOIN users u ON ts.technician_id = u.id
+       WHERE ts.id = ${placeholder} LIMIT 1`,
+      [req.params.id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Shift not found' } });
+    }
+    const shift = existing.rows[0];
+
+    const actorBuId = req.user?.businessUnitId;
+    if (isBusinessUnitAdmin(req.user?.roleName) && actorBuId &&
+        shift.business_unit_id !== actorBuId && shift.technician_business_unit_id !== actorBuId) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Cannot review shifts outside your Business Unit' } });
+    }
+    if (!getShiftReviewState(shift.notes).needs_review) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Shift is not flagged for review' } });
+    }
+    const timeLock = await findTimeLock(shift.business_unit_id || shift.technician_business_unit_id, toDateOnly(shift.clock_in_time));
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
+
+    const newNotes = addShiftAdjustmentAudit(shift.notes, {
+      at: new Date().toISOString(),
+      by_user_id: req.user?.id,
+      by_name: req.user?.displayName || req.user?.email || null,
+      reason: String(reason).trim(),
+      reviewed: true,
+      changes: {}
+    });
+    await db.query(
+      dbType === 'mysql'
+        ? `UPDATE technician_shifts SET notes = ? WHERE id = ?`
+        : `UPDATE technician_shifts SET notes = $1 WHERE id = $2`,
+      [newNotes, shift.id]
+    );
+
+    res.json({ data: { ...shift, notes: newNotes, needs_review: false, review_reason: null } });
+  } catch (error) {
+    logger.error('Review shift error:', error);
+    next(error);
+  }
+});
+
 // PATCH /api/v1/shifts/:id
 // Body: { clock_in_time, clock_out_time|null, break_seconds, reason }
 router.patch('/:id', requireAdmin, async (req, res, next) => {
@@ -345,6 +1015,13 @@ router.patch('/:id', requireAdmin, async (req, res, next) => {
       }
     }
 
+    // Closed pay periods and exported payroll are frozen: both the current and the requested clock-in day must be unlocked
+    const shiftDays = [toDateOnly(shift.clock_in_time), toDateOnly(clockIn)].sort();
+    const timeLock = await findTimeLock(shift.business_unit_id || shift.technician_business_unit_id, shiftDays[0], shiftDays[1]);
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
+
     const hasBreakSeconds = await columnExists('technician_shifts', 'break_seconds');
     const hasBreakStartColumn = await columnExists('technician_shifts', 'break_start_time');
 
@@ -458,6 +1135,11 @@ router.post('/clock-in', async (req, res, next) => {
     const now = new Date();
     const today = now.toISOString().split('T')[0];
 
+    const timeLock = await findTechnicianTimeLock(req.user.id, now);
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
+
     let result;
     if (dbType === 'mysql') {
       await db.query(
@@ -524,68 +1206,60 @@ router.post('/clock-out', async (req, res, next) => {
 
     const shift = activeShift.rows[0];
     const now = new Date();
+
+    const timeLock = await findTechnicianTimeLock(req.user.id, shift.clock_in_time, now);
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
     const clockInTime = new Date(shift.clock_in_time);
 
-    // Exclude breaks from reported total hours if available
     const hasBreakSeconds = await columnExists('technician_shifts', 'break_seconds');
-    const breakStartFromNotes = getBreakStartFromNotes(shift.notes);
     const hasBreakStartColumn = await columnExists('technician_shifts', 'break_start_time');
-    const breakStart =
-      (hasBreakStartColumn && shift.break_start_time) ? new Date(shift.break_start_time) :
-      (breakStartFromNotes ? new Date(breakStartFromNotes) : null);
 
-    const priorBreakSeconds = hasBreakSeconds
-      ? (Number(shift.break_seconds) || 0)
-      : getTotalBreakSecondsFromNotes(shift.notes);
+    // If clocking out while on break, finalize that break (paid breaks are not deducted)
+    const ended = computeBreakEnd(shift, now, { hasBreakSeconds, hasBreakStartColumn });
+    let notes = ended ? ended.notes : shift.notes;
+    const breakSeconds = ended
+      ? ended.breakSeconds
+      : (hasBreakSeconds ? (Number(shift.break_seconds) || 0) : getTotalBreakSecondsFromNotes(shift.notes));
 
-    const ongoingBreakSeconds = breakStart ? Math.max(0, Math.floor((now - breakStart) / 1000)) : 0;
-    const totalSeconds = Math.max(0, Math.floor((now - clockInTime) / 1000) - priorBreakSeconds - ongoingBreakSeconds);
+    // Exclude breaks from reported total hours
+    const totalSeconds = Math.max(0, Math.floor((now - clockInTime) / 1000) - breakSeconds);
     const totalHours = (totalSeconds / 3600).toFixed(2);
 
-    // If clocking out while on break, finalize that break
-    if (breakStart) {
-      const newTotalBreakSeconds = priorBreakSeconds + ongoingBreakSeconds;
-      if (dbType === 'mysql') {
-        if (hasBreakSeconds) {
-          await db.query(`UPDATE technician_shifts SET break_seconds = ? WHERE id = ?`, [newTotalBreakSeconds, shift.id]);
-        } else {
-          const notes = buildNotesWithBreakState(shift.notes, { start_time: null, total_break_seconds: newTotalBreakSeconds });
-          await db.query(`UPDATE technician_shifts SET notes = ? WHERE id = ?`, [notes, shift.id]);
-        }
-        if (hasBreakStartColumn) {
-          await db.query(`UPDATE technician_shifts SET break_start_time = ? WHERE id = ?`, [null, shift.id]);
-        } else {
-          const notes = buildNotesWithBreakState(shift.notes, { start_time: null, total_break_seconds: newTotalBreakSeconds });
-          await db.query(`UPDATE technician_shifts SET notes = ? WHERE id = ?`, [notes, shift.id]);
-        }
-      } else {
-        if (hasBreakSeconds) {
-          await db.query(`UPDATE technician_shifts SET break_seconds = $1 WHERE id = $2`, [newTotalBreakSeconds, shift.id]);
-        } else {
-          const notes = buildNotesWithBreakState(shift.notes, { start_time: null, total_break_seconds: newTotalBreakSeconds });
-          await db.query(`UPDATE technician_shifts SET notes = $1 WHERE id = $2`, [notes, shift.id]);
-        }
-        if (hasBreakStartColumn) {
-          await db.query(`UPDATE technician_shifts SET break_start_time = $1 WHERE id = $2`, [null, shift.id]);
-        } else {
-          const notes = buildNotesWithBreakState(shift.notes, { start_time: null, total_break_seconds: newTotalBreakSeconds });
-          await db.query(`UPDATE technician_shifts SET notes = $1 WHERE id = $2`, [notes, shift.id]);
-        }
-      }
-    }
+    // A shift that ran past the BU's mandatory-break threshold without that break is flagged for the compliance report
+    const policy = await getTechnicianBreakPolicy(req.user.id);
+    const missedBreak = findMissedMandatoryBreak(policy, {
+      clockIn: clockInTime,
+      clockOut: now,
+      segments: getBreakSegmentsFromNotes(notes)
+    });
+    if (missedBreak) notes = addBreakViolationToNotes(notes, missedBreak);
 
-    // Update shift with clock out time
-    if (dbType === 'mysql') {
-      await db.query(
-        `UPDATE technician_shifts SET clock_out_time = ? WHERE id = ?`,
-        [now, shift.id]
-      );
-    } else {
-      await db.query(
-        `UPDATE technician_shifts SET clock_out_time = $1 WHERE id = $2`,
-        [now, shift.id]
-      );
+    // Indirect time only runs inside a shift
+    await stopActiveIndirectTimers(req.user.id, now, 'clock_out');
+
+    // Update shift with clock out time (plus break fields when an open break was closed)
+    const setParts = ['clock_out_time'];
+    const params = [now];
+    if (notes !== shift.notes) {
+      setParts.push('notes');
+      params.push(notes);
+    }
+    if (ended && hasBreakSeconds) {
+      setParts.push('break_seconds');
+      params.push(breakSeconds);
+    }
+    if (ended && hasBreakStartColumn) {
+      setParts.push('break_start_time');
+      params.push(null);
     }
+    params.push(shift.id);
+    const assignments = setParts.map((col, i) => `${col} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ');
+    await db.query(
+      `UPDATE technician_shifts SET ${assignments} WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
 
     logger.info(`Technician ${req.user.id} clocked out. Total shift: ${totalHours} hours`);
     
@@ -593,7 +1267,11 @@ router.post('/clock-out', async (req, res, next) => {
       message: 'Clocked out successfully',
       total_hours: totalHours,
       clock_in_time: shift.clock_in_time,
-      clock_out_time: now
+      clock_out_time: now,
+      break_violations: [
+        ...(ended && ended.overrun ? ['break_overrun'] : []),
+        ...(missedBreak ? ['missed_mandatory_break'] : [])
+      ]
     });
   } catch (error) {
     logger.error('Clock out error:', error);
@@ -647,6 +1325,11 @@ router.get('/me', async (req, res, next) => {
     
     const breakActive = breakStartIso != null && breakStartIso !== '';
 
+    const policy = await getTechnicianBreakPolicy(req.user.id);
+    const segments = getBreakSegmentsFromNotes(shift.notes);
+    const openSegment = breakActive ? getOpenBreakSegmentFromNotes(shift.notes) : null;
+    const mandatoryBreakDueAt = getMandatoryBreakDueAt(policy, shift.clock_in_time, segments);
+
     res.json({
       shift_id: shift.id,
       shift_active: true,
@@ -655,6 +1338,15 @@ router.get('/me', async (req, res, next) => {
       break_start_time: breakStartIso,
       break_seconds: shift.break_seconds,
       break_active: breakActive,
+      break_type: openSegment ? openSegment.break_type || null : null,
+      break_compliance: {
+        breaks_taken: segments.length,
+        breaks_remaining: policy.max_breaks_per_shift ? Math.max(0, policy.max_breaks_per_shift - segments.length) : null,
+        break_max_seconds: openSegment && openSegment.max_seconds != null ? openSegment.max_seconds : null,
+        mandatory_break_due_at: mandatoryBreakDueAt ? mandatoryBreakDueAt.toISOString() : null,
+        mandatory_break_overdue: !!(mandatoryBreakDueAt && mandatoryBreakDueAt <= new Date()),
+        violations: getBreakViolationsFromNotes(shift.notes)
+      },
       schema_note: hasBreakStartColumn ? 'uses break_start_time column' : 'uses notes JSON'
     });
   } catch (error) {
@@ -700,6 +1392,11 @@ router.post('/start-break', async (req, res, next) => {
     const shift = activeShift.rows[0];
     const now = new Date();
 
+    const timeLock = await findTechnicianTimeLock(req.user.id, shift.clock_in_time, now);
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
+
     const hasBreakStartColumn = await columnExists('technician_shifts', 'break_start_time');
     const hasBreakSeconds = await columnExists('technician_shifts', 'break_seconds');
 
@@ -716,10 +1413,27 @@ router.post('/start-break', async (req, res, next) => {
       });
     }
 
+    // Break policy of the technician's BU: break type, number of breaks, break time left
+    const policy = await getTechnicianBreakPolicy(req.user.id);
+    const { breakType, error: breakTypeError } = resolveBreakType(policy, req.body?.break_type);
+    if (breakTypeError) {
+      return res.status(breakTypeError.status).json({
+        error: { code: breakTypeError.code, message: breakTypeError.message, ...(breakTypeError.details ? { details: breakTypeError.details } : {}) }
+      });
+    }
+    const priorSegments = getBreakSegmentsFromNotes(shift.notes);
+    const policyError = checkBreakStart(policy, breakType, priorSegments);
+    if (policyError) {
+      return res.status(policyError.status).json({
+        error: { code: policyError.code, message: policyError.message, details: policyError.details }
+      });
+    }
+    const segment = buildBreakSegment(policy, breakType, priorSegments, now);
+
     // Auto-pause active job timers when break starts (enforce break/timer invariant)
     const activePh = dbType === 'mysql' ? '?' : '$1';
     const activeTimeLogs = await db.query(
-      `SELECT id FROM time_logs WHERE technician_id = ${activePh} AND status = 'active'`,
+      `SELECT id, assignment_id, technician_id, job_card_id, start_ts FROM time_logs WHERE technician_id = ${activePh} AND status = 'active'`,
       [req.user.id]
     );
     
@@ -738,13 +1452,21 @@ router.post('/start-break', async (req, res, next) => {
               [log.id]
             );
           }
+          await recordPause({ timeLog: log, reason: SYSTEM_PAUSE_REASONS.BREAK, pausedAt: now, source: 'break', createdBy: req.user.id });
         } catch (err) {
           logger.error('Failed to auto-pause timer during break start:', err);
         }
       }
       logger.info(`Technician ${req.user.id} started break, auto-paused ${activeTimeLogs.rows.length} timer(s)`);
+
+      const earliestStart = activeTimeLogs.rows
+        .map(log => new Date(log.start_ts))
+        .reduce((min, ts) => (ts < min ? ts : min), now);
+      await reallocateOverlappingTime(req.user.id, earliestStart, now);
     }
 
+    await stopActiveIndirectTimers(req.user.id, now, 'break_start');
+
     // Persist break start time; if schema doesn't have a break_start_time column, store in notes JSON.
     if (dbType === 'mysql') {
       if (hasBreakStartColumn) {
@@ -753,7 +1475,7 @@ router.post('/start-break', async (req, res, next) => {
       // Always keep notes JSON enriched with break_state + segments (even if schema has break_start_time)
       const priorTotal = hasBreakSeconds ? (Number(shift.break_seconds) || 0) : getTotalBreakSecondsFromNotes(shift.notes);
       let notes = buildNotesWithBreakState(shift.notes, { start_time: now.toISOString(), total_break_seconds: priorTotal });
-      notes = appendBreakSegmentToNotes(notes, { start_time: now.toISOString(), end_time: null, duration_seconds: null });
+      notes = appendBreakSegmentToNotes(notes, segment);
       await db.query(`UPDATE technician_shifts SET notes = ? WHERE id = ?`, [notes, shift.id]);
     } else {
       if (hasBreakStartColumn) {
@@ -761,7 +1483,7 @@ router.post('/start-break', async (req, res, next) => {
       }
       const priorTotal = hasBreakSeconds ? (Number(shift.break_seconds) || 0) : getTotalBreakSecondsFromNotes(shift.notes);
       let notes = buildNotesWithBreakState(shift.notes, { start_time: now.toISOString(), total_break_seconds: priorTotal });
-      notes = appendBreakSegmentToNotes(notes, { start_time: now.toISOString(), end_time: null, duration_seconds: null });
+      notes = appendBreakSegmentToNotes(notes, segment);
       await db.query(`UPDATE technician_shifts SET notes = $1 WHERE id = $2`, [notes, shift.id]);
     }
 
@@ -770,7 +1492,11 @@ router.post('/start-break', async (req, res, next) => {
     res.json({
       message: 'Break started',
       shift_id: shift.id,
-      break_start_time: now.toISOString()
+      break_start_time: now.toISOString(),
+      break_type: segment.break_type,
+      is_paid: segment.is_paid,
+      break_max_seconds: segment.max_seconds,
+      auto_end_at: segment.auto_end ? new Date(now.getTime() + segment.max_seconds * 1000).toISOString() : null
     });
   } catch (error) {
     logger.error('Start break error:', error);
@@ -814,14 +1540,18 @@ router.post('/end-break', async (req, res, next) => {
     const shift = activeShift.rows[0];
     const now = new Date();
 
+    const timeLock = await findTechnicianTimeLock(req.user.id, shift.clock_in_time, now);
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
+
     const hasBreakStartColumn = await columnExists('technician_shifts', 'break_start_time');
     const hasBreakSeconds = await columnExists('technician_shifts', 'break_seconds');
 
-    const breakStartIso = (hasBreakStartColumn && shift.break_start_time)
-      ? new Date(shift.break_start_time).toISOString()
-      : getBreakStartFromNotes(shift.notes);
-
-    if (!breakStartIso) {
+    // Close the current break segment and clear break_state; paid breaks are not deducted,
+    // and a break past its allowed length is recorded as a violation (or capped when auto-end is on)
+    const ended = computeBreakEnd(shift, now, { hasBreakSeconds, hasBreakStartColumn });
+    if (!ended) {
       return res.status(400).json({
         error: {
           code: 'NOT_ON_BREAK',
@@ -829,19 +1559,9 @@ router.post('/end-break', async (req, res, next) => {
         }
       });
     }
-
-    const breakStart = new Date(breakStartIso);
-    const addedSeconds = Math.max(0, Math.floor((now - breakStart) / 1000));
-
-    const priorTotalSeconds = hasBreakSeconds
-      ? (Number(shift.break_seconds) || 0)
-      : getTotalBreakSecondsFromNotes(shift.notes);
-
-    const newTotalSeconds = priorTotalSeconds + addedSeconds;
-
-    // Build final notes JSON: close the current break segment and clear break_state (break is ending)
-    let finalNotes = closeOpenBreakSegmentInNotes(shift.notes, now.toISOString());
-    finalNotes = buildNotesWithBreakState(finalNotes, { start_time: null, total_break_seconds: newTotalSeconds });
+    const addedSeconds = ended.addedSeconds;
+    const newTotalSeconds = ended.breakSeconds;
+    const finalNotes = ended.notes;
 
     if (dbType === 'mysql') {
       if (hasBreakSeconds) {
@@ -867,7 +1587,11 @@ router.post('/end-break', async (req, res, next) => {
     res.json({
       message: 'Break ended',
       break_seconds_added: addedSeconds,
-      total_break_seconds: newTotalSeconds
+      total_break_seconds: newTotalSeconds,
+      break_duration_seconds: ended.durationSeconds,
+      is_paid: ended.isPaid,
+      break_overrun: ended.overrun,
+      auto_ended: ended.autoEnded
     });
   } catch (error) {
     logger.error('End break error:', error);
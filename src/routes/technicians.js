@@ -4,6 +4,8 @@ const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 const { ensureTechnicianProfile, findTechnicianIntegrityIssues } = require('../services/technicianProfileService');
+const { upsertScheduleException, toDateOnly } = require('../services/scheduleExceptionService');
+const { getBusinessUnitsOnHoliday } = require('../services/holidayService');
 
 const router = express.Router();
 
@@ -113,6 +115,7 @@ router.get('/', async (req, res, next) => {
         u.email,
         u.display_name,
         u.is_active,
+        ${hasUsersBU ? 'u.business_unit_id,' : ''}
         COUNT(DISTINCT CASE WHEN tl.status = 'active' THEN tl.id END) as active_timers,
         COUNT(DISTINCT CASE WHEN a.status IN ('assigned', 'in_progress') THEN a.id END) as active_assignments
       FROM technicians t
@@ -124,10 +127,6 @@ router.get('/', async (req, res, next) => {
     const params = [];
     let paramCount = 0;
 
-    if (is_available !== undefined) {
-      // This would need more complex logic to check schedule and capacity
-      // For now, just filter by active status
-    }
 
     if (trade) {
       paramCount++;
@@ -169,12 +168,35 @@ router.get('/', async (req, res, next) => {
     }
 
     // MySQL GROUP BY requires all non-aggregated columns
-    queryText += ` GROUP BY t.user_id, t.employee_code, t.trade, t.skill_tags, t.hourly_rate, t.max_concurrent_jobs, u.email, u.display_name, u.is_active, u.id`;
+    queryText += ` GROUP BY t.user_id, t.employee_code, t.trade, t.skill_tags, t.hourly_rate, t.max_concurrent_jobs, u.email, u.display_name, u.is_active, u.id${hasUsersBU ? ', u.business_unit_id' : ''}`;
 
     const result = await db.query(queryText, params);
 
+    // Technicians with a day off today (approved leave, manual exception or BU holiday) have no capacity.
+    // A working-day exception overrides the holiday.
+    const today = toDateOnly(new Date());
+    const exceptionsToday = new Map(); // technician_id -> is_working_day
+    if (result.rows.length > 0 && await tableExists('schedule_exceptions')) {
+      const exceptionResult = await db.query(
+        `SELECT technician_id, is_working_day FROM schedule_exceptions WHERE exception_date = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [today]
+      );
+      for (const row of exceptionResult.rows || []) exceptionsToday.set(String(row.technician_id), !!row.is_working_day);
+    }
+    const holidayBusinessUnits = result.rows.length > 0 && hasUsersBU ? await getBusinessUnitsOnHoliday(today) : new Set();
+    const onLeaveToday = new Set();
+    const onHolidayToday = new Set();
+    for (const row of result.rows) {
+      const id = String(row.user_id);
+      if (exceptionsToday.has(id)) {
+        if (!exceptionsToday.get(id)) onLeaveToday.add(id);
+      } else if (row.business_unit_id && holidayBusinessUnits.has(String(row.business_unit_id))) {
+        onHolidayToday.add(id);
+      }
+    }
+
     // Format response
-    const technicians = result.rows.map(row => ({
+    let technicians = result.rows.map(row => ({
       user_id: row.user_id,
       employee_code: row.employee_code,
       trade: row.trade,
@@ -186,11 +208,19 @@ router.get('/', async (req, res, next) => {
         email: row.email,
         display_name: row.display_name
       },
-      is_available: (row.active_timers || 0) < row.max_concurrent_jobs,
+      is_available: !onLeaveToday.has(String(row.user_id)) && !onHolidayToday.has(String(row.user_id)) &&
+        (row.active_timers || 0) < row.max_concurrent_jobs,
+      on_leave_today: onLeaveToday.has(String(row.user_id)),
+      on_holiday_today: onHolidayToday.has(String(row.user_id)),
       active_timers: parseInt(row.active_timers) || 0,
       active_assignments: parseInt(row.active_assignments) || 0
     }));
 
+    if (is_available !== undefined) {
+      const wantAvailable = is_available === true || is_available === 'true';
+      technicians = technicians.filter(tech => tech.is_available === wantAvailable);
+    }
+
     res.json({
       data: technicians
     });
@@ -379,6 +409,303 @@ router.put('/:id/schedule',
   }
 );
 
+// Shared BU scoping for schedule-exception routes: Super Admin anywhere, everyone else only
+// for technicians in their own business unit. Returns an error payload or null.
+async function checkTechnicianScope(actorId, technicianId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const actorResult = await db.query(
+    `SELECT u.business_unit_id, r.name as role_name
+     FROM users u
+     JOIN roles r ON u.role_id = r.id
+     WHERE u.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [actorId]
+  );
+  const actorRole = actorResult.rows[0]?.role_name || null;
+  const actorBu = actorResult.rows[0]?.business_unit_id || null;
+  if (!actorRole) {
+    return { status: 403, code: 'AUTHORIZATION_FAILED', message: 'Role not found' };
+  }
+  if (actorRole.toLowerCase() === 'super admin') return null;
+  if (!actorBu) {
+    return { status: 403, code: 'AUTHORIZATION_FAILED', message: 'You must be assigned to a business unit' };
+  }
+  const targetBu = await db.query(
+    `SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [technicianId]
+  );
+  if (targetBu.rows.length === 0 || !targetBu.rows[0].business_unit_id || String(targetBu.rows[0].business_unit_id) !== String(actorBu)) {
+    return { status: 403, code: 'AUTHORIZATION_FAILED', message: 'Cannot modify technicians outside your business unit' };
+  }
+  return null;
+}
+
+function exceptionsSchemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'schedule_exceptions table is missing. Apply scheduling section from schema_mysql.sql/schema.sql.'
+    }
+  });
+}
+
+const exceptionTimeRe = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// Special working days need a valid window; days off carry no times
+function validateExceptionTimes({ is_working_day, start_time, end_time }) {
+  if (!is_working_day) return null;
+  if (!exceptionTimeRe.test(start_time || '') || !exceptionTimeRe.test(end_time || '')) {
+    return 'start_time/end_time (HH:MM or HH:MM:SS) are required for a working day';
+  }
+  if (String(end_time) <= String(start_time)) {
+    return 'end_time must be after start_time';
+  }
+  return null;
+}
+
+// GET /api/v1/technicians/:id/schedule-exceptions?start_date=...&end_date=...
+// Days off (incl. approved leave) and special working days. Technicians may read their own.
+router.get('/:id/schedule-exceptions',
+  [
+    query('start_date').optional().isISO8601(),
+    query('end_date').optional().isISO8601()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await tableExists('schedule_exceptions'))) return exceptionsSchemaMismatch(res);
+
+      const technicianId = String(req.params.id);
+      if (technicianId !== String(req.user.id)) {
+        const scopeError = await checkTechnicianScope(req.user.id, technicianId);
+        if (scopeError) {
+          return res.status(scopeError.status).json({ error: { code: scopeError.code, message: scopeError.message } });
+        }
+      }
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const params = [technicianId];
+      const p = () => (dbType === 'mysql' ? '?' : `$${params.length}`);
+      let queryText = `SELECT * FROM schedule_exceptions WHERE technician_id = ${p()}`;
+      if (req.query.start_date) {
+        params.push(String(req.query.start_date).slice(0, 10));
+        queryText += ` AND exception_date >= ${p()}`;
+      }
+      if (req.query.end_date) {
+        params.push(String(req.query.end_date).slice(0, 10));
+        queryText += ` AND exception_date <= ${p()}`;
+      }
+      queryText += ' ORDER BY exception_date ASC';
+
+      const result = await db.query(queryText, params);
+      res.json({ data: result.rows || [] });
+    } catch (error) {
+      logger.error('Get schedule exceptions error:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/technicians/:id/schedule-exceptions
+// Body: { exception_date, is_working_day, start_time?, end_time?, reason? }
+// Replaces any existing exception on that date, except a day off created by an approved leave request.
+router.post('/:id/schedule-exceptions',
+  requireAdminOrServiceAdvisor,
+  [
+    body('exception_date').isISO8601().withMessage('exception_date must be a date'),
+    body('is_working_day').optional().isBoolean(),
+    body('reason').optional({ nullable: true }).isString()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await tableExists('schedule_exceptions'))) return exceptionsSchemaMismatch(res);
+
+      const technicianId = String(req.params.id);
+      const scopeError = await checkTechnicianScope(req.user.id, technicianId);
+      if (scopeError) {
+        return res.status(scopeError.status).json({ error: { code: scopeError.code, message: scopeError.message } });
+      }
+
+      const isWorkingDay = req.body.is_working_day === true || req.body.is_working_day === 'true';
+      const timeError = validateExceptionTimes({ ...req.body, is_working_day: isWorkingDay });
+      if (timeError) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: timeError } });
+      }
+
+      const exceptionDate = String(req.body.exception_date).slice(0, 10);
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+      // Replacing the day would drop an approved leave day along with its leave_request_id
+      const existingResult = await db.query(
+        `SELECT * FROM schedule_exceptions WHERE technician_id = ${p(1)} AND exception_date = ${p(2)}`,
+        [technicianId, exceptionDate]
+      );
+      const existing = existingResult.rows[0];
+      if (existing && existing.leave_request_id) {
+        return res.status(409).json({
+          error: {
+            code: 'LEAVE_EXCEPTION',
+            message: 'This day off comes from an approved leave request. Cancel the leave request instead.',
+            details: { leave_request_id: existing.leave_request_id }
+          }
+        });
+      }
+
+      const id = await upsertScheduleException({
+        technicianId,
+        exceptionDate,
+        isWorkingDay,
+        startTime: req.body.start_time || null,
+        endTime: req.body.end_time || null,
+        reason: req.body.reason || null,
+        createdBy: req.user.id
+      });
+
+      await db.query(
+        `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+         VALUES (${p(1)}, 'schedule_exception.saved', 'technician', ${p(2)}, ${p(3)})`,
+        [req.user.id, technicianId, JSON.stringify({ exception_id: id, exception_date: exceptionDate, is_working_day: isWorkingDay })]
+      );
+
+      const result = await db.query(`SELECT * FROM schedule_exceptions WHERE id = ${p(1)}`, [id]);
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      logger.error('Create schedule exception error:', error);
+      next(error);
+    }
+  }
+);
+
+// PATCH /api/v1/technicians/:id/schedule-exceptions/:exceptionId
+router.patch('/:id/schedule-exceptions/:exceptionId',
+  requireAdminOrServiceAdvisor,
+  [
+    body('is_working_day').optional().isBoolean(),
+    body('reason').optional({ nullable: true }).isString()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+      if (!(await tableExists('schedule_exceptions'))) return exceptionsSchemaMismatch(res);
+
+      const technicianId = String(req.params.id);
+      const scopeError = await checkTechnicianScope(req.user.id, technicianId);
+      if (scopeError) {
+        return res.status(scopeError.status).json({ error: { code: scopeError.code, message: scopeError.message } });
+      }
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+      const existingResult = await db.query(
+        `SELECT * FROM schedule_exceptions WHERE id = ${p(1)} AND technician_id = ${p(2)}`,
+        [req.params.exceptionId, technicianId]
+      );
+      if (existingResult.rows.length === 0) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Schedule exception not found' } });
+      }
+      const existing = existingResult.rows[0];
+      if (existing.leave_request_id) {
+        return res.status(409).json({
+          error: {
+            code: 'LEAVE_EXCEPTION',
+            message: 'This day off comes from an approved leave request. Cancel the leave request instead.',
+            details: { leave_request_id: existing.leave_request_id }
+          }
+        });
+      }
+
+      const merged = {
+        is_working_day: req.body.is_working_day !== undefined
+          ? (req.body.is_working_day === true || req.body.is_working_day === 'true')
+          : !!existing.is_working_day,
+        start_time: req.body.start_time !== undefined ? req.body.start_time : existing.start_time,
+        end_time: req.body.end_time !== undefined ? req.body.end_time : existing.end_time,
+        reason: req.body.reason !== undefined ? req.body.reason : existing.reason
+      };
+      const timeError = validateExceptionTimes(merged);
+      if (timeError) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: timeError } });
+      }
+
+      await db.query(
+        `UPDATE schedule_exceptions SET is_working_day = ${p(1)}, start_time = ${p(2)}, end_time = ${p(3)}, reason = ${p(4)} WHERE id = ${p(5)}`,
+        [
+          merged.is_working_day,
+          merged.is_working_day ? merged.start_time : null,
+          merged.is_working_day ? merged.end_time : null,
+          merged.reason || null,
+          existing.id
+        ]
+      );
+      await db.query(
+        `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+         VALUES (${p(1)}, 'schedule_exception.updated', 'technician', ${p(2)}, ${p(3)})`,
+        [req.user.id, technicianId, JSON.stringify({ exception_id: existing.id, before: existing, after: merged })]
+      );
+
+      const result = await db.query(`SELECT * FROM schedule_exceptions WHERE id = ${p(1)}`, [existing.id]);
+      res.json(result.rows[0]);
+    } catch (error) {
+      logger.error('Update schedule exception error:', error);
+      next(error);
+    }
+  }
+);
+
+// DELETE /api/v1/technicians/:id/schedule-exceptions/:exceptionId
+router.delete('/:id/schedule-exceptions/:exceptionId', requireAdminOrServiceAdvisor, async (req, res, next) => {
+  try {
+    if (!(await tableExists('schedule_exceptions'))) return exceptionsSchemaMismatch(res);
+
+    const technicianId = String(req.params.id);
+    const scopeError = await checkTechnicianScope(req.user.id, technicianId);
+    if (scopeError) {
+      return res.status(scopeError.status).json({ error: { code: scopeError.code, message: scopeError.message } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const existingResult = await db.query(
+      `SELECT * FROM schedule_exceptions WHERE id = ${p(1)} AND technician_id = ${p(2)}`,
+      [req.params.exceptionId, technicianId]
+    );
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Schedule exception not found' } });
+    }
+    const existing = existingResult.rows[0];
+    if (existing.leave_request_id) {
+      return res.status(409).json({
+        error: {
+          code: 'LEAVE_EXCEPTION',
+          message: 'This day off comes from an approved leave request. Cancel the leave request instead.',
+          details: { leave_request_id: existing.leave_request_id }
+        }
+      });
+    }
+
+    await db.query(`DELETE FROM schedule_exceptions WHERE id = ${p(1)}`, [existing.id]);
+    await db.query(
+      `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+       VALUES (${p(1)}, 'schedule_exception.deleted', 'technician', ${p(2)}, ${p(3)})`,
+      [req.user.id, technicianId, JSON.stringify(existing)]
+    );
+    res.json({ message: 'Schedule exception deleted successfully' });
+  } catch (error) {
+    logger.error('Delete schedule exception error:', error);
+    next(error);
+  }
+});
+
 // POST /api/v1/technicians
 router.post('/',
   requireAdminOrServiceAdvisor,
@@ -0,0 +1,677 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { findOverlappingLogs } = require('../services/timerSyncService');
+const { recalculateActualHoursFor } = require('../utils/jobCardHours');
+const { isMultiTaskingEnabled, reallocateOverlappingTime } = require('../services/timerConcurrencyService');
+const { findTechnicianTimeLock, timeLockError } = require('../services/payPeriodService');
+
+const router = express.Router();
+router.use(authenticate);
+
+const CORRECTION_TYPES = ['adjust', 'split', 'reassign'];
+const CORRECTABLE_STATUSES = ['paused', 'finished'];
+
+function isBusinessUnitAdmin(roleName) {
+  return typeof roleName === 'string' && roleName.toLowerCase().includes('business unit admin');
+}
+
+function isAdminRole(roleName) {
+  return ['Super Admin', 'Business Unit Admin', 'Admin'].includes(roleName);
+}
+
+function safeParseJson(value) {
+  if (value == null) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatCorrection(row) {
+  return {
+    ...row,
+    proposed_changes: safeParseJson(row.proposed_changes),
+    original_snapshot: safeParseJson(row.original_snapshot)
+  };
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function snapshotTimeLog(log) {
+  return {
+    id: log.id,
+    assignment_id: log.assignment_id,
+    job_card_id: log.job_card_id,
+    start_ts: toIso(log.start_ts),
+    end_ts: toIso(log.end_ts),
+    duration_seconds: log.duration_seconds != null ? parseInt(log.duration_seconds, 10) : null,
+    status: log.status
+  };
+}
+
+async function loadTimeLog(id) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT tl.*, u.business_unit_id as technician_business_unit_id
+     FROM time_logs tl
+     LEFT JOIN users u ON tl.technician_id = u.id
+     WHERE tl.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+async function loadCorrection(id) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT c.*, u.display_name as technician_name, rq.display_name as requested_by_name, rv.display_name as reviewed_by_name
+     FROM time_log_corrections c
+     LEFT JOIN users u ON c.technician_id = u.id
+     LEFT JOIN users rq ON c.requested_by = rq.id
+     LEFT JOIN users rv ON c.reviewed_by = rv.id
+     WHERE c.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Assignment of this technician on the target job card (reassign / split to another card)
+async function findTargetAssignment(technicianId, jobCardId, assignmentId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = assignmentId
+    ? await db.query(
+      `SELECT id, job_card_id, technician_id, status FROM assignments WHERE id = ${p(1)} AND technician_id = ${p(2)}`,
+      [assignmentId, technicianId]
+    )
+    : await db.query(
+      `SELECT id, job_card_id, technician_id, status FROM assignments
+       WHERE job_card_id = ${p(1)} AND technician_id = ${p(2)} AND status <> 'cancelled'
+       ORDER BY assigned_at DESC LIMIT 1`,
+      [jobCardId, technicianId]
+    );
+  const assignment = result.rows[0] || null;
+  if (assignment && jobCardId && String(assignment.job_card_id) !== String(jobCardId)) return null;
+  return assignment;
+}
+
+// Validate a proposed change against the current log and build the normalized change set.
+// Returns { error } or { changes }.
+async function buildProposedChanges(timeLog, correctionType, input) {
+  const currentStart = new Date(timeLog.start_ts);
+  const currentEnd = new Date(timeLog.end_ts);
+
+  if (correctionType === 'adjust') {
+    const start = input.start_ts ? new Date(input.start_ts) : currentStart;
+    const end = input.end_ts ? new Date(input.end_ts) : currentEnd;
+    if (!input.start_ts && !input.end_ts) {
+      return { error: 'start_ts or end_ts is required for an adjust correction' };
+    }
+    if (end <= start) {
+      return { error: 'end_ts must be after start_ts' };
+    }
+    if (end > new Date()) {
+      return { error: 'end_ts cannot be in the future' };
+    }
+    if (start.getTime() === currentStart.getTime() && end.getTime() === currentEnd.getTime()) {
+      return { error: 'Proposed times are identical to the current time log' };
+    }
+    return { changes: { start_ts: start.toISOString(), end_ts: end.toISOString() } };
+  }
+
+  if (correctionType === 'split') {
+    const splitAt = input.split_at ? new Date(input.split_at) : null;
+    if (!splitAt || Number.isNaN(splitAt.getTime())) {
+      return { error: 'split_at is required for a split correction' };
+    }
+    if (splitAt <= currentStart || splitAt >= currentEnd) {
+      return { error: 'split_at must fall strictly inside the time log' };
+    }
+    const changes = { split_at: splitAt.toISOString() };
+    if (input.job_card_id && String(input.job_card_id) !== String(timeLog.job_card_id)) {
+      const assignment = await findTargetAssignment(timeLog.technician_id, input.job_card_id, input.assignment_id);
+      if (!assignment) {
+        return { error: 'Technician has no assignment on the target job card' };
+      }
+      changes.job_card_id = assignment.job_card_id;
+      changes.assignment_id = assignment.id;
+    }
+    return { changes };
+  }
+
+  // reassign
+  if (!input.job_card_id && !input.assignment_id) {
+    return { error: 'job_card_id or assignment_id is required for a reassign correction' };
+  }
+  const assignment = await findTargetAssignment(timeLog.technician_id, input.job_card_id, input.assignment_id);
+  if (!assignment) {
+    return { error: 'Technician has no assignment on the target job card' };
+  }
+  if (String(assignment.id) === String(timeLog.assignment_id)) {
+    return { error: 'Time log is already on this assignment' };
+  }
+  return { changes: { job_card_id: assignment.job_card_id, assignment_id: assignment.id } };
+}
+
+async function findCorrectionOverlaps(timeLog, correctionType, changes) {
+  if (correctionType !== 'adjust') return [];
+  const overlaps = await findOverlappingLogs(timeLog.technician_id, new Date(changes.start_ts), new Date(changes.end_ts), timeLog.id);
+  // Parallel timers on other assignments are legitimate when multi-tasking is on
+  if (await isMultiTaskingEnabled()) {
+    return overlaps.filter(o => String(o.assignment_id) === String(timeLog.assignment_id));
+  }
+  return overlaps;
+}
+
+function canReviewCorrection(user, correction) {
+  if (!isBusinessUnitAdmin(user?.roleName)) return true;
+  return !!user.businessUnitId && String(correction.business_unit_id) === String(user.businessUnitId);
+}
+
+async function writeAudit(actorId, action, objectId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'time_log', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'time_log', $3, $4)`,
+    [actorId, action, String(objectId), JSON.stringify(details)]
+  );
+}
+
+// GET /api/v1/time-log-corrections
+// Technicians see their own requests; admins see requests in their scope.
+router.get('/',
+  [
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled']),
+    query('time_log_id').optional().isInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+
+      const { status, time_log_id, technician_id } = req.query;
+      const limit = parseInt(req.query.limit || 100, 10);
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const params = [];
+      const p = () => {
+        return dbType === 'mysql' ? '?' : `$${params.length}`;
+      };
+
+      let queryText = `
+        SELECT c.*, u.display_name as technician_name, rv.display_name as reviewed_by_name
+        FROM time_log_corrections c
+        LEFT JOIN users u ON c.technician_id = u.id
+        LEFT JOIN users rv ON c.reviewed_by = rv.id
+        WHERE 1=1`;
+
+      if (!isAdminRole(req.user.roleName)) {
+        params.push(req.user.id);
+        queryText += ` AND c.technician_id = ${p()}`;
+      } else {
+        if (isBusinessUnitAdmin(req.user.roleName)) {
+          params.push(req.user.businessUnitId || 0);
+          queryText += ` AND c.business_unit_id = ${p()}`;
+        }
+        if (technician_id) {
+          params.push(technician_id);
+          queryText += ` AND c.technician_id = ${p()}`;
+        }
+      }
+      if (status) {
+        params.push(status);
+        queryText += ` AND c.status = ${p()}`;
+      }
+      if (time_log_id) {
+        params.push(time_log_id);
+        queryText += ` AND c.time_log_id = ${p()}`;
+      }
+      queryText += ` ORDER BY c.created_at DESC LIMIT ${limit}`;
+
+      const result = await db.query(queryText, params);
+      res.json({ data: (result.rows || []).map(formatCorrection) });
+    } catch (error) {
+      logger.error('Get time log corrections error:', error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/time-log-corrections/:id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const correction = await loadCorrection(req.params.id);
+    if (!correction) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Correction request not found' } });
+    }
+    const isOwner = correction.technician_id === req.user.id;
+    if (!isOwner && !(isAdminRole(req.user.roleName) && canReviewCorrection(req.user, correction))) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Access denied' } });
+    }
+    res.json(formatCorrection(correction));
+  } catch (error) {
+    logger.error('Get time log correction error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/time-log-corrections
+// Submit a correction request for a closed time log. Nothing changes until it is approved.
+router.post('/',
+  [
+    body('time_log_id').isInt(),
+    body('correction_type').isIn(CORRECTION_TYPES),
+    body('reason').isString().trim().isLength({ min: 3, max: 2000 }),
+    body('start_ts').optional().isISO8601(),
+    body('end_ts').optional().isISO8601(),
+    body('split_at').optional().isISO8601(),
+    body('job_card_id').optional().isInt(),
+    body('assignment_id').optional().isInt()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+
+      const { time_log_id, correction_type, reason } = req.body;
+      const timeLog = await loadTimeLog(time_log_id);
+      if (!timeLog) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Time log not found' } });
+      }
+      if (timeLog.technician_id !== req.user.id && !isAdminRole(req.user.roleName)) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'You can only request corrections for your own time logs' } });
+      }
+      if (!CORRECTABLE_STATUSES.includes(timeLog.status) || !timeLog.end_ts) {
+        return res.status(409).json({
+          error: {
+            code: 'INVALID_WORKFLOW_STATE',
+            message: `Only paused or finished time logs can be corrected (current status "${timeLog.status}").`
+          }
+        });
+      }
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const pendingResult = await db.query(
+        `SELECT id FROM time_log_corrections WHERE time_log_id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'pending' LIMIT 1`,
+        [time_log_id]
+      );
+      if (pendingResult.rows.length > 0) {
+        return res.status(409).json({
+          error: {
+            code: 'RESOURCE_CONFLICT',
+            message: 'A correction request for this time log is already pending',
+            details: { correction_id: pendingResult.rows[0].id }
+          }
+        });
+      }
+
+      const { changes, error: changeError } = await buildProposedChanges(timeLog, correction_type, req.body);
+      if (changeError) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: changeError } });
+      }
+
+      // Both the logged and the proposed times must sit in an open pay period
+      const timeLock = await findTechnicianTimeLock(timeLog.technician_id, timeLog.start_ts, timeLog.end_ts, changes.start_ts, changes.end_ts);
+      if (timeLock) {
+        return res.status(423).json({ error: timeLockError(timeLock) });
+      }
+
+      const overlaps = await findCorrectionOverlaps(timeLog, correction_type, changes);
+      if (overlaps.length > 0) {
+        return res.status(409).json({
+          error: {
+            code: 'TIME_OVERLAP',
+            message: 'Proposed times overlap other time logs of this technician',
+            details: { conflicts: overlaps.map(o => ({ time_log_id: o.id, job_card_id: o.job_card_id, start_ts: o.start_ts, end_ts: o.end_ts })) }
+          }
+        });
+      }
+
+      const snapshot = snapshotTimeLog(timeLog);
+      const insertParams = [
+        timeLog.id,
+        timeLog.technician_id,
+        timeLog.technician_business_unit_id || null,
+        correction_type,
+        JSON.stringify(changes),
+        JSON.stringify(snapshot),
+        reason.trim(),
+        req.user.id
+      ];
+
+      let correctionId;
+      if (dbType === 'mysql') {
+        const insertResult = await db.query(
+          `INSERT INTO time_log_corrections
+           (time_log_id, technician_id, business_unit_id, correction_type, proposed_changes, original_snapshot, reason, requested_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          insertParams
+        );
+        correctionId = insertResult.rows.insertId;
+      } else {
+        const insertResult = await db.query(
+          `INSERT INTO time_log_corrections
+           (time_log_id, technician_id, business_unit_id, correction_type, proposed_changes, original_snapshot, reason, requested_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
+          insertParams
+        );
+        correctionId = insertResult.rows[0].id;
+      }
+
+      await writeAudit(req.user.id, 'timelog.correction_requested', timeLog.id, {
+        correction_id: correctionId,
+        correction_type,
+        reason: reason.trim(),
+        before: snapshot,
+        proposed: changes
+      });
+
+      const correction = await loadCorrection(correctionId);
+      res.status(201).json(formatCorrection(correction));
+    } catch (error) {
+      logger.error('Create time log correction error:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/time-log-corrections/:id/cancel
+// The requester withdraws a request that has not been reviewed yet.
+router.post('/:id/cancel', async (req, res, next) => {
+  try {
+    const correction = await loadCorrection(req.params.id);
+    if (!correction) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Correction request not found' } });
+    }
+    if (correction.requested_by !== req.user.id) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Only the requester can cancel a correction request' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const updateResult = await db.query(
+      `UPDATE time_log_corrections SET status = 'cancelled' WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'pending'`,
+      [correction.id]
+    );
+    if (!updateResult.rowCount) {
+      return res.status(409).json({ error: { code: 'INVALID_WORKFLOW_STATE', message: `Correction request is already ${correction.status}` } });
+    }
+
+    const updated = await loadCorrection(correction.id);
+    res.json(formatCorrection(updated));
+  } catch (error) {
+    logger.error('Cancel time log correction error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/time-log-corrections/:id/reject
+router.post('/:id/reject', requireAdmin,
+  [
+    body('review_notes').isString().trim().isLength({ min: 1, max: 2000 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A rejection reason is required', details: errors.array() } });
+      }
+
+      const correction = await loadCorrection(req.params.id);
+      if (!correction) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Correction request not found' } });
+      }
+      if (!canReviewCorrection(req.user, correction)) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Cannot review corrections outside your Business Unit' } });
+      }
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const now = new Date();
+      const reviewNotes = req.body.review_notes.trim();
+      const updateResult = await db.query(
+        dbType === 'mysql'
+          ? `UPDATE time_log_corrections SET status = 'rejected', reviewed_by = ?, reviewed_at = ?, review_notes = ? WHERE id = ? AND status = 'pending'`
+          : `UPDATE time_log_corrections SET status = 'rejected', reviewed_by = $1, reviewed_at = $2, review_notes = $3 WHERE id = $4 AND status = 'pending'`,
+        [req.user.id, now, reviewNotes, correction.id]
+      );
+      if (!updateResult.rowCount) {
+        return res.status(409).json({ error: { code: 'INVALID_WORKFLOW_STATE', message: `Correction request is already ${correction.status}` } });
+      }
+
+      await writeAudit(req.user.id, 'timelog.correction_rejected', correction.time_log_id, {
+        correction_id: correction.id,
+        correction_type: correction.correction_type,
+        review_notes: reviewNotes
+      });
+
+      const updated = await loadCorrection(correction.id);
+      res.json(formatCorrection(updated));
+    } catch (error) {
+      logger.error('Reject time log correction error:', error);
+      next(error);
+    }
+  }
+);
+
+// POST /api/v1/time-log-corrections/:id/approve
+// Applies the proposed change to time_logs, records the before/after diff in audit_logs
+// and recalculates actual_hours on every job card the change touched.
+router.post('/:id/approve', requireAdmin,
+  [
+    body('review_notes').optional().isString().trim().isLength({ max: 2000 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+      }
+
+      const correction = await loadCorrection(req.params.id);
+      if (!correction) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Correction request not found' } });
+      }
+      if (!canReviewCorrection(req.user, correction)) {
+        return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Cannot review corrections outside your Business Unit' } });
+      }
+      if (correction.status !== 'pending') {
+        return res.status(409).json({ error: { code: 'INVALID_WORKFLOW_STATE', message: `Correction request is already ${correction.status}` } });
+      }
+
+      const timeLog = await loadTimeLog(correction.time_log_id);
+      if (!timeLog) {
+        return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Time log not found' } });
+      }
+
+      // The log must still be exactly what the technician saw when requesting the change
+      const snapshot = safeParseJson(correction.original_snapshot) || {};
+      const current = snapshotTimeLog(timeLog);
+      const drifted = ['assignment_id', 'job_card_id', 'start_ts', 'end_ts', 'status']
+        .filter(field => String(current[field]) !== String(snapshot[field]));
+      if (drifted.length > 0) {
+        return res.status(409).json({
+          error: {
+            code: 'STALE_CORRECTION',
+            message: 'The time log changed after this correction was requested. Reject it and ask for a new request.',
+            details: { changed_fields: drifted }
+          }
+        });
+      }
+
+      const changes = safeParseJson(correction.proposed_changes) || {};
+      const timeLock = await findTechnicianTimeLock(timeLog.technician_id, timeLog.start_ts, timeLog.end_ts, changes.start_ts, changes.end_ts);
+      if (timeLock) {
+        return res.status(423).json({ error: timeLockError(timeLock) });
+      }
+
+      const overlaps = await findCorrectionOverlaps(timeLog, correction.correction_type, changes);
+      if (overlaps.length > 0) {
+        return res.status(409).json({
+          error: {
+            code: 'TIME_OVERLAP',
+            message: 'Proposed times now overlap other time logs of this technician',
+            details: { conflicts: overlaps.map(o => ({ time_log_id: o.id, job_card_id: o.job_card_id, start_ts: o.start_ts, end_ts: o.end_ts })) }
+          }
+        });
+      }
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const now = new Date();
+      const reviewNotes = req.body.review_notes ? req.body.review_notes.trim() : null;
+
+      const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+      const correctionReason = correction.reason;
+
+      // Claim the request and apply it in one transaction: two reviewers cannot apply it twice, and a
+      // failed write leaves it pending instead of approved-but-not-applied
+      const applied = await db.transaction(async (tx) => {
+        const claimResult = await tx.query(
+          `UPDATE time_log_corrections SET status = 'approved', reviewed_by = ${p(1)}, reviewed_at = ${p(2)}, review_notes = ${p(3)}
+           WHERE id = ${p(4)} AND status = 'pending'`,
+          [req.user.id, now, reviewNotes, correction.id]
+        );
+        if (!claimResult.rowCount) return null;
+
+        let after;
+        let createdTimeLogId = null;
+
+        if (correction.correction_type === 'adjust') {
+          const start = new Date(changes.start_ts);
+          const end = new Date(changes.end_ts);
+          const durationSeconds = Math.max(0, Math.floor((end - start) / 1000));
+          await tx.query(
+            `UPDATE time_logs
+             SET start_ts = ${p(1)}, end_ts = ${p(2)}, duration_seconds = ${p(3)},
+                 is_manually_corrected = true, correction_reason = ${p(4)}, corrected_by = ${p(5)}
+             WHERE id = ${p(6)}`,
+            [start, end, durationSeconds, correctionReason, req.user.id, timeLog.id]
+          );
+          after = { ...current, start_ts: start.toISOString(), end_ts: end.toISOString(), duration_seconds: durationSeconds };
+        } else if (correction.correction_type === 'reassign') {
+          await tx.query(
+            `UPDATE time_logs
+             SET job_card_id = ${p(1)}, assignment_id = ${p(2)},
+                 is_manually_corrected = true, correction_reason = ${p(3)}, corrected_by = ${p(4)}
+             WHERE id = ${p(5)}`,
+            [changes.job_card_id, changes.assignment_id, correctionReason, req.user.id, timeLog.id]
+          );
+          after = { ...current, job_card_id: changes.job_card_id, assignment_id: changes.assignment_id };
+        } else {
+          const start = new Date(timeLog.start_ts);
+          const splitAt = new Date(changes.split_at);
+          const end = new Date(timeLog.end_ts);
+          const firstDuration = Math.max(0, Math.floor((splitAt - start) / 1000));
+          const secondDuration = Math.max(0, Math.floor((end - splitAt) / 1000));
+          const secondJobCardId = changes.job_card_id || timeLog.job_card_id;
+          const secondAssignmentId = changes.assignment_id || timeLog.assignment_id;
+
+          await tx.query(
+            `UPDATE time_logs
+             SET end_ts = ${p(1)}, duration_seconds = ${p(2)},
+                 is_manually_corrected = true, correction_reason = ${p(3)}, corrected_by = ${p(4)}
+             WHERE id = ${p(5)}`,
+            [splitAt, firstDuration, correctionReason, req.user.id, timeLog.id]
+          );
+
+          const insertParams = [
+            secondAssignmentId, timeLog.technician_id, secondJobCardId, splitAt, end, secondDuration,
+            timeLog.status, timeLog.notes || null, correctionReason, req.user.id
+          ];
+          if (dbType === 'mysql') {
+            const insertResult = await tx.query(
+              `INSERT INTO time_logs
+               (assignment_id, technician_id, job_card_id, start_ts, end_ts, duration_seconds, status, notes,
+                is_manually_corrected, correction_reason, corrected_by)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, true, ?, ?)`,
+              insertParams
+            );
+            createdTimeLogId = insertResult.rows.insertId;
+          } else {
+            const insertResult = await tx.query(
+              `INSERT INTO time_logs
+               (assignment_id, technician_id, job_card_id, start_ts, end_ts, duration_seconds, status, notes,
+                is_manually_corrected, correction_reason, corrected_by)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9, $10)
+               RETURNING id`,
+              insertParams
+            );
+            createdTimeLogId = insertResult.rows[0].id;
+          }
+
+          await tx.query(
+            `UPDATE time_log_corrections SET created_time_log_id = ${p(1)} WHERE id = ${p(2)}`,
+            [createdTimeLogId, correction.id]
+          );
+
+          after = {
+            ...current,
+            end_ts: splitAt.toISOString(),
+            duration_seconds: firstDuration,
+            split_segment: {
+              id: createdTimeLogId,
+              assignment_id: secondAssignmentId,
+              job_card_id: secondJobCardId,
+              start_ts: splitAt.toISOString(),
+              end_ts: end.toISOString(),
+              duration_seconds: secondDuration,
+              status: timeLog.status
+            }
+          };
+        }
+        return { after };
+      });
+      if (!applied) {
+        return res.status(409).json({ error: { code: 'INVALID_WORKFLOW_STATE', message: 'Correction request was already reviewed' } });
+      }
+      const { after } = applied;
+
+      // Derived data from here on; these helpers log and carry on rather than fail the approval.
+      // Overlap shares change with the times; cover both the old and the new span
+      const spanStarts = [timeLog.start_ts, changes.start_ts].filter(Boolean).map(v => new Date(v).getTime());
+      const spanEnds = [timeLog.end_ts, changes.end_ts].filter(Boolean).map(v => new Date(v).getTime());
+      await reallocateOverlappingTime(timeLog.technician_id, new Date(Math.min(...spanStarts)), new Date(Math.max(...spanEnds)));
+
+      const actualHours = await recalculateActualHoursFor([
+        timeLog.job_card_id,
+        changes.job_card_id
+      ]);
+
+      await writeAudit(req.user.id, 'timelog.corrected', timeLog.id, {
+        correction_id: correction.id,
+        correction_type: correction.correction_type,
+        reason: correctionReason,
+        requested_by: correction.requested_by,
+        review_notes: reviewNotes,
+        before: current,
+        after,
+        job_card_actual_hours: actualHours
+      });
+
+      const updated = await loadCorrection(correction.id);
+      res.json({
+        ...formatCorrection(updated),
+        time_log: after,
+        job_card_actual_hours: actualHours
+      });
+    } catch (error) {
+      logger.error('Approve time log correction error:', error);
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -4,6 +4,19 @@ const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate } = require('../middleware/auth');
 const redis = require('../utils/redis');
+const { getNumberSetting } = require('../utils/settings');
+const timerSyncService = require('../services/timerSyncService');
+const {
+  checkCanStartTimer,
+  allocationColumnsExist,
+  setAllocationWeight,
+  reallocateOverlappingTime
+} = require('../services/timerConcurrencyService');
+const { stopActiveIndirectTimers } = require('../services/indirectTimeService');
+const { pauseTablesExist, resolvePauseReason, recordPause, closeOpenPauses } = require('../services/pauseReasonService');
+const { findTechnicianTimeLock, timeLockError } = require('../services/payPeriodService');
+const { validateTimerTask, attachTimeLogToTask } = require('../services/jobCardTaskService');
+const { checkTimerApproval } = require('../services/estimateService');
 
 const router = express.Router();
 
@@ -163,7 +176,9 @@ router.get('/', async (req, res, next) => {
 // POST /api/v1/timelogs/start
 router.post('/start',
   [
-    body('assignment_id').isInt()
+    body('assignment_id').isInt(),
+    body('allocation_weight').optional().isFloat({ min: 0.1, max: 10 }),
+    body('task_id').optional({ nullable: true }).isInt()
   ],
   async (req, res, next) => {
     try {
@@ -178,7 +193,7 @@ router.post('/start',
         });
       }
 
-      const { assignment_id, notes } = req.body;
+      const { assignment_id, notes, allocation_weight, task_id } = req.body;
       const technicianId = req.user.id;
       
       // Convert undefined to null for SQL
@@ -217,6 +232,11 @@ router.post('/start',
         });
       }
 
+      const timeLock = await findTechnicianTimeLock(technicianId, new Date());
+      if (timeLock) {
+        return res.status(423).json({ error: timeLockError(timeLock) });
+      }
+
     // Enforce: cannot start timer while on break
     const onBreak = await hasActiveBreak(technicianId);
     if (onBreak) {
@@ -285,6 +305,22 @@ router.post('/start',
         });
       }
 
+      // Optional: book the time against one task of the job card's checklist
+      let task = null;
+      if (task_id) {
+        const taskCheck = await validateTimerTask(task_id, assignment.job_card_id);
+        if (taskCheck.error) {
+          return res.status(taskCheck.error.status).json({ error: { code: taskCheck.error.code, message: taskCheck.error.message } });
+        }
+        task = taskCheck.task;
+      }
+
+      // Work the customer has not approved on an estimate is warned about or refused
+      const approval = await checkTimerApproval(assignment.job_card_id, task ? task.id : null);
+      if (approval && approval.error) {
+        return res.status(approval.error.status).json({ error: { code: approval.error.code, message: approval.error.message } });
+      }
+
       // Acquire distributed lock
       const lockKey = `timer:lock:${technicianId}`;
       const lockAcquired = await redis.acquireLock(lockKey, 5000); // 5 second lock
@@ -299,57 +335,17 @@ router.post('/start',
       }
 
       try {
-        // Check for existing active timer (unless multi-tasking enabled)
-        let multiTaskingEnabled = false;
-        try {
-          const keyColumn = dbType === 'mysql' ? '`key`' : 'key';
-          const ms = await db.query(
-            dbType === 'mysql'
-              ? `SELECT value FROM system_settings WHERE ${keyColumn} = ? LIMIT 1`
-              : `SELECT value FROM system_settings WHERE key = $1 LIMIT 1`,
-            ['timer.multi_tasking_enabled']
-          );
-          if (ms.rows && ms.rows[0] && ms.rows[0].value != null) {
-            const v = typeof ms.rows[0].value === 'string' ? JSON.parse(ms.rows[0].value) : ms.rows[0].value;
-            multiTaskingEnabled = !!(v?.enabled ?? v?.value ?? v);
-          }
-        } catch {
-          // Backward-compatible key name used by some schemas
-          try {
-            const keyColumn = dbType === 'mysql' ? '`key`' : 'key';
-            const ms2 = await db.query(
-              dbType === 'mysql'
-                ? `SELECT value FROM system_settings WHERE ${keyColumn} = ? LIMIT 1`
-                : `SELECT value FROM system_settings WHERE key = $1 LIMIT 1`,
-              ['timer.multi_tasking_allowed']
-            );
-            if (ms2.rows && ms2.rows[0] && ms2.rows[0].value != null) {
-              const v2 = typeof ms2.rows[0].value === 'string' ? JSON.parse(ms2.rows[0].value) : ms2.rows[0].value;
-              multiTaskingEnabled = String(v2).toLowerCase() === 'true' || v2 === true;
-            } else {
-              multiTaskingEnabled = false;
+        // Enforce concurrency: one timer unless multi-tasking is on, then technicians.max_concurrent_jobs
+        const concurrencyError = await checkCanStartTimer(technicianId, assignment_id);
+        if (concurrencyError) {
+          await redis.releaseLock(lockKey);
+          return res.status(concurrencyError.status).json({
+            error: {
+              code: concurrencyError.code,
+              message: concurrencyError.message,
+              ...(concurrencyError.details ? { details: concurrencyError.details } : {})
             }
-          } catch {
-            multiTaskingEnabled = false;
-          }
-        }
-        if (!multiTaskingEnabled) {
-          const activeTimerPlaceholder = dbType === 'mysql' ? '?' : '$1';
-          const activeTimerResult = await db.query(
-            `SELECT id FROM time_logs 
-             WHERE technician_id = ${activeTimerPlaceholder} AND status = 'active'`,
-            [technicianId]
-          );
-
-          if (activeTimerResult.rows.length > 0) {
-            await redis.releaseLock(lockKey);
-            return res.status(409).json({
-              error: {
-                code: 'TIMER_ALREADY_ACTIVE',
-                message: 'Another timer is already active. Stop it first or enable multi-tasking.'
-              }
-            });
-          }
+          });
         }
 
         // Enforce break/timer invariant: cannot have active timer while on break
@@ -364,6 +360,9 @@ router.post('/start',
           });
         }
 
+        // Starting job work ends any indirect activity (e.g. waiting for parts)
+        await stopActiveIndirectTimers(technicianId, new Date(), 'job_timer_start');
+
         // Create time log
         let timeLog;
         
@@ -395,6 +394,17 @@ router.post('/start',
           timeLog = result.rows[0];
         }
 
+        if (allocation_weight !== undefined && await setAllocationWeight(timeLog.id, parseFloat(allocation_weight))) {
+          timeLog.allocation_weight = parseFloat(allocation_weight);
+        }
+        if (task) {
+          await attachTimeLogToTask(timeLog.id, task);
+          timeLog.task_id = task.id;
+        }
+
+        // Starting a paused assignment again ends its blocked interval
+        await closeOpenPauses(assignment_id, new Date(timeLog.start_ts || Date.now()), timeLog.id);
+
         // Update assignment status
         const updatePlaceholder = dbType === 'mysql';
         if (dbType === 'mysql') {
@@ -416,11 +426,14 @@ router.post('/start',
         await db.query(
           `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
            VALUES (${auditPlaceholder1}, 'timelog.started', 'time_log', ${auditPlaceholder2}, ${auditPlaceholder3})`,
-          [req.user.id, timeLog.id, JSON.stringify({ assignment_id })]
+          [req.user.id, timeLog.id, JSON.stringify({ assignment_id, task_id: task ? task.id : null })]
         );
 
         await redis.releaseLock(lockKey);
 
+        if (approval && approval.warning) {
+          timeLog.estimate_warning = approval.warning;
+        }
         res.status(201).json(timeLog);
       } catch (innerError) {
         await redis.releaseLock(lockKey);
@@ -433,14 +446,100 @@ router.post('/start',
   }
 );
 
+// POST /api/v1/timelogs/sync
+// Replays timer events queued by a client while offline. Each event carries the device
+// timestamp and a client-generated idempotency_key, so a retried batch is never applied twice.
+router.post('/sync',
+  [
+    body('events').isArray({ min: 1, max: 200 }),
+    body('events.*.idempotency_key').isString().trim().isLength({ min: 1, max: 100 }),
+    body('events.*.type').isIn(timerSyncService.EVENT_TYPES),
+    body('events.*.client_ts').isISO8601(),
+    body('events.*.assignment_id').optional().isInt(),
+    body('events.*.time_log_id').optional().isInt(),
+    body('events.*.notes').optional(),
+    body('events.*.pause_reason_id').optional().isInt(),
+    body('events.*.reason_code').optional().isString()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      const technicianId = req.user.id;
+      const keys = req.body.events.map(e => e.idempotency_key);
+      if (new Set(keys).size !== keys.length) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'idempotency_key must be unique within a batch'
+          }
+        });
+      }
+
+      // Same lock as start/stop so a live request cannot interleave with the replay
+      const lockKey = `timer:lock:${technicianId}`;
+      const lockAcquired = await redis.acquireLock(lockKey, 30000);
+      if (!lockAcquired) {
+        return res.status(423).json({
+          error: {
+            code: 'LOCK_ACQUISITION_FAILED',
+            message: 'Could not acquire lock, please retry'
+          }
+        });
+      }
+
+      let results;
+      try {
+        results = await timerSyncService.replayOfflineEvents(technicianId, req.body.events);
+      } finally {
+        await redis.releaseLock(lockKey);
+      }
+
+      const summary = {
+        total: results.length,
+        accepted: results.filter(r => r.status === 'accepted' && !r.duplicate).length,
+        duplicates: results.filter(r => r.duplicate).length,
+        rejected: results.filter(r => r.status === 'rejected').length
+      };
+
+      res.json({ summary, results });
+    } catch (error) {
+      logger.error('Offline timer sync error:', error);
+      next(error);
+    }
+  }
+);
+
 // POST /api/v1/timelogs/:id/pause
 router.post('/:id/pause',
   [
-    body('notes').optional()
+    body('notes').optional(),
+    body('pause_reason_id').optional().isInt(),
+    body('reason_code').optional().isString().trim()
   ],
   async (req, res, next) => {
     try {
-      const { notes } = req.body;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      const { notes, pause_reason_id, reason_code } = req.body;
       const timeLogId = req.params.id;
 
       const dbType = process.env.DB_TYPE || 'postgresql';
@@ -482,6 +581,23 @@ router.post('/:id/pause',
         });
       }
 
+      const timeLock = await findTechnicianTimeLock(timeLog.technician_id, timeLog.start_ts, new Date());
+      if (timeLock) {
+        return res.status(423).json({ error: timeLockError(timeLock) });
+      }
+
+      // Every pause needs a reason from the technician's BU (once the pause reason schema is installed)
+      let pauseReason = null;
+      if (await pauseTablesExist()) {
+        const resolved = await resolvePauseReason(timeLog.technician_id, { pause_reason_id, reason_code });
+        if (resolved.error) {
+          return res.status(resolved.error.status).json({
+            error: { code: resolved.error.code, message: resolved.error.message }
+          });
+        }
+        pauseReason = resolved.reason;
+      }
+
       // Calculate duration before pausing
       const pauseTs = new Date();
       const startTs = new Date(timeLog.start_ts);
@@ -504,6 +620,13 @@ router.post('/:id/pause',
         );
       }
       
+      // Settle this segment's share of any time it overlapped other timers
+      await reallocateOverlappingTime(timeLog.technician_id, startTs, pauseTs);
+
+      if (pauseReason) {
+        await recordPause({ timeLog, reason: pauseReason, pausedAt: pauseTs, notes: notes || null, createdBy: req.user.id });
+      }
+
       // Fetch updated record
       const updatedPlaceholder = dbType === 'mysql' ? '?' : '$1';
       const updatedResult = await db.query(
@@ -518,10 +641,13 @@ router.post('/:id/pause',
       await db.query(
         `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
          VALUES (${auditPlaceholder1}, 'timelog.paused', 'time_log', ${auditPlaceholder2}, ${auditPlaceholder3})`,
-        [req.user.id, timeLogId, JSON.stringify({})]
+        [req.user.id, timeLogId, JSON.stringify(pauseReason ? { pause_reason: pauseReason.reason_code } : {})]
       );
 
-      res.json(updatedResult.rows[0]);
+      res.json({
+        ...updatedResult.rows[0],
+        pause_reason: pauseReason ? { id: pauseReason.id, reason_code: pauseReason.reason_code, reason_name: pauseReason.reason_name } : null
+      });
     } catch (error) {
       logger.error('Pause timer error:', error);
       next(error);
@@ -532,11 +658,23 @@ router.post('/:id/pause',
 // POST /api/v1/timelogs/:id/resume
 router.post('/:id/resume',
   [
-    body('notes').optional()
+    body('notes').optional(),
+    body('allocation_weight').optional().isFloat({ min: 0.1, max: 10 })
   ],
   async (req, res, next) => {
   try {
-    const { notes } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Validation failed',
+          details: errors.array()
+        }
+      });
+    }
+
+    const { notes, allocation_weight } = req.body;
     const technicianId = req.user.id;
 
     // Get the paused time log's assignment
@@ -544,7 +682,7 @@ router.post('/:id/resume',
     const placeholder1 = dbType === 'mysql' ? '?' : '$1';
     const placeholder2 = dbType === 'mysql' ? '?' : '$2';
     const pausedTimeLogResult = await db.query(
-      `SELECT assignment_id, job_card_id FROM time_logs 
+      `SELECT * FROM time_logs 
        WHERE id = ${placeholder1} AND technician_id = ${placeholder2} AND status = 'paused'`,
       [req.params.id, technicianId]
     );
@@ -560,6 +698,11 @@ router.post('/:id/resume',
 
     const pausedTimeLog = pausedTimeLogResult.rows[0];
 
+    const timeLock = await findTechnicianTimeLock(technicianId, new Date());
+    if (timeLock) {
+      return res.status(423).json({ error: timeLockError(timeLock) });
+    }
+
     // Enforce: cannot resume timer while on break
     const onBreak = await hasActiveBreak(technicianId);
     if (onBreak) {
@@ -571,38 +714,16 @@ router.post('/:id/resume',
       });
     }
 
-    // ENFORCE: Check for existing active timer (unless multi-tasking enabled)
-    let multiTaskingEnabled = false;
-    try {
-      const keyColumn = dbType === 'mysql' ? '`key`' : 'key';
-      const ms = await db.query(
-        dbType === 'mysql'
-          ? `SELECT value FROM system_settings WHERE ${keyColumn} = ? LIMIT 1`
-          : `SELECT value FROM system_settings WHERE key = $1 LIMIT 1`,
-        ['timer.multi_tasking_enabled']
-      );
-      if (ms.rows && ms.rows[0] && ms.rows[0].value != null) {
-        const v = typeof ms.rows[0].value === 'string' ? JSON.parse(ms.rows[0].value) : ms.rows[0].value;
-        multiTaskingEnabled = !!(v?.enabled ?? v?.value ?? v);
-      }
-    } catch {
-      multiTaskingEnabled = false;
-    }
-    
-    if (!multiTaskingEnabled) {
-      const activeTimerPh = dbType === 'mysql' ? '?' : '$1';
-      const activeTimerResult = await db.query(
-        `SELECT id FROM time_logs WHERE technician_id = ${activeTimerPh} AND status = 'active'`,
-        [technicianId]
-      );
-      if (activeTimerResult.rows.length > 0) {
-        return res.status(409).json({
-          error: {
-            code: 'TIMER_ALREADY_ACTIVE',
-            message: 'Another timer is already active. Stop it first or enable multi-tasking.'
-          }
-        });
-      }
+    // ENFORCE: one timer unless multi-tasking is on, then technicians.max_concurrent_jobs
+    const concurrencyError = await checkCanStartTimer(technicianId, pausedTimeLog.assignment_id);
+    if (concurrencyError) {
+      return res.status(concurrencyError.status).json({
+        error: {
+          code: concurrencyError.code,
+          message: concurrencyError.message,
+          ...(concurrencyError.details ? { details: concurrencyError.details } : {})
+        }
+      });
     }
 
         // Enforce break/timer invariant: cannot have active timer while on break
@@ -616,6 +737,13 @@ router.post('/:id/resume',
           });
         }
 
+    const approval = await checkTimerApproval(pausedTimeLog.job_card_id, pausedTimeLog.task_id || null);
+    if (approval && approval.error) {
+      return res.status(approval.error.status).json({ error: { code: approval.error.code, message: approval.error.message } });
+    }
+
+    await stopActiveIndirectTimers(technicianId, new Date(), 'job_timer_start');
+
     // Create new time log segment
     const notesValue = notes !== undefined ? notes : null;
 
@@ -647,6 +775,21 @@ router.post('/:id/resume',
       );
     }
 
+    // A resumed segment keeps the weight of the segment it continues unless a new one is given
+    const resumedWeight = allocation_weight !== undefined
+      ? parseFloat(allocation_weight)
+      : (pausedTimeLog.allocation_weight != null ? parseFloat(pausedTimeLog.allocation_weight) : null);
+    if (resumedWeight != null && await setAllocationWeight(result.rows[0].id, resumedWeight)) {
+      result.rows[0].allocation_weight = resumedWeight;
+    }
+    // ...and stays on the same checklist task
+    if (pausedTimeLog.task_id) {
+      await attachTimeLogToTask(result.rows[0].id, { id: pausedTimeLog.task_id });
+      result.rows[0].task_id = pausedTimeLog.task_id;
+    }
+
+    await closeOpenPauses(pausedTimeLog.assignment_id, new Date(result.rows[0].start_ts || Date.now()), result.rows[0].id);
+
     // Create audit log
     const auditPlaceholder1 = dbType === 'mysql' ? '?' : '$1';
     const auditPlaceholder2 = dbType === 'mysql' ? '?' : '$2';
@@ -657,6 +800,9 @@ router.post('/:id/resume',
       [technicianId, result.rows[0].id, JSON.stringify({ previous_segment: req.params.id })]
     );
 
+    if (approval && approval.warning) {
+      result.rows[0].estimate_warning = approval.warning;
+    }
     res.status(201).json(result.rows[0]);
   } catch (error) {
     logger.error('Resume timer error:', error);
@@ -664,15 +810,245 @@ router.post('/:id/resume',
   }
 });
 
+// POST /api/v1/timelogs/:id/heartbeat
+// Sent periodically by the client while a timer is running. Timers that stop sending
+// heartbeats are auto-paused by the idle timer sweeper (src/jobs/idleTimerSweeper.js).
+router.post('/:id/heartbeat',
+  [
+    body('client_ts').optional({ nullable: true }).isISO8601()
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      const timeLogId = req.params.id;
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const placeholder = dbType === 'mysql' ? '?' : '$1';
+
+      const result = await db.query(
+        `SELECT id, technician_id, status FROM time_logs WHERE id = ${placeholder}`,
+        [timeLogId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: 'RESOURCE_NOT_FOUND',
+            message: 'Time log not found'
+          }
+        });
+      }
+
+      const timeLog = result.rows[0];
+
+      // Heartbeats only come from the technician's own device
+      if (timeLog.technician_id !== req.user.id) {
+        return res.status(403).json({
+          error: {
+            code: 'AUTHORIZATION_FAILED',
+            message: 'Time log does not belong to this technician'
+          }
+        });
+      }
+
+      // Tell the client the timer is no longer running (e.g. it was auto-paused while offline)
+      if (timeLog.status !== 'active') {
+        return res.status(409).json({
+          error: {
+            code: 'TIMER_NOT_ACTIVE',
+            message: `Time log is ${timeLog.status}, not active`,
+            status: timeLog.status
+          }
+        });
+      }
+
+      const heartbeatTs = new Date();
+      const clientTs = req.body.client_ts ? new Date(req.body.client_ts) : null;
+
+      await db.query(
+        dbType === 'mysql'
+          ? `INSERT INTO timer_heartbeats (time_log_id, technician_id, heartbeat_ts, client_ts) VALUES (?, ?, ?, ?)`
+          : `INSERT INTO timer_heartbeats (time_log_id, technician_id, heartbeat_ts, client_ts) VALUES ($1, $2, $3, $4)`,
+        [timeLogId, timeLog.technician_id, heartbeatTs, clientTs]
+      );
+
+      const heartbeatIntervalSeconds = await getNumberSetting('timer.heartbeat_interval_seconds', 30);
+      const idleTimeoutSeconds = await getNumberSetting('timer.idle_timeout_seconds', 300);
+
+      res.json({
+        time_log_id: timeLog.id,
+        status: timeLog.status,
+        heartbeat_ts: heartbeatTs.toISOString(),
+        heartbeat_interval_seconds: heartbeatIntervalSeconds,
+        idle_timeout_seconds: idleTimeoutSeconds
+      });
+    } catch (error) {
+      logger.error('Timer heartbeat error:', error);
+      next(error);
+    }
+  }
+);
+
+// GET /api/v1/timelogs/:id/heartbeats
+// Latest heartbeats for a time log (supervisors use this to see when a device went quiet)
+router.get('/:id/heartbeats', async (req, res, next) => {
+  try {
+    const timeLogId = req.params.id;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholder = dbType === 'mysql' ? '?' : '$1';
+
+    const logResult = await db.query(
+      `SELECT id, technician_id, status FROM time_logs WHERE id = ${placeholder}`,
+      [timeLogId]
+    );
+
+    if (logResult.rows.length === 0) {
+      return res.status(404).json({
+        error: {
+          code: 'RESOURCE_NOT_FOUND',
+          message: 'Time log not found'
+        }
+      });
+    }
+
+    const timeLog = logResult.rows[0];
+    if (timeLog.technician_id !== req.user.id && req.user.roleId !== 1) {
+      return res.status(403).json({
+        error: {
+          code: 'AUTHORIZATION_FAILED',
+          message: 'Time log does not belong to this technician'
+        }
+      });
+    }
+
+    const safeLimit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const result = await db.query(
+      `SELECT id, heartbeat_ts, client_ts
+       FROM timer_heartbeats
+       WHERE time_log_id = ${placeholder}
+       ORDER BY heartbeat_ts DESC
+       LIMIT ${safeLimit}`,
+      [timeLogId]
+    );
+
+    res.json({
+      time_log_id: timeLog.id,
+      status: timeLog.status,
+      last_heartbeat_ts: result.rows[0]?.heartbeat_ts || null,
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('Get timer heartbeats error:', error);
+    next(error);
+  }
+});
+
+// PATCH /api/v1/timelogs/:id/allocation-weight
+// Share of overlapping time this running timer receives when several timers run in parallel
+// (e.g. 2 for the car on the lift, 1 for the panel curing in the booth).
+router.patch('/:id/allocation-weight',
+  [
+    body('allocation_weight').isFloat({ min: 0.1, max: 10 })
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: 'Validation failed',
+            details: errors.array()
+          }
+        });
+      }
+
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      const result = await db.query(
+        `SELECT id, technician_id, status, start_ts FROM time_logs WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({
+          error: {
+            code: 'RESOURCE_NOT_FOUND',
+            message: 'Time log not found'
+          }
+        });
+      }
+
+      const timeLog = result.rows[0];
+      if (timeLog.technician_id !== req.user.id && req.user.roleId !== 1) {
+        return res.status(403).json({
+          error: {
+            code: 'AUTHORIZATION_FAILED',
+            message: 'Time log does not belong to this technician'
+          }
+        });
+      }
+      if (timeLog.status !== 'active') {
+        return res.status(409).json({
+          error: {
+            code: 'TIMER_NOT_ACTIVE',
+            message: 'Allocation weight can only be changed while the timer is running',
+            details: { status: timeLog.status }
+          }
+        });
+      }
+
+      const timeLock = await findTechnicianTimeLock(timeLog.technician_id, timeLog.start_ts, new Date());
+      if (timeLock) {
+        return res.status(423).json({ error: timeLockError(timeLock) });
+      }
+
+      const weight = parseFloat(req.body.allocation_weight);
+      const updated = await setAllocationWeight(timeLog.id, weight);
+      if (!updated) {
+        return res.status(400).json({
+          error: {
+            code: 'SCHEMA_MISMATCH',
+            message: 'Database schema is missing required table/column for this operation.',
+            details: 'time_logs is missing allocation_weight'
+          }
+        });
+      }
+
+      const auditPh = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+      await db.query(
+        `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details)
+         VALUES (${auditPh(1)}, 'timelog.allocation_weight_changed', 'time_log', ${auditPh(2)}, ${auditPh(3)})`,
+        [req.user.id, timeLog.id, JSON.stringify({ allocation_weight: weight })]
+      );
+
+      res.json({ id: timeLog.id, status: timeLog.status, allocation_weight: weight });
+    } catch (error) {
+      logger.error('Update allocation weight error:', error);
+      next(error);
+    }
+  }
+);
+
 // GET /api/v1/timelogs/active
 router.get('/active', async (req, res, next) => {
   try {
     const dbType = process.env.DB_TYPE || 'postgresql';
     const placeholder = dbType === 'mysql' ? '?' : '$1';
 
+    const hasAllocationWeight = await allocationColumnsExist();
+
     let queryText = `
       SELECT tl.id, tl.assignment_id, tl.technician_id, tl.job_card_id,
              tl.start_ts, tl.duration_seconds, tl.status,
+             ${hasAllocationWeight ? 'tl.allocation_weight' : '1 as allocation_weight'},
              jc.job_number, jc.customer_name,
              (SELECT COALESCE(SUM(duration_seconds), 0)
               FROM time_logs tl2
@@ -753,6 +1129,11 @@ router.post('/:id/stop',
         });
       }
 
+      const timeLock = await findTechnicianTimeLock(timeLog.technician_id, timeLog.start_ts, new Date());
+      if (timeLock) {
+        return res.status(423).json({ error: timeLockError(timeLock) });
+      }
+
       // Calculate final duration
       const stopTs = new Date();
       const startTs = new Date(timeLog.start_ts);
@@ -788,6 +1169,9 @@ router.post('/:id/stop',
         );
       }
 
+      // Settle this segment's share of any time it overlapped other timers
+      await reallocateOverlappingTime(timeLog.technician_id, startTs, stopTs);
+
       // Fetch updated record
       const updatedResult = await db.query(
         `SELECT id, end_ts, status, duration_seconds FROM time_logs WHERE id = ${placeholder}`,
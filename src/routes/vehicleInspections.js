@@ -0,0 +1,303 @@
+const express = require('express');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getJobCardAccess } = require('../services/jobCardAccessService');
+const {
+  createThumbnail,
+  storeJobCardAttachment,
+  getJobCardAttachment,
+  deleteJobCardAttachment
+} = require('../services/jobCardAttachmentService');
+const {
+  DIAGRAM_VIEWS,
+  DAMAGE_TYPES,
+  DAMAGE_SEVERITIES,
+  INSPECTION_RESULTS,
+  getInspectionItems,
+  validateInspection,
+  decodeSignature,
+  formatInspection
+} = require('../services/vehicleInspectionService');
+
+// Mounted by jobCards.js at /jobcards/:id/inspection (authentication already applied there)
+const router = express.Router({ mergeParams: true });
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function schemaMismatch(res, tableName) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: `${tableName} table does not exist`
+    }
+  });
+}
+
+async function loadAccess(req, res) {
+  const access = await getJobCardAccess(req.user, req.params.id);
+  if (access.error) {
+    res.status(access.error.status).json({ error: { code: access.error.code, message: access.error.message } });
+    return null;
+  }
+  return access;
+}
+
+// Download links for the signature and marker photos, relative to the API root
+function withFileUrls(inspection) {
+  if (!inspection) return null;
+  const base = `/api/${process.env.API_VERSION || 'v1'}/jobcards/${inspection.job_card_id}/attachments`;
+  return {
+    ...inspection,
+    customer_signature_url: inspection.customer_signature_attachment_id
+      ? `${base}/${inspection.customer_signature_attachment_id}/download?inline=true`
+      : null,
+    damage_markers: inspection.damage_markers.map(marker => ({
+      ...marker,
+      photo_url: marker.attachment_id ? `${base}/${marker.attachment_id}/download?inline=true` : null
+    }))
+  };
+}
+
+async function loadInspection(jobCardId, { version = null } = {}) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT vi.*, u.display_name as inspected_by_name
+     FROM vehicle_inspections vi
+     LEFT JOIN users u ON vi.inspected_by = u.id
+     WHERE vi.job_card_id = ${p(1)} AND ${version === null ? 'vi.is_current = true' : `vi.version = ${p(2)}`}`,
+    version === null ? [jobCardId] : [jobCardId, version]
+  );
+  return formatInspection(result.rows[0]);
+}
+
+// GET /api/v1/jobcards/:id/inspection/options
+// Checklist items for the job card's BU plus the allowed values, for building the check-in form
+router.get('/options', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    const businessUnitId = access.jobCard.business_unit_id || access.jobCard.creator_business_unit_id;
+    res.json({
+      checklist_items: await getInspectionItems(businessUnitId),
+      results: INSPECTION_RESULTS,
+      diagram_views: DIAGRAM_VIEWS,
+      damage_types: DAMAGE_TYPES,
+      damage_severities: DAMAGE_SEVERITIES
+    });
+  } catch (error) {
+    logger.error('Get inspection options error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/inspection (current version)
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await tableExists('vehicle_inspections'))) return schemaMismatch(res, 'vehicle_inspections');
+
+    const inspection = await loadInspection(access.jobCard.id);
+    if (!inspection) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'No inspection recorded for this job card' } });
+    }
+    res.json(withFileUrls(inspection));
+  } catch (error) {
+    logger.error('Get vehicle inspection error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/inspection/versions
+router.get('/versions', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await tableExists('vehicle_inspections'))) return schemaMismatch(res, 'vehicle_inspections');
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      `SELECT vi.id, vi.version, vi.is_current, vi.created_at, vi.inspected_by, u.display_name as inspected_by_name,
+              vi.fuel_level_percent, vi.odometer_reading, vi.odometer_unit, vi.signed_by_name, vi.signed_at
+       FROM vehicle_inspections vi
+       LEFT JOIN users u ON vi.inspected_by = u.id
+       WHERE vi.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+       ORDER BY vi.version DESC`,
+      [access.jobCard.id]
+    );
+    res.json({
+      data: (result.rows || []).map(row => ({
+        ...row,
+        is_current: row.is_current === true || row.is_current === 1,
+        odometer_reading: row.odometer_reading != null ? Number(row.odometer_reading) : null
+      }))
+    });
+  } catch (error) {
+    logger.error('List vehicle inspection versions error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/jobcards/:id/inspection/versions/:version
+router.get('/versions/:version', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!(await tableExists('vehicle_inspections'))) return schemaMismatch(res, 'vehicle_inspections');
+
+    const version = parseInt(req.params.version, 10);
+    const inspection = Number.isInteger(version) ? await loadInspection(access.jobCard.id, { version }) : null;
+    if (!inspection) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Inspection version not found' } });
+    }
+    res.json(withFileUrls(inspection));
+  } catch (error) {
+    logger.error('Get vehicle inspection version error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/jobcards/:id/inspection
+// Records a new version; the previous one stays readable under /versions.
+// Body: { fuel_level_percent, odometer_reading, odometer_unit, checklist: [{ item_code, result, comment }],
+//         damage_markers: [{ view, x, y, damage_type, severity, note, attachment_id }], notes,
+//         customer_signature: 'data:image/png;base64,...', signed_by_name }
+router.post('/', async (req, res, next) => {
+  try {
+    const access = await loadAccess(req, res);
+    if (!access) return;
+    if (!access.isStaff) {
+      return res.status(403).json({ error: { code: 'AUTHORIZATION_FAILED', message: 'Admin or Service Advisor access required' } });
+    }
+    if (!(await tableExists('vehicle_inspections'))) return schemaMismatch(res, 'vehicle_inspections');
+
+    const jobCard = access.jobCard;
+    const items = await getInspectionItems(jobCard.business_unit_id || jobCard.creator_business_unit_id);
+    const { errors, inspection } = validateInspection(req.body, items);
+    if (errors) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors } });
+    }
+
+    // Marker photos must already be uploaded to this job card
+    for (const marker of inspection.damage_markers) {
+      if (!marker.attachment_id) continue;
+      const attachment = await getJobCardAttachment(jobCard.id, marker.attachment_id);
+      if (!attachment || !String(attachment.mime_type || '').startsWith('image/')) {
+        return res.status(400).json({
+          error: {
+            code: 'VALIDATION_ERROR',
+            message: `Damage marker ${marker.marker_id} photo must be an image attached to this job card`,
+            details: { attachment_id: marker.attachment_id }
+          }
+        });
+      }
+    }
+
+    const { customer_signature, signed_by_name } = req.body;
+    let signature = null;
+    if (customer_signature) {
+      if (!signed_by_name || !String(signed_by_name).trim()) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'signed_by_name is required with customer_signature' } });
+      }
+      const decoded = await decodeSignature(customer_signature);
+      if (decoded.error) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: decoded.error } });
+      }
+      signature = decoded.buffer;
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+    // Stored before the transaction: its row references job_cards, which the transaction locks
+    let signatureAttachmentId = null;
+    if (signature) {
+      signatureAttachmentId = await storeJobCardAttachment({
+        jobCardId: jobCard.id,
+        uploadedBy: req.user.id,
+        fileName: 'inspection-signature.png',
+        mimeType: 'image/png',
+        buffer: signature,
+        thumbnail: await createThumbnail(signature, 'image/png')
+      });
+    }
+
+    let version;
+    try {
+      version = await db.transaction(async (tx) => {
+        // Locking the job card serializes saves, so MAX(version) + 1 and is_current stay consistent
+        await tx.query(`SELECT id FROM job_cards WHERE id = ${p(1)} FOR UPDATE`, [jobCard.id]);
+        const versionResult = await tx.query(
+          `SELECT COALESCE(MAX(version), 0) as last_version FROM vehicle_inspections WHERE job_card_id = ${p(1)}`,
+          [jobCard.id]
+        );
+        const nextVersion = (parseInt(versionResult.rows[0]?.last_version, 10) || 0) + 1;
+
+        await tx.query(
+          `UPDATE vehicle_inspections SET is_current = false WHERE job_card_id = ${p(1)} AND is_current = true`,
+          [jobCard.id]
+        );
+        await tx.query(
+          `INSERT INTO vehicle_inspections (
+             job_card_id, version, is_current, inspected_by, fuel_level_percent, odometer_reading, odometer_unit,
+             checklist, damage_markers, notes, customer_signature_attachment_id, signed_by_name, signed_at
+           ) VALUES (${p(1)}, ${p(2)}, true, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)}, ${p(7)}, ${p(8)}, ${p(9)}, ${p(10)}, ${p(11)}, ${p(12)})`,
+          [
+            jobCard.id,
+            nextVersion,
+            req.user.id,
+            inspection.fuel_level_percent,
+            inspection.odometer_reading,
+            inspection.odometer_unit,
+            JSON.stringify(inspection.checklist),
+            JSON.stringify(inspection.damage_markers),
+            inspection.notes,
+            signatureAttachmentId,
+            signature ? String(signed_by_name).trim().slice(0, 200) : null,
+            signature ? new Date() : null
+          ]
+        );
+        return nextVersion;
+      });
+    } catch (error) {
+      // The signature belongs to the inspection that was not saved
+      if (signatureAttachmentId) {
+        const attachment = await getJobCardAttachment(jobCard.id, signatureAttachmentId).catch(() => null);
+        if (attachment) await deleteJobCardAttachment(attachment).catch(() => {});
+      }
+      throw error;
+    }
+
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'jobcard.inspection_recorded', 'job_card', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'jobcard.inspection_recorded', 'job_card', $2, $3)`,
+      [req.user.id, String(jobCard.id), JSON.stringify({
+        version,
+        checklist_items: inspection.checklist.length,
+        damage_markers: inspection.damage_markers.length,
+        signed: !!signature
+      })]
+    );
+
+    res.status(201).json(withFileUrls(await loadInspection(jobCard.id, { version })));
+  } catch (error) {
+    logger.error('Record vehicle inspection error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,388 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { authenticate, requireAdminOrServiceAdvisor, requireSuperAdmin } = require('../middleware/auth');
+const {
+  registryAvailable,
+  normalizePlate,
+  normalizeVin,
+  isValidVin,
+  getVehicle,
+  getCustomer,
+  findVehicleMatch,
+  createVehicle,
+  mergeVehicles,
+  findDuplicateGroups,
+  backfillJobCards
+} = require('../services/customerVehicleService');
+
+const router = express.Router();
+router.use(authenticate);
+
+function schemaMismatch(res) {
+  return res.status(400).json({
+    error: {
+      code: 'SCHEMA_MISMATCH',
+      message: 'Database schema is missing required table/column for this operation.',
+      details: 'customers/vehicles tables or job_cards.customer_id/vehicle_id do not exist (apply schema_customers_vehicles.sql)'
+    }
+  });
+}
+
+// Super admins may pick a BU (or see all); everyone else is held to their own
+function scopeBusinessUnit(req, requested) {
+  if (req.user.roleName === 'Super Admin') return requested ? parseInt(requested, 10) : null;
+  return req.user.businessUnitId || null;
+}
+
+async function loadVehicle(req, res, id) {
+  const vehicle = await getVehicle(id, scopeBusinessUnit(req, null));
+  if (!vehicle) {
+    res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Vehicle not found' } });
+    return null;
+  }
+  return vehicle;
+}
+
+function vinError(vin) {
+  const normalized = normalizeVin(vin);
+  if (normalized && !isValidVin(normalized)) {
+    return 'VIN must be 11-17 letters/digits and cannot contain I, O or Q';
+  }
+  return null;
+}
+
+// GET /api/v1/vehicles?q=...&customer_id=...&limit=50
+router.get('/', async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const { q, customer_id, limit = 50, business_unit_id } = req.query;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = [];
+    const p = (val) => { params.push(val); return dbType === 'mysql' ? '?' : `$${params.length}`; };
+
+    let queryText = `SELECT v.*, c.customer_name,
+                            (SELECT COUNT(*) FROM job_cards jc WHERE jc.vehicle_id = v.id) as job_card_count
+                     FROM vehicles v
+                     LEFT JOIN customers c ON v.customer_id = c.id
+                     WHERE v.is_active = true`;
+    const bu = scopeBusinessUnit(req, business_unit_id);
+    if (bu) queryText += ` AND (v.business_unit_id = ${p(bu)} OR v.business_unit_id IS NULL)`;
+    if (customer_id) queryText += ` AND v.customer_id = ${p(customer_id)}`;
+    if (q && String(q).trim()) {
+      const term = String(q).trim();
+      const plate = normalizePlate(term);
+      queryText += ` AND (LOWER(v.make) LIKE ${p(`%${term.toLowerCase()}%`)} OR LOWER(v.model) LIKE ${p(`%${term.toLowerCase()}%`)}`;
+      if (plate) queryText += ` OR v.normalized_plate LIKE ${p(`%${plate}%`)} OR v.vin LIKE ${p(`%${plate}%`)}`;
+      queryText += ')';
+    }
+    queryText += ` ORDER BY v.updated_at DESC LIMIT ${Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)}`;
+
+    const result = await db.query(queryText, params);
+    res.json({
+      data: (result.rows || []).map(row => ({ ...row, job_card_count: parseInt(row.job_card_count, 10) || 0 }))
+    });
+  } catch (error) {
+    logger.error('List vehicles error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/vehicles/lookup?plate=...|vin=...
+// Used by the job card form to pick up a returning vehicle and its owner
+router.get('/lookup', async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const { plate, vin, business_unit_id } = req.query;
+    if (!normalizePlate(plate) && !normalizeVin(vin)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'plate or vin is required' } });
+    }
+    const vehicle = await findVehicleMatch(scopeBusinessUnit(req, business_unit_id), { plate, vin });
+    if (!vehicle) {
+      return res.status(404).json({ error: { code: 'RESOURCE_NOT_FOUND', message: 'Vehicle not found' } });
+    }
+    const customer = vehicle.customer_id ? await getCustomer(vehicle.customer_id) : null;
+    res.json({ ...vehicle, customer });
+  } catch (error) {
+    logger.error('Vehicle lookup error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/vehicles/duplicates
+// Active vehicles sharing a VIN or normalised plate, as merge candidates
+router.get('/duplicates', requireAdminOrServiceAdvisor, async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const groups = await findDuplicateGroups('vehicles', scopeBusinessUnit(req, req.query.business_unit_id), [
+      ['vin', 't.vin'],
+      ['plate', 't.normalized_plate']
+    ]);
+    res.json({ data: groups });
+  } catch (error) {
+    logger.error('Find duplicate vehicles error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/vehicles/backfill { dry_run, business_unit_id, limit }
+// Links existing job cards to vehicles/customers from vehicle_info and customer_name; safe to re-run
+router.post('/backfill', requireSuperAdmin, [
+  body('dry_run').optional().isBoolean(),
+  body('business_unit_id').optional({ nullable: true }).isInt(),
+  body('limit').optional().isInt({ min: 1, max: 10000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const { dry_run = true, business_unit_id = null, limit = 1000 } = req.body;
+
+    const summary = await backfillJobCards({
+      businessUnitId: business_unit_id,
+      dryRun: dry_run === true || dry_run === 'true',
+      limit,
+      userId: req.user.id
+    });
+    if (!summary.dry_run) {
+      const dbType = process.env.DB_TYPE || 'postgresql';
+      await db.query(
+        dbType === 'mysql'
+          ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'vehicle.registry_backfill', 'job_card', NULL, ?)`
+          : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'vehicle.registry_backfill', 'job_card', NULL, $2)`,
+        [req.user.id, JSON.stringify({ business_unit_id, ...summary, invalid_vins: summary.invalid_vins.length, errors: summary.errors.length })]
+      );
+    }
+    res.json(summary);
+  } catch (error) {
+    logger.error('Vehicle registry backfill error:', error);
+    next(error);
+  }
+});
+
+// GET /api/v1/vehicles/:id (with owner and job card history)
+router.get('/:id', async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const vehicle = await loadVehicle(req, res, req.params.id);
+    if (!vehicle) return;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const jobCards = await db.query(
+      `SELECT id, job_number, customer_name, customer_id, status, priority, work_type, vehicle_info, created_at, completed_at
+       FROM job_cards WHERE vehicle_id = ${dbType === 'mysql' ? '?' : '$1'}
+       ORDER BY created_at DESC LIMIT 50`,
+      [vehicle.id]
+    );
+    res.json({
+      ...vehicle,
+      customer: vehicle.customer_id ? await getCustomer(vehicle.customer_id) : null,
+      job_cards: jobCards.rows || []
+    });
+  } catch (error) {
+    logger.error('Get vehicle error:', error);
+    next(error);
+  }
+});
+
+const vehicleValidators = [
+  body('license_plate').optional({ nullable: true }).trim().isLength({ max: 30 }),
+  body('vin').optional({ nullable: true }).trim(),
+  body('customer_id').optional({ nullable: true }).isInt(),
+  body('make').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('model').optional({ nullable: true }).trim().isLength({ max: 100 }),
+  body('year').optional({ nullable: true }).isInt({ min: 1900, max: 2100 }),
+  body('color').optional({ nullable: true }).trim().isLength({ max: 50 }),
+  body('odometer').optional({ nullable: true }).isInt({ min: 0 }),
+  body('notes').optional({ nullable: true }).isString()
+];
+
+// POST /api/v1/vehicles
+// A plate or VIN is required; an existing vehicle with the same plate/VIN is a 409
+router.post('/', requireAdminOrServiceAdvisor, vehicleValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const { license_plate, vin, customer_id } = req.body;
+    if (!normalizePlate(license_plate) && !normalizeVin(vin)) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'license_plate or vin is required' } });
+    }
+    const invalidVin = vinError(vin);
+    if (invalidVin) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: invalidVin } });
+    }
+    const businessUnitId = scopeBusinessUnit(req, req.body.business_unit_id);
+    if (customer_id && !(await getCustomer(customer_id, businessUnitId))) {
+      return res.status(400).json({ error: { code: 'INVALID_CUSTOMER', message: 'Customer not found' } });
+    }
+
+    const existing = await findVehicleMatch(businessUnitId, { plate: license_plate, vin });
+    if (existing) {
+      return res.status(409).json({
+        error: {
+          code: 'DUPLICATE_VEHICLE',
+          message: 'A vehicle with this plate or VIN already exists',
+          details: { existing_vehicle_id: existing.id, license_plate: existing.license_plate, vin: existing.vin }
+        }
+      });
+    }
+
+    const vehicle = await createVehicle(businessUnitId, req.body, req.user.id);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'vehicle.created', 'vehicle', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'vehicle.created', 'vehicle', $2, $3)`,
+      [req.user.id, String(vehicle.id), JSON.stringify({ license_plate: vehicle.license_plate, vin: vehicle.vin })]
+    );
+    res.status(201).json(vehicle);
+  } catch (error) {
+    logger.error('Create vehicle error:', error);
+    next(error);
+  }
+});
+
+router.patch('/:id', requireAdminOrServiceAdvisor, vehicleValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const vehicle = await loadVehicle(req, res, req.params.id);
+    if (!vehicle) return;
+
+    const fields = {};
+    if (req.body.license_plate !== undefined) {
+      fields.license_plate = req.body.license_plate ? String(req.body.license_plate).trim().toUpperCase() : null;
+      fields.normalized_plate = normalizePlate(req.body.license_plate);
+    }
+    if (req.body.vin !== undefined) {
+      const invalidVin = vinError(req.body.vin);
+      if (invalidVin) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: invalidVin } });
+      }
+      fields.vin = normalizeVin(req.body.vin);
+    }
+    const plateAfter = fields.normalized_plate !== undefined ? fields.normalized_plate : vehicle.normalized_plate;
+    const vinAfter = fields.vin !== undefined ? fields.vin : vehicle.vin;
+    if (!plateAfter && !vinAfter) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A vehicle needs a license_plate or vin' } });
+    }
+    if (fields.normalized_plate !== undefined || fields.vin !== undefined) {
+      const clash = await findVehicleMatch(vehicle.business_unit_id, {
+        plate: fields.normalized_plate !== undefined ? fields.normalized_plate : null,
+        vin: fields.vin !== undefined ? fields.vin : null,
+        excludeId: vehicle.id
+      });
+      if (clash) {
+        return res.status(409).json({
+          error: {
+            code: 'DUPLICATE_VEHICLE',
+            message: 'Another vehicle already has this plate or VIN; merge them instead',
+            details: { existing_vehicle_id: clash.id }
+          }
+        });
+      }
+    }
+    if (req.body.customer_id !== undefined) {
+      if (req.body.customer_id && !(await getCustomer(req.body.customer_id, scopeBusinessUnit(req, null)))) {
+        return res.status(400).json({ error: { code: 'INVALID_CUSTOMER', message: 'Customer not found' } });
+      }
+      fields.customer_id = req.body.customer_id || null;
+    }
+    for (const field of ['make', 'model', 'year', 'color', 'odometer', 'notes']) {
+      if (req.body[field] !== undefined) fields[field] = req.body[field] === '' ? null : req.body[field];
+    }
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'No fields to update' } });
+    }
+
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const params = Object.values(fields);
+    params.push(vehicle.id);
+    await db.query(
+      `UPDATE vehicles SET ${Object.keys(fields).map((field, i) => `${field} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+       WHERE id = ${dbType === 'mysql' ? '?' : `$${params.length}`}`,
+      params
+    );
+    res.json(await getVehicle(vehicle.id));
+  } catch (error) {
+    logger.error('Update vehicle error:', error);
+    next(error);
+  }
+});
+
+// Soft delete: job cards keep their vehicle_id and vehicle_info
+router.delete('/:id', requireAdminOrServiceAdvisor, async (req, res, next) => {
+  try {
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const vehicle = await loadVehicle(req, res, req.params.id);
+    if (!vehicle) return;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(`UPDATE vehicles SET is_active = false WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [vehicle.id]);
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'vehicle.deleted', 'vehicle', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'vehicle.deleted', 'vehicle', $2, $3)`,
+      [req.user.id, String(vehicle.id), JSON.stringify({ license_plate: vehicle.license_plate, vin: vehicle.vin })]
+    );
+    res.json({ message: 'Vehicle deleted successfully' });
+  } catch (error) {
+    logger.error('Delete vehicle error:', error);
+    next(error);
+  }
+});
+
+// POST /api/v1/vehicles/:id/merge { source_ids: [...] }
+// Moves the duplicates' job cards to :id and retires the duplicates
+router.post('/:id/merge', requireAdminOrServiceAdvisor, [
+  body('source_ids').isArray({ min: 1, max: 50 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'Validation failed', details: errors.array() } });
+    }
+    if (!(await registryAvailable())) return schemaMismatch(res);
+    const target = await loadVehicle(req, res, req.params.id);
+    if (!target) return;
+
+    const sources = [];
+    for (const sourceId of [...new Set(req.body.source_ids.map(String))]) {
+      const source = await getVehicle(sourceId, scopeBusinessUnit(req, null));
+      if (!source || String(source.id) !== sourceId) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: `Vehicle ${sourceId} not found or already merged` } });
+      }
+      if (String(source.id) === String(target.id)) {
+        return res.status(400).json({ error: { code: 'VALIDATION_ERROR', message: 'A vehicle cannot be merged into itself' } });
+      }
+      if (source.vin && target.vin && source.vin !== target.vin) {
+        return res.status(400).json({
+          error: { code: 'VALIDATION_ERROR', message: `Vehicle ${sourceId} has a different VIN and is not a duplicate` }
+        });
+      }
+      sources.push(source);
+    }
+
+    const result = await mergeVehicles(target, sources);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'vehicle.merged', 'vehicle', ?, ?)`
+        : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'vehicle.merged', 'vehicle', $2, $3)`,
+      [req.user.id, String(target.id), JSON.stringify({ source_ids: sources.map(source => source.id), ...result })]
+    );
+    res.json({ vehicle: await getVehicle(target.id), merged_ids: sources.map(source => source.id), ...result });
+  } catch (error) {
+    logger.error('Merge vehicles error:', error);
+    next(error);
+  }
+});
+
+module.exports = router;
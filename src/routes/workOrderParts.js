@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const db = require('../database/connection');
 const logger = require('../utils/logger');
 const { authenticate } = require('../middleware/auth');
+const { getPartInventory, setPartInventory } = require('../services/partInventoryService');
 
 const router = express.Router();
 
@@ -16,37 +17,6 @@ function safeJson(value) {
   try { return JSON.parse(value); } catch { return null; }
 }
 
-async function getPartInventory(partId) {
-  const dbType = process.env.DB_TYPE || 'postgresql';
-  const placeholder = dbType === 'mysql' ? '?' : '$1';
-  const res = await db.query(
-    `SELECT id, metadata FROM parts WHERE id = ${placeholder}`,
-    [partId]
-  );
-  if (!res.rows || res.rows.length === 0) return null;
-  const row = res.rows[0];
-  const meta = safeJson(row.metadata) || row.metadata || {};
-  const qty = (meta && typeof meta === 'object' && meta.quantity_in_stock != null)
-    ? parseInt(meta.quantity_in_stock, 10)
-    : null;
-  const currency = (meta && typeof meta === 'object' && meta.currency_code) ? String(meta.currency_code) : null;
-  return { id: row.id, meta: (meta && typeof meta === 'object') ? meta : {}, quantity_in_stock: Number.isFinite(qty) ? qty : null, currency_code: currency };
-}
-
-async function setPartInventory(partId, nextQty, meta) {
-  const dbType = process.env.DB_TYPE || 'postgresql';
-  const placeholder = dbType === 'mysql' ? '?' : '$';
-  const m = (meta && typeof meta === 'object') ? { ...meta } : {};
-  m.quantity_in_stock = nextQty;
-  const metadataValue = dbType === 'mysql' ? JSON.stringify(m) : m;
-
-  if (dbType === 'mysql') {
-    await db.query(`UPDATE parts SET metadata = ? WHERE id = ?`, [metadataValue, partId]);
-  } else {
-    await db.query(`UPDATE parts SET metadata = $1 WHERE id = $2`, [metadataValue, partId]);
-  }
-}
-
 // Helper function to check if table exists
 async function tableExists(tableName) {
   try {
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const crypto = require('crypto');
+
+/**
+ * Attachment storage drivers. Each driver stores objects by key and implements:
+ *   put(key, buffer, { contentType }), getStream(key), delete(key)
+ * The driver name is stored with each attachment, so switching STORAGE_DRIVER does not
+ * orphan files written by the previous driver.
+ */
+
+// server.js serves the whole app directory with express.static, so nothing private may live in it
+const STATIC_ROOT = path.resolve(__dirname, '..', '..');
+const DEFAULT_LOCAL_DIR = path.resolve(STATIC_ROOT, '..', 'wttt-attachments');
+
+class LocalDiskStorage {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(config.rootDir || DEFAULT_LOCAL_DIR);
+    if (this.rootDir === STATIC_ROOT || this.rootDir.startsWith(STATIC_ROOT + path.sep)) {
+      throw new Error(`STORAGE_LOCAL_DIR (${this.rootDir}) is inside the publicly served app directory ${STATIC_ROOT}; use a directory outside it`);
+    }
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    // Keys are generated server-side, but never let one escape the storage root
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async getStream(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, ...) over the REST API with Signature V4.
+ * Use forcePathStyle for MinIO-style endpoints (http://host:9000/bucket/key).
+ */
+class S3Storage {
+  constructor(config) {
+    this.name = 's3';
+    this.bucket = config.bucket;
+    this.region = config.region || 'us-east-1';
+    this.accessKeyId = config.accessKeyId;
+    this.secretAccessKey = config.secretAccessKey;
+    this.forcePathStyle = !!config.forcePathStyle;
+    this.endpoint = new URL(config.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 storage requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+  }
+
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const pathname = this.forcePathStyle ? `/${this.bucket}/${encodedKey}` : `/${encodedKey}`;
+    return { host, pathname, url: `${this.endpoint.protocol}//${host}${pathname}` };
+  }
+
+  /**
+   * Signature V4 headers for a single-object request (no query string)
+   */
+  signHeaders(method, host, pathname, body) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = crypto.createHash('sha256').update(body || '').digest('hex');
+
+    const headers = { host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalHeaders = Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join('');
+    const canonicalRequest = [method, pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  async request(method, key, { body = null, contentType = null, responseType = 'json' } = {}) {
+    const { host, pathname, url } = this.objectUrl(key);
+    const headers = this.signHeaders(method, host, pathname, body);
+    if (contentType) headers['Content-Type'] = contentType;
+    return axios({ method, url, headers, data: body, responseType, maxBodyLength: Infinity });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.request('PUT', key, { body: buffer, contentType });
+  }
+
+  async getStream(key) {
+    const response = await this.request('GET', key, { responseType: 'stream' });
+    return response.data;
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+const drivers = {};
+
+function getStorageDriver(name = process.env.STORAGE_DRIVER || 'local') {
+  if (drivers[name]) return drivers[name];
+  if (name === 'local') {
+    drivers[name] = new LocalDiskStorage({ rootDir: process.env.STORAGE_LOCAL_DIR });
+  } else if (name === 's3') {
+    drivers[name] = new S3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    });
+  } else {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return drivers[name];
+}
+
+module.exports = {
+  LocalDiskStorage,
+  S3Storage,
+  getStorageDriver
+};
@@ -0,0 +1,60 @@
+const { getSetting } = require('../utils/settings');
+
+function defaultBranding() {
+  // Fallback palette inspired by the provided Legend Holding Group logo.
+  // This is used only when no DB branding is configured yet.
+  return {
+    system_name: 'WTTT',
+    logo_data_url: null,
+    colors: {
+      primary: '#4B2B7F',   // purple
+      secondary: '#0B1F3A', // dark navy
+      accent: '#F39C12',    // orange
+      background: '#FFFFFF',
+      text: '#0B1F3A'
+    }
+  };
+}
+
+function normalizeBranding(raw) {
+  const base = defaultBranding();
+  const obj = (raw && typeof raw === 'object') ? raw : {};
+  const colors = (obj.colors && typeof obj.colors === 'object') ? obj.colors : {};
+  return {
+    system_name: (obj.system_name || base.system_name),
+    logo_data_url: (obj.logo_data_url || null),
+    colors: {
+      primary: colors.primary || base.colors.primary,
+      secondary: colors.secondary || base.colors.secondary,
+      accent: colors.accent || base.colors.accent,
+      background: colors.background || base.colors.background,
+      text: colors.text || base.colors.text
+    }
+  };
+}
+
+/**
+ * Branding a user of this business unit sees (GET /branding/effective): the BU override unless
+ * branding.enforce_global is set, else the global branding, else the defaults.
+ */
+async function getEffectiveBranding(businessUnitId) {
+  const global = await getSetting('branding.global');
+  const enforce = await getSetting('branding.enforce_global');
+  const enforceGlobal = (enforce === true || enforce === 'true' || enforce === 1 || enforce === '1');
+
+  const buId = businessUnitId ? String(businessUnitId) : null;
+  const buBranding = (!enforceGlobal && buId) ? await getSetting(`branding.bu.${buId}`) : null;
+
+  return {
+    ...normalizeBranding(buBranding || global),
+    source: buBranding ? 'business_unit' : (global ? 'global' : 'default'),
+    enforce_global: enforceGlobal,
+    business_unit_id: buId
+  };
+}
+
+module.exports = {
+  defaultBranding,
+  normalizeBranding,
+  getEffectiveBranding
+};
@@ -0,0 +1,290 @@
+const db = require('../database/connection');
+const {
+  buildNotesWithBreakState,
+  closeOpenBreakSegmentInNotes,
+  getOpenBreakSegmentFromNotes,
+  addBreakViolationToNotes,
+  getBreakStartFromNotes,
+  getTotalBreakSecondsFromNotes
+} = require('../utils/shiftNotes');
+
+// Used for BUs without a break_policies row: unlimited breaks, all unpaid (the pre-policy behaviour)
+const DEFAULT_BREAK_POLICY = {
+  max_breaks_per_shift: null,
+  max_break_minutes: null,
+  max_total_break_minutes: null,
+  mandatory_break_after_hours: null,
+  mandatory_break_minutes: 0,
+  auto_end_enabled: false
+};
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function toNullableNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function isTrue(value) {
+  return value === true || value === 1 || value === '1';
+}
+
+function normalizePolicy(row) {
+  if (!row) return { ...DEFAULT_BREAK_POLICY };
+  return {
+    max_breaks_per_shift: toNullableNumber(row.max_breaks_per_shift),
+    max_break_minutes: toNullableNumber(row.max_break_minutes),
+    max_total_break_minutes: toNullableNumber(row.max_total_break_minutes),
+    mandatory_break_after_hours: toNullableNumber(row.mandatory_break_after_hours),
+    mandatory_break_minutes: toNullableNumber(row.mandatory_break_minutes) || 0,
+    auto_end_enabled: isTrue(row.auto_end_enabled)
+  };
+}
+
+function normalizeBreakType(row) {
+  return {
+    ...row,
+    is_paid: isTrue(row.is_paid),
+    is_default: isTrue(row.is_default),
+    max_per_shift: toNullableNumber(row.max_per_shift),
+    max_minutes: toNullableNumber(row.max_minutes)
+  };
+}
+
+/**
+ * The BU's break policy with its active break types: { ...policy, break_types: [...] }.
+ */
+async function getBreakPolicy(businessUnitId) {
+  const policy = { ...DEFAULT_BREAK_POLICY, break_types: [] };
+  if (!businessUnitId) return policy;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholder = dbType === 'mysql' ? '?' : '$1';
+
+  if (await tableExists('break_policies')) {
+    const result = await db.query(
+      `SELECT * FROM break_policies WHERE business_unit_id = ${placeholder} AND is_active = true LIMIT 1`,
+      [businessUnitId]
+    );
+    Object.assign(policy, normalizePolicy(result.rows[0]));
+  }
+  if (await tableExists('break_types')) {
+    const result = await db.query(
+      `SELECT * FROM break_types WHERE business_unit_id = ${placeholder} AND is_active = true ORDER BY display_order ASC, type_name ASC`,
+      [businessUnitId]
+    );
+    policy.break_types = (result.rows || []).map(normalizeBreakType);
+  }
+  return policy;
+}
+
+async function getTechnicianBreakPolicy(technicianId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const userResult = await db.query(
+    `SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [technicianId]
+  );
+  return getBreakPolicy(userResult.rows[0]?.business_unit_id || null);
+}
+
+/**
+ * Break type for a start-break request. BUs without break types accept untyped breaks only;
+ * otherwise the named type (or the BU's default type) must exist.
+ * Returns { breakType } or { error: { status, code, message, details? } }.
+ */
+function resolveBreakType(policy, typeCode) {
+  const types = policy.break_types || [];
+  if (types.length === 0) {
+    if (typeCode) {
+      return { error: { status: 400, code: 'INVALID_BREAK_TYPE', message: 'No break types are configured for your business unit' } };
+    }
+    return { breakType: null };
+  }
+  if (!typeCode) {
+    const fallback = types.find(type => type.is_default);
+    if (fallback) return { breakType: fallback };
+    return {
+      error: {
+        status: 400,
+        code: 'BREAK_TYPE_REQUIRED',
+        message: 'break_type is required',
+        details: { break_types: types.map(type => type.type_code) }
+      }
+    };
+  }
+  const breakType = types.find(type => type.type_code === String(typeCode).trim().toUpperCase());
+  if (!breakType) {
+    return {
+      error: {
+        status: 400,
+        code: 'INVALID_BREAK_TYPE',
+        message: `Unknown break type "${typeCode}"`,
+        details: { break_types: types.map(type => type.type_code) }
+      }
+    };
+  }
+  return { breakType };
+}
+
+function segmentSeconds(segment) {
+  if (segment.duration_seconds !== null && segment.duration_seconds !== undefined) return Number(segment.duration_seconds) || 0;
+  const start = segment.start_time ? new Date(segment.start_time) : null;
+  const end = segment.end_time ? new Date(segment.end_time) : null;
+  if (!start || !end || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return 0;
+  return Math.max(0, Math.floor((end - start) / 1000));
+}
+
+/**
+ * Check the shift's earlier break segments against the policy before a new break starts.
+ * Returns an error { status, code, message, details } or null.
+ */
+function checkBreakStart(policy, breakType, segments) {
+  if (policy.max_breaks_per_shift && segments.length >= policy.max_breaks_per_shift) {
+    return {
+      status: 409,
+      code: 'BREAK_LIMIT_REACHED',
+      message: `Only ${policy.max_breaks_per_shift} break(s) are allowed per shift`,
+      details: { max_breaks_per_shift: policy.max_breaks_per_shift, breaks_taken: segments.length }
+    };
+  }
+  if (breakType && breakType.max_per_shift) {
+    const taken = segments.filter(segment => segment.break_type === breakType.type_code).length;
+    if (taken >= breakType.max_per_shift) {
+      return {
+        status: 409,
+        code: 'BREAK_LIMIT_REACHED',
+        message: `Only ${breakType.max_per_shift} "${breakType.type_name}" break(s) are allowed per shift`,
+        details: { break_type: breakType.type_code, max_per_shift: breakType.max_per_shift, breaks_taken: taken }
+      };
+    }
+  }
+  if (policy.max_total_break_minutes) {
+    const usedSeconds = segments.reduce((sum, segment) => sum + segmentSeconds(segment), 0);
+    if (usedSeconds >= policy.max_total_break_minutes * 60) {
+      return {
+        status: 409,
+        code: 'BREAK_LIMIT_REACHED',
+        message: `The ${policy.max_total_break_minutes} minutes of break time for this shift have been used`,
+        details: { max_total_break_minutes: policy.max_total_break_minutes, used_minutes: Math.floor(usedSeconds / 60) }
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * New break_segments entry. The allowed length and auto-end flag are captured when the break
+ * starts, so a policy change mid-break does not move the goalposts.
+ */
+function buildBreakSegment(policy, breakType, segments, startTime) {
+  const limits = [];
+  const maxMinutes = (breakType && breakType.max_minutes) || policy.max_break_minutes;
+  if (maxMinutes) limits.push(maxMinutes * 60);
+  if (policy.max_total_break_minutes) {
+    const usedSeconds = segments.reduce((sum, segment) => sum + segmentSeconds(segment), 0);
+    limits.push(Math.max(0, policy.max_total_break_minutes * 60 - usedSeconds));
+  }
+  const maxSeconds = limits.length > 0 ? Math.min(...limits) : null;
+  return {
+    start_time: startTime.toISOString(),
+    end_time: null,
+    duration_seconds: null,
+    break_type: breakType ? breakType.type_code : null,
+    is_paid: breakType ? breakType.is_paid : false,
+    max_seconds: maxSeconds,
+    auto_end: !!(maxSeconds && policy.auto_end_enabled)
+  };
+}
+
+/**
+ * Close the shift's open break at endTs, or at its allowed length when the segment has auto_end.
+ * Paid breaks are not added to break_seconds. An overrun is recorded in notes.break_violations.
+ * Pure: returns { notes, breakSeconds, addedSeconds, durationSeconds, breakEnd, isPaid, autoEnded, overrun }
+ * for the caller to persist, or null when the shift is not on break.
+ */
+function computeBreakEnd(shift, endTs, schema) {
+  const breakStartRaw = (schema.hasBreakStartColumn && shift.break_start_time) ? shift.break_start_time : getBreakStartFromNotes(shift.notes);
+  if (!breakStartRaw) return null;
+  const breakStart = new Date(breakStartRaw);
+  const segment = getOpenBreakSegmentFromNotes(shift.notes) || {};
+
+  const elapsedSeconds = Math.max(0, Math.floor((endTs - breakStart) / 1000));
+  const maxSeconds = segment.max_seconds !== null && segment.max_seconds !== undefined ? Number(segment.max_seconds) : null;
+  const overrun = maxSeconds !== null && elapsedSeconds > maxSeconds;
+  const autoEnded = overrun && !!segment.auto_end;
+  const breakEnd = autoEnded ? new Date(breakStart.getTime() + maxSeconds * 1000) : endTs;
+  const durationSeconds = autoEnded ? maxSeconds : elapsedSeconds;
+
+  const isPaid = !!segment.is_paid;
+  const priorSeconds = schema.hasBreakSeconds ? (Number(shift.break_seconds) || 0) : getTotalBreakSecondsFromNotes(shift.notes);
+  const addedSeconds = isPaid ? 0 : durationSeconds;
+  const breakSeconds = priorSeconds + addedSeconds;
+
+  let notes = closeOpenBreakSegmentInNotes(shift.notes, breakEnd.toISOString(), autoEnded ? { auto_ended: true } : {});
+  notes = buildNotesWithBreakState(notes, { start_time: null, total_break_seconds: breakSeconds });
+  if (overrun) {
+    notes = addBreakViolationToNotes(notes, {
+      type: 'break_overrun',
+      at: breakEnd.toISOString(),
+      break_start: breakStart.toISOString(),
+      break_type: segment.break_type || null,
+      allowed_seconds: maxSeconds,
+      actual_seconds: elapsedSeconds,
+      auto_ended: autoEnded
+    });
+  }
+
+  return { notes, breakSeconds, addedSeconds, durationSeconds, breakEnd, isPaid, autoEnded, overrun };
+}
+
+// When the mandatory break is due, or null when the policy has none or the shift already had it
+function getMandatoryBreakDueAt(policy, clockIn, segments) {
+  if (!policy.mandatory_break_after_hours) return null;
+  const dueAt = new Date(new Date(clockIn).getTime() + policy.mandatory_break_after_hours * 3600 * 1000);
+  const requiredSeconds = (policy.mandatory_break_minutes || 0) * 60;
+  const taken = segments.some(segment => {
+    const start = segment.start_time ? new Date(segment.start_time) : null;
+    if (!start || start > dueAt) return false;
+    // An open break counts once it has lasted long enough
+    const seconds = segment.end_time ? segmentSeconds(segment) : Math.floor((Date.now() - start) / 1000);
+    return seconds >= requiredSeconds;
+  });
+  return taken ? null : dueAt;
+}
+
+/**
+ * Violation for a shift that ran past mandatory_break_after_hours without the required break, or null.
+ */
+function findMissedMandatoryBreak(policy, { clockIn, clockOut, segments }) {
+  const dueAt = getMandatoryBreakDueAt(policy, clockIn, segments);
+  if (!dueAt || new Date(clockOut) <= dueAt) return null;
+  return {
+    type: 'missed_mandatory_break',
+    at: dueAt.toISOString(),
+    required_after_hours: policy.mandatory_break_after_hours,
+    required_minutes: policy.mandatory_break_minutes || 0
+  };
+}
+
+module.exports = {
+  DEFAULT_BREAK_POLICY,
+  getBreakPolicy,
+  getTechnicianBreakPolicy,
+  resolveBreakType,
+  checkBreakStart,
+  buildBreakSegment,
+  computeBreakEnd,
+  getMandatoryBreakDueAt,
+  findMissedMandatoryBreak
+};
@@ -0,0 +1,539 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{11,17}$/; // 17 for modern vehicles; older frames are shorter; never I, O or Q
+const MAX_MERGE_DEPTH = 10;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// True once schema_customers_vehicles.sql is applied (tables and job card links)
+async function registryAvailable() {
+  return (await tableExists('customers')) && (await tableExists('vehicles')) && (await columnExists('job_cards', 'vehicle_id'));
+}
+
+function normalizePlate(value) {
+  const plate = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return plate || null;
+}
+
+function normalizeVin(value) {
+  const vin = String(value || '').toUpperCase().replace(/[\s-]/g, '');
+  return vin || null;
+}
+
+function isValidVin(vin) {
+  return VIN_PATTERN.test(vin);
+}
+
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 6 ? digits : null;
+}
+
+function normalizeName(value) {
+  const name = String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return name || null;
+}
+
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  return email || null;
+}
+
+function parseVehicleInfo(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string') return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// vehicle_info JSON for a job card linked to a vehicle, so screens reading vehicle_info keep working
+function vehicleInfoFromVehicle(vehicle, base = {}) {
+  const info = { ...base };
+  for (const [key, value] of Object.entries({
+    license_plate: vehicle.license_plate,
+    vin: vehicle.vin,
+    make: vehicle.make,
+    model: vehicle.model,
+    year: vehicle.year,
+    color: vehicle.color
+  })) {
+    if (value !== null && value !== undefined && (info[key] === undefined || info[key] === null || info[key] === '')) {
+      info[key] = value;
+    }
+  }
+  return info;
+}
+
+/**
+ * Business unit filter for registry queries: records of the BU plus shared (NULL BU) records.
+ * p is a push-style placeholder helper.
+ */
+function buScope(alias, businessUnitId, p) {
+  if (!businessUnitId) return '';
+  return ` AND (${alias}.business_unit_id = ${p(businessUnitId)} OR ${alias}.business_unit_id IS NULL)`;
+}
+
+function pushParams(dbType) {
+  const params = [];
+  const p = (val) => {
+    params.push(val);
+    return dbType === 'mysql' ? '?' : `$${params.length}`;
+  };
+  return { params, p };
+}
+
+// Follow merged_into_id to the surviving record
+async function loadSurviving(table, id) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  let currentId = id;
+  for (let depth = 0; depth < MAX_MERGE_DEPTH && currentId; depth++) {
+    const result = await db.query(`SELECT * FROM ${table} WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [currentId]);
+    const row = result.rows[0];
+    if (!row) return null;
+    if (!row.merged_into_id) return row;
+    currentId = row.merged_into_id;
+  }
+  return null;
+}
+
+async function getVehicle(id, businessUnitId = null) {
+  const vehicle = await loadSurviving('vehicles', id);
+  if (!vehicle || !(vehicle.is_active === true || vehicle.is_active === 1)) return null;
+  if (businessUnitId && vehicle.business_unit_id && parseInt(vehicle.business_unit_id, 10) !== parseInt(businessUnitId, 10)) return null;
+  return vehicle;
+}
+
+async function getCustomer(id, businessUnitId = null) {
+  const customer = await loadSurviving('customers', id);
+  if (!customer || !(customer.is_active === true || customer.is_active === 1)) return null;
+  if (businessUnitId && customer.business_unit_id && parseInt(customer.business_unit_id, 10) !== parseInt(businessUnitId, 10)) return null;
+  return customer;
+}
+
+/**
+ * Active vehicle with the same VIN or plate (VIN wins when both match different vehicles).
+ */
+async function findVehicleMatch(businessUnitId, { plate, vin, excludeId = null }) {
+  const normalizedPlate = normalizePlate(plate);
+  const normalizedVin = normalizeVin(vin);
+  if (!normalizedPlate && !normalizedVin) return null;
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const { params, p } = pushParams(dbType);
+  const matchers = [];
+  if (normalizedVin) matchers.push(`v.vin = ${p(normalizedVin)}`);
+  if (normalizedPlate) matchers.push(`v.normalized_plate = ${p(normalizedPlate)}`);
+  let query = `SELECT v.* FROM vehicles v WHERE v.is_active = true AND (${matchers.join(' OR ')})`;
+  query += buScope('v', businessUnitId, p);
+  if (excludeId) query += ` AND v.id <> ${p(excludeId)}`;
+  query += ' ORDER BY v.id ASC';
+
+  const rows = (await db.query(query, params)).rows || [];
+  return rows.find(row => normalizedVin && row.vin === normalizedVin) || rows[0] || null;
+}
+
+/**
+ * Active customer with the same email, else phone, else (when matchOn includes 'name') exact
+ * normalised name. Namesakes are different people, so only email and phone are matched by default;
+ * same-name customers are left to /customers/duplicates for staff to merge.
+ */
+async function findCustomerMatch(businessUnitId, { name, email, phone, excludeId = null }, matchOn = ['email', 'phone']) {
+  const keys = [
+    ['email', 'LOWER(c.email)', matchOn.includes('email') ? normalizeEmail(email) : null],
+    ['phone', 'c.normalized_phone', matchOn.includes('phone') ? normalizePhone(phone) : null],
+    ['name', 'c.normalized_name', matchOn.includes('name') ? normalizeName(name) : null]
+  ];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  for (const [, column, value] of keys) {
+    if (!value) continue;
+    const { params, p } = pushParams(dbType);
+    let query = `SELECT c.* FROM customers c WHERE c.is_active = true AND ${column} = ${p(value)}`;
+    query += buScope('c', businessUnitId, p);
+    if (excludeId) query += ` AND c.id <> ${p(excludeId)}`;
+    query += ' ORDER BY c.id ASC LIMIT 1';
+    const row = (await db.query(query, params)).rows[0];
+    if (row) return row;
+  }
+  return null;
+}
+
+async function insertRow(table, columns, values) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = values.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+  if (dbType === 'mysql') {
+    const result = await db.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`, values);
+    return result.rows.insertId;
+  }
+  const result = await db.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`, values);
+  return result.rows[0].id;
+}
+
+async function createCustomer(businessUnitId, data, userId) {
+  const id = await insertRow(
+    'customers',
+    ['business_unit_id', 'customer_name', 'normalized_name', 'email', 'phone', 'normalized_phone', 'address', 'notes', 'created_by'],
+    [
+      businessUnitId || null,
+      String(data.customer_name).trim(),
+      normalizeName(data.customer_name),
+      normalizeEmail(data.email),
+      data.phone ? String(data.phone).trim() : null,
+      normalizePhone(data.phone),
+      data.address || null,
+      data.notes || null,
+      userId || null
+    ]
+  );
+  return getCustomer(id);
+}
+
+async function createVehicle(businessUnitId, data, userId) {
+  const id = await insertRow(
+    'vehicles',
+    ['business_unit_id', 'customer_id', 'license_plate', 'normalized_plate', 'vin', 'make', 'model', 'year', 'color', 'odometer', 'notes', 'created_by'],
+    [
+      businessUnitId || null,
+      data.customer_id || null,
+      data.license_plate ? String(data.license_plate).trim().toUpperCase() : null,
+      normalizePlate(data.license_plate),
+      normalizeVin(data.vin),
+      data.make || null,
+      data.model || null,
+      data.year ? parseInt(data.year, 10) || null : null,
+      data.color || null,
+      data.odometer != null && data.odometer !== '' ? parseInt(data.odometer, 10) || null : null,
+      data.notes || null,
+      userId || null
+    ]
+  );
+  return getVehicle(id);
+}
+
+/**
+ * Vehicle and customer for a new job card. Explicit vehicle_id / customer_id win; otherwise the
+ * vehicle is matched by VIN or plate from vehicle_info, the customer is the vehicle's owner or is
+ * matched by email or phone (never by name alone: a walk-in namesake is a new customer).
+ * Unknown vehicles and customers are registered so every new card is linked.
+ * Returns { vehicle, customer } (either may be null) or { error: { status, code, message } }.
+ */
+async function resolveJobCardRegistry({ businessUnitId, userId, vehicleId, customerId, vehicleInfo, customerName, customerEmail, customerPhone }) {
+  if (!(await registryAvailable())) return { vehicle: null, customer: null };
+  const info = parseVehicleInfo(vehicleInfo);
+  const plate = normalizePlate(info.license_plate);
+  const normalizedVin = normalizeVin(info.vin);
+  const vin = normalizedVin && isValidVin(normalizedVin) ? normalizedVin : null;
+
+  let vehicle = null;
+  if (vehicleId) {
+    vehicle = await getVehicle(vehicleId, businessUnitId);
+    if (!vehicle) return { error: { status: 400, code: 'INVALID_VEHICLE', message: 'Vehicle not found' } };
+  } else if (plate || vin) {
+    vehicle = await findVehicleMatch(businessUnitId, { plate, vin });
+  }
+
+  let customer = null;
+  if (customerId) {
+    customer = await getCustomer(customerId, businessUnitId);
+    if (!customer) return { error: { status: 400, code: 'INVALID_CUSTOMER', message: 'Customer not found' } };
+  } else if (vehicle && vehicle.customer_id) {
+    customer = await getCustomer(vehicle.customer_id);
+  }
+  if (!customer && (customerName || customerEmail || customerPhone)) {
+    customer = await findCustomerMatch(businessUnitId, { email: customerEmail, phone: customerPhone }, ['email', 'phone']);
+    if (!customer && customerName) {
+      customer = await createCustomer(businessUnitId, { customer_name: customerName, email: customerEmail, phone: customerPhone }, userId);
+    }
+  }
+
+  if (!vehicle && (plate || vin)) {
+    vehicle = await createVehicle(businessUnitId, {
+      ...info,
+      vin,
+      license_plate: plate ? info.license_plate : null,
+      customer_id: customer ? customer.id : null
+    }, userId);
+  } else if (vehicle && !vehicle.customer_id && customer) {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    await db.query(
+      `UPDATE vehicles SET customer_id = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+      [customer.id, vehicle.id]
+    );
+    vehicle = { ...vehicle, customer_id: customer.id };
+  }
+
+  return { vehicle, customer };
+}
+
+/**
+ * Link existing job cards to registry vehicles/customers from vehicle_info.license_plate / vin and
+ * customer_name. A card's customer is its vehicle's owner when there is one; otherwise a customer
+ * is registered from customer_name, since a name alone never links to an existing customer.
+ * Idempotent: only cards without a vehicle_id or customer_id are examined.
+ * With dryRun nothing is written and the counts say what would happen.
+ */
+async function backfillJobCards({ businessUnitId = null, dryRun = false, limit = 1000, userId = null }) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+  const { params, p } = pushParams(dbType);
+  let query = `SELECT jc.id, jc.job_number, jc.customer_name, jc.vehicle_info, jc.vehicle_id, jc.customer_id,
+                      ${hasJobCardsBU ? 'COALESCE(jc.business_unit_id, u.business_unit_id)' : 'u.business_unit_id'} as business_unit_id
+               FROM job_cards jc
+               LEFT JOIN users u ON jc.created_by = u.id
+               WHERE (jc.vehicle_id IS NULL OR jc.customer_id IS NULL)`;
+  if (businessUnitId) {
+    query += hasJobCardsBU
+      ? ` AND COALESCE(jc.business_unit_id, u.business_unit_id) = ${p(businessUnitId)}`
+      : ` AND u.business_unit_id = ${p(businessUnitId)}`;
+  }
+  query += ` ORDER BY jc.id ASC LIMIT ${Math.min(Math.max(parseInt(limit, 10) || 1000, 1), 10000)}`;
+  const cards = (await db.query(query, params)).rows || [];
+
+  const summary = {
+    dry_run: dryRun,
+    scanned: cards.length,
+    vehicles_linked: 0,
+    vehicles_created: 0,
+    customers_linked: 0,
+    customers_created: 0,
+    skipped_without_identifiers: 0,
+    invalid_vins: [],
+    errors: []
+  };
+  // Dry runs cannot create rows, so remember what would have been created to avoid counting it twice
+  const plannedVehicles = new Set();
+
+  for (const card of cards) {
+    try {
+      const info = parseVehicleInfo(card.vehicle_info);
+      const plate = normalizePlate(info.license_plate);
+      let vin = normalizeVin(info.vin);
+      if (vin && !isValidVin(vin)) {
+        summary.invalid_vins.push({ job_card_id: card.id, job_number: card.job_number, vin: info.vin });
+        vin = null;
+      }
+      const customerName = card.customer_name && String(card.customer_name).trim() ? card.customer_name : null;
+      if (!plate && !vin && !customerName) {
+        summary.skipped_without_identifiers++;
+        continue;
+      }
+
+      // The vehicle the card already has or will be linked to, if it is registered
+      const knownVehicle = card.vehicle_id
+        ? await getVehicle(card.vehicle_id)
+        : (plate || vin ? await findVehicleMatch(card.business_unit_id, { plate, vin }) : null);
+      const ownerId = knownVehicle && knownVehicle.customer_id ? knownVehicle.customer_id : null;
+
+      if (dryRun) {
+        if (!card.vehicle_id && (plate || vin)) {
+          const key = `${card.business_unit_id || ''}:${vin || plate}`;
+          if (knownVehicle || plannedVehicles.has(key)) summary.vehicles_linked++;
+          else { plannedVehicles.add(key); summary.vehicles_created++; summary.vehicles_linked++; }
+        }
+        if (!card.customer_id && (ownerId || customerName)) {
+          summary.customers_linked++;
+          if (!ownerId) summary.customers_created++;
+        }
+        continue;
+      }
+
+      const resolved = await resolveJobCardRegistry({
+        businessUnitId: card.business_unit_id,
+        userId,
+        vehicleId: card.vehicle_id,
+        customerId: card.customer_id,
+        vehicleInfo: { ...info, vin },
+        customerName
+      });
+      if (resolved.error) {
+        summary.errors.push({ job_card_id: card.id, error: resolved.error.message });
+        continue;
+      }
+
+      const setParts = [];
+      const updateParams = [];
+      if (!card.vehicle_id && resolved.vehicle) {
+        setParts.push('vehicle_id');
+        updateParams.push(resolved.vehicle.id);
+        summary.vehicles_linked++;
+        if (!knownVehicle) summary.vehicles_created++;
+      }
+      if (!card.customer_id && resolved.customer) {
+        setParts.push('customer_id');
+        updateParams.push(resolved.customer.id);
+        summary.customers_linked++;
+        if (!ownerId && customerName) summary.customers_created++;
+      }
+      if (setParts.length === 0) continue;
+      updateParams.push(card.id);
+      await db.query(
+        `UPDATE job_cards SET ${setParts.map((col, i) => `${col} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+         WHERE id = ${dbType === 'mysql' ? '?' : `$${updateParams.length}`}`,
+        updateParams
+      );
+    } catch (error) {
+      logger.error('Registry backfill failed for job card:', { jobCardId: card.id, error: error.message });
+      summary.errors.push({ job_card_id: card.id, error: error.message });
+    }
+  }
+  return summary;
+}
+
+// Fill the target's empty fields from the duplicates being merged into it
+function mergedFields(target, sources, fields) {
+  const updates = {};
+  for (const field of fields) {
+    if (target[field] !== null && target[field] !== undefined && target[field] !== '') continue;
+    const source = sources.find(row => row[field] !== null && row[field] !== undefined && row[field] !== '');
+    if (source) updates[field] = source[field];
+  }
+  return updates;
+}
+
+async function applyUpdates(table, id, updates, executor = db) {
+  const columns = Object.keys(updates);
+  if (columns.length === 0) return;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const values = columns.map(column => updates[column]);
+  values.push(id);
+  await executor.query(
+    `UPDATE ${table} SET ${columns.map((col, i) => `${col} = ${dbType === 'mysql' ? '?' : `$${i + 1}`}`).join(', ')}
+     WHERE id = ${dbType === 'mysql' ? '?' : `$${values.length}`}`,
+    values
+  );
+}
+
+async function retireDuplicates(table, targetId, sourceIds, executor = db) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = sourceIds.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 2}`)).join(', ');
+  await executor.query(
+    `UPDATE ${table} SET merged_into_id = ${dbType === 'mysql' ? '?' : '$1'}, is_active = false WHERE id IN (${placeholders})`,
+    [targetId, ...sourceIds]
+  );
+}
+
+async function repoint(table, column, targetId, sourceIds, executor = db) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = sourceIds.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 2}`)).join(', ');
+  const result = await executor.query(
+    `UPDATE ${table} SET ${column} = ${dbType === 'mysql' ? '?' : '$1'} WHERE ${column} IN (${placeholders})`,
+    [targetId, ...sourceIds]
+  );
+  return result.rowCount || 0;
+}
+
+/**
+ * Merge duplicate vehicles into target: job cards move to the target, empty target fields are
+ * filled from the duplicates, and the duplicates are retired with merged_into_id. All in one
+ * transaction, so a failure leaves no card split between target and duplicates.
+ */
+async function mergeVehicles(target, sources) {
+  const sourceIds = sources.map(source => source.id);
+  const updates = mergedFields(target, sources, ['license_plate', 'normalized_plate', 'vin', 'make', 'model', 'year', 'color', 'customer_id']);
+  const odometers = [target, ...sources].map(row => parseInt(row.odometer, 10)).filter(Number.isFinite);
+  if (odometers.length > 0 && Math.max(...odometers) !== parseInt(target.odometer, 10)) updates.odometer = Math.max(...odometers);
+  const jobCardsMoved = await db.transaction(async (tx) => {
+    await applyUpdates('vehicles', target.id, updates, tx);
+    const moved = await repoint('job_cards', 'vehicle_id', target.id, sourceIds, tx);
+    await retireDuplicates('vehicles', target.id, sourceIds, tx);
+    return moved;
+  });
+  return { job_cards_moved: jobCardsMoved, fields_filled: Object.keys(updates) };
+}
+
+/**
+ * Merge duplicate customers into target: job cards and vehicles move to the target, in one
+ * transaction like mergeVehicles().
+ */
+async function mergeCustomers(target, sources) {
+  const sourceIds = sources.map(source => source.id);
+  const updates = mergedFields(target, sources, ['email', 'phone', 'normalized_phone', 'address', 'notes']);
+  const moved = await db.transaction(async (tx) => {
+    await applyUpdates('customers', target.id, updates, tx);
+    const jobCards = await repoint('job_cards', 'customer_id', target.id, sourceIds, tx);
+    const vehicles = await repoint('vehicles', 'customer_id', target.id, sourceIds, tx);
+    await retireDuplicates('customers', target.id, sourceIds, tx);
+    return { jobCards, vehicles };
+  });
+  return { job_cards_moved: moved.jobCards, vehicles_moved: moved.vehicles, fields_filled: Object.keys(updates) };
+}
+
+/**
+ * Groups of active records sharing a de-duplication key within the BU scope.
+ * keys: [[label, sqlExpression], ...]
+ */
+async function findDuplicateGroups(table, businessUnitId, keys) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const groups = [];
+  for (const [label, expression] of keys) {
+    const { params, p } = pushParams(dbType);
+    let query = `SELECT ${expression} as match_value, COUNT(*) as record_count
+                 FROM ${table} t
+                 WHERE t.is_active = true AND ${expression} IS NOT NULL`;
+    query += buScope('t', businessUnitId, p);
+    query += ` GROUP BY ${expression} HAVING COUNT(*) > 1 ORDER BY COUNT(*) DESC LIMIT 100`;
+    const duplicateKeys = (await db.query(query, params)).rows || [];
+    for (const key of duplicateKeys) {
+      const member = pushParams(dbType);
+      let memberQuery = `SELECT t.* FROM ${table} t WHERE t.is_active = true AND ${expression} = ${member.p(key.match_value)}`;
+      memberQuery += buScope('t', businessUnitId, member.p);
+      memberQuery += ' ORDER BY t.id ASC';
+      groups.push({
+        match_on: label,
+        match_value: key.match_value,
+        records: (await db.query(memberQuery, member.params)).rows || []
+      });
+    }
+  }
+  return groups;
+}
+
+module.exports = {
+  registryAvailable,
+  normalizePlate,
+  normalizeVin,
+  isValidVin,
+  normalizePhone,
+  normalizeName,
+  normalizeEmail,
+  vehicleInfoFromVehicle,
+  getVehicle,
+  getCustomer,
+  findVehicleMatch,
+  findCustomerMatch,
+  createVehicle,
+  createCustomer,
+  resolveJobCardRegistry,
+  backfillJobCards,
+  mergeVehicles,
+  mergeCustomers,
+  findDuplicateGroups
+};
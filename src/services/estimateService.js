@@ -0,0 +1,416 @@
+const db = require('../database/connection');
+const { getSetting, getNumberSetting } = require('../utils/settings');
+const { tasksTableExists, getTask } = require('./jobCardTaskService');
+
+const ESTIMATE_STATUSES = ['draft', 'sent', 'approved', 'partially_approved', 'declined'];
+const OPEN_ESTIMATE_STATUSES = ['draft', 'sent'];
+const APPROVED_ESTIMATE_STATUSES = ['approved', 'partially_approved'];
+const APPROVAL_METHODS = ['in_person', 'phone', 'email', 'sms', 'other'];
+const MAX_ESTIMATE_LINES = 200;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function estimatesTableExists() {
+  return (await tableExists('job_card_estimates')) && (await tableExists('job_card_estimate_lines'));
+}
+
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Number(value);
+}
+
+async function getJobType(businessUnitId, jobTypeCode) {
+  if (!businessUnitId || !jobTypeCode || !(await tableExists('business_unit_job_types'))) return null;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasRate = await columnExists('business_unit_job_types', 'labour_rate');
+  const result = await db.query(
+    `SELECT job_type_code, job_type_name, default_estimated_hours${hasRate ? ', labour_rate' : ', NULL as labour_rate'}
+     FROM business_unit_job_types
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND job_type_code = ${dbType === 'mysql' ? '?' : '$2'} AND is_active = true`,
+    [businessUnitId, jobTypeCode]
+  );
+  return result.rows[0] || null;
+}
+
+// Hourly labour rate of a job type (from getJobType), else estimates.default_labour_rate
+async function getLabourRate(jobType) {
+  const jobTypeRate = jobType && jobType.labour_rate != null ? Number(jobType.labour_rate) : null;
+  return jobTypeRate > 0 ? jobTypeRate : getNumberSetting('estimates.default_labour_rate', 0);
+}
+
+/**
+ * Labour line from { description, job_type_code, hours, rate, task_id }: job type defaults to the
+ * card's, hours to the task estimate / job type default / card estimate, rate to the job type's
+ * labour_rate / estimates.default_labour_rate. Returns { line } or { error }.
+ */
+async function buildLabourLine(input, jobCard, index) {
+  const entry = input || {};
+  const jobTypeCode = entry.job_type_code ? String(entry.job_type_code).trim() : (jobCard.job_type || null);
+  const jobType = await getJobType(jobCard.business_unit_id, jobTypeCode);
+  if (entry.job_type_code && !jobType) {
+    return { error: `labour_lines[${index}].job_type_code "${jobTypeCode}" is not an active job type of this business unit` };
+  }
+
+  let task = null;
+  if (entry.task_id !== undefined && entry.task_id !== null && entry.task_id !== '') {
+    task = (await tasksTableExists()) ? await getTask(jobCard.id, entry.task_id) : null;
+    if (!task) return { error: `labour_lines[${index}].task_id is not a task on this job card` };
+  }
+
+  let hours = optionalNumber(entry.hours);
+  if (hours === undefined && task && task.estimated_minutes != null) hours = Number(task.estimated_minutes) / 60;
+  if (hours === undefined && jobType && jobType.default_estimated_hours != null) hours = Number(jobType.default_estimated_hours);
+  if (hours === undefined && jobCard.estimated_hours != null) hours = Number(jobCard.estimated_hours);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return { error: `labour_lines[${index}].hours must be a positive number (no estimate to default from)` };
+  }
+
+  let rate = optionalNumber(entry.rate);
+  if (rate === undefined) {
+    rate = await getLabourRate(jobType);
+    if (!(rate > 0)) {
+      return { error: `labour_lines[${index}] has no labour rate: set labour_rate on job type "${jobTypeCode || '-'}" or pass rate` };
+    }
+  }
+  if (!Number.isFinite(rate) || rate < 0) return { error: `labour_lines[${index}].rate must be a non-negative number` };
+
+  const description = String(entry.description || (task && task.title) || (jobType && jobType.job_type_name) || 'Labour').trim().slice(0, 255);
+  return {
+    line: {
+      line_type: 'labour',
+      description,
+      job_type_code: jobType ? jobType.job_type_code : null,
+      task_id: task ? task.id : null,
+      part_id: null,
+      work_order_part_id: null,
+      quantity: roundMoney(hours),
+      unit_price: roundMoney(rate),
+      line_total: roundMoney(hours * rate)
+    }
+  };
+}
+
+/**
+ * Part line from { work_order_part_id } (a part already on the card) or a proposed
+ * { part_id, quantity, unit_price, description }. Returns { line } or { error }.
+ */
+async function buildPartLine(input, jobCard, index) {
+  const entry = input || {};
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+  if (entry.work_order_part_id !== undefined && entry.work_order_part_id !== null) {
+    const result = await db.query(
+      `SELECT wop.id, wop.part_id, wop.quantity, wop.unit_cost, p.name as part_name, p.part_number
+       FROM work_order_parts wop
+       LEFT JOIN parts p ON wop.part_id = p.id
+       WHERE wop.id = ${p(1)} AND wop.work_order_id = ${p(2)}`,
+      [entry.work_order_part_id, jobCard.id]
+    );
+    const row = result.rows[0];
+    if (!row) return { error: `part_lines[${index}].work_order_part_id is not a part on this job card` };
+    return { line: workOrderPartLine(row, entry.unit_price) };
+  }
+
+  const partId = parseInt(entry.part_id, 10);
+  if (!Number.isInteger(partId)) return { error: `part_lines[${index}] needs work_order_part_id or part_id` };
+  const partResult = await db.query(`SELECT id, name, part_number, cost FROM parts WHERE id = ${p(1)}`, [partId]);
+  const part = partResult.rows[0];
+  if (!part) return { error: `part_lines[${index}]: part ${partId} not found` };
+
+  const quantity = entry.quantity === undefined ? 1 : Number(entry.quantity);
+  if (!Number.isFinite(quantity) || quantity <= 0) return { error: `part_lines[${index}].quantity must be a positive number` };
+  const unitPrice = optionalNumber(entry.unit_price) ?? Number(part.cost || 0);
+  if (!Number.isFinite(unitPrice) || unitPrice < 0) return { error: `part_lines[${index}].unit_price must be a non-negative number` };
+
+  return {
+    line: {
+      line_type: 'part',
+      description: String(entry.description || [part.part_number, part.name].filter(Boolean).join(' - ') || `Part ${partId}`).trim().slice(0, 255),
+      job_type_code: null,
+      task_id: null,
+      part_id: partId,
+      work_order_part_id: null,
+      quantity: roundMoney(quantity),
+      unit_price: roundMoney(unitPrice),
+      line_total: roundMoney(quantity * unitPrice)
+    }
+  };
+}
+
+function workOrderPartLine(row, unitPriceOverride) {
+  const unitPrice = optionalNumber(unitPriceOverride) ?? Number(row.unit_cost || 0);
+  const quantity = Number(row.quantity || 1);
+  return {
+    line_type: 'part',
+    description: String([row.part_number, row.part_name].filter(Boolean).join(' - ') || `Part ${row.part_id}`).slice(0, 255),
+    job_type_code: null,
+    task_id: null,
+    part_id: row.part_id,
+    work_order_part_id: row.id,
+    quantity: roundMoney(quantity),
+    unit_price: roundMoney(unitPrice),
+    line_total: roundMoney(quantity * unitPrice)
+  };
+}
+
+// work_order_parts rows of the card not yet quoted on an estimate the customer has not declined
+async function getUnquotedWorkOrderParts(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT wop.id, wop.part_id, wop.quantity, wop.unit_cost, p.name as part_name, p.part_number
+     FROM work_order_parts wop
+     LEFT JOIN parts p ON wop.part_id = p.id
+     WHERE wop.work_order_id = ${p(1)}
+       AND NOT EXISTS (
+         SELECT 1 FROM job_card_estimate_lines l
+         JOIN job_card_estimates e ON l.estimate_id = e.id
+         WHERE l.work_order_part_id = wop.id AND e.job_card_id = ${p(2)} AND e.status <> 'declined'
+       )
+     ORDER BY wop.installed_at ASC, wop.id ASC`,
+    [jobCardId, jobCardId]
+  );
+  return result.rows || [];
+}
+
+/**
+ * Build estimate lines from a request body ({ labour_lines, part_lines, include_work_order_parts }).
+ * include_work_order_parts (default true) quotes every part already on the card that no live
+ * estimate covers. Returns { lines } or { error }.
+ */
+async function buildEstimateLines(body, jobCard, { excludeEstimateId = null } = {}) {
+  const labourInput = body.labour_lines === undefined ? [] : body.labour_lines;
+  const partInput = body.part_lines === undefined ? [] : body.part_lines;
+  if (!Array.isArray(labourInput)) return { error: 'labour_lines must be an array' };
+  if (!Array.isArray(partInput)) return { error: 'part_lines must be an array' };
+
+  const lines = [];
+  for (let i = 0; i < labourInput.length; i++) {
+    const built = await buildLabourLine(labourInput[i], jobCard, i);
+    if (built.error) return built;
+    lines.push(built.line);
+  }
+  for (let i = 0; i < partInput.length; i++) {
+    const built = await buildPartLine(partInput[i], jobCard, i);
+    if (built.error) return built;
+    if (built.line.work_order_part_id && lines.some(l => l.work_order_part_id === built.line.work_order_part_id)) {
+      return { error: `part_lines[${i}]: work order part ${built.line.work_order_part_id} is listed twice` };
+    }
+    lines.push(built.line);
+  }
+
+  if (body.include_work_order_parts !== false) {
+    const unquoted = await getUnquotedWorkOrderParts(jobCard.id);
+    // Lines being replaced on a draft do not count as quoted
+    const replaced = excludeEstimateId ? await getEstimateLineWorkOrderPartIds(excludeEstimateId) : new Set();
+    const alreadyListed = new Set(lines.map(l => String(l.work_order_part_id)));
+    for (const row of [...unquoted, ...(await getWorkOrderPartsById(jobCard.id, replaced))]) {
+      if (alreadyListed.has(String(row.id))) continue;
+      alreadyListed.add(String(row.id));
+      lines.push(workOrderPartLine(row));
+    }
+  }
+
+  if (lines.length > MAX_ESTIMATE_LINES) return { error: `An estimate cannot have more than ${MAX_ESTIMATE_LINES} lines` };
+  return { lines };
+}
+
+async function getEstimateLineWorkOrderPartIds(estimateId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT work_order_part_id FROM job_card_estimate_lines
+     WHERE estimate_id = ${dbType === 'mysql' ? '?' : '$1'} AND work_order_part_id IS NOT NULL`,
+    [estimateId]
+  );
+  return new Set((result.rows || []).map(row => String(row.work_order_part_id)));
+}
+
+async function getWorkOrderPartsById(jobCardId, ids) {
+  const list = [...ids];
+  if (list.length === 0) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = list.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 2}`)).join(', ');
+  const result = await db.query(
+    `SELECT wop.id, wop.part_id, wop.quantity, wop.unit_cost, p.name as part_name, p.part_number
+     FROM work_order_parts wop
+     LEFT JOIN parts p ON wop.part_id = p.id
+     WHERE wop.work_order_id = ${dbType === 'mysql' ? '?' : '$1'} AND wop.id IN (${placeholders})`,
+    [jobCardId, ...list]
+  );
+  return result.rows || [];
+}
+
+function computeTotals(lines) {
+  const labourTotal = lines.filter(l => l.line_type === 'labour').reduce((sum, l) => sum + Number(l.line_total || 0), 0);
+  const partsTotal = lines.filter(l => l.line_type === 'part').reduce((sum, l) => sum + Number(l.line_total || 0), 0);
+  return { labour_total: roundMoney(labourTotal), parts_total: roundMoney(partsTotal), total: roundMoney(labourTotal + partsTotal) };
+}
+
+// Replace the lines of an estimate and refresh its totals
+async function replaceEstimateLines(estimateId, lines) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  await db.query(`DELETE FROM job_card_estimate_lines WHERE estimate_id = ${p(1)}`, [estimateId]);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    await db.query(
+      `INSERT INTO job_card_estimate_lines
+         (estimate_id, line_type, sequence, description, job_type_code, task_id, part_id, work_order_part_id, quantity, unit_price, line_total)
+       VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)}, ${p(7)}, ${p(8)}, ${p(9)}, ${p(10)}, ${p(11)})`,
+      [estimateId, line.line_type, i + 1, line.description, line.job_type_code, line.task_id, line.part_id,
+        line.work_order_part_id, line.quantity, line.unit_price, line.line_total]
+    );
+  }
+  const totals = computeTotals(lines);
+  await db.query(
+    `UPDATE job_card_estimates SET labour_total = ${p(1)}, parts_total = ${p(2)}, total = ${p(3)} WHERE id = ${p(4)}`,
+    [totals.labour_total, totals.parts_total, totals.total, estimateId]
+  );
+  return totals;
+}
+
+function formatEstimate(row, lines = []) {
+  return {
+    ...row,
+    is_supplementary: row.is_supplementary === true || row.is_supplementary === 1,
+    labour_total: roundMoney(row.labour_total),
+    parts_total: roundMoney(row.parts_total),
+    total: roundMoney(row.total),
+    approved_total: row.approved_total != null ? roundMoney(row.approved_total) : null,
+    lines: lines.map(line => ({
+      ...line,
+      quantity: Number(line.quantity),
+      unit_price: roundMoney(line.unit_price),
+      line_total: roundMoney(line.line_total)
+    }))
+  };
+}
+
+async function getLinesByEstimate(estimateIds) {
+  const ids = [...new Set(estimateIds)];
+  if (ids.length === 0) return {};
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = ids.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+  const result = await db.query(
+    `SELECT * FROM job_card_estimate_lines WHERE estimate_id IN (${placeholders}) ORDER BY sequence ASC, id ASC`,
+    ids
+  );
+  const byEstimate = {};
+  for (const row of result.rows || []) {
+    (byEstimate[row.estimate_id] = byEstimate[row.estimate_id] || []).push(row);
+  }
+  return byEstimate;
+}
+
+const ESTIMATE_SELECT = `SELECT e.*, cu.display_name as created_by_name, su.display_name as sent_by_name,
+                                ru.display_name as decision_recorded_by_name
+                         FROM job_card_estimates e
+                         LEFT JOIN users cu ON e.created_by = cu.id
+                         LEFT JOIN users su ON e.sent_by = su.id
+                         LEFT JOIN users ru ON e.decision_recorded_by = ru.id`;
+
+async function listEstimates(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `${ESTIMATE_SELECT}
+     WHERE e.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY e.estimate_number ASC`,
+    [jobCardId]
+  );
+  const rows = result.rows || [];
+  const lines = await getLinesByEstimate(rows.map(row => row.id));
+  return rows.map(row => formatEstimate(row, lines[row.id] || []));
+}
+
+async function getEstimate(jobCardId, estimateId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `${ESTIMATE_SELECT}
+     WHERE e.id = ${dbType === 'mysql' ? '?' : '$1'} AND e.job_card_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [estimateId, jobCardId]
+  );
+  if (result.rows.length === 0) return null;
+  const lines = await getLinesByEstimate([result.rows[0].id]);
+  return formatEstimate(result.rows[0], lines[result.rows[0].id] || []);
+}
+
+/**
+ * Whether the customer approved the work a timer is about to be booked against. Only job cards that
+ * have estimates are checked: a timer on a task needs an approved labour line for that task when one
+ * is quoted, otherwise any approved labour line on the card.
+ * Returns null (fine), { warning } or { error: { status, code, message } } per estimates.unapproved_timer_policy.
+ */
+async function checkTimerApproval(jobCardId, taskId = null) {
+  const policy = String(await getSetting('estimates.unapproved_timer_policy', 'warn')).toLowerCase();
+  if (policy === 'off' || !(await estimatesTableExists())) return null;
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT l.task_id, l.approval_status
+     FROM job_card_estimate_lines l
+     JOIN job_card_estimates e ON l.estimate_id = e.id
+     WHERE e.job_card_id = ${dbType === 'mysql' ? '?' : '$1'} AND l.line_type = 'labour'`,
+    [jobCardId]
+  );
+  const lines = result.rows || [];
+  if (lines.length === 0) return null;
+
+  const taskLines = taskId ? lines.filter(l => l.task_id != null && String(l.task_id) === String(taskId)) : [];
+  const relevant = taskLines.length > 0 ? taskLines : lines;
+  if (relevant.some(l => l.approval_status === 'approved')) return null;
+
+  const problem = {
+    code: 'ESTIMATE_NOT_APPROVED',
+    message: taskLines.length > 0
+      ? 'The customer has not approved the estimate line for this task'
+      : 'The customer has not approved any labour on this job card\'s estimates'
+  };
+  if (policy === 'block') return { error: { status: 409, ...problem } };
+  return { warning: problem };
+}
+
+module.exports = {
+  ESTIMATE_STATUSES,
+  OPEN_ESTIMATE_STATUSES,
+  APPROVED_ESTIMATE_STATUSES,
+  APPROVAL_METHODS,
+  estimatesTableExists,
+  roundMoney,
+  getJobType,
+  getLabourRate,
+  buildEstimateLines,
+  computeTotals,
+  replaceEstimateLines,
+  listEstimates,
+  getEstimate,
+  checkTimerApproval
+};
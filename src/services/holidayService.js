@@ -0,0 +1,65 @@
+const db = require('../database/connection');
+const { toDateOnly } = require('./scheduleExceptionService');
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Map 'YYYY-MM-DD' -> holiday name for a BU
+async function getHolidayDates(businessUnitId, fromDay, toDay) {
+  const holidays = new Map();
+  if (!businessUnitId || !(await tableExists('business_unit_holidays'))) return holidays;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT holiday_date, name FROM business_unit_holidays
+     WHERE business_unit_id = ${p(1)} AND holiday_date >= ${p(2)} AND holiday_date <= ${p(3)}`,
+    [businessUnitId, fromDay, toDay]
+  );
+  for (const row of result.rows || []) {
+    holidays.set(toDateOnly(row.holiday_date), row.name);
+  }
+  return holidays;
+}
+
+// Holidays of the technician's business unit (users.business_unit_id)
+async function getTechnicianHolidayDates(technicianId, fromDay, toDay) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  try {
+    const userResult = await db.query(
+      `SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [technicianId]
+    );
+    return await getHolidayDates(userResult.rows[0]?.business_unit_id || null, fromDay, toDay);
+  } catch (error) {
+    return new Map();
+  }
+}
+
+// Set of business_unit_id values observing a holiday on the given day
+async function getBusinessUnitsOnHoliday(day) {
+  const businessUnits = new Set();
+  if (!(await tableExists('business_unit_holidays'))) return businessUnits;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT business_unit_id FROM business_unit_holidays WHERE holiday_date = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [day]
+  );
+  for (const row of result.rows || []) businessUnits.add(String(row.business_unit_id));
+  return businessUnits;
+}
+
+module.exports = {
+  getHolidayDates,
+  getTechnicianHolidayDates,
+  getBusinessUnitsOnHoliday
+};
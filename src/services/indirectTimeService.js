@@ -0,0 +1,90 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+
+let indirectTableChecked = false;
+let indirectTableAvailable = false;
+
+async function indirectTimeTableExists() {
+  if (indirectTableChecked) return indirectTableAvailable;
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE 'indirect_time_logs'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'indirect_time_logs') as exists`;
+    const result = await db.query(checkQuery);
+    indirectTableAvailable = dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+    indirectTableChecked = true;
+  } catch (error) {
+    indirectTableAvailable = false;
+  }
+  return indirectTableAvailable;
+}
+
+async function getActiveIndirectTimer(technicianId) {
+  if (!(await indirectTimeTableExists())) return null;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT itl.*, iac.activity_code, iac.activity_name, iac.color
+     FROM indirect_time_logs itl
+     JOIN indirect_activity_codes iac ON itl.activity_code_id = iac.id
+     WHERE itl.technician_id = ${dbType === 'mysql' ? '?' : '$1'} AND itl.status = 'active'
+     ORDER BY itl.start_ts DESC LIMIT 1`,
+    [technicianId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Close a running indirect timer. Returns the closed row, or null when it was no longer active.
+ */
+async function stopIndirectTimer(timer, endTs, stopReason, notes = null) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const startTs = new Date(timer.start_ts);
+  const end = endTs > startTs ? endTs : startTs;
+  const durationSeconds = Math.max(0, Math.floor((end - startTs) / 1000));
+
+  const updateResult = await db.query(
+    dbType === 'mysql'
+      ? `UPDATE indirect_time_logs
+         SET end_ts = ?, duration_seconds = ?, status = 'finished', stop_reason = ?, notes = COALESCE(?, notes)
+         WHERE id = ? AND status = 'active'`
+      : `UPDATE indirect_time_logs
+         SET end_ts = $1, duration_seconds = $2, status = 'finished', stop_reason = $3, notes = COALESCE($4, notes)
+         WHERE id = $5 AND status = 'active'`,
+    [end, durationSeconds, stopReason, notes, timer.id]
+  );
+  if (!updateResult.rowCount) return null;
+
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, 'indirect_time.stopped', 'indirect_time_log', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, 'indirect_time.stopped', 'indirect_time_log', $2, $3)`,
+    [timer.technician_id, String(timer.id), JSON.stringify({ stop_reason: stopReason, duration_seconds: durationSeconds })]
+  );
+
+  return { ...timer, end_ts: end, duration_seconds: durationSeconds, status: 'finished', stop_reason: stopReason };
+}
+
+// Stop whatever indirect timer the technician has running (clock-out, break, job timer start).
+// Never throws: the action that triggered it must still go through.
+async function stopActiveIndirectTimers(technicianId, endTs, stopReason) {
+  try {
+    const timer = await getActiveIndirectTimer(technicianId);
+    if (!timer) return null;
+    const stopped = await stopIndirectTimer(timer, endTs, stopReason);
+    if (stopped) {
+      logger.info(`Indirect timer ${timer.id} for technician ${technicianId} stopped (${stopReason})`);
+    }
+    return stopped;
+  } catch (error) {
+    logger.error('Failed to stop active indirect timer:', { technicianId, stopReason, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  indirectTimeTableExists,
+  getActiveIndirectTimer,
+  stopIndirectTimer,
+  stopActiveIndirectTimers
+};
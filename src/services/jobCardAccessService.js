@@ -0,0 +1,71 @@
+const db = require('../database/connection');
+
+// Roles that work on any job card in their BU; everyone else needs an assignment on the card
+const JOB_CARD_STAFF_ROLES = ['Super Admin', 'Business Unit Admin', 'Admin', 'ServiceAdvisor', 'Service Advisor'];
+const JOB_CARD_ADMIN_ROLES = ['Super Admin', 'Business Unit Admin', 'Admin'];
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Load a job card and what the user may do with it, using the same BU scoping as PATCH /jobcards/:id
+ * (cards without a BU are shared). Technicians only see cards they are assigned to.
+ * Returns { jobCard, isStaff, isAdmin, isAssigned } or { error: { status, code, message } }.
+ */
+async function getJobCardAccess(user, jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholder = dbType === 'mysql' ? '?' : '$1';
+  const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+
+  const jobCardResult = await db.query(
+    `SELECT jc.id, jc.job_number, jc.customer_name, jc.status, jc.created_by,
+            ${hasJobCardsBU ? 'jc.business_unit_id' : 'NULL as business_unit_id'},
+            u.business_unit_id as creator_business_unit_id
+     FROM job_cards jc
+     LEFT JOIN users u ON jc.created_by = u.id
+     WHERE jc.id = ${placeholder}`,
+    [jobCardId]
+  );
+  if (jobCardResult.rows.length === 0) {
+    return { error: { status: 404, code: 'RESOURCE_NOT_FOUND', message: 'Job card not found' } };
+  }
+  const jobCard = jobCardResult.rows[0];
+  const roleName = user?.roleName || '';
+  const isStaff = JOB_CARD_STAFF_ROLES.includes(roleName);
+  const isAdmin = JOB_CARD_ADMIN_ROLES.includes(roleName);
+
+  if (roleName !== 'Super Admin' && user?.businessUnitId) {
+    const bu = parseInt(user.businessUnitId, 10);
+    const cardBu = jobCard.business_unit_id != null ? jobCard.business_unit_id : jobCard.creator_business_unit_id;
+    if (cardBu != null && parseInt(cardBu, 10) !== bu) {
+      return { error: { status: 403, code: 'AUTHORIZATION_FAILED', message: 'You do not have access to this job card' } };
+    }
+  }
+
+  const assignmentResult = await db.query(
+    `SELECT id FROM assignments WHERE job_card_id = ${placeholder} AND technician_id = ${dbType === 'mysql' ? '?' : '$2'} LIMIT 1`,
+    [jobCardId, user.id]
+  );
+  const isAssigned = assignmentResult.rows.length > 0;
+  if (!isStaff && !isAssigned) {
+    return { error: { status: 403, code: 'AUTHORIZATION_FAILED', message: 'You are not assigned to this job card' } };
+  }
+
+  return { jobCard, isStaff, isAdmin, isAssigned };
+}
+
+module.exports = {
+  JOB_CARD_STAFF_ROLES,
+  JOB_CARD_ADMIN_ROLES,
+  getJobCardAccess
+};
@@ -0,0 +1,117 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getStorageDriver } = require('./attachmentStorage');
+
+// Types sharp can decode into a thumbnail
+const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const THUMBNAIL_SIZE = 320;
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * JPEG thumbnail for an image, or null for other types. Throws when the content does not
+ * decode as the declared image type, so callers can reject it.
+ */
+async function createThumbnail(buffer, mimeType) {
+  if (!THUMBNAIL_MIME_TYPES.includes(mimeType)) return null;
+  return sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+}
+
+/**
+ * Write a file (and its thumbnail) through the configured storage driver and record it in
+ * job_card_attachments. Callers validate type and size first. Returns the new attachment id.
+ */
+async function storeJobCardAttachment({ jobCardId, uploadedBy, fileName, mimeType, buffer, thumbnail = null }) {
+  const hasStorageColumns = await columnExists('job_card_attachments', 'storage_driver');
+  const driver = getStorageDriver(hasStorageColumns ? undefined : 'local');
+  const extension = path.extname(fileName || '').toLowerCase();
+  const objectKey = `job-cards/${jobCardId}/${uuidv4()}${extension}`;
+  const thumbnailKey = thumbnail && hasStorageColumns ? `${objectKey}.thumb.jpg` : null;
+
+  await driver.put(objectKey, buffer, { contentType: mimeType });
+  if (thumbnailKey) {
+    await driver.put(thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+  }
+
+  const columns = ['job_card_id', 'uploaded_by', 'file_name', 'file_path', 'file_size', 'mime_type'];
+  const values = [jobCardId, uploadedBy, path.basename(fileName).slice(0, 255), objectKey, buffer.length, mimeType];
+  if (hasStorageColumns) {
+    columns.push('storage_driver', 'thumbnail_path', 'checksum_sha256');
+    values.push(driver.name, thumbnailKey, crypto.createHash('sha256').update(buffer).digest('hex'));
+  }
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = values.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+
+  try {
+    if (dbType === 'mysql') {
+      const insertResult = await db.query(`INSERT INTO job_card_attachments (${columns.join(', ')}) VALUES (${placeholders})`, values);
+      return insertResult.rows.insertId;
+    }
+    const insertResult = await db.query(`INSERT INTO job_card_attachments (${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`, values);
+    return insertResult.rows[0].id;
+  } catch (error) {
+    // Don't leave an orphaned object behind when the row could not be written
+    await driver.delete(objectKey).catch(() => {});
+    if (thumbnailKey) await driver.delete(thumbnailKey).catch(() => {});
+    throw error;
+  }
+}
+
+async function getJobCardAttachment(jobCardId, attachmentId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT jca.*, u.display_name as uploaded_by_name
+     FROM job_card_attachments jca
+     LEFT JOIN users u ON jca.uploaded_by = u.id
+     WHERE jca.id = ${p(1)} AND jca.job_card_id = ${p(2)}`,
+    [attachmentId, jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete an attachment row and then its stored objects. The row is gone either way; a storage
+ * failure is logged and only leaves an unreferenced object behind.
+ */
+async function deleteJobCardAttachment(attachment) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(`DELETE FROM job_card_attachments WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [attachment.id]);
+
+  // Attachments uploaded before schema_job_card_attachments.sql was applied live on local disk
+  const driver = getStorageDriver(attachment.storage_driver || 'local');
+  for (const key of [attachment.file_path, attachment.thumbnail_path].filter(Boolean)) {
+    try {
+      await driver.delete(key);
+    } catch (error) {
+      logger.error('Failed to delete attachment object:', { attachmentId: attachment.id, key, error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  THUMBNAIL_MIME_TYPES,
+  createThumbnail,
+  storeJobCardAttachment,
+  getJobCardAttachment,
+  deleteJobCardAttachment
+};
@@ -0,0 +1,187 @@
+const db = require('../database/connection');
+const { tasksTableExists, timeLogTaskColumnExists, listTasks } = require('./jobCardTaskService');
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseJson(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string') return {};
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+async function getJobCard(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholder = dbType === 'mysql' ? '?' : '$1';
+  const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+  const hasPriorityLevels = await tableExists('priority_levels');
+  const buExpr = hasJobCardsBU ? 'COALESCE(jc.business_unit_id, u.business_unit_id)' : 'u.business_unit_id';
+  const result = await db.query(
+    `SELECT jc.*, u.display_name as created_by_name, ${buExpr} as print_business_unit_id
+            ${hasPriorityLevels ? `,
+            (SELECT pl.priority_name FROM priority_levels pl
+             WHERE pl.priority_value = jc.priority AND pl.business_unit_id = ${buExpr}
+             LIMIT 1) as priority_name` : ''}
+     FROM job_cards jc
+     LEFT JOIN users u ON jc.created_by = u.id
+     WHERE jc.id = ${placeholder}`,
+    [jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+// Registry records when the card is linked to them, else what was typed on the card
+async function getCustomerAndVehicle(jobCard) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholder = dbType === 'mysql' ? '?' : '$1';
+  const vehicleInfo = parseJson(jobCard.vehicle_info);
+  let customer = { customer_name: jobCard.customer_name || null };
+  let vehicle = {
+    license_plate: vehicleInfo.license_plate || null,
+    vin: vehicleInfo.vin || null,
+    make: vehicleInfo.make || null,
+    model: vehicleInfo.model || null,
+    year: vehicleInfo.year || null,
+    odometer: vehicleInfo.odometer || vehicleInfo.mileage || null
+  };
+
+  if (jobCard.customer_id && (await tableExists('customers'))) {
+    const result = await db.query(
+      `SELECT customer_name, email, phone, address FROM customers WHERE id = ${placeholder}`,
+      [jobCard.customer_id]
+    );
+    if (result.rows[0]) customer = { ...result.rows[0], customer_name: result.rows[0].customer_name || customer.customer_name };
+  }
+  if (jobCard.vehicle_id && (await tableExists('vehicles'))) {
+    const result = await db.query(
+      `SELECT license_plate, vin, make, model, year, odometer FROM vehicles WHERE id = ${placeholder}`,
+      [jobCard.vehicle_id]
+    );
+    if (result.rows[0]) {
+      const registryVehicle = result.rows[0];
+      vehicle = Object.fromEntries(Object.entries(vehicle).map(([key, value]) => [key, registryVehicle[key] ?? value]));
+    }
+  }
+  return { customer, vehicle };
+}
+
+async function getTimeLines(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasTaskColumn = (await tasksTableExists()) && (await timeLogTaskColumnExists());
+  const result = await db.query(
+    `SELECT tl.id, tl.start_ts, tl.end_ts, tl.duration_seconds, tl.status, u.display_name as technician_name
+            ${hasTaskColumn ? ', t.title as task_title' : ''}
+     FROM time_logs tl
+     LEFT JOIN users u ON tl.technician_id = u.id
+     ${hasTaskColumn ? 'LEFT JOIN job_card_tasks t ON tl.task_id = t.id' : ''}
+     WHERE tl.job_card_id = ${dbType === 'mysql' ? '?' : '$1'} AND tl.status <> 'cancelled'
+     ORDER BY tl.start_ts ASC`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => {
+    const seconds = Number(row.duration_seconds) > 0
+      ? Number(row.duration_seconds)
+      : (row.end_ts ? (new Date(row.end_ts) - new Date(row.start_ts)) / 1000 : 0);
+    return {
+      ...row,
+      task_title: row.task_title || null,
+      hours: row.end_ts ? Math.round((seconds / 3600) * 100) / 100 : null
+    };
+  });
+}
+
+async function getParts(jobCardId) {
+  if (!(await tableExists('work_order_parts'))) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT wop.quantity, wop.unit_cost, wop.total_cost, wop.notes, p.part_number, p.name as part_name, p.metadata as part_metadata
+     FROM work_order_parts wop
+     LEFT JOIN parts p ON wop.part_id = p.id
+     WHERE wop.work_order_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY wop.id ASC`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => {
+    const notes = parseJson(row.notes);
+    const meta = parseJson(row.part_metadata);
+    return {
+      part_number: row.part_number,
+      part_name: row.part_name,
+      quantity: Number(row.quantity || 0),
+      unit_cost: row.unit_cost != null ? Number(row.unit_cost) : null,
+      total_cost: row.total_cost != null ? Number(row.total_cost) : null,
+      currency_code: notes.currency_code || meta.currency_code || null
+    };
+  });
+}
+
+async function getTechnicianNames(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT DISTINCT u.display_name
+     FROM assignments a
+     JOIN users u ON a.technician_id = u.id
+     WHERE a.job_card_id = ${dbType === 'mysql' ? '?' : '$1'} AND a.status <> 'cancelled'`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => row.display_name).filter(Boolean);
+}
+
+/**
+ * Everything printed on a job card PDF. Part prices are only included when includePrices is set
+ * (staff), matching who may see costing.
+ */
+async function getJobCardPrintData(jobCardId, { includePrices = false } = {}) {
+  const row = await getJobCard(jobCardId);
+  if (!row) return null;
+  const metadata = parseJson(row.metadata);
+  const details = metadata.work_order_details || {};
+  const jobCard = {
+    ...row,
+    problem_description: details.problem_description || details.complaint || metadata.problem_description || null
+  };
+  const { customer, vehicle } = await getCustomerAndVehicle(row);
+  const parts = await getParts(row.id);
+  return {
+    jobCard,
+    customer,
+    vehicle,
+    technicians: await getTechnicianNames(row.id),
+    tasks: (await tasksTableExists()) ? await listTasks(row.id) : [],
+    timeLogs: await getTimeLines(row.id),
+    parts: includePrices ? parts : parts.map(({ unit_cost, total_cost, currency_code, ...part }) => part),
+    showPrices: includePrices
+  };
+}
+
+module.exports = {
+  getJobCardPrintData
+};
@@ -0,0 +1,237 @@
+const db = require('../database/connection');
+
+// Accepted job card statuses before job_card_statuses existed; still used when a BU has none configured
+const LEGACY_STATUSES = ['open', 'in_progress', 'on_hold', 'completed', 'cancelled'];
+
+// Fields a transition can require. Notes must be sent with the status change itself;
+// card fields may come from the same request or already be set on the card.
+const NOTE_FIELDS = ['completion_note', 'status_note'];
+const REQUIRED_FIELD_OPTIONS = [...NOTE_FIELDS, 'customer_name', 'work_type', 'estimated_hours', 'problem_description'];
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function transitionsTableExists() {
+  return tableExists('job_card_status_transitions');
+}
+
+function parseJson(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string') return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+function normalizeRoleName(role) {
+  return String(role || '').toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+function isTruthy(value) {
+  return value === true || value === 1 || value === '1' || value === 'true';
+}
+
+/**
+ * Normalise allowed_roles (array of role names). Returns { roles } or { error }.
+ */
+function normalizeAllowedRoles(input) {
+  if (input === undefined || input === null) return { roles: [] };
+  if (!Array.isArray(input)) return { error: 'allowed_roles must be an array of role names' };
+  const roles = [];
+  for (let i = 0; i < input.length; i++) {
+    const role = typeof input[i] === 'string' ? input[i].trim() : '';
+    if (!role) return { error: `allowed_roles[${i}] must be a non-empty string` };
+    if (!roles.some(r => normalizeRoleName(r) === normalizeRoleName(role))) roles.push(role.slice(0, 100));
+  }
+  return { roles };
+}
+
+/**
+ * Normalise required_fields against REQUIRED_FIELD_OPTIONS. Returns { fields } or { error }.
+ */
+function normalizeRequiredFields(input) {
+  if (input === undefined || input === null) return { fields: [] };
+  if (!Array.isArray(input)) return { error: 'required_fields must be an array' };
+  const fields = [];
+  for (const field of input) {
+    if (!REQUIRED_FIELD_OPTIONS.includes(field)) {
+      return { error: `Unknown required field "${field}". Allowed: ${REQUIRED_FIELD_OPTIONS.join(', ')}` };
+    }
+    if (!fields.includes(field)) fields.push(field);
+  }
+  return { fields };
+}
+
+function formatTransition(row) {
+  const roles = parseJson(row.allowed_roles);
+  const fields = parseJson(row.required_fields);
+  return {
+    ...row,
+    allowed_roles: Array.isArray(roles) ? roles : [],
+    required_fields: Array.isArray(fields) ? fields : [],
+    is_active: isTruthy(row.is_active)
+  };
+}
+
+function isClosedStatus(status) {
+  return !!status && isTruthy(status.is_closed_status);
+}
+
+async function getStatuses(businessUnitId) {
+  if (!businessUnitId || !(await tableExists('job_card_statuses'))) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_statuses
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true
+     ORDER BY display_order ASC`,
+    [businessUnitId]
+  );
+  return result.rows || [];
+}
+
+async function listTransitions(businessUnitId, { includeInactive = false } = {}) {
+  if (!businessUnitId || !(await transitionsTableExists())) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_status_transitions
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}${includeInactive ? '' : ' AND is_active = true'}
+     ORDER BY from_status_code ASC, to_status_code ASC`,
+    [businessUnitId]
+  );
+  return (result.rows || []).map(formatTransition);
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  return true;
+}
+
+function fieldValue(field, body, jobCard) {
+  if (NOTE_FIELDS.includes(field)) return body[field];
+  if (field === 'estimated_hours') {
+    if (body.estimated_minutes !== undefined && body.estimated_minutes !== '') return body.estimated_minutes;
+    return body.estimated_hours !== undefined ? body.estimated_hours : jobCard.estimated_hours;
+  }
+  if (field === 'problem_description') {
+    if (body.problem_description !== undefined) return body.problem_description;
+    const meta = parseJson(jobCard.metadata) || {};
+    return meta.work_order_details?.problem_description || meta.work_order_details?.complaint;
+  }
+  return body[field] !== undefined ? body[field] : jobCard[field];
+}
+
+/**
+ * Check a job card may move from its current status to toStatus for this user.
+ * Statuses come from the card's BU (falling back to LEGACY_STATUSES when it has none); once the BU
+ * has active transitions, the move must match one, the user's role must be allowed and its
+ * required fields must be present in body (or on jobCard for card fields). Without transitions,
+ * any move is allowed except out of a closed status.
+ * Returns { status, transition } or { error: { status, code, message, details? } }.
+ */
+async function checkStatusTransition({ businessUnitId, jobCard, toStatus, user, body = {} }) {
+  const fromStatus = jobCard.status || null;
+  const statuses = await getStatuses(businessUnitId);
+
+  if (statuses.length === 0) {
+    if (!LEGACY_STATUSES.includes(toStatus)) {
+      return { error: { status: 400, code: 'INVALID_STATUS', message: `Unknown status "${toStatus}"`, details: { allowed_statuses: LEGACY_STATUSES } } };
+    }
+    return { status: null, transition: null };
+  }
+
+  const target = statuses.find(s => s.status_code === toStatus);
+  if (!target) {
+    return {
+      error: {
+        status: 400,
+        code: 'INVALID_STATUS',
+        message: `Status "${toStatus}" is not configured for this business unit`,
+        details: { allowed_statuses: statuses.map(s => s.status_code) }
+      }
+    };
+  }
+  if (toStatus === fromStatus) return { status: target, transition: null };
+
+  const transitions = await listTransitions(businessUnitId);
+  if (transitions.length === 0) {
+    // Without a transition table only open statuses can be left; reopening needs an explicit transition
+    const source = statuses.find(s => s.status_code === fromStatus);
+    if (isClosedStatus(source)) {
+      return {
+        error: {
+          status: 409,
+          code: 'INVALID_STATUS_TRANSITION',
+          message: `Status "${fromStatus}" is closed; add a transition out of it to reopen job cards`,
+          details: { allowed_next_statuses: [] }
+        }
+      };
+    }
+    return { status: target, transition: null };
+  }
+
+  const transition = transitions.find(t => t.from_status_code === fromStatus && t.to_status_code === toStatus);
+  if (!transition) {
+    return {
+      error: {
+        status: 409,
+        code: 'INVALID_STATUS_TRANSITION',
+        message: `Cannot change status from "${fromStatus}" to "${toStatus}"`,
+        details: { allowed_next_statuses: transitions.filter(t => t.from_status_code === fromStatus).map(t => t.to_status_code) }
+      }
+    };
+  }
+
+  const isSuperAdmin = normalizeRoleName(user?.roleName) === 'superadmin';
+  if (!isSuperAdmin && transition.allowed_roles.length > 0
+    && !transition.allowed_roles.some(role => normalizeRoleName(role) === normalizeRoleName(user?.roleName))) {
+    return {
+      error: {
+        status: 403,
+        code: 'TRANSITION_NOT_ALLOWED',
+        message: `Your role cannot change status from "${fromStatus}" to "${toStatus}"`,
+        details: { allowed_roles: transition.allowed_roles }
+      }
+    };
+  }
+
+  const missing = transition.required_fields.filter(field => !hasValue(fieldValue(field, body, jobCard)));
+  if (missing.length > 0) {
+    return {
+      error: {
+        status: 400,
+        code: 'MISSING_REQUIRED_FIELDS',
+        message: `Changing status to "${toStatus}" requires: ${missing.join(', ')}`,
+        details: { missing_fields: missing }
+      }
+    };
+  }
+
+  return { status: target, transition };
+}
+
+module.exports = {
+  LEGACY_STATUSES,
+  NOTE_FIELDS,
+  REQUIRED_FIELD_OPTIONS,
+  transitionsTableExists,
+  normalizeAllowedRoles,
+  normalizeRequiredFields,
+  formatTransition,
+  isClosedStatus,
+  getStatuses,
+  listTransitions,
+  checkStatusTransition
+};
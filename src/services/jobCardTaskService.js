@@ -0,0 +1,202 @@
+const db = require('../database/connection');
+
+const TASK_STATUSES = ['pending', 'in_progress', 'done', 'skipped'];
+const CLOSED_TASK_STATUSES = ['done', 'skipped'];
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function tasksTableExists() {
+  return tableExists('job_card_tasks');
+}
+
+async function timeLogTaskColumnExists() {
+  return columnExists('time_logs', 'task_id');
+}
+
+function parseJson(value) {
+  if (value && typeof value === 'object') return value;
+  if (typeof value !== 'string') return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Task definitions for a new job card: the template checklist copied into metadata.checklist wins,
+ * otherwise the default_tasks of the card's job type in its BU.
+ */
+async function getSeedDefinitions({ businessUnitId, jobTypeCode, metadata }) {
+  const meta = parseJson(metadata) || {};
+  if (Array.isArray(meta.checklist) && meta.checklist.length > 0) return meta.checklist;
+  if (!businessUnitId || !jobTypeCode || !(await columnExists('business_unit_job_types', 'default_tasks'))) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT default_tasks FROM business_unit_job_types
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND job_type_code = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [businessUnitId, jobTypeCode]
+  );
+  const tasks = parseJson(result.rows[0]?.default_tasks);
+  return Array.isArray(tasks) ? tasks : [];
+}
+
+async function insertTask(jobCardId, { sequence, title, operation_code = null, estimated_minutes = null, assigned_technician_id = null }, userId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const params = [jobCardId, sequence, title, operation_code, estimated_minutes, assigned_technician_id, userId];
+  if (dbType === 'mysql') {
+    const result = await db.query(
+      `INSERT INTO job_card_tasks (job_card_id, sequence, title, operation_code, estimated_minutes, assigned_technician_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      params
+    );
+    return result.rows.insertId;
+  }
+  const result = await db.query(
+    `INSERT INTO job_card_tasks (job_card_id, sequence, title, operation_code, estimated_minutes, assigned_technician_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+    params
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Create the card's tasks from definitions ({ title, operation_code, estimated_minutes }).
+ * Does nothing when the card already has tasks, so it is safe to call again. Returns the number created.
+ */
+async function seedJobCardTasks(jobCardId, definitions, userId) {
+  if (!Array.isArray(definitions) || definitions.length === 0) return 0;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const existing = await db.query(
+    `SELECT COUNT(*) as task_count FROM job_card_tasks WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [jobCardId]
+  );
+  if ((parseInt(existing.rows[0]?.task_count, 10) || 0) > 0) return 0;
+
+  let created = 0;
+  for (const definition of definitions) {
+    const title = String(definition?.title || '').trim();
+    if (!title) continue;
+    const estimated = parseInt(definition.estimated_minutes, 10);
+    await insertTask(jobCardId, {
+      sequence: created + 1,
+      title: title.slice(0, 255),
+      operation_code: definition.operation_code ? String(definition.operation_code).trim().toUpperCase().slice(0, 50) : null,
+      estimated_minutes: Number.isInteger(estimated) && estimated >= 0 ? estimated : null
+    }, userId);
+    created++;
+  }
+  return created;
+}
+
+/**
+ * Tasks of a job card in order, with the time logged against each.
+ * actual_minutes counts finished time logs; running_timers counts logs still open on the task.
+ */
+async function listTasks(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasTaskColumn = await timeLogTaskColumnExists();
+  const result = await db.query(
+    `SELECT t.*, tech.display_name as assigned_technician_name, cu.display_name as completed_by_name
+            ${hasTaskColumn ? `,
+            (SELECT COALESCE(SUM(tl.duration_seconds), 0) FROM time_logs tl WHERE tl.task_id = t.id AND tl.status = 'finished') as logged_seconds,
+            (SELECT COUNT(*) FROM time_logs tl WHERE tl.task_id = t.id AND tl.status IN ('active', 'paused')) as running_timers` : ''}
+     FROM job_card_tasks t
+     LEFT JOIN users tech ON t.assigned_technician_id = tech.id
+     LEFT JOIN users cu ON t.completed_by = cu.id
+     WHERE t.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY t.sequence ASC, t.id ASC`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(formatTask);
+}
+
+function formatTask(row) {
+  const { logged_seconds, running_timers, ...task } = row;
+  return {
+    ...task,
+    estimated_minutes: task.estimated_minutes != null ? parseInt(task.estimated_minutes, 10) : null,
+    actual_minutes: logged_seconds != null ? Math.round((parseFloat(logged_seconds) || 0) / 60) : null,
+    running_timers: running_timers != null ? parseInt(running_timers, 10) || 0 : 0
+  };
+}
+
+async function getTask(jobCardId, taskId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_tasks WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND job_card_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [taskId, jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Check a task can take timer time on the given job card.
+ * Returns { task } or { error: { status, code, message } }.
+ */
+async function validateTimerTask(taskId, jobCardId) {
+  if (!(await tasksTableExists()) || !(await timeLogTaskColumnExists())) {
+    return { error: { status: 400, code: 'SCHEMA_MISMATCH', message: 'Task tracking is not installed (job_card_tasks / time_logs.task_id)' } };
+  }
+  const task = await getTask(jobCardId, taskId);
+  if (!task) {
+    return { error: { status: 400, code: 'INVALID_TASK', message: 'Task not found on this job card' } };
+  }
+  if (CLOSED_TASK_STATUSES.includes(task.status)) {
+    return { error: { status: 409, code: 'TASK_CLOSED', message: `Task is already ${task.status}` } };
+  }
+  return { task };
+}
+
+// Link a new time log to its task and mark the task started
+async function attachTimeLogToTask(timeLogId, task) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    `UPDATE time_logs SET task_id = ${dbType === 'mysql' ? '?' : '$1'} WHERE id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [task.id, timeLogId]
+  );
+  if (task.status === 'pending') {
+    await db.query(
+      `UPDATE job_card_tasks SET status = 'in_progress' WHERE id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'pending'`,
+      [task.id]
+    );
+  }
+}
+
+module.exports = {
+  TASK_STATUSES,
+  CLOSED_TASK_STATUSES,
+  tasksTableExists,
+  timeLogTaskColumnExists,
+  getSeedDefinitions,
+  insertTask,
+  seedJobCardTasks,
+  listTasks,
+  getTask,
+  validateTimerTask,
+  attachTimeLogToTask
+};
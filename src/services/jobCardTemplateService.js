@@ -0,0 +1,232 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getPartInventory, setPartInventory } = require('./partInventoryService');
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function templatesTableExists() {
+  return (await tableExists('job_card_templates')) && (await tableExists('job_card_template_parts'));
+}
+
+function parseJsonArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Normalise a template checklist (also used for job type default_tasks). Entries may be plain
+ * strings or { title, operation_code, estimated_minutes }. Returns { checklist } or { error }.
+ */
+function normalizeChecklist(input) {
+  if (input === undefined || input === null) return { checklist: [] };
+  if (!Array.isArray(input)) return { error: 'checklist must be an array' };
+  if (input.length > MAX_CHECKLIST_ITEMS) return { error: `checklist cannot have more than ${MAX_CHECKLIST_ITEMS} items` };
+  const checklist = [];
+  for (let i = 0; i < input.length; i++) {
+    const entry = typeof input[i] === 'string' ? { title: input[i] } : (input[i] || {});
+    const title = String(entry.title || '').trim();
+    if (!title) return { error: `checklist[${i}].title is required` };
+    let estimatedMinutes = null;
+    if (entry.estimated_minutes !== undefined && entry.estimated_minutes !== null && entry.estimated_minutes !== '') {
+      estimatedMinutes = parseInt(entry.estimated_minutes, 10);
+      if (!Number.isInteger(estimatedMinutes) || estimatedMinutes < 0) {
+        return { error: `checklist[${i}].estimated_minutes must be a non-negative integer` };
+      }
+    }
+    const operationCode = entry.operation_code ? String(entry.operation_code).trim().toUpperCase() : null;
+    if (operationCode && !/^[A-Z0-9_]{1,50}$/.test(operationCode)) {
+      return { error: `checklist[${i}].operation_code must be letters, digits or underscores (max 50)` };
+    }
+    checklist.push({ title: title.slice(0, 255), operation_code: operationCode, estimated_minutes: estimatedMinutes });
+  }
+  return { checklist };
+}
+
+/**
+ * Normalise template parts ([{ part_id, quantity, unit_cost, notes }]) and check the parts exist.
+ * Returns { parts } or { error }.
+ */
+async function normalizeTemplateParts(input) {
+  if (input === undefined || input === null) return { parts: [] };
+  if (!Array.isArray(input)) return { error: 'parts must be an array' };
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const parts = [];
+  for (let i = 0; i < input.length; i++) {
+    const entry = input[i] || {};
+    const partId = parseInt(entry.part_id, 10);
+    const quantity = entry.quantity === undefined ? 1 : parseInt(entry.quantity, 10);
+    if (!Number.isInteger(partId)) return { error: `parts[${i}].part_id must be an integer` };
+    if (!Number.isInteger(quantity) || quantity < 1) return { error: `parts[${i}].quantity must be a positive integer` };
+    let unitCost = null;
+    if (entry.unit_cost !== undefined && entry.unit_cost !== null && entry.unit_cost !== '') {
+      unitCost = Number(entry.unit_cost);
+      if (!Number.isFinite(unitCost) || unitCost < 0) return { error: `parts[${i}].unit_cost must be a non-negative number` };
+    }
+    const partCheck = await db.query(`SELECT id FROM parts WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`, [partId]);
+    if (partCheck.rows.length === 0) return { error: `Part ${partId} not found` };
+    parts.push({ part_id: partId, quantity, unit_cost: unitCost, notes: entry.notes ? String(entry.notes) : null, display_order: i });
+  }
+  return { parts };
+}
+
+async function getTemplateParts(templateIds) {
+  const ids = [...new Set((templateIds || []).filter(Boolean))];
+  if (ids.length === 0) return {};
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = ids.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+  const result = await db.query(
+    `SELECT tp.*, p.name as part_name, p.part_number, p.cost as part_cost
+     FROM job_card_template_parts tp
+     LEFT JOIN parts p ON tp.part_id = p.id
+     WHERE tp.template_id IN (${placeholders})
+     ORDER BY tp.display_order ASC, tp.id ASC`,
+    ids
+  );
+  const byTemplate = {};
+  for (const row of result.rows || []) {
+    (byTemplate[row.template_id] = byTemplate[row.template_id] || []).push(row);
+  }
+  return byTemplate;
+}
+
+function formatTemplate(row, parts = []) {
+  return {
+    ...row,
+    is_active: row.is_active === true || row.is_active === 1,
+    checklist: parseJsonArray(row.checklist),
+    parts
+  };
+}
+
+async function listTemplates(businessUnitId, { includeInactive = false } = {}) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT t.*, jt.job_type_name
+     FROM job_card_templates t
+     LEFT JOIN business_unit_job_types jt ON jt.business_unit_id = t.business_unit_id AND jt.job_type_code = t.job_type_code
+     WHERE t.business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}${includeInactive ? '' : ' AND t.is_active = true'}
+     ORDER BY t.display_order ASC, t.name ASC`,
+    [businessUnitId]
+  );
+  const rows = result.rows || [];
+  const parts = await getTemplateParts(rows.map(row => row.id));
+  return rows.map(row => formatTemplate(row, parts[row.id] || []));
+}
+
+async function getTemplate(id) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT t.*, jt.job_type_name
+     FROM job_card_templates t
+     LEFT JOIN business_unit_job_types jt ON jt.business_unit_id = t.business_unit_id AND jt.job_type_code = t.job_type_code
+     WHERE t.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+  const parts = await getTemplateParts([id]);
+  return formatTemplate(result.rows[0], parts[result.rows[0].id] || []);
+}
+
+async function replaceTemplateParts(templateId, parts) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(`DELETE FROM job_card_template_parts WHERE template_id = ${dbType === 'mysql' ? '?' : '$1'}`, [templateId]);
+  for (const part of parts) {
+    await db.query(
+      dbType === 'mysql'
+        ? `INSERT INTO job_card_template_parts (template_id, part_id, quantity, unit_cost, notes, display_order) VALUES (?, ?, ?, ?, ?, ?)`
+        : `INSERT INTO job_card_template_parts (template_id, part_id, quantity, unit_cost, notes, display_order) VALUES ($1, $2, $3, $4, $5, $6)`,
+      [templateId, part.part_id, part.quantity, part.unit_cost, part.notes, part.display_order]
+    );
+  }
+}
+
+/**
+ * Parts of a template that tracked stock cannot cover, as
+ * [{ part_id, part_name, required, available }]. Untracked parts never fall short.
+ */
+async function findStockShortages(templateParts) {
+  const required = new Map();
+  for (const part of templateParts) {
+    required.set(String(part.part_id), (required.get(String(part.part_id)) || 0) + (parseInt(part.quantity, 10) || 0));
+  }
+  const shortages = [];
+  for (const [partId, quantity] of required) {
+    const inventory = await getPartInventory(partId);
+    if (inventory && Number.isFinite(inventory.quantity_in_stock) && inventory.quantity_in_stock < quantity) {
+      const part = templateParts.find(p => String(p.part_id) === partId);
+      shortages.push({ part_id: inventory.id, part_name: part?.part_name || null, required: quantity, available: inventory.quantity_in_stock });
+    }
+  }
+  return shortages;
+}
+
+/**
+ * Reserve a template's parts on a new job card: one work_order_parts row per part, with stock
+ * taken out the same way as POST /work-orders/:id/parts. Returns the inserted rows.
+ */
+async function reserveTemplateParts(jobCardId, template, userId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const reserved = [];
+  for (const part of template.parts) {
+    const unitCost = part.unit_cost != null ? Number(part.unit_cost) : Number(part.part_cost || 0);
+    const notes = part.notes || `Reserved from template ${template.template_code}`;
+    let row;
+    if (dbType === 'mysql') {
+      const insert = await db.query(
+        `INSERT INTO work_order_parts (work_order_id, part_id, quantity, unit_cost, installed_by, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [jobCardId, part.part_id, part.quantity, unitCost, userId, notes]
+      );
+      row = { id: insert.rows.insertId, work_order_id: jobCardId, part_id: part.part_id, quantity: part.quantity, unit_cost: unitCost, notes };
+    } else {
+      const insert = await db.query(
+        `INSERT INTO work_order_parts (work_order_id, part_id, quantity, unit_cost, installed_by, notes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [jobCardId, part.part_id, part.quantity, unitCost, userId, notes]
+      );
+      row = insert.rows[0];
+    }
+    reserved.push({ ...row, part_name: part.part_name, part_number: part.part_number });
+
+    try {
+      const inventory = await getPartInventory(part.part_id);
+      if (inventory && Number.isFinite(inventory.quantity_in_stock)) {
+        await setPartInventory(inventory.id, Math.max(0, inventory.quantity_in_stock - part.quantity), inventory.meta);
+      }
+    } catch (invErr) {
+      logger.warn('Inventory decrement for template part failed (non-fatal):', invErr);
+    }
+  }
+  return reserved;
+}
+
+module.exports = {
+  templatesTableExists,
+  normalizeChecklist,
+  normalizeTemplateParts,
+  listTemplates,
+  getTemplate,
+  replaceTemplateParts,
+  findStockShortages,
+  reserveTemplateParts
+};
@@ -0,0 +1,782 @@
+const db = require('../database/connection');
+const { getSetting, getNumberSetting } = require('../utils/settings');
+const { safeTimeZone, zonedParts } = require('../utils/timezone');
+const { estimatesTableExists, roundMoney, getJobType, getLabourRate } = require('./estimateService');
+
+const COST_ITEM_TYPES = ['sublet', 'consumable'];
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function costItemsTableExists() {
+  return tableExists('job_card_cost_items');
+}
+
+async function invoicesTableExists() {
+  return (await tableExists('job_card_invoices')) && (await tableExists('job_card_invoice_lines'));
+}
+
+function parseJson(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function normalizeCode(value) {
+  return value ? String(value).trim().toUpperCase() : null;
+}
+
+/**
+ * Converter into targetCurrency using invoices.exchange_rates. convert() returns
+ * { amount, rate } or null when a rate is missing; missing codes are collected in `missing`.
+ */
+async function createConverter(targetCurrency = null) {
+  const baseCurrency = normalizeCode(await getSetting('invoices.base_currency', 'AED')) || 'AED';
+  const configured = await getSetting('invoices.exchange_rates', {});
+  const rates = {};
+  if (configured && typeof configured === 'object') {
+    for (const [code, rate] of Object.entries(configured)) {
+      if (Number(rate) > 0) rates[normalizeCode(code)] = Number(rate);
+    }
+  }
+  const target = normalizeCode(targetCurrency) || baseCurrency;
+  const toBase = (code) => (code === baseCurrency ? 1 : rates[code] || null);
+  const missing = new Set();
+
+  function rateFrom(currency) {
+    const from = normalizeCode(currency) || baseCurrency;
+    if (from === target) return 1;
+    const fromRate = toBase(from);
+    const targetRate = toBase(target);
+    if (!fromRate) missing.add(from);
+    if (!targetRate) missing.add(target);
+    return fromRate && targetRate ? fromRate / targetRate : null;
+  }
+
+  return {
+    baseCurrency,
+    currency: target,
+    missing,
+    rateFrom,
+    convert(amount, currency) {
+      const rate = rateFrom(currency);
+      return rate == null ? null : { amount: roundMoney(Number(amount || 0) * rate), rate };
+    }
+  };
+}
+
+function missingRatesError(converter) {
+  return {
+    error: {
+      status: 400,
+      code: 'MISSING_EXCHANGE_RATE',
+      message: `No exchange rate configured for ${[...converter.missing].join(', ')} (invoices.exchange_rates)`,
+      details: { currencies: [...converter.missing], base_currency: converter.baseCurrency }
+    }
+  };
+}
+
+// Currency of a work_order_parts row: notes JSON, else the part's metadata
+function workOrderPartCurrency(row) {
+  const notes = parseJson(row.notes, null);
+  if (notes && typeof notes === 'object' && notes.currency_code) return normalizeCode(notes.currency_code);
+  const meta = parseJson(row.part_metadata, null);
+  if (meta && typeof meta === 'object' && meta.currency_code) return normalizeCode(meta.currency_code);
+  return null;
+}
+
+async function getJobCardForCosting(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasJobCardsBU = await columnExists('job_cards', 'business_unit_id');
+  const result = await db.query(
+    `SELECT jc.id, jc.job_number, jc.status, jc.customer_name, jc.vehicle_info, jc.job_type,
+            ${hasJobCardsBU ? 'COALESCE(jc.business_unit_id, u.business_unit_id)' : 'u.business_unit_id'} as business_unit_id
+     FROM job_cards jc
+     LEFT JOIN users u ON jc.created_by = u.id
+     WHERE jc.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [jobCardId]
+  );
+  return result.rows[0] || null;
+}
+
+// Worked seconds per technician on closed, non-cancelled segments (allocated share for parallel timers)
+async function getLabourByTechnician(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasAllocatedSeconds = await columnExists('time_logs', 'allocated_seconds');
+  const elapsed = dbType === 'mysql'
+    ? 'TIMESTAMPDIFF(SECOND, tl.start_ts, tl.end_ts)'
+    : 'EXTRACT(EPOCH FROM (tl.end_ts - tl.start_ts))';
+  const result = await db.query(
+    `SELECT tl.technician_id, u.display_name as technician_name, t.hourly_rate,
+            COALESCE(SUM(CASE
+              ${hasAllocatedSeconds ? 'WHEN tl.allocated_seconds IS NOT NULL THEN tl.allocated_seconds' : ''}
+              WHEN tl.duration_seconds > 0 THEN tl.duration_seconds
+              ELSE ${elapsed}
+            END), 0) as worked_seconds
+     FROM time_logs tl
+     LEFT JOIN technicians t ON tl.technician_id = t.user_id
+     LEFT JOIN users u ON tl.technician_id = u.id
+     WHERE tl.job_card_id = ${dbType === 'mysql' ? '?' : '$1'} AND tl.end_ts IS NOT NULL AND tl.status <> 'cancelled'
+     GROUP BY tl.technician_id, u.display_name, t.hourly_rate`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => ({
+    technician_id: row.technician_id,
+    technician_name: row.technician_name,
+    hours: Math.round((Number(row.worked_seconds) / 3600) * 100) / 100,
+    hourly_rate: row.hourly_rate != null ? Number(row.hourly_rate) : null
+  }));
+}
+
+async function getWorkOrderParts(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT wop.id, wop.part_id, wop.quantity, wop.unit_cost, wop.notes, p.name as part_name, p.part_number, p.metadata as part_metadata
+     FROM work_order_parts wop
+     LEFT JOIN parts p ON wop.part_id = p.id
+     WHERE wop.work_order_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY wop.id ASC`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => ({
+    id: row.id,
+    part_id: row.part_id,
+    description: [row.part_number, row.part_name].filter(Boolean).join(' - ') || `Part ${row.part_id}`,
+    quantity: Number(row.quantity || 0),
+    unit_cost: Number(row.unit_cost || 0),
+    currency_code: workOrderPartCurrency(row)
+  }));
+}
+
+async function listCostItems(jobCardId) {
+  if (!(await costItemsTableExists())) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_cost_items WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'} ORDER BY cost_type ASC, id ASC`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => ({
+    ...row,
+    quantity: Number(row.quantity),
+    unit_cost: Number(row.unit_cost),
+    unit_price: row.unit_price != null ? Number(row.unit_price) : null
+  }));
+}
+
+// Lines the customer approved on estimates of the card
+async function getApprovedEstimateLines(jobCardId) {
+  if (!(await estimatesTableExists())) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT l.id, l.line_type, l.description, l.task_id, l.work_order_part_id, l.quantity, l.unit_price, l.line_total,
+            e.currency_code, e.estimate_number
+     FROM job_card_estimate_lines l
+     JOIN job_card_estimates e ON l.estimate_id = e.id
+     WHERE e.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+       AND e.status IN ('approved', 'partially_approved') AND l.approval_status = 'approved'
+     ORDER BY e.estimate_number ASC, l.sequence ASC`,
+    [jobCardId]
+  );
+  return (result.rows || []).map(row => ({
+    ...row,
+    quantity: Number(row.quantity),
+    unit_price: Number(row.unit_price),
+    line_total: Number(row.line_total)
+  }));
+}
+
+// Net of issued invoices less issued credit notes, by document currency
+async function getIssuedDocuments(jobCardId) {
+  if (!(await invoicesTableExists())) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT document_type, currency_code, subtotal, total FROM job_card_invoices
+     WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'issued'`,
+    [jobCardId]
+  );
+  return result.rows || [];
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+/**
+ * What a job card cost, in currencyCode (default invoices.base_currency): labour from time logs at
+ * each technician's hourly_rate, parts, sublet and consumables, against the approved estimate and
+ * what has been invoiced. Returns { costing } or { error }.
+ */
+async function computeJobCosting(jobCardId, { currencyCode = null } = {}) {
+  const jobCard = await getJobCardForCosting(jobCardId);
+  if (!jobCard) return { error: { status: 404, code: 'RESOURCE_NOT_FOUND', message: 'Job card not found' } };
+  const converter = await createConverter(currencyCode);
+  const convert = (amount, currency) => (converter.convert(amount, currency) || { amount: 0 }).amount;
+
+  const technicians = (await getLabourByTechnician(jobCardId)).map(row => ({
+    ...row,
+    cost: row.hourly_rate != null ? convert(row.hours * row.hourly_rate, converter.baseCurrency) : null
+  }));
+  const labour = {
+    hours: roundMoney(technicians.reduce((sum, row) => sum + row.hours, 0)),
+    cost: roundMoney(technicians.reduce((sum, row) => sum + (row.cost || 0), 0)),
+    technicians,
+    technicians_without_rate: technicians.filter(row => row.hourly_rate == null).map(row => row.technician_id)
+  };
+
+  const partLines = (await getWorkOrderParts(jobCardId)).map(row => ({
+    work_order_part_id: row.id,
+    part_id: row.part_id,
+    description: row.description,
+    quantity: row.quantity,
+    unit_cost: row.unit_cost,
+    currency_code: row.currency_code || converter.baseCurrency,
+    cost: convert(row.quantity * row.unit_cost, row.currency_code)
+  }));
+  const parts = { cost: roundMoney(partLines.reduce((sum, row) => sum + row.cost, 0)), lines: partLines };
+
+  const items = await listCostItems(jobCardId);
+  const itemGroup = (type) => {
+    const groupItems = items.filter(item => item.cost_type === type).map(item => ({
+      ...item,
+      cost: convert(item.quantity * item.unit_cost, item.currency_code),
+      charge: convert(item.quantity * (item.unit_price != null ? item.unit_price : item.unit_cost), item.currency_code)
+    }));
+    return {
+      cost: roundMoney(groupItems.reduce((sum, item) => sum + item.cost, 0)),
+      charge: roundMoney(groupItems.reduce((sum, item) => sum + item.charge, 0)),
+      items: groupItems
+    };
+  };
+  const sublet = itemGroup('sublet');
+  const consumables = itemGroup('consumable');
+  const totalCost = roundMoney(labour.cost + parts.cost + sublet.cost + consumables.cost);
+
+  const approvedLines = await getApprovedEstimateLines(jobCardId);
+  const approvedOf = (type) => roundMoney(approvedLines
+    .filter(line => line.line_type === type)
+    .reduce((sum, line) => sum + convert(line.line_total, line.currency_code), 0));
+  const estimate = {
+    approved_labour: approvedOf('labour'),
+    approved_parts: approvedOf('part'),
+    approved_total: 0
+  };
+  estimate.approved_total = roundMoney(estimate.approved_labour + estimate.approved_parts);
+
+  let invoicedNet = 0;
+  for (const document of await getIssuedDocuments(jobCardId)) {
+    const amount = convert(document.subtotal, document.currency_code);
+    invoicedNet += document.document_type === 'credit_note' ? -amount : amount;
+  }
+  invoicedNet = roundMoney(invoicedNet);
+
+  if (converter.missing.size > 0) return missingRatesError(converter);
+
+  const hasEstimate = approvedLines.length > 0;
+  return {
+    costing: {
+      job_card: { id: jobCard.id, job_number: jobCard.job_number, status: jobCard.status },
+      currency_code: converter.currency,
+      labour,
+      parts,
+      sublet,
+      consumables,
+      total_cost: totalCost,
+      estimate: {
+        ...estimate,
+        margin: hasEstimate ? roundMoney(estimate.approved_total - totalCost) : null,
+        margin_percent: hasEstimate ? percentOf(estimate.approved_total - totalCost, estimate.approved_total) : null,
+        labour_variance: hasEstimate ? roundMoney(estimate.approved_labour - labour.cost) : null,
+        parts_variance: hasEstimate ? roundMoney(estimate.approved_parts - parts.cost) : null
+      },
+      invoiced: {
+        net: invoicedNet,
+        margin: invoicedNet > 0 ? roundMoney(invoicedNet - totalCost) : null,
+        margin_percent: invoicedNet > 0 ? percentOf(invoicedNet - totalCost, invoicedNet) : null
+      }
+    }
+  };
+}
+
+async function getTaxRates() {
+  const configured = await getSetting('invoices.tax_rates', []);
+  const rates = new Map();
+  for (const entry of Array.isArray(configured) ? configured : []) {
+    if (!entry || !entry.code || !(Number(entry.rate) >= 0)) continue;
+    const code = String(entry.code).trim().toUpperCase();
+    rates.set(code, { code, name: entry.name || code, rate: Number(entry.rate) });
+  }
+  return rates;
+}
+
+/**
+ * Price lines ({ quantity, unit_price, tax_code }) with their tax. Lines without a tax_code use
+ * invoices.default_tax_code; an empty default leaves them untaxed.
+ * Returns { lines, tax_lines, subtotal, tax_total, total } or { error }.
+ */
+async function applyTaxes(lines) {
+  const taxRates = await getTaxRates();
+  const defaultCode = normalizeCode(await getSetting('invoices.default_tax_code', '')) || null;
+  const taxLines = new Map();
+  const priced = [];
+  for (const line of lines) {
+    const code = line.tax_code === undefined ? defaultCode : normalizeCode(line.tax_code);
+    const tax = code ? taxRates.get(code) : null;
+    if (code && !tax) {
+      return { error: { status: 400, code: 'INVALID_TAX_CODE', message: `Tax code "${code}" is not configured in invoices.tax_rates` } };
+    }
+    const lineTotal = roundMoney(line.quantity * line.unit_price);
+    const taxAmount = tax ? roundMoney((lineTotal * tax.rate) / 100) : 0;
+    priced.push({ ...line, line_total: lineTotal, tax_code: code, tax_rate: tax ? tax.rate : 0, tax_amount: taxAmount });
+    if (tax) {
+      const entry = taxLines.get(code) || { code, name: tax.name, rate: tax.rate, taxable_amount: 0, tax_amount: 0 };
+      entry.taxable_amount = roundMoney(entry.taxable_amount + lineTotal);
+      entry.tax_amount = roundMoney(entry.tax_amount + taxAmount);
+      taxLines.set(code, entry);
+    }
+  }
+  const subtotal = roundMoney(priced.reduce((sum, line) => sum + line.line_total, 0));
+  const taxTotal = roundMoney(priced.reduce((sum, line) => sum + line.tax_amount, 0));
+  return { lines: priced, tax_lines: [...taxLines.values()], subtotal, tax_total: taxTotal, total: roundMoney(subtotal + taxTotal) };
+}
+
+/**
+ * Invoice lines for a job card in currencyCode: labour approved on estimates (or, without any, the
+ * worked hours at the job type's labour rate), every part on the card (at its approved estimate
+ * price when quoted) and the sublet / consumable items. Returns { lines } or { error }.
+ */
+async function buildInvoiceLines(jobCardId, currencyCode) {
+  const jobCard = await getJobCardForCosting(jobCardId);
+  if (!jobCard) return { error: { status: 404, code: 'RESOURCE_NOT_FOUND', message: 'Job card not found' } };
+  const converter = await createConverter(currencyCode);
+  const lines = [];
+  const addLine = (line, sourceCurrency) => {
+    const currency = normalizeCode(sourceCurrency) || converter.baseCurrency;
+    const rate = converter.rateFrom(currency);
+    lines.push({
+      ...line,
+      unit_price: rate == null ? 0 : roundMoney(line.source_unit_price * rate),
+      source_currency_code: currency,
+      exchange_rate: rate
+    });
+  };
+
+  const approvedLines = await getApprovedEstimateLines(jobCardId);
+  const approvedLabour = approvedLines.filter(line => line.line_type === 'labour');
+  if (approvedLabour.length > 0) {
+    for (const line of approvedLabour) {
+      addLine({
+        line_type: 'labour',
+        description: line.description,
+        quantity: line.quantity,
+        source_unit_price: line.unit_price,
+        source_type: 'estimate_line',
+        source_id: line.id
+      }, line.currency_code);
+    }
+  } else {
+    const hours = roundMoney((await getLabourByTechnician(jobCardId)).reduce((sum, row) => sum + row.hours, 0));
+    if (hours > 0) {
+      const jobType = await getJobType(jobCard.business_unit_id, jobCard.job_type);
+      const rate = await getLabourRate(jobType);
+      if (!(rate > 0)) {
+        return {
+          error: {
+            status: 400,
+            code: 'NO_LABOUR_RATE',
+            message: `No labour rate to bill ${hours} worked hours: set labour_rate on job type "${jobCard.job_type || '-'}" or approve an estimate`
+          }
+        };
+      }
+      addLine({
+        line_type: 'labour',
+        description: jobType ? `Labour - ${jobType.job_type_name}` : 'Labour',
+        quantity: hours,
+        source_unit_price: rate,
+        source_type: 'time_logs',
+        source_id: null
+      }, converter.baseCurrency);
+    }
+  }
+
+  const quotedParts = new Map(approvedLines
+    .filter(line => line.line_type === 'part' && line.work_order_part_id)
+    .map(line => [String(line.work_order_part_id), line]));
+  for (const part of await getWorkOrderParts(jobCardId)) {
+    const quoted = quotedParts.get(String(part.id));
+    addLine({
+      line_type: 'part',
+      description: part.description,
+      quantity: part.quantity,
+      source_unit_price: quoted ? quoted.unit_price : part.unit_cost,
+      source_type: 'work_order_part',
+      source_id: part.id
+    }, quoted ? quoted.currency_code : part.currency_code);
+  }
+
+  for (const item of await listCostItems(jobCardId)) {
+    addLine({
+      line_type: item.cost_type,
+      description: item.supplier_name ? `${item.description} (${item.supplier_name})`.slice(0, 255) : item.description,
+      quantity: item.quantity,
+      source_unit_price: item.unit_price != null ? item.unit_price : item.unit_cost,
+      tax_code: item.tax_code || undefined,
+      source_type: 'cost_item',
+      source_id: item.id
+    }, item.currency_code);
+  }
+
+  if (converter.missing.size > 0) return missingRatesError(converter);
+  return { lines, currency: converter.currency };
+}
+
+// Replace the lines of a draft and store its totals and tax lines (executor: db or a transaction handle)
+async function saveInvoiceLines(invoiceId, priced, executor = db) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  await executor.query(`DELETE FROM job_card_invoice_lines WHERE invoice_id = ${p(1)}`, [invoiceId]);
+  for (let i = 0; i < priced.lines.length; i++) {
+    const line = priced.lines[i];
+    await executor.query(
+      `INSERT INTO job_card_invoice_lines
+         (invoice_id, sequence, line_type, description, quantity, unit_price, line_total, tax_code, tax_rate, tax_amount,
+          source_type, source_id, source_currency_code, source_unit_price, exchange_rate, credited_line_id)
+       VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)}, ${p(7)}, ${p(8)}, ${p(9)}, ${p(10)}, ${p(11)}, ${p(12)}, ${p(13)}, ${p(14)}, ${p(15)}, ${p(16)})`,
+      [invoiceId, i + 1, line.line_type, line.description, line.quantity, line.unit_price, line.line_total, line.tax_code,
+        line.tax_rate, line.tax_amount, line.source_type || null, line.source_id || null, line.source_currency_code || null,
+        line.source_unit_price != null ? line.source_unit_price : null, line.exchange_rate != null ? line.exchange_rate : null,
+        line.credited_line_id || null]
+    );
+  }
+  await executor.query(
+    `UPDATE job_card_invoices SET subtotal = ${p(1)}, tax_total = ${p(2)}, total = ${p(3)}, tax_lines = ${p(4)} WHERE id = ${p(5)}`,
+    [priced.subtotal, priced.tax_total, priced.total, JSON.stringify(priced.tax_lines), invoiceId]
+  );
+}
+
+/**
+ * Next number for an invoice or credit note (<prefix>-<year>-<000001>), numbered per document type
+ * and year in system.timezone. Must run inside db.transaction() with the write that uses the number:
+ * the increment locks the sequence row until commit, and a rollback hands the number back.
+ */
+async function allocateDocumentNumber(documentType, tx) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const timeZone = safeTimeZone(await getSetting('system.timezone', 'UTC'));
+  const year = parseInt(zonedParts(new Date(), timeZone).ymd.slice(0, 4), 10);
+  let next;
+  if (dbType === 'mysql') {
+    await tx.query(
+      `INSERT INTO invoice_number_sequences (document_type, sequence_year, last_number) VALUES (?, ?, 1)
+       ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+      [documentType, year]
+    );
+    const current = await tx.query(
+      'SELECT last_number FROM invoice_number_sequences WHERE document_type = ? AND sequence_year = ?',
+      [documentType, year]
+    );
+    next = parseInt(current.rows[0].last_number, 10);
+  } else {
+    const current = await tx.query(
+      `INSERT INTO invoice_number_sequences (document_type, sequence_year, last_number) VALUES ($1, $2, 1)
+       ON CONFLICT (document_type, sequence_year) DO UPDATE SET last_number = invoice_number_sequences.last_number + 1
+       RETURNING last_number`,
+      [documentType, year]
+    );
+    next = parseInt(current.rows[0].last_number, 10);
+  }
+  const prefix = await getSetting(documentType === 'credit_note' ? 'invoices.credit_note_prefix' : 'invoices.number_prefix',
+    documentType === 'credit_note' ? 'CN' : 'INV');
+  return `${prefix}-${year}-${String(next).padStart(6, '0')}`;
+}
+
+// Customer and vehicle of the job card, frozen onto invoices when they are issued
+async function getBillTo(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasCustomers = (await columnExists('job_cards', 'customer_id')) && (await tableExists('customers'));
+  const result = await db.query(
+    `SELECT jc.job_number, jc.customer_name, jc.vehicle_info
+            ${hasCustomers ? ', c.id as customer_id, c.customer_name as registry_name, c.email, c.phone, c.address' : ''}
+     FROM job_cards jc
+     ${hasCustomers ? 'LEFT JOIN customers c ON jc.customer_id = c.id' : ''}
+     WHERE jc.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [jobCardId]
+  );
+  const row = result.rows[0] || {};
+  return {
+    customer_id: row.customer_id || null,
+    customer_name: row.registry_name || row.customer_name || null,
+    email: row.email || null,
+    phone: row.phone || null,
+    address: row.address || null,
+    vehicle: parseJson(row.vehicle_info, null),
+    job_number: row.job_number || null
+  };
+}
+
+function formatInvoice(row, lines = []) {
+  return {
+    ...row,
+    subtotal: roundMoney(row.subtotal),
+    tax_total: roundMoney(row.tax_total),
+    total: roundMoney(row.total),
+    tax_lines: parseJson(row.tax_lines, []),
+    bill_to: parseJson(row.bill_to, null),
+    credited_total: row.credited_total != null ? roundMoney(row.credited_total) : undefined,
+    lines: lines.map(line => ({
+      ...line,
+      quantity: Number(line.quantity),
+      unit_price: roundMoney(line.unit_price),
+      line_total: roundMoney(line.line_total),
+      tax_rate: Number(line.tax_rate),
+      tax_amount: roundMoney(line.tax_amount),
+      source_unit_price: line.source_unit_price != null ? roundMoney(line.source_unit_price) : null,
+      exchange_rate: line.exchange_rate != null ? Number(line.exchange_rate) : null
+    }))
+  };
+}
+
+const INVOICE_SELECT = `SELECT i.*, ci.invoice_number as credited_invoice_number, iu.display_name as issued_by_name,
+                               (SELECT SUM(cn.total) FROM job_card_invoices cn
+                                WHERE cn.credited_invoice_id = i.id AND cn.status = 'issued') as credited_total
+                        FROM job_card_invoices i
+                        LEFT JOIN job_card_invoices ci ON i.credited_invoice_id = ci.id
+                        LEFT JOIN users iu ON i.issued_by = iu.id`;
+
+async function getLinesByInvoice(invoiceIds) {
+  const ids = [...new Set(invoiceIds)];
+  if (ids.length === 0) return {};
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = ids.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+  const result = await db.query(
+    `SELECT * FROM job_card_invoice_lines WHERE invoice_id IN (${placeholders}) ORDER BY sequence ASC, id ASC`,
+    ids
+  );
+  const byInvoice = {};
+  for (const row of result.rows || []) {
+    (byInvoice[row.invoice_id] = byInvoice[row.invoice_id] || []).push(row);
+  }
+  return byInvoice;
+}
+
+async function listInvoices(jobCardId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `${INVOICE_SELECT}
+     WHERE i.job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY i.created_at ASC, i.id ASC`,
+    [jobCardId]
+  );
+  const rows = result.rows || [];
+  const lines = await getLinesByInvoice(rows.map(row => row.id));
+  return rows.map(row => formatInvoice(row, lines[row.id] || []));
+}
+
+async function getInvoice(jobCardId, invoiceId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `${INVOICE_SELECT}
+     WHERE i.id = ${dbType === 'mysql' ? '?' : '$1'} AND i.job_card_id = ${dbType === 'mysql' ? '?' : '$2'}`,
+    [invoiceId, jobCardId]
+  );
+  if (result.rows.length === 0) return null;
+  const lines = await getLinesByInvoice([result.rows[0].id]);
+  return formatInvoice(result.rows[0], lines[result.rows[0].id] || []);
+}
+
+// Quantity of each line of an invoice already credited by issued credit notes
+async function getCreditedQuantities(invoiceId, executor = db) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await executor.query(
+    `SELECT l.credited_line_id, SUM(l.quantity) as credited_quantity
+     FROM job_card_invoice_lines l
+     JOIN job_card_invoices cn ON l.invoice_id = cn.id
+     WHERE cn.credited_invoice_id = ${dbType === 'mysql' ? '?' : '$1'} AND cn.status = 'issued' AND l.credited_line_id IS NOT NULL
+     GROUP BY l.credited_line_id`,
+    [invoiceId]
+  );
+  const credited = {};
+  for (const row of result.rows || []) credited[row.credited_line_id] = Number(row.credited_quantity || 0);
+  return credited;
+}
+
+/**
+ * Invoice or credit note laid out for printing: the seller (business unit), bill-to (frozen when
+ * issued, live on drafts), lines, tax lines and totals.
+ */
+async function buildInvoiceDocument(invoice) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const jobCard = await getJobCardForCosting(invoice.job_card_id);
+  let seller = null;
+  if (jobCard && jobCard.business_unit_id) {
+    const buResult = await db.query(
+      `SELECT name, code, metadata FROM business_units WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+      [jobCard.business_unit_id]
+    );
+    const bu = buResult.rows[0];
+    if (bu) {
+      const meta = parseJson(bu.metadata, {}) || {};
+      seller = {
+        name: bu.name,
+        code: bu.code || null,
+        address: meta.address || null,
+        phone: meta.phone || null,
+        email: meta.email || null,
+        tax_number: meta.tax_number || meta.tax_registration_number || null
+      };
+    }
+  }
+  return {
+    document_type: invoice.document_type,
+    title: invoice.document_type === 'credit_note' ? 'Credit Note' : 'Tax Invoice',
+    number: invoice.invoice_number,
+    status: invoice.status,
+    issued_at: invoice.issued_at,
+    due_at: invoice.due_at,
+    currency_code: invoice.currency_code,
+    credited_invoice_number: invoice.credited_invoice_number || null,
+    reason: invoice.reason || null,
+    notes: invoice.notes || null,
+    seller,
+    bill_to: invoice.bill_to || await getBillTo(invoice.job_card_id),
+    job_card: jobCard ? { id: jobCard.id, job_number: jobCard.job_number } : null,
+    lines: invoice.lines.map(line => ({
+      line_type: line.line_type,
+      description: line.description,
+      quantity: line.quantity,
+      unit_price: line.unit_price,
+      line_total: line.line_total,
+      tax_code: line.tax_code,
+      tax_rate: line.tax_rate,
+      tax_amount: line.tax_amount
+    })),
+    tax_lines: invoice.tax_lines,
+    subtotal: invoice.subtotal,
+    tax_total: invoice.tax_total,
+    total: invoice.total
+  };
+}
+
+/**
+ * Credit note lines for an issued invoice. requested is [{ invoice_line_id, quantity }] (quantity
+ * defaults to what is left to credit); without it everything not yet credited is credited. Lines keep
+ * the invoice's prices and tax rates. Returns { lines, tax_lines, subtotal, tax_total, total } or { error }.
+ */
+function buildCreditNoteLines(invoice, requested, creditedQuantities) {
+  const remaining = (line) => roundMoney(line.quantity - (creditedQuantities[line.id] || 0));
+  let selections;
+  if (requested === undefined) {
+    selections = invoice.lines.filter(line => remaining(line) > 0).map(line => ({ line, quantity: remaining(line) }));
+  } else {
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return { error: { status: 400, code: 'VALIDATION_ERROR', message: 'lines must be a non-empty array of { invoice_line_id, quantity }' } };
+    }
+    selections = [];
+    for (const [index, entry] of requested.entries()) {
+      const line = invoice.lines.find(row => String(row.id) === String(entry && entry.invoice_line_id));
+      if (!line) {
+        return { error: { status: 400, code: 'VALIDATION_ERROR', message: `lines[${index}].invoice_line_id is not a line of this invoice` } };
+      }
+      if (selections.some(selection => selection.line.id === line.id)) {
+        return { error: { status: 400, code: 'VALIDATION_ERROR', message: `lines[${index}]: invoice line ${line.id} is listed twice` } };
+      }
+      const quantity = entry.quantity === undefined ? remaining(line) : Number(entry.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0 || quantity > remaining(line)) {
+        return {
+          error: {
+            status: 400,
+            code: 'VALIDATION_ERROR',
+            message: `lines[${index}].quantity must be more than 0 and at most ${remaining(line)} (not yet credited)`
+          }
+        };
+      }
+      selections.push({ line, quantity });
+    }
+  }
+  if (selections.length === 0) {
+    return { error: { status: 409, code: 'ALREADY_CREDITED', message: 'Everything on this invoice has already been credited' } };
+  }
+
+  const taxNames = new Map((invoice.tax_lines || []).map(tax => [tax.code, tax.name]));
+  const taxLines = new Map();
+  const lines = selections.map(({ line, quantity }) => {
+    const lineTotal = roundMoney(quantity * line.unit_price);
+    const taxAmount = roundMoney((lineTotal * line.tax_rate) / 100);
+    if (line.tax_code) {
+      const entry = taxLines.get(line.tax_code) ||
+        { code: line.tax_code, name: taxNames.get(line.tax_code) || line.tax_code, rate: line.tax_rate, taxable_amount: 0, tax_amount: 0 };
+      entry.taxable_amount = roundMoney(entry.taxable_amount + lineTotal);
+      entry.tax_amount = roundMoney(entry.tax_amount + taxAmount);
+      taxLines.set(line.tax_code, entry);
+    }
+    return {
+      line_type: line.line_type,
+      description: line.description,
+      quantity,
+      unit_price: line.unit_price,
+      line_total: lineTotal,
+      tax_code: line.tax_code,
+      tax_rate: line.tax_rate,
+      tax_amount: taxAmount,
+      source_type: line.source_type,
+      source_id: line.source_id,
+      source_currency_code: line.source_currency_code,
+      source_unit_price: line.source_unit_price,
+      exchange_rate: line.exchange_rate,
+      credited_line_id: line.id
+    };
+  });
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+  const taxTotal = roundMoney(lines.reduce((sum, line) => sum + line.tax_amount, 0));
+  return { lines, tax_lines: [...taxLines.values()], subtotal, tax_total: taxTotal, total: roundMoney(subtotal + taxTotal) };
+}
+
+async function getPaymentTermsDays() {
+  const days = await getNumberSetting('invoices.payment_terms_days', 30);
+  return days >= 0 ? days : 30;
+}
+
+module.exports = {
+  COST_ITEM_TYPES,
+  costItemsTableExists,
+  invoicesTableExists,
+  normalizeCode,
+  listCostItems,
+  computeJobCosting,
+  applyTaxes,
+  buildInvoiceLines,
+  saveInvoiceLines,
+  allocateDocumentNumber,
+  getBillTo,
+  listInvoices,
+  getInvoice,
+  getCreditedQuantities,
+  buildCreditNoteLines,
+  buildInvoiceDocument,
+  getPaymentTermsDays
+};
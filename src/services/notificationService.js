@@ -0,0 +1,53 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+
+let notificationsChecked = false;
+let notificationsAvailable = false;
+
+async function notificationsTableExists() {
+  if (notificationsChecked) return notificationsAvailable;
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      dbType === 'mysql'
+        ? `SHOW TABLES LIKE 'notifications'`
+        : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'notifications') as exists`
+    );
+    notificationsAvailable = dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+    notificationsChecked = true;
+  } catch (error) {
+    notificationsAvailable = false;
+  }
+  return notificationsAvailable;
+}
+
+/**
+ * Create an in-app notification for each user. Notifications are a side effect of the
+ * action that raised them, so this never throws; returns the number created.
+ */
+async function notifyUsers(userIds, { type, title, message = null, objectType = null, objectId = null, data = {}, createdBy = null }) {
+  const recipients = [...new Set((userIds || []).filter(Boolean).map(String))];
+  if (recipients.length === 0 || !(await notificationsTableExists())) return 0;
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  let created = 0;
+  for (const userId of recipients) {
+    try {
+      await db.query(
+        `INSERT INTO notifications (user_id, type, title, message, object_type, object_id, data, created_by)
+         VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)}, ${p(7)}, ${p(8)})`,
+        [userId, type, title, message, objectType, objectId != null ? String(objectId) : null, JSON.stringify(data || {}), createdBy]
+      );
+      created++;
+    } catch (error) {
+      logger.error('Failed to create notification:', { userId, type, error: error.message });
+    }
+  }
+  return created;
+}
+
+module.exports = {
+  notificationsTableExists,
+  notifyUsers
+};
@@ -0,0 +1,369 @@
+const db = require('../database/connection');
+const { safeTimeZone, zonedParts, zonedTimeToDate } = require('../utils/timezone');
+const { getTotalBreakSecondsFromNotes } = require('../utils/shiftNotes');
+const { toDateOnly } = require('./scheduleExceptionService');
+const { getHolidayDates } = require('./holidayService');
+
+// Used for BUs without an overtime_rules row (and for deployments without the table)
+const DEFAULT_OVERTIME_RULES = {
+  daily_threshold_minutes: 480,
+  weekly_threshold_minutes: 2880,
+  week_start_day: 1,
+  daily_overtime_multiplier: 1.25,
+  weekly_overtime_multiplier: 1.25,
+  rest_day_multiplier: 1.5,
+  holiday_multiplier: 2,
+  late_arrival_grace_minutes: 5,
+  early_leave_grace_minutes: 5,
+  min_overtime_minutes: 0,
+  timezone: null
+};
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function toNumberOr(value, fallback) {
+  if (value === null || value === undefined || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeRules(row) {
+  const rules = { ...DEFAULT_OVERTIME_RULES };
+  if (!row) return rules;
+  for (const key of Object.keys(DEFAULT_OVERTIME_RULES)) {
+    if (key === 'timezone') {
+      rules.timezone = row.timezone || null;
+    } else if (key === 'daily_threshold_minutes' || key === 'weekly_threshold_minutes') {
+      // NULL is meaningful for thresholds (scheduled minutes / no weekly overtime)
+      rules[key] = row[key] === null ? null : toNumberOr(row[key], DEFAULT_OVERTIME_RULES[key]);
+    } else {
+      rules[key] = toNumberOr(row[key], DEFAULT_OVERTIME_RULES[key]);
+    }
+  }
+  return rules;
+}
+
+async function getOvertimeRules(businessUnitId) {
+  if (!businessUnitId || !(await tableExists('overtime_rules'))) {
+    return normalizeRules(null);
+  }
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM overtime_rules WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true LIMIT 1`,
+    [businessUnitId]
+  );
+  return normalizeRules(result.rows[0]);
+}
+
+function addDays(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function weekdayOf(ymd) {
+  return new Date(`${ymd}T00:00:00Z`).getUTCDay();
+}
+
+function weekStartOf(ymd, weekStartDay) {
+  return addDays(ymd, -((weekdayOf(ymd) - weekStartDay + 7) % 7));
+}
+
+function timeToMinutes(t) {
+  if (!t) return null;
+  const parts = String(t).split(':').map(x => parseInt(x, 10));
+  if (parts.length < 2 || parts.some(n => Number.isNaN(n))) return null;
+  return parts[0] * 60 + parts[1] + Math.floor((parts[2] || 0) / 60);
+}
+
+function scheduleWindow(start, end) {
+  const startMin = timeToMinutes(start);
+  const endMin = timeToMinutes(end);
+  if (startMin == null || endMin == null || endMin <= startMin) return null;
+  return { start_time: String(start), end_time: String(end), minutes: endMin - startMin };
+}
+
+/**
+ * Classify one technician-day and split its worked minutes into regular and overtime buckets.
+ * Weekly overtime is applied afterwards, across the week (see applyWeeklyOvertime).
+ */
+function evaluateDay({ day, shifts, schedule, holidayName, timeZone, rules }) {
+  const dayType = holidayName ? 'holiday' : (schedule ? 'workday' : 'rest_day');
+  const scheduledMinutes = dayType === 'workday' ? schedule.minutes : 0;
+
+  let workedSeconds = 0;
+  let breakSeconds = 0;
+  let firstIn = null;
+  let lastOut = null;
+  for (const shift of shifts) {
+    const clockIn = new Date(shift.clock_in_time);
+    const clockOut = new Date(shift.clock_out_time);
+    const shiftBreak = Math.max(0, Number(shift.break_seconds_resolved) || 0);
+    workedSeconds += Math.max(0, Math.floor((clockOut - clockIn) / 1000) - shiftBreak);
+    breakSeconds += shiftBreak;
+    if (!firstIn || clockIn < firstIn) firstIn = clockIn;
+    if (!lastOut || clockOut > lastOut) lastOut = clockOut;
+  }
+  const workedMinutes = Math.floor(workedSeconds / 60);
+
+  let lateArrival = 0;
+  let earlyLeave = 0;
+  if (dayType === 'workday' && firstIn) {
+    const scheduledStart = zonedTimeToDate(day, schedule.start_time, timeZone);
+    const scheduledEnd = zonedTimeToDate(day, schedule.end_time, timeZone);
+    const lateBy = Math.floor((firstIn - scheduledStart) / 60000);
+    const earlyBy = Math.floor((scheduledEnd - lastOut) / 60000);
+    lateArrival = lateBy > rules.late_arrival_grace_minutes ? lateBy : 0;
+    earlyLeave = earlyBy > rules.early_leave_grace_minutes ? earlyBy : 0;
+  }
+
+  let regular = 0;
+  let dailyOvertime = 0;
+  let restDayOvertime = 0;
+  let holidayOvertime = 0;
+  if (dayType === 'holiday') {
+    holidayOvertime = workedMinutes;
+  } else if (dayType === 'rest_day') {
+    restDayOvertime = workedMinutes;
+  } else {
+    const threshold = rules.daily_threshold_minutes != null ? rules.daily_threshold_minutes : scheduledMinutes;
+    dailyOvertime = Math.max(0, workedMinutes - threshold);
+    if (dailyOvertime < rules.min_overtime_minutes) dailyOvertime = 0;
+    regular = workedMinutes - dailyOvertime;
+  }
+
+  return {
+    date: day,
+    weekday: weekdayOf(day),
+    day_type: dayType,
+    holiday_name: holidayName || null,
+    shift_count: shifts.length,
+    absent: dayType === 'workday' && shifts.length === 0,
+    scheduled_start: dayType === 'workday' ? schedule.start_time : null,
+    scheduled_end: dayType === 'workday' ? schedule.end_time : null,
+    first_clock_in: firstIn ? firstIn.toISOString() : null,
+    last_clock_out: lastOut ? lastOut.toISOString() : null,
+    scheduled_minutes: scheduledMinutes,
+    worked_minutes: workedMinutes,
+    break_minutes: Math.floor(breakSeconds / 60),
+    regular_minutes: regular,
+    daily_overtime_minutes: dailyOvertime,
+    weekly_overtime_minutes: 0,
+    rest_day_overtime_minutes: restDayOvertime,
+    holiday_overtime_minutes: holidayOvertime,
+    late_arrival_minutes: lateArrival,
+    early_leave_minutes: earlyLeave,
+    variance_minutes: workedMinutes - scheduledMinutes
+  };
+}
+
+// Regular minutes beyond the weekly threshold become weekly overtime, taken from the last days of the week
+function applyWeeklyOvertime(days, rules) {
+  if (rules.weekly_threshold_minutes == null) return;
+  const byWeek = new Map();
+  for (const day of days) {
+    const key = weekStartOf(day.date, rules.week_start_day);
+    if (!byWeek.has(key)) byWeek.set(key, []);
+    byWeek.get(key).push(day);
+  }
+  for (const weekDays of byWeek.values()) {
+    let cumulative = 0;
+    for (const day of weekDays.sort((a, b) => a.date.localeCompare(b.date))) {
+      const available = Math.max(0, rules.weekly_threshold_minutes - cumulative);
+      const excess = Math.max(0, day.regular_minutes - available);
+      cumulative += day.regular_minutes;
+      if (excess > 0) {
+        day.weekly_overtime_minutes = excess;
+        day.regular_minutes -= excess;
+      }
+    }
+  }
+}
+
+function finalizeDay(day, rules) {
+  const overtime = day.daily_overtime_minutes + day.weekly_overtime_minutes +
+    day.rest_day_overtime_minutes + day.holiday_overtime_minutes;
+  const weightedOvertime =
+    day.daily_overtime_minutes * rules.daily_overtime_multiplier +
+    day.weekly_overtime_minutes * rules.weekly_overtime_multiplier +
+    day.rest_day_overtime_minutes * rules.rest_day_multiplier +
+    day.holiday_overtime_minutes * rules.holiday_multiplier;
+  return {
+    ...day,
+    overtime_minutes: overtime,
+    weighted_overtime_minutes: Number(weightedOvertime.toFixed(2)),
+    payable_minutes: Number((day.regular_minutes + weightedOvertime).toFixed(2))
+  };
+}
+
+const SUMMED_FIELDS = [
+  'scheduled_minutes', 'worked_minutes', 'break_minutes', 'regular_minutes',
+  'daily_overtime_minutes', 'weekly_overtime_minutes', 'rest_day_overtime_minutes', 'holiday_overtime_minutes',
+  'overtime_minutes', 'weighted_overtime_minutes', 'payable_minutes',
+  'late_arrival_minutes', 'early_leave_minutes', 'variance_minutes'
+];
+
+function summarizeDays(days) {
+  const totals = {};
+  for (const field of SUMMED_FIELDS) {
+    totals[field] = Number(days.reduce((sum, day) => sum + (Number(day[field]) || 0), 0).toFixed(2));
+  }
+  totals.days_worked = days.filter(day => day.shift_count > 0).length;
+  totals.days_absent = days.filter(day => day.absent).length;
+  totals.late_arrivals = days.filter(day => day.late_arrival_minutes > 0).length;
+  totals.early_leaves = days.filter(day => day.early_leave_minutes > 0).length;
+  return totals;
+}
+
+/**
+ * Compare closed technician_shifts against tech_schedules for [fromDay, toDay] (YYYY-MM-DD, inclusive)
+ * and produce regular / overtime / late-arrival / early-leave minutes per technician per day.
+ *
+ * Shifts belong to the local calendar day (schedule timezone) they were clocked in on. Scheduled days
+ * without any shift are returned as absent; days in the future are skipped. Approved leave is counted
+ * per leave type in totals.leave_days_by_type (scheduled, non-holiday days only).
+ */
+async function computeShiftVariance({ technicians, fromDay, toDay }) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const hasSchedules = await tableExists('tech_schedules');
+  const hasExceptions = hasSchedules && await tableExists('schedule_exceptions');
+  const hasLeaveType = hasExceptions && await columnExists('schedule_exceptions', 'leave_type');
+  const hasBreakSeconds = await columnExists('technician_shifts', 'break_seconds');
+
+  const rulesCache = new Map();
+  const holidayCache = new Map();
+  const today = new Date().toISOString().slice(0, 10);
+  const lastDay = toDay < today ? toDay : today;
+
+  const results = [];
+  for (const tech of technicians) {
+    const businessUnitId = tech.business_unit_id || null;
+    if (!rulesCache.has(businessUnitId)) rulesCache.set(businessUnitId, await getOvertimeRules(businessUnitId));
+    const rules = rulesCache.get(businessUnitId);
+
+    // Weekly overtime needs the whole first week, not just the requested days
+    const loadFrom = weekStartOf(fromDay, rules.week_start_day);
+    if (!holidayCache.has(businessUnitId)) holidayCache.set(businessUnitId, await getHolidayDates(businessUnitId, loadFrom, toDay));
+    const holidays = holidayCache.get(businessUnitId);
+
+    const byWeekday = new Map();
+    let scheduleTz = null;
+    if (hasSchedules) {
+      const schedules = await db.query(
+        `SELECT weekday, start_time, end_time, timezone FROM tech_schedules WHERE technician_id = ${p(1)} AND is_active = true`,
+        [tech.technician_id]
+      );
+      for (const row of schedules.rows || []) {
+        const window = scheduleWindow(row.start_time, row.end_time);
+        if (window) byWeekday.set(Number(row.weekday), window);
+        if (!scheduleTz && row.timezone) scheduleTz = row.timezone;
+      }
+    }
+    const timeZone = safeTimeZone(scheduleTz || rules.timezone);
+
+    const exceptions = new Map();
+    if (hasExceptions) {
+      const exceptionResult = await db.query(
+        `SELECT exception_date, start_time, end_time, is_working_day, ${hasLeaveType ? 'leave_type' : 'NULL as leave_type'}
+         FROM schedule_exceptions
+         WHERE technician_id = ${p(1)} AND exception_date >= ${p(2)} AND exception_date <= ${p(3)}`,
+        [tech.technician_id, loadFrom, toDay]
+      );
+      for (const row of exceptionResult.rows || []) exceptions.set(toDateOnly(row.exception_date), row);
+    }
+
+    // Pad the query window by a day on each side; shifts are bucketed by local clock-in day below
+    const shiftResult = await db.query(
+      `SELECT id, clock_in_time, clock_out_time, ${hasBreakSeconds ? 'break_seconds' : 'NULL as break_seconds'}, notes
+       FROM technician_shifts
+       WHERE technician_id = ${p(1)} AND clock_out_time IS NOT NULL
+         AND clock_in_time >= ${p(2)} AND clock_in_time < ${p(3)}
+       ORDER BY clock_in_time ASC`,
+      [tech.technician_id, new Date(`${addDays(loadFrom, -1)}T00:00:00Z`), new Date(`${addDays(toDay, 2)}T00:00:00Z`)]
+    );
+    const shiftsByDay = new Map();
+    for (const shift of shiftResult.rows || []) {
+      const day = zonedParts(new Date(shift.clock_in_time), timeZone).ymd;
+      if (day < loadFrom || day > toDay) continue;
+      shift.break_seconds_resolved = hasBreakSeconds && shift.break_seconds != null
+        ? Number(shift.break_seconds) || 0
+        : getTotalBreakSecondsFromNotes(shift.notes);
+      if (!shiftsByDay.has(day)) shiftsByDay.set(day, []);
+      shiftsByDay.get(day).push(shift);
+    }
+
+    const days = [];
+    for (let day = loadFrom; day <= lastDay; day = addDays(day, 1)) {
+      const exception = exceptions.get(day);
+      let schedule = byWeekday.get(weekdayOf(day)) || null;
+      if (exception) {
+        schedule = exception.is_working_day
+          ? (scheduleWindow(exception.start_time, exception.end_time) || schedule)
+          : null;
+      }
+      const shifts = shiftsByDay.get(day) || [];
+      const holidayName = holidays.get(day) || null;
+      if (shifts.length === 0 && (!schedule || holidayName)) continue;
+      days.push(evaluateDay({ day, shifts, schedule, holidayName, timeZone, rules }));
+    }
+    applyWeeklyOvertime(days, rules);
+
+    // Approved leave on days the technician would otherwise have worked (holidays excluded)
+    const leaveDays = {};
+    for (const [day, exception] of exceptions.entries()) {
+      if (day < fromDay || day > toDay || exception.is_working_day || !exception.leave_type) continue;
+      if (!byWeekday.has(weekdayOf(day)) || holidays.has(day)) continue;
+      leaveDays[exception.leave_type] = (leaveDays[exception.leave_type] || 0) + 1;
+    }
+
+    const inRange = days.filter(day => day.date >= fromDay).map(day => finalizeDay(day, rules));
+    const totals = summarizeDays(inRange);
+    totals.leave_days = Object.values(leaveDays).reduce((sum, n) => sum + n, 0);
+    totals.leave_days_by_type = leaveDays;
+    results.push({
+      technician_id: tech.technician_id,
+      technician_name: tech.technician_name,
+      employee_code: tech.employee_code || null,
+      business_unit_id: businessUnitId,
+      timezone: timeZone,
+      days: inRange,
+      totals
+    });
+  }
+
+  return {
+    technicians: results,
+    rules_by_business_unit: Object.fromEntries(rulesCache.entries())
+  };
+}
+
+module.exports = {
+  DEFAULT_OVERTIME_RULES,
+  getOvertimeRules,
+  computeShiftVariance
+};
@@ -0,0 +1,238 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+
+// Pauses the system makes on the technician's behalf; not configurable per BU
+const SYSTEM_PAUSE_REASONS = {
+  BREAK: { code: 'BREAK', name: 'Break' },
+  IDLE_TIMEOUT: { code: 'IDLE_TIMEOUT', name: 'Idle Timeout' },
+  SHIFT_AUTO_CLOSED: { code: 'SHIFT_AUTO_CLOSED', name: 'Shift Auto-Closed' }
+};
+
+// Reasons every BU starts with; schema_pause_reasons.sql seeds the same set
+const DEFAULT_PAUSE_REASONS = [
+  { reason_code: 'AWAITING_PARTS', reason_name: 'Awaiting Parts', description: 'Work blocked until parts arrive from the parts counter or supplier', color: '#fd7e14', display_order: 1 },
+  { reason_code: 'AWAITING_APPROVAL', reason_name: 'Awaiting Customer Approval', description: 'Work blocked until the customer approves additional work or cost', color: '#ffc107', display_order: 2 },
+  { reason_code: 'END_OF_SHIFT', reason_name: 'End of Shift', description: 'Job continues on the next shift', color: '#6c757d', display_order: 3 },
+  { reason_code: 'TOOL_UNAVAILABLE', reason_name: 'Tool Unavailable', description: 'Required tool, equipment or bay is in use or out of service', color: '#dc3545', display_order: 4 }
+];
+
+let pauseTablesChecked = false;
+let pauseTablesAvailable = false;
+
+async function pauseTablesExist() {
+  if (pauseTablesChecked) return pauseTablesAvailable;
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const tables = ['pause_reasons', 'time_log_pauses'];
+    const results = await Promise.all(tables.map(tableName => db.query(
+      dbType === 'mysql'
+        ? `SHOW TABLES LIKE '${tableName}'`
+        : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`
+    )));
+    pauseTablesAvailable = results.every(result => (dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists));
+    pauseTablesChecked = true;
+  } catch (error) {
+    pauseTablesAvailable = false;
+  }
+  return pauseTablesAvailable;
+}
+
+/**
+ * WHERE condition (and its params) for the pause reasons open to a business unit: its own active
+ * reasons, or the global ones (business_unit_id NULL) when it has none or there is no BU.
+ */
+function pauseReasonScope(businessUnitId, p, firstIndex) {
+  if (!businessUnitId) return { condition: 'business_unit_id IS NULL', params: [] };
+  return {
+    condition: `(business_unit_id = ${p(firstIndex)}
+      OR (business_unit_id IS NULL AND NOT EXISTS (
+        SELECT 1 FROM pause_reasons own WHERE own.business_unit_id = ${p(firstIndex + 1)} AND own.is_active = true)))`,
+    params: [businessUnitId, businessUnitId]
+  };
+}
+
+/**
+ * Active pause reasons a user of the business unit can pick, in display order.
+ */
+async function listPauseReasons(businessUnitId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const scope = pauseReasonScope(businessUnitId, p, 1);
+  const result = await db.query(
+    `SELECT * FROM pause_reasons WHERE ${scope.condition} AND is_active = true ORDER BY display_order ASC`,
+    scope.params
+  );
+  return result.rows || [];
+}
+
+/**
+ * Look up the pause reason a technician picked, by id or code, among those open to their
+ * business unit (see listPauseReasons). Returns { reason } or { error: { status, code, message } }.
+ */
+async function resolvePauseReason(technicianId, { pause_reason_id, reason_code } = {}) {
+  if (!pause_reason_id && !reason_code) {
+    return {
+      error: {
+        status: 400,
+        code: 'PAUSE_REASON_REQUIRED',
+        message: 'A pause reason is required. Choose one of your business unit\'s pause reasons.'
+      }
+    };
+  }
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+  const userResult = await db.query(`SELECT business_unit_id FROM users WHERE id = ${p(1)}`, [technicianId]);
+  const businessUnitId = userResult.rows[0]?.business_unit_id || null;
+
+  const scope = pauseReasonScope(businessUnitId, p, 2);
+  const result = await db.query(
+    `SELECT * FROM pause_reasons
+     WHERE ${pause_reason_id ? 'id' : 'reason_code'} = ${p(1)} AND is_active = true AND ${scope.condition}
+     ORDER BY id ASC LIMIT 1`,
+    [pause_reason_id ? pause_reason_id : reason_code, ...scope.params]
+  );
+  if (result.rows.length === 0) {
+    return {
+      error: {
+        status: 400,
+        code: 'INVALID_PAUSE_REASON',
+        message: 'Pause reason not found or not active for your business unit'
+      }
+    };
+  }
+  return { reason: result.rows[0] };
+}
+
+/**
+ * Give a newly created business unit the default pause reasons. Never throws: the BU falls back
+ * to the global reasons until it has its own.
+ */
+async function seedDefaultPauseReasons(businessUnitId, createdBy = null) {
+  try {
+    if (!(await pauseTablesExist())) return 0;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    let seeded = 0;
+    for (const reason of DEFAULT_PAUSE_REASONS) {
+      const existing = await db.query(
+        `SELECT id FROM pause_reasons WHERE business_unit_id = ${p(1)} AND reason_code = ${p(2)}`,
+        [businessUnitId, reason.reason_code]
+      );
+      if (existing.rows.length > 0) continue;
+      await db.query(
+        `INSERT INTO pause_reasons (business_unit_id, reason_code, reason_name, description, color, display_order, created_by)
+         VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)}, ${p(6)}, ${p(7)})`,
+        [businessUnitId, reason.reason_code, reason.reason_name, reason.description, reason.color, reason.display_order, createdBy]
+      );
+      seeded++;
+    }
+    return seeded;
+  } catch (error) {
+    logger.error('Failed to seed default pause reasons:', { businessUnitId, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Open a pause interval for a time log segment that was just paused.
+ * `reason` is a pause_reasons row or one of SYSTEM_PAUSE_REASONS.
+ * Never throws: the pause itself has already been written.
+ */
+async function recordPause({ timeLog, reason, pausedAt, source = 'manual', notes = null, createdBy = null }) {
+  try {
+    if (!(await pauseTablesExist())) return null;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+
+    let businessUnitId = reason.business_unit_id || null;
+    if (!businessUnitId) {
+      const userResult = await db.query(
+        `SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+        [timeLog.technician_id]
+      );
+      businessUnitId = userResult.rows[0]?.business_unit_id || null;
+    }
+
+    const params = [
+      timeLog.id,
+      timeLog.assignment_id,
+      timeLog.job_card_id,
+      timeLog.technician_id,
+      businessUnitId,
+      reason.id || null,
+      reason.reason_code || reason.code,
+      reason.reason_name || reason.name,
+      source,
+      pausedAt,
+      notes,
+      createdBy
+    ];
+    if (dbType === 'mysql') {
+      const insertResult = await db.query(
+        `INSERT INTO time_log_pauses
+         (time_log_id, assignment_id, job_card_id, technician_id, business_unit_id, pause_reason_id,
+          reason_code, reason_name, source, paused_at, notes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params
+      );
+      return insertResult.rows.insertId;
+    }
+    const insertResult = await db.query(
+      `INSERT INTO time_log_pauses
+       (time_log_id, assignment_id, job_card_id, technician_id, business_unit_id, pause_reason_id,
+        reason_code, reason_name, source, paused_at, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING id`,
+      params
+    );
+    return insertResult.rows[0].id;
+  } catch (error) {
+    logger.error('Failed to record timer pause:', { timeLogId: timeLog.id, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Close the open pause interval(s) of an assignment when work on it resumes.
+ * Never throws.
+ */
+async function closeOpenPauses(assignmentId, resumedAt, resumeTimeLogId = null) {
+  try {
+    if (!(await pauseTablesExist())) return 0;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const openResult = await db.query(
+      `SELECT id, paused_at FROM time_log_pauses WHERE assignment_id = ${dbType === 'mysql' ? '?' : '$1'} AND resumed_at IS NULL`,
+      [assignmentId]
+    );
+
+    let closed = 0;
+    for (const pause of openResult.rows || []) {
+      const pausedAt = new Date(pause.paused_at);
+      const endTs = resumedAt > pausedAt ? resumedAt : pausedAt;
+      const durationSeconds = Math.max(0, Math.floor((endTs - pausedAt) / 1000));
+      const updateResult = await db.query(
+        dbType === 'mysql'
+          ? `UPDATE time_log_pauses SET resumed_at = ?, resume_time_log_id = ?, duration_seconds = ? WHERE id = ? AND resumed_at IS NULL`
+          : `UPDATE time_log_pauses SET resumed_at = $1, resume_time_log_id = $2, duration_seconds = $3 WHERE id = $4 AND resumed_at IS NULL`,
+        [endTs, resumeTimeLogId, durationSeconds, pause.id]
+      );
+      closed += updateResult.rowCount || 0;
+    }
+    return closed;
+  } catch (error) {
+    logger.error('Failed to close open timer pauses:', { assignmentId, error: error.message });
+    return 0;
+  }
+}
+
+module.exports = {
+  SYSTEM_PAUSE_REASONS,
+  DEFAULT_PAUSE_REASONS,
+  pauseTablesExist,
+  listPauseReasons,
+  resolvePauseReason,
+  seedDefaultPauseReasons,
+  recordPause,
+  closeOpenPauses
+};
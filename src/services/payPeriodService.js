@@ -0,0 +1,113 @@
+const db = require('../database/connection');
+const { toDateOnly } = require('./scheduleExceptionService');
+const { findLockedExport } = require('./payrollExportService');
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * What freezes the BU's time data in [fromDay, toDay], if anything: a closed pay period
+ * or a locked payroll export. Returns { source, id, period_start, period_end } or null.
+ */
+async function findTimeLock(businessUnitId, fromDay, toDay = fromDay) {
+  if (!businessUnitId || !fromDay) return null;
+
+  if (await tableExists('pay_periods')) {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+    const result = await db.query(
+      `SELECT id, period_start, period_end FROM pay_periods
+       WHERE business_unit_id = ${p(1)} AND status = 'closed' AND period_start <= ${p(2)} AND period_end >= ${p(3)}
+       ORDER BY period_start ASC LIMIT 1`,
+      [businessUnitId, toDay, fromDay]
+    );
+    const period = result.rows[0];
+    if (period) {
+      return { source: 'pay_period', id: period.id, period_start: toDateOnly(period.period_start), period_end: toDateOnly(period.period_end) };
+    }
+  }
+
+  const payrollExport = await findLockedExport(businessUnitId, fromDay, toDay);
+  if (payrollExport) {
+    return {
+      source: 'payroll_export',
+      id: payrollExport.id,
+      period_start: toDateOnly(payrollExport.period_start),
+      period_end: toDateOnly(payrollExport.period_end)
+    };
+  }
+  return null;
+}
+
+/**
+ * Time lock covering any of the given moments (Date / timestamp / 'YYYY-MM-DD') for the
+ * technician's business unit. Null moments are ignored.
+ */
+async function findTechnicianTimeLock(technicianId, ...moments) {
+  const days = moments
+    .filter(moment => moment !== null && moment !== undefined && moment !== '')
+    .map(moment => toDateOnly(moment))
+    .filter(day => /^\d{4}-\d{2}-\d{2}$/.test(day))
+    .sort();
+  if (!technicianId || days.length === 0) return null;
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const userResult = await db.query(
+    `SELECT business_unit_id FROM users WHERE id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [technicianId]
+  );
+  return findTimeLock(userResult.rows[0]?.business_unit_id || null, days[0], days[days.length - 1]);
+}
+
+// Error body for responses refused because of a time lock (sent with 423)
+function timeLockError(lock) {
+  return {
+    code: 'PERIOD_LOCKED',
+    message: lock.source === 'payroll_export'
+      ? 'Payroll for this period has been exported; reopen the export before editing'
+      : 'This pay period is closed; a Super Admin must reopen it before time data can change',
+    details: {
+      source: lock.source,
+      ...(lock.source === 'payroll_export' ? { payroll_export_id: lock.id } : { pay_period_id: lock.id }),
+      period_start: lock.period_start,
+      period_end: lock.period_end
+    }
+  };
+}
+
+/**
+ * Audit a background write that was skipped because of a time lock, so an admin can settle it
+ * by hand or after reopening the period. Only the first skip per action and object is recorded
+ * (the jobs retry every run). Returns true when a new entry was written.
+ */
+async function flagTimeLockedWrite(action, objectType, objectId, lock, details = {}) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const existing = await db.query(
+    `SELECT id FROM audit_logs WHERE action = ${p(1)} AND object_type = ${p(2)} AND object_id = ${p(3)} LIMIT 1`,
+    [action, objectType, String(objectId)]
+  );
+  if (existing.rows.length > 0) return false;
+  await db.query(
+    `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (${p(1)}, ${p(2)}, ${p(3)}, ${p(4)}, ${p(5)})`,
+    [null, action, objectType, String(objectId), JSON.stringify({ ...details, time_lock: timeLockError(lock).details })]
+  );
+  return true;
+}
+
+module.exports = {
+  findTimeLock,
+  findTechnicianTimeLock,
+  timeLockError,
+  flagTimeLockedWrite
+};
@@ -0,0 +1,244 @@
+const db = require('../database/connection');
+const { computeShiftVariance } = require('./overtimeService');
+const { LEAVE_TYPES } = require('./scheduleExceptionService');
+const { escapeFormula } = require('./reportExportService');
+
+// Every column a payroll template may reference
+const PAYROLL_FIELDS = [
+  'employee_number', 'cost_center', 'employee_code', 'technician_id', 'technician_name', 'business_unit_id',
+  'period_start', 'period_end', 'days_worked', 'shift_count', 'days_absent',
+  'scheduled_hours', 'worked_hours', 'break_hours', 'regular_hours',
+  'daily_overtime_hours', 'weekly_overtime_hours', 'rest_day_overtime_hours', 'holiday_overtime_hours',
+  'overtime_hours', 'weighted_overtime_hours', 'payable_hours',
+  'late_arrival_minutes', 'early_leave_minutes', 'leave_days',
+  ...LEAVE_TYPES.map(type => `leave_days_${type}`)
+];
+
+const HOUR_FIELDS = new Set(PAYROLL_FIELDS.filter(field => field.endsWith('_hours')));
+
+const GENERIC_CSV_COLUMNS = [
+  'employee_number', 'cost_center', 'technician_name', 'period_start', 'period_end', 'days_worked',
+  'worked_hours', 'break_hours', 'regular_hours', 'daily_overtime_hours', 'weekly_overtime_hours',
+  'rest_day_overtime_hours', 'holiday_overtime_hours', 'overtime_hours', 'weighted_overtime_hours',
+  'late_arrival_minutes', 'early_leave_minutes', 'leave_days'
+].map(field => ({ field }));
+
+const TEMPLATE_FORMATS = ['csv', 'fixed_width', 'json'];
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function minutesToHours(minutes) {
+  return Number(((Number(minutes) || 0) / 60).toFixed(2));
+}
+
+function parseColumns(columns) {
+  if (Array.isArray(columns)) return columns;
+  try {
+    const parsed = typeof columns === 'string' ? JSON.parse(columns) : columns;
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Validate a template's format + column list. Returns an error message or null.
+ */
+function validateTemplate({ format, columns, delimiter }) {
+  if (!TEMPLATE_FORMATS.includes(format)) {
+    return `format must be one of: ${TEMPLATE_FORMATS.join(', ')}`;
+  }
+  const list = parseColumns(columns);
+  if (list.length === 0) return 'columns must be a non-empty array';
+  for (const column of list) {
+    if (!column || !PAYROLL_FIELDS.includes(column.field)) {
+      return `Unknown payroll field: ${column && column.field}`;
+    }
+    if (format === 'fixed_width') {
+      const width = parseInt(column.width, 10);
+      if (!width || width < 1 || width > 200) return `width (1-200) is required for fixed_width column ${column.field}`;
+      if (column.align && !['left', 'right'].includes(column.align)) return `align must be left or right (${column.field})`;
+      if (column.pad !== undefined && String(column.pad).length !== 1) return `pad must be a single character (${column.field})`;
+    }
+  }
+  if (format === 'csv' && delimiter !== undefined && (String(delimiter).length === 0 || String(delimiter).length > 5)) {
+    return 'delimiter must be 1-5 characters';
+  }
+  return null;
+}
+
+/**
+ * One payroll row per technician of the BU for [fromDay, toDay], from closed shifts only.
+ */
+async function buildPayrollRows({ businessUnitId, fromDay, toDay }) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const hasEmployeeNumber = await columnExists('users', 'employee_number');
+  const hasCostCenter = await columnExists('users', 'cost_center');
+
+  const techResult = await db.query(
+    `SELECT t.user_id as technician_id, u.display_name as technician_name, t.employee_code, u.business_unit_id,
+            ${hasEmployeeNumber ? 'u.employee_number' : 'NULL as employee_number'},
+            ${hasCostCenter ? 'u.cost_center' : 'NULL as cost_center'}
+     FROM technicians t
+     JOIN users u ON t.user_id = u.id
+     WHERE u.business_unit_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY ${hasEmployeeNumber ? 'u.employee_number, ' : ''}u.display_name`,
+    [businessUnitId]
+  );
+  const technicians = techResult.rows || [];
+  const variance = await computeShiftVariance({ technicians, fromDay, toDay });
+  const byTechnician = new Map(variance.technicians.map(t => [String(t.technician_id), t]));
+
+  const rows = [];
+  for (const tech of technicians) {
+    const totals = byTechnician.get(String(tech.technician_id))?.totals;
+    if (!totals) continue;
+    // Nothing to pay or deduct: skip (e.g. technicians without shifts, schedule or leave)
+    if (!totals.worked_minutes && !totals.leave_days && !totals.days_absent) continue;
+
+    const row = {
+      employee_number: tech.employee_number || null,
+      cost_center: tech.cost_center || null,
+      employee_code: tech.employee_code || null,
+      technician_id: tech.technician_id,
+      technician_name: tech.technician_name,
+      business_unit_id: tech.business_unit_id,
+      period_start: fromDay,
+      period_end: toDay,
+      days_worked: totals.days_worked,
+      shift_count: byTechnician.get(String(tech.technician_id)).days.reduce((sum, day) => sum + day.shift_count, 0),
+      days_absent: totals.days_absent,
+      scheduled_hours: minutesToHours(totals.scheduled_minutes),
+      worked_hours: minutesToHours(totals.worked_minutes),
+      break_hours: minutesToHours(totals.break_minutes),
+      regular_hours: minutesToHours(totals.regular_minutes),
+      daily_overtime_hours: minutesToHours(totals.daily_overtime_minutes),
+      weekly_overtime_hours: minutesToHours(totals.weekly_overtime_minutes),
+      rest_day_overtime_hours: minutesToHours(totals.rest_day_overtime_minutes),
+      holiday_overtime_hours: minutesToHours(totals.holiday_overtime_minutes),
+      overtime_hours: minutesToHours(totals.overtime_minutes),
+      weighted_overtime_hours: minutesToHours(totals.weighted_overtime_minutes),
+      payable_hours: minutesToHours(totals.payable_minutes),
+      late_arrival_minutes: totals.late_arrival_minutes,
+      early_leave_minutes: totals.early_leave_minutes,
+      leave_days: totals.leave_days || 0
+    };
+    for (const type of LEAVE_TYPES) {
+      row[`leave_days_${type}`] = (totals.leave_days_by_type || {})[type] || 0;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+function formatValue(row, column) {
+  const value = row[column.field];
+  if (value === null || value === undefined) return '';
+  if (HOUR_FIELDS.has(column.field) || column.decimals !== undefined) {
+    const decimals = column.decimals !== undefined ? parseInt(column.decimals, 10) : 2;
+    return Number(value).toFixed(Number.isInteger(decimals) && decimals >= 0 ? decimals : 2);
+  }
+  return String(value);
+}
+
+function csvValue(value, delimiter) {
+  const str = escapeFormula(String(value));
+  return str.includes(delimiter) || /["\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function fixedWidthValue(value, column) {
+  const width = parseInt(column.width, 10);
+  const pad = column.pad !== undefined ? String(column.pad) : ' ';
+  const str = String(value).replace(/[\r\n]/g, ' ').slice(0, width);
+  return column.align === 'right' ? str.padStart(width, pad) : str.padEnd(width, pad);
+}
+
+/**
+ * Render payroll rows with a template row (or null for the generic CSV).
+ * Returns { content, contentType, extension }.
+ */
+function renderPayroll(rows, template, { period } = {}) {
+  const format = template ? template.format : 'csv';
+  const columns = template ? parseColumns(template.columns) : GENERIC_CSV_COLUMNS;
+  const includeHeader = template ? template.include_header !== false && template.include_header !== 0 : true;
+
+  if (format === 'json') {
+    const records = rows.map(row => {
+      const record = {};
+      for (const column of columns) {
+        const raw = row[column.field];
+        record[column.header || column.field] = HOUR_FIELDS.has(column.field) || column.decimals !== undefined
+          ? Number(formatValue(row, column))
+          : (raw === undefined ? null : raw);
+      }
+      return record;
+    });
+    return {
+      content: JSON.stringify({ period, generated_at: new Date().toISOString(), [template.json_root_key || 'records']: records }, null, 2),
+      contentType: 'application/json',
+      extension: template.file_extension || 'json'
+    };
+  }
+
+  if (format === 'fixed_width') {
+    const lines = [];
+    if (includeHeader) lines.push(columns.map(column => fixedWidthValue(column.header || column.field, { ...column, pad: ' ' })).join(''));
+    for (const row of rows) lines.push(columns.map(column => fixedWidthValue(formatValue(row, column), column)).join(''));
+    return { content: lines.join('\r\n'), contentType: 'text/plain', extension: template.file_extension || 'txt' };
+  }
+
+  const delimiter = template?.delimiter || ',';
+  const lines = [];
+  if (includeHeader) lines.push(columns.map(column => csvValue(column.header || column.field, delimiter)).join(delimiter));
+  for (const row of rows) lines.push(columns.map(column => csvValue(formatValue(row, column), delimiter)).join(delimiter));
+  return { content: lines.join('\n'), contentType: 'text/csv', extension: template?.file_extension || 'csv' };
+}
+
+// Locked export of the BU overlapping [fromDay, toDay], if any
+async function findLockedExport(businessUnitId, fromDay, toDay = fromDay) {
+  if (!businessUnitId || !(await tableExists('payroll_exports'))) return null;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT * FROM payroll_exports
+     WHERE business_unit_id = ${p(1)} AND status = 'locked' AND period_start <= ${p(2)} AND period_end >= ${p(3)}
+     ORDER BY exported_at DESC LIMIT 1`,
+    [businessUnitId, toDay, fromDay]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  PAYROLL_FIELDS,
+  GENERIC_CSV_COLUMNS,
+  TEMPLATE_FORMATS,
+  validateTemplate,
+  parseColumns,
+  buildPayrollRows,
+  renderPayroll,
+  findLockedExport
+};
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { humanize, isDateOnly, collectReportSections } = require('./reportTableService');
+
+// Server-side PDF rendering with pdfkit: no browser, no external service. The built-in Helvetica
+// only covers Latin text; set PDF_FONT_PATH (and PDF_FONT_BOLD_PATH) to a TTF such as Noto Sans
+// to print names in other scripts.
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 58;
+const FOOTER_HEIGHT = 20;
+const TABLE_FONT_SIZE = 7.5;
+const TABLE_ROW_HEIGHT = 13;
+const MIN_COLUMN_WIDTH = 48;
+const MAX_COLUMN_WIDTH = 200;
+const MAX_TABLE_ROWS = 5000;
+const CLOSED_TASK_MARKS = { done: '[X]', skipped: '[-]' };
+
+function fontNames() {
+  const regular = process.env.PDF_FONT_PATH;
+  const bold = process.env.PDF_FONT_BOLD_PATH;
+  if (regular && fs.existsSync(regular)) {
+    return { regular, bold: bold && fs.existsSync(bold) ? bold : regular };
+  }
+  return { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+}
+
+// branding.logo_data_url -> PNG/JPEG buffer pdfkit can embed (other formats go through sharp)
+async function loadLogo(dataUrl) {
+  if (!dataUrl || typeof dataUrl !== 'string') return null;
+  const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataUrl);
+  if (!match) return null;
+  try {
+    const buffer = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+    if (['image/png', 'image/jpeg', 'image/jpg'].includes(match[1].toLowerCase())) return buffer;
+    return await sharp(buffer).resize({ height: 160, withoutEnlargement: true }).png().toBuffer();
+  } catch (error) {
+    logger.warn('PDF: could not read branding logo, printing without it', { error: error.message });
+    return null;
+  }
+}
+
+function formatDateTime(value, timeZone) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parts.find(part => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')} ${get('hour')}:${get('minute')}`;
+}
+
+function toDateOnly(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Cell text for any scalar a report or record may hold
+function formatValue(value, timeZone = 'UTC') {
+  if (value === null || value === undefined || value === '') return '';
+  if (value instanceof Date) return isDateOnly(value) ? toDateOnly(value) : formatDateTime(value, timeZone);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)) return formatDateTime(value, timeZone);
+  if (Array.isArray(value)) return value.map(item => formatValue(item, timeZone)).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Start a branded document. The header (logo, system name, title, subtitle) is drawn on every page;
+ * page numbers are added by finishPdf().
+ */
+function createPdf({ title, subtitle = null, branding, logo = null, layout = 'portrait', timeZone = 'UTC' }) {
+  const fonts = fontNames();
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout,
+    bufferPages: true,
+    margins: { top: MARGIN + HEADER_HEIGHT, bottom: MARGIN + FOOTER_HEIGHT, left: MARGIN, right: MARGIN },
+    info: { Title: title, Creator: branding.system_name }
+  });
+  doc.registerFont('Body', fonts.regular);
+  doc.registerFont('Body-Bold', fonts.bold);
+  doc.pdfContext = { title, subtitle, branding, logo, timeZone, generatedAt: new Date() };
+
+  const drawHeader = () => {
+    const { colors } = branding;
+    const top = MARGIN;
+    const right = doc.page.width - MARGIN;
+    let textX = MARGIN;
+    if (logo) {
+      try {
+        doc.image(logo, MARGIN, top, { fit: [110, 40] });
+        textX = MARGIN + 120;
+      } catch (error) {
+        logger.warn('PDF: branding logo could not be embedded', { error: error.message });
+      }
+    }
+    doc.font('Body-Bold').fontSize(14).fillColor(colors.primary)
+      .text(title, textX, top, { width: right - textX, lineBreak: false, ellipsis: true });
+    doc.font('Body').fontSize(8.5).fillColor(colors.text)
+      .text(branding.system_name, textX, top + 19, { width: right - textX, lineBreak: false, ellipsis: true });
+    if (subtitle) {
+      doc.fillColor('#555555').text(subtitle, textX, top + 31, { width: right - textX, lineBreak: false, ellipsis: true });
+    }
+    doc.moveTo(MARGIN, top + HEADER_HEIGHT - 10).lineTo(right, top + HEADER_HEIGHT - 10)
+      .lineWidth(1.5).strokeColor(colors.accent).stroke();
+    doc.fillColor(colors.text).font('Body').fontSize(9);
+    doc.x = MARGIN;
+    doc.y = doc.page.margins.top;
+  };
+
+  doc.on('pageAdded', drawHeader);
+  drawHeader();
+  return doc;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function bottomLimit(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottomLimit(doc)) doc.addPage();
+}
+
+function sectionTitle(doc, text) {
+  const { colors } = doc.pdfContext.branding;
+  ensureSpace(doc, 40);
+  doc.moveDown(0.6);
+  doc.font('Body-Bold').fontSize(11).fillColor(colors.secondary).text(text, MARGIN, doc.y, { width: contentWidth(doc) });
+  doc.moveDown(0.25);
+  doc.font('Body').fontSize(9).fillColor(colors.text);
+}
+
+function paragraph(doc, text, { color = null, size = 9 } = {}) {
+  if (!text) return;
+  doc.font('Body').fontSize(size).fillColor(color || doc.pdfContext.branding.colors.text)
+    .text(String(text), MARGIN, doc.y, { width: contentWidth(doc) });
+}
+
+/**
+ * Label / value pairs laid out in `columns` columns.
+ */
+function keyValueGrid(doc, pairs, { columns = 2 } = {}) {
+  const visible = pairs.filter(([, value]) => value !== undefined);
+  if (visible.length === 0) return;
+  const { timeZone, branding } = doc.pdfContext;
+  const columnWidth = contentWidth(doc) / columns;
+  const labelWidth = Math.min(130, columnWidth * 0.45);
+  const rowHeight = 14;
+  for (let i = 0; i < visible.length; i += columns) {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    visible.slice(i, i + columns).forEach(([label, value], column) => {
+      const x = MARGIN + column * columnWidth;
+      doc.font('Body-Bold').fontSize(8).fillColor('#555555')
+        .text(label, x, y, { width: labelWidth - 6, lineBreak: false, ellipsis: true });
+      doc.font('Body').fontSize(8.5).fillColor(branding.colors.text)
+        .text(formatValue(value, timeZone) || '-', x + labelWidth, y, { width: columnWidth - labelWidth - 8, lineBreak: false, ellipsis: true });
+    });
+    doc.y = y + rowHeight;
+  }
+  doc.x = MARGIN;
+}
+
+function measureColumns(doc, columns, rows) {
+  const { timeZone } = doc.pdfContext;
+  const sample = rows.slice(0, 60);
+  doc.fontSize(TABLE_FONT_SIZE);
+  return columns.map(column => {
+    if (column.width) return column.width;
+    doc.font('Body-Bold');
+    let width = doc.widthOfString(column.label);
+    doc.font('Body');
+    for (const row of sample) {
+      width = Math.max(width, doc.widthOfString(formatValue(row[column.key], timeZone)));
+    }
+    return Math.max(MIN_COLUMN_WIDTH, Math.min(MAX_COLUMN_WIDTH, width + 8));
+  });
+}
+
+// One table whose columns all fit the page width
+function drawTableChunk(doc, columns, rows) {
+  const { branding, timeZone } = doc.pdfContext;
+  const available = contentWidth(doc);
+  let widths = measureColumns(doc, columns, rows);
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  widths = widths.map(width => (width * available) / total);
+
+  const drawHeaderRow = () => {
+    const y = doc.y;
+    doc.rect(MARGIN, y, available, TABLE_ROW_HEIGHT + 2).fill(branding.colors.primary);
+    let x = MARGIN;
+    doc.font('Body-Bold').fontSize(TABLE_FONT_SIZE).fillColor('#FFFFFF');
+    columns.forEach((column, i) => {
+      doc.text(column.label, x + 3, y + 4, { width: widths[i] - 6, lineBreak: false, ellipsis: true, align: column.align || 'left' });
+      x += widths[i];
+    });
+    doc.y = y + TABLE_ROW_HEIGHT + 2;
+  };
+
+  ensureSpace(doc, TABLE_ROW_HEIGHT * 3);
+  drawHeaderRow();
+  rows.forEach((row, index) => {
+    if (doc.y + TABLE_ROW_HEIGHT > bottomLimit(doc)) {
+      doc.addPage();
+      drawHeaderRow();
+    }
+    const y = doc.y;
+    if (index % 2 === 1) doc.rect(MARGIN, y, available, TABLE_ROW_HEIGHT).fill('#F3F3F6');
+    let x = MARGIN;
+    doc.font('Body').fontSize(TABLE_FONT_SIZE).fillColor(branding.colors.text);
+    columns.forEach((column, i) => {
+      doc.text(formatValue(row[column.key], timeZone), x + 3, y + 3, {
+        width: widths[i] - 6, lineBreak: false, ellipsis: true, align: column.align || 'left'
+      });
+      x += widths[i];
+    });
+    doc.y = y + TABLE_ROW_HEIGHT;
+  });
+  doc.x = MARGIN;
+  doc.moveDown(0.5);
+}
+
+/**
+ * Table of rows under columns ([{ key, label, align, width }]). Tables too wide for the page are
+ * split into column groups, each repeating the first column so rows stay identifiable.
+ */
+function drawTable(doc, columns, rows, { emptyText = 'No records' } = {}) {
+  if (rows.length === 0) {
+    paragraph(doc, emptyText, { color: '#777777', size: 8.5 });
+    doc.moveDown(0.3);
+    return;
+  }
+  const shown = rows.slice(0, MAX_TABLE_ROWS);
+  const perChunk = Math.max(2, Math.floor(contentWidth(doc) / (MIN_COLUMN_WIDTH + 22)));
+  if (columns.length <= perChunk) {
+    drawTableChunk(doc, columns, shown);
+  } else {
+    const [pinned, ...rest] = columns;
+    for (let i = 0; i < rest.length; i += perChunk - 1) {
+      if (i > 0) paragraph(doc, `(continued: columns ${i + 2}-${Math.min(i + perChunk, columns.length)} of ${columns.length})`, { color: '#777777', size: 7.5 });
+      drawTableChunk(doc, [pinned, ...rest.slice(i, i + perChunk - 1)], shown);
+    }
+  }
+  if (rows.length > shown.length) {
+    paragraph(doc, `Showing the first ${shown.length} of ${rows.length} rows; use the JSON or CSV export for the full data.`, { color: '#777777', size: 8 });
+  }
+}
+
+// Signature boxes side by side: a line to sign on, then name and date lines
+function signatureBlocks(doc, labels) {
+  const { branding } = doc.pdfContext;
+  const gap = 16;
+  const width = (contentWidth(doc) - gap * (labels.length - 1)) / labels.length;
+  const height = 78;
+  ensureSpace(doc, height + 24);
+  doc.moveDown(0.8);
+  const y = doc.y;
+  labels.forEach((label, i) => {
+    const x = MARGIN + i * (width + gap);
+    doc.rect(x, y, width, height).lineWidth(0.7).strokeColor('#999999').stroke();
+    doc.font('Body-Bold').fontSize(8.5).fillColor(branding.colors.secondary).text(label, x + 6, y + 5, { width: width - 12, lineBreak: false });
+    doc.font('Body').fontSize(7.5).fillColor('#555555');
+    [['Signature', 38], ['Name', 52], ['Date', 66]].forEach(([caption, offset]) => {
+      doc.text(caption, x + 6, y + offset - 8, { width: 40, lineBreak: false });
+      doc.moveTo(x + 46, y + offset).lineTo(x + width - 8, y + offset).lineWidth(0.5).strokeColor('#999999').stroke();
+    });
+  });
+  doc.y = y + height + 6;
+  doc.x = MARGIN;
+}
+
+// Footers on every page, then the finished file
+function finishPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { branding, timeZone, generatedAt } = doc.pdfContext;
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0; // writing inside the margin must not start a new page
+      const y = doc.page.height - MARGIN - 10;
+      doc.font('Body').fontSize(7).fillColor('#777777');
+      doc.text(`${branding.system_name} - generated ${formatDateTime(generatedAt, timeZone)} (${timeZone})`, MARGIN, y, {
+        width: contentWidth(doc) / 2, lineBreak: false, ellipsis: true
+      });
+      doc.text(`Page ${i - range.start + 1} of ${range.count}`, MARGIN + contentWidth(doc) / 2, y, {
+        width: contentWidth(doc) / 2, align: 'right', lineBreak: false
+      });
+      doc.page.margins.bottom = bottomMargin;
+    }
+    doc.end();
+  });
+}
+
+function sendPdf(res, buffer, filename) {
+  const safeName = String(filename).replace(/[^A-Za-z0-9._-]+/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.end(buffer);
+}
+
+/**
+ * PDF of a report payload ({ report, data, summary, ... } as returned by /reports/*), section by
+ * section as laid out by reportTableService.collectReportSections().
+ */
+async function renderReportPdf({ title, payload, filters = {}, branding, timeZone = 'UTC' }) {
+  const report = payload && typeof payload.report === 'object' ? payload.report : {};
+  const period = report.from || report.to || filters.start_date || filters.end_date || filters.from || filters.to
+    ? `Period: ${formatValue(report.from || filters.start_date || filters.from || '...', timeZone)} to ${formatValue(report.to || filters.end_date || filters.to || '...', timeZone)}`
+    : null;
+  const doc = createPdf({
+    title,
+    subtitle: period,
+    branding,
+    logo: await loadLogo(branding.logo_data_url),
+    layout: 'landscape',
+    timeZone
+  });
+
+  for (const section of collectReportSections(payload, filters, { includeGeneratedAt: false })) {
+    sectionTitle(doc, section.name);
+    if (section.type === 'table') {
+      drawTable(doc, section.columns, section.rows);
+    } else {
+      keyValueGrid(doc, section.pairs, { columns: 3 });
+    }
+  }
+  return finishPdf(doc);
+}
+
+/**
+ * Branded job card printout: job and customer/vehicle details, tasks, time lines, parts and
+ * signature blocks. data comes from jobCardPrintService.getJobCardPrintData().
+ */
+async function renderJobCardPdf({ data, branding, timeZone = 'UTC' }) {
+  const { jobCard, customer, vehicle, technicians, tasks, timeLogs, parts, showPrices } = data;
+  const doc = createPdf({
+    title: `Job Card ${jobCard.job_number}`,
+    subtitle: [jobCard.status && `Status: ${humanize(jobCard.status)}`, jobCard.priority_name && `Priority: ${jobCard.priority_name}`]
+      .filter(Boolean).join('   '),
+    branding,
+    logo: await loadLogo(branding.logo_data_url),
+    timeZone
+  });
+
+  sectionTitle(doc, 'Job');
+  keyValueGrid(doc, [
+    ['Job Number', jobCard.job_number],
+    ['Work Type', jobCard.work_type],
+    ['Job Type', jobCard.job_type],
+    ['Created', jobCard.created_at],
+    ['Created By', jobCard.created_by_name],
+    ['Promised', jobCard.promised_at],
+    ['Estimated Hours', jobCard.estimated_hours],
+    ['Actual Hours', jobCard.actual_hours],
+    ['Technicians', technicians.join(', ')],
+    ['Completed', jobCard.completed_at]
+  ].filter(([, value]) => value !== null && value !== undefined && value !== ''));
+  if (jobCard.problem_description) {
+    doc.moveDown(0.3);
+    paragraph(doc, `Problem: ${jobCard.problem_description}`);
+  }
+
+  sectionTitle(doc, 'Customer & Vehicle');
+  keyValueGrid(doc, [
+    ['Customer', customer.customer_name],
+    ['Plate', vehicle.license_plate],
+    ['Phone', customer.phone],
+    ['VIN', vehicle.vin],
+    ['Email', customer.email],
+    ['Vehicle', [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')],
+    ['Address', customer.address],
+    ['Odometer', vehicle.odometer]
+  ]);
+
+  sectionTitle(doc, 'Tasks');
+  drawTable(doc, [
+    { key: 'sequence', label: '#', width: 24, align: 'right' },
+    { key: 'title', label: 'Task', width: 190 },
+    { key: 'status', label: 'Status', width: 60 },
+    { key: 'assigned_technician_name', label: 'Technician', width: 100 },
+    { key: 'estimated_minutes', label: 'Est. min', width: 50, align: 'right' },
+    { key: 'actual_minutes', label: 'Actual min', width: 55, align: 'right' },
+    { key: 'check', label: 'Done', width: 34 }
+  ], tasks.map(task => ({ ...task, check: CLOSED_TASK_MARKS[task.status] || '[  ]' })), { emptyText: 'No tasks on this job card' });
+
+  sectionTitle(doc, 'Time');
+  drawTable(doc, [
+    { key: 'technician_name', label: 'Technician', width: 110 },
+    { key: 'task_title', label: 'Task', width: 130 },
+    { key: 'start_ts', label: 'Start', width: 85 },
+    { key: 'end_ts', label: 'End', width: 85 },
+    { key: 'hours', label: 'Hours', width: 45, align: 'right' },
+    { key: 'status', label: 'Status', width: 55 }
+  ], timeLogs, { emptyText: 'No time logged' });
+
+  sectionTitle(doc, 'Parts');
+  const partColumns = [
+    { key: 'part_number', label: 'Part No.', width: 90 },
+    { key: 'part_name', label: 'Description', width: 200 },
+    { key: 'quantity', label: 'Qty', width: 40, align: 'right' }
+  ];
+  if (showPrices) {
+    partColumns.push(
+      { key: 'unit_cost', label: 'Unit', width: 60, align: 'right' },
+      { key: 'total_cost', label: 'Total', width: 60, align: 'right' },
+      { key: 'currency_code', label: 'Cur.', width: 34 }
+    );
+  }
+  drawTable(doc, partColumns, parts, { emptyText: 'No parts used' });
+
+  signatureBlocks(doc, ['Technician', 'Service Advisor', 'Customer']);
+  return finishPdf(doc);
+}
+
+module.exports = {
+  loadLogo,
+  formatValue,
+  humanize,
+  createPdf,
+  sectionTitle,
+  paragraph,
+  keyValueGrid,
+  drawTable,
+  signatureBlocks,
+  finishPdf,
+  sendPdf,
+  renderReportPdf,
+  renderJobCardPdf
+};
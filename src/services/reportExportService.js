@@ -0,0 +1,264 @@
+const ExcelJS = require('exceljs');
+const { getSetting } = require('../utils/settings');
+const { safeTimeZone, zonedParts } = require('../utils/timezone');
+const { isScalar, isDateOnly, collectReportSections } = require('./reportTableService');
+
+// CSV (RFC 4180) and XLSX downloads of /reports/* payloads. Both are written to the response as
+// they are produced, so the export never builds a second copy of the report in memory; reports
+// that grow with the date range pass their rows as a RowStream, read from the database in batches.
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const ROWS_PER_WRITE = 500;
+const MAX_SHEET_NAME = 31;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+const NUMERIC_TEXT = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+function isSupportedLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Locale and timezone exports are formatted in: ?locale=, else reports.export_locale, and
+ * system.timezone. Returns { locale, timeZone } or { error } (a message) for an unknown ?locale.
+ */
+async function getExportOptions(query = {}) {
+  const timeZone = safeTimeZone(await getSetting('system.timezone', 'UTC'));
+  if (query.locale) {
+    if (!isSupportedLocale(query.locale)) return { error: `Unsupported locale: ${query.locale}` };
+    return { locale: query.locale, timeZone };
+  }
+  const configured = await getSetting('reports.export_locale', 'en-US');
+  return { locale: isSupportedLocale(configured) ? configured : 'en-US', timeZone };
+}
+
+// Report value with ISO timestamps decoded; numeric columns were already converted by
+// collectReportSections(), so other strings stay text
+function normalizeCell(value) {
+  if (typeof value === 'string') {
+    if (ISO_TIMESTAMP.test(value)) {
+      const date = new Date(value);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+  }
+  return value;
+}
+
+// Only Date objects from the driver can be DATE columns; ISO strings in payloads are instants
+function isCalendarDay(value) {
+  return value instanceof Date && isDateOnly(value);
+}
+
+// Spreadsheet apps run text starting with these as a formula; signed numbers are left alone
+function escapeFormula(str) {
+  return /^[=+\-@\t\r]/.test(str) && !NUMERIC_TEXT.test(str) ? `'${str}` : str;
+}
+
+function createCsvFormatter({ locale, timeZone }) {
+  const numberFormat = new Intl.NumberFormat(locale, { useGrouping: false, maximumFractionDigits: 4 });
+  const dayParts = { year: 'numeric', month: '2-digit', day: '2-digit' };
+  const dateTimeFormat = new Intl.DateTimeFormat(locale, { ...dayParts, hour: '2-digit', minute: '2-digit', timeZone });
+  const dateFormat = new Intl.DateTimeFormat(locale, dayParts);
+
+  const text = (value) => {
+    const cell = normalizeCell(value);
+    if (cell === null || cell === undefined) return '';
+    if (cell instanceof Date) {
+      if (Number.isNaN(cell.getTime())) return '';
+      return isCalendarDay(value) ? dateFormat.format(cell) : dateTimeFormat.format(cell);
+    }
+    if (typeof cell === 'number') return Number.isFinite(cell) ? numberFormat.format(cell) : '';
+    if (typeof cell === 'boolean') return cell ? 'Yes' : 'No';
+    if (Array.isArray(cell)) return cell.map(text).join(', ');
+    if (typeof cell === 'object') return JSON.stringify(cell);
+    // Spreadsheet apps run text starting with these as a formula; signed numbers are left alone
+    const str = String(cell);
+    return /^[=+\-@\t\r]/.test(str) && !NUMERIC_TEXT.test(str) ? `'${str}` : str;
+  };
+
+  // Always comma-separated; a locale's decimal comma just gets the field quoted
+  const field = (value) => {
+    const str = text(value);
+    return /[",\r\n]/.test(str) || str !== str.trim()
+      ? `"${str.replace(/"/g, '""')}"`
+      : str;
+  };
+
+  return { record: (values) => values.map(field).join(',') + '\r\n' };
+}
+
+// A table's rows in batches of ROWS_PER_WRITE; a streamed table already yields batches
+async function* rowBatches(rows) {
+  if (!Array.isArray(rows)) {
+    yield* rows;
+    return;
+  }
+  for (let i = 0; i < rows.length; i += ROWS_PER_WRITE) yield rows.slice(i, i + ROWS_PER_WRITE);
+}
+
+// res.write() with backpressure
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Client closed the connection during export'));
+    };
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+/**
+ * CSV of a report: its `data` table when it has one, otherwise every section in turn, each
+ * preceded by a record holding its title and separated by an empty line. UTF-8 with BOM and CRLF
+ * records so Excel opens it as-is.
+ */
+async function streamCsv(res, sections, options) {
+  const { record } = createCsvFormatter(options);
+  const tables = sections.filter(section => section.type === 'table');
+  const main = tables.find(section => section.key === 'data');
+  const parts = main ? [main] : sections;
+
+  await write(res, '\uFEFF');
+  for (const [index, section] of parts.entries()) {
+    if (!main) {
+      if (index > 0) await write(res, '\r\n');
+      await write(res, record([section.name]));
+    }
+    if (section.type === 'pairs') {
+      await write(res, section.pairs.map(pair => record(pair)).join(''));
+      continue;
+    }
+    await write(res, record(section.columns.map(column => column.label)));
+    for await (const batch of rowBatches(section.rows)) {
+      await write(res, batch.map(row => record(section.columns.map(column => row[column.key]))).join(''));
+    }
+  }
+  res.end();
+}
+
+function sheetName(name, used) {
+  const base = String(name).replace(/[\[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME) || 'Sheet';
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Cell value and number format for XLSX. Excel has no timezones, so instants are written as the
+ * wall-clock time in system.timezone; Excel then shows numbers and dates in the reader's locale.
+ */
+function xlsxCell(value, timeZone) {
+  const cell = normalizeCell(value);
+  if (cell === null || cell === undefined) return { value: null };
+  if (cell instanceof Date) {
+    if (Number.isNaN(cell.getTime())) return { value: null };
+    if (isCalendarDay(value)) {
+      return { value: new Date(Date.UTC(cell.getFullYear(), cell.getMonth(), cell.getDate())), numFmt: 'yyyy-mm-dd' };
+    }
+    return { value: new Date(cell.getTime() + zonedParts(cell, timeZone).offsetMs), numFmt: 'yyyy-mm-dd hh:mm' };
+  }
+  if (typeof cell === 'number') {
+    if (!Number.isFinite(cell)) return { value: null };
+    return { value: cell, numFmt: Number.isInteger(cell) ? '0' : '#,##0.00' };
+  }
+  if (typeof cell === 'boolean') return { value: cell };
+  if (Array.isArray(cell)) return { value: cell.map(item => (isScalar(item) ? String(item ?? '') : JSON.stringify(item))).join(', ') };
+  if (typeof cell === 'object') return { value: JSON.stringify(cell) };
+  return { value: String(cell) };
+}
+
+function addRow(sheet, values, timeZone, { bold = false } = {}) {
+  const cells = values.map(value => xlsxCell(value, timeZone));
+  const row = sheet.addRow(cells.map(cell => cell.value));
+  cells.forEach((cell, i) => {
+    if (cell.numFmt) row.getCell(i + 1).numFmt = cell.numFmt;
+  });
+  if (bold) row.font = { bold: true };
+  row.commit();
+}
+
+/**
+ * XLSX of a report: a "Summary" sheet with the parameters and every label/value section, then one
+ * sheet per table (so /reports/comprehensive gets By Technician, Completed and Incomplete sheets).
+ */
+async function streamXlsx(res, sections, { timeZone, title }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  workbook.created = new Date();
+  const used = new Set();
+
+  const pairSections = sections.filter(section => section.type === 'pairs');
+  if (pairSections.length > 0) {
+    const sheet = workbook.addWorksheet(sheetName('Summary', used));
+    sheet.columns = [{ width: 32 }, { width: 40 }];
+    addRow(sheet, [title], timeZone, { bold: true });
+    for (const section of pairSections) {
+      addRow(sheet, [], timeZone);
+      addRow(sheet, [section.name], timeZone, { bold: true });
+      for (const pair of section.pairs) addRow(sheet, pair, timeZone);
+    }
+    sheet.commit();
+  }
+
+  for (const section of sections.filter(item => item.type === 'table')) {
+    const sheet = workbook.addWorksheet(sheetName(section.name === 'Data' ? title : section.name, used), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    // Streamed rows aren't known yet, so those columns are sized from their labels
+    const sample = Array.isArray(section.rows) ? section.rows.slice(0, 50) : [];
+    sheet.columns = section.columns.map(column => ({
+      width: Math.min(50, Math.max(10, column.label.length + 2,
+        ...sample.map(row => String(row[column.key] ?? '').length + 2)))
+    }));
+    addRow(sheet, section.columns.map(column => column.label), timeZone, { bold: true });
+    let rowCount = 0;
+    for await (const batch of rowBatches(section.rows)) {
+      for (const row of batch) addRow(sheet, section.columns.map(column => row[column.key]), timeZone);
+      rowCount += batch.length;
+      // let the zip stream flush between batches
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (rowCount === 0) addRow(sheet, ['No records'], timeZone);
+    sheet.commit();
+  }
+  await workbook.commit();
+}
+
+/**
+ * Send a report payload as a CSV or XLSX download. options: { locale, timeZone } from
+ * getExportOptions(); numericColumns is the Set of column keys written as numbers.
+ */
+async function streamReportExport(res, { format, title, payload, filters = {}, filename, numericColumns, locale, timeZone }) {
+  const sections = collectReportSections(payload, filters, { numericColumns });
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return streamCsv(res, sections, { locale, timeZone });
+  }
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  return streamXlsx(res, sections, { timeZone, title });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  escapeFormula,
+  getExportOptions,
+  streamReportExport
+};
@@ -0,0 +1,161 @@
+// Turns a /reports/* JSON payload into printable sections (label/value pairs and tables) for the
+// PDF, CSV and XLSX renderers, so every report exports without per-report code.
+
+const MAX_NESTING = 2;
+// Query parameters that choose the output rather than filter the report
+const OUTPUT_PARAMS = ['format', 'locale'];
+const DECIMAL_STRING = /^-?\d+(\.\d+)?$/; // DECIMAL (and BIGINT) columns arrive as strings
+const NO_NUMERIC_COLUMNS = new Set();
+
+function humanize(key) {
+  return String(key)
+    .replace(/[._]+/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function isScalar(value) {
+  return value === null || value === undefined || value instanceof Date || typeof value !== 'object';
+}
+
+// DATE columns come back from the driver as local midnight: a calendar day, not an instant
+function isDateOnly(date) {
+  return date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0 && date.getMilliseconds() === 0;
+}
+
+function isRowArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && !Array.isArray(item) && !(item instanceof Date));
+}
+
+// Decimal strings become numbers only under a column the report says is numeric, never by content
+// (an employee code of '00123' is text)
+function numericValue(key, value, numericColumns) {
+  return typeof value === 'string' && numericColumns.has(key) && DECIMAL_STRING.test(value) ? Number(value) : value;
+}
+
+// Flatten one level of nested objects into "parent.key" columns; arrays of scalars stay as lists
+function flattenRow(row, numericColumns = NO_NUMERIC_COLUMNS) {
+  const flat = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (isScalar(value)) {
+      flat[key] = numericValue(key, value, numericColumns);
+    } else if (Array.isArray(value)) {
+      if (value.every(isScalar)) flat[key] = value;
+    } else {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        if (isScalar(subValue)) flat[`${key}.${subKey}`] = numericValue(subKey, subValue, numericColumns);
+      }
+    }
+  }
+  return flat;
+}
+
+// Columns in first-seen order across all rows; numeric columns align right
+function columnsForRows(rows) {
+  const keys = [];
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        keys.push(key);
+      }
+    }
+  }
+  return keys.map(key => ({
+    key,
+    label: humanize(key),
+    align: rows.slice(0, 50).every(row => row[key] == null || typeof row[key] === 'number') ? 'right' : 'left'
+  }));
+}
+
+/**
+ * Table rows read batch by batch (an async iterable of row arrays) instead of loaded up front, so
+ * a CSV/XLSX export of a long range goes from the database to the response without holding every
+ * row. The columns are fixed up front since they can't be read off the rows.
+ */
+class RowStream {
+  constructor(keys, batches) {
+    this.columns = keys.map(key => ({ key, label: humanize(key), align: 'left' }));
+    this.batches = batches;
+  }
+}
+
+function tableSection(key, name, value, numericColumns) {
+  const flatten = row => flattenRow(row, numericColumns);
+  if (value instanceof RowStream) {
+    const rows = {
+      async *[Symbol.asyncIterator]() {
+        for await (const batch of value.batches) yield batch.map(flatten);
+      }
+    };
+    return { type: 'table', key, name, columns: value.columns, rows };
+  }
+  const rows = (value || []).map(flatten);
+  return { type: 'table', key, name, columns: columnsForRows(rows), rows };
+}
+
+function collectValue(sections, key, name, value, depth, numericColumns) {
+  if (value instanceof RowStream || isRowArray(value) || (Array.isArray(value) && value.length === 0)) {
+    sections.push(tableSection(key, name, value, numericColumns));
+    return;
+  }
+  if (Array.isArray(value)) {
+    sections.push({ type: 'pairs', key, name, pairs: [[name, value]] });
+    return;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value);
+    const isPair = ([, item]) => isScalar(item) || (Array.isArray(item) && item.every(isScalar));
+    const pairs = entries.filter(isPair);
+    if (pairs.length > 0) {
+      sections.push({
+        type: 'pairs',
+        key,
+        name,
+        pairs: pairs.map(([itemKey, item]) => [humanize(itemKey), numericValue(itemKey, item, numericColumns)])
+      });
+    }
+    for (const [itemKey, item] of entries) {
+      if (isPair([itemKey, item])) continue;
+      if (depth >= MAX_NESTING && !isRowArray(item)) continue;
+      collectValue(sections, `${key}.${itemKey}`, `${name} - ${humanize(itemKey)}`, item, depth + 1, numericColumns);
+    }
+    return;
+  }
+  sections.push({ type: 'pairs', key, name, pairs: [[name, value]] });
+}
+
+/**
+ * Sections of a report payload in print order: the report's own metadata and the request filters
+ * ("Report Parameters"), then summaries, then `data`, then whatever else the report returns.
+ * Pairs sections carry [label, value]; table sections carry columns and flattened rows (an array,
+ * or for a RowStream an async iterable of row batches). Decimal strings under numericColumns (a Set
+ * of column keys) become numbers; all other strings stay as they are.
+ */
+function collectReportSections(payload, filters = {}, { includeGeneratedAt = true, numericColumns = NO_NUMERIC_COLUMNS } = {}) {
+  const report = payload && payload.report && typeof payload.report === 'object' ? payload.report : {};
+  const { report: omitted, data, ...rest } = payload || {};
+  const sections = [];
+
+  const parameterPairs = [
+    ...Object.entries(report).filter(([key, value]) => isScalar(value) && (includeGeneratedAt || key !== 'generated_at')),
+    ...Object.entries(filters).filter(([key, value]) => !OUTPUT_PARAMS.includes(key) && !(key in report) && value !== undefined && value !== '')
+  ].map(([key, value]) => [humanize(key), value]);
+  if (parameterPairs.length > 0) sections.push({ type: 'pairs', key: 'report', name: 'Report Parameters', pairs: parameterPairs });
+
+  const summaryKeys = Object.keys(rest).filter(key => /summary/i.test(key));
+  for (const key of summaryKeys) collectValue(sections, key, humanize(key), rest[key], 0, numericColumns);
+  if (data !== undefined) collectValue(sections, 'data', 'Data', data, 0, numericColumns);
+  for (const [key, value] of Object.entries(rest)) {
+    if (!summaryKeys.includes(key)) collectValue(sections, key, humanize(key), value, 0, numericColumns);
+  }
+  return sections;
+}
+
+module.exports = {
+  RowStream,
+  humanize,
+  isScalar,
+  isDateOnly,
+  collectReportSections
+};
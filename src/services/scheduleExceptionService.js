@@ -0,0 +1,151 @@
+const db = require('../database/connection');
+
+const LEAVE_TYPES = ['annual', 'sick', 'unpaid', 'compassionate', 'other'];
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Inclusive list of 'YYYY-MM-DD' days
+function datesInRange(startYYYYMMDD, endYYYYMMDD) {
+  const days = [];
+  const end = new Date(`${endYYYYMMDD}T00:00:00Z`);
+  for (let d = new Date(`${startYYYYMMDD}T00:00:00Z`); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
+    days.push(d.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Insert or overwrite the technician's exception for one day (schedule_exceptions is unique per
+ * technician + date). leave_request_id / leave_type are only written when the leave columns exist.
+ */
+async function upsertScheduleException({
+  technicianId,
+  exceptionDate,
+  isWorkingDay = false,
+  startTime = null,
+  endTime = null,
+  reason = null,
+  leaveRequestId = null,
+  leaveType = null,
+  createdBy = null
+}) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const hasLeaveColumns = await columnExists('schedule_exceptions', 'leave_request_id');
+
+  const existing = await db.query(
+    `SELECT id FROM schedule_exceptions WHERE technician_id = ${p(1)} AND exception_date = ${p(2)}`,
+    [technicianId, exceptionDate]
+  );
+
+  const values = [!!isWorkingDay, isWorkingDay ? startTime : null, isWorkingDay ? endTime : null, reason];
+  const columns = ['is_working_day', 'start_time', 'end_time', 'reason'];
+  if (hasLeaveColumns) {
+    columns.push('leave_request_id', 'leave_type');
+    values.push(leaveRequestId, leaveType);
+  }
+
+  if (existing.rows.length > 0) {
+    const id = existing.rows[0].id;
+    await db.query(
+      `UPDATE schedule_exceptions SET ${columns.map((c, i) => `${c} = ${p(i + 1)}`).join(', ')} WHERE id = ${p(columns.length + 1)}`,
+      [...values, id]
+    );
+    return id;
+  }
+
+  const insertColumns = ['technician_id', 'exception_date', ...columns];
+  const insertValues = [technicianId, exceptionDate, ...values];
+  if (hasLeaveColumns) {
+    insertColumns.push('created_by');
+    insertValues.push(createdBy);
+  }
+  const placeholders = insertColumns.map((_, i) => p(i + 1)).join(', ');
+  if (dbType === 'mysql') {
+    const insertResult = await db.query(
+      `INSERT INTO schedule_exceptions (${insertColumns.join(', ')}) VALUES (${placeholders})`,
+      insertValues
+    );
+    return insertResult.rows.insertId;
+  }
+  const insertResult = await db.query(
+    `INSERT INTO schedule_exceptions (${insertColumns.join(', ')}) VALUES (${placeholders}) RETURNING id`,
+    insertValues
+  );
+  return insertResult.rows[0].id;
+}
+
+/**
+ * The technician's own (non-leave) exceptions between two days inclusive. Leave approval would
+ * overwrite these and cancelling it would then delete them, so they have to be resolved first.
+ */
+async function findNonLeaveExceptions(technicianId, startYYYYMMDD, endYYYYMMDD) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const hasLeaveColumns = await columnExists('schedule_exceptions', 'leave_request_id');
+  const result = await db.query(
+    `SELECT id, exception_date, is_working_day, reason FROM schedule_exceptions
+     WHERE technician_id = ${p(1)} AND exception_date >= ${p(2)} AND exception_date <= ${p(3)}
+     ${hasLeaveColumns ? 'AND leave_request_id IS NULL' : ''}
+     ORDER BY exception_date ASC`,
+    [technicianId, startYYYYMMDD, endYYYYMMDD]
+  );
+  return (result.rows || []).map(row => ({ ...row, exception_date: toDateOnly(row.exception_date) }));
+}
+
+// Day-off exceptions for every day of an approved leave request. Returns the number of days written.
+async function createLeaveExceptions(leaveRequest, approvedBy) {
+  const days = datesInRange(toDateOnly(leaveRequest.start_date), toDateOnly(leaveRequest.end_date));
+  for (const day of days) {
+    await upsertScheduleException({
+      technicianId: leaveRequest.technician_id,
+      exceptionDate: day,
+      isWorkingDay: false,
+      reason: leaveRequest.reason ? `Leave (${leaveRequest.leave_type}): ${leaveRequest.reason}` : `Leave (${leaveRequest.leave_type})`,
+      leaveRequestId: leaveRequest.id,
+      leaveType: leaveRequest.leave_type,
+      createdBy: approvedBy
+    });
+  }
+  return days.length;
+}
+
+// Remove the exceptions an approved leave request created (leave cancelled after approval)
+async function removeLeaveExceptions(leaveRequestId) {
+  if (!(await columnExists('schedule_exceptions', 'leave_request_id'))) return 0;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `DELETE FROM schedule_exceptions WHERE leave_request_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [leaveRequestId]
+  );
+  return result.rowCount || 0;
+}
+
+// DATE columns may come back as Date objects (local midnight) or strings depending on the driver
+function toDateOnly(value) {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+module.exports = {
+  LEAVE_TYPES,
+  datesInRange,
+  toDateOnly,
+  upsertScheduleException,
+  findNonLeaveExceptions,
+  createLeaveExceptions,
+  removeLeaveExceptions
+};
@@ -0,0 +1,188 @@
+const db = require('../database/connection');
+const { getSetting, getNumberSetting } = require('../utils/settings');
+const { safeTimeZone, zonedParts, zonedTimeToDate } = require('../utils/timezone');
+const { getHolidayDates } = require('./holidayService');
+
+const DEFAULT_WORKING_HOURS = { start: '08:00', end: '18:00', weekdays: [1, 2, 3, 4, 5, 6] };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 400;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+async function columnExists(tableName, columnName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM ${tableName} LIKE '${columnName}'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = '${tableName}' AND column_name = '${columnName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+// SLA columns on job_cards and targets on priority_levels (schema_job_card_sla.sql)
+async function slaAvailable() {
+  return (await columnExists('job_cards', 'sla_due_at')) && (await columnExists('priority_levels', 'sla_target_hours'));
+}
+
+function addDays(ymd, days) {
+  return new Date(new Date(`${ymd}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function isTimeOfDay(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value);
+}
+
+/**
+ * Working calendar of a BU between two instants: sla.working_hours in system.timezone, minus its
+ * holidays. A misconfigured sla.working_hours falls back to round-the-clock counting.
+ */
+async function getWorkingCalendar(businessUnitId, from, to) {
+  const timeZone = safeTimeZone(await getSetting('system.timezone', 'UTC'));
+  const configured = await getSetting('sla.working_hours', DEFAULT_WORKING_HOURS);
+  const hours = configured && typeof configured === 'object' ? configured : DEFAULT_WORKING_HOURS;
+  const weekdays = Array.isArray(hours.weekdays) ? hours.weekdays.map(Number).filter(d => d >= 0 && d <= 6) : [];
+  const roundTheClock = !isTimeOfDay(hours.start) || !isTimeOfDay(hours.end) || hours.start >= hours.end || weekdays.length === 0;
+
+  const fromDay = zonedParts(from, timeZone).ymd;
+  const toDay = zonedParts(to, timeZone).ymd;
+  const holidays = roundTheClock ? new Map() : await getHolidayDates(businessUnitId, fromDay, toDay);
+  return { timeZone, start: hours.start, end: hours.end, weekdays, holidays, roundTheClock };
+}
+
+// [start, end] working window of a calendar day, or null when the day is off
+function workingWindow(ymd, calendar) {
+  const weekday = new Date(`${ymd}T00:00:00Z`).getUTCDay();
+  if (!calendar.weekdays.includes(weekday) || calendar.holidays.has(ymd)) return null;
+  return [
+    zonedTimeToDate(ymd, calendar.start, calendar.timeZone),
+    zonedTimeToDate(ymd, calendar.end, calendar.timeZone)
+  ];
+}
+
+// Instant `hours` working hours after `start`
+function addWorkingHours(start, hours, calendar) {
+  const startDate = new Date(start);
+  if (calendar.roundTheClock) return new Date(startDate.getTime() + hours * 3600 * 1000);
+
+  let remaining = hours * 3600 * 1000;
+  let ymd = zonedParts(startDate, calendar.timeZone).ymd;
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++, ymd = addDays(ymd, 1)) {
+    const window = workingWindow(ymd, calendar);
+    if (!window) continue;
+    const segmentStart = Math.max(window[0].getTime(), startDate.getTime());
+    const available = window[1].getTime() - segmentStart;
+    if (available <= 0) continue;
+    if (remaining <= available) return new Date(segmentStart + remaining);
+    remaining -= available;
+  }
+  return new Date(startDate.getTime() + hours * 3600 * 1000);
+}
+
+// Working hours between two instants (0 when end is not after start)
+function workingHoursBetween(start, end, calendar) {
+  const startMs = new Date(start).getTime();
+  const endMs = new Date(end).getTime();
+  if (!(endMs > startMs)) return 0;
+  if (calendar.roundTheClock) return (endMs - startMs) / 3600000;
+
+  let total = 0;
+  let ymd = zonedParts(new Date(startMs), calendar.timeZone).ymd;
+  const lastDay = zonedParts(new Date(endMs), calendar.timeZone).ymd;
+  for (let i = 0; i < MAX_CALENDAR_DAYS && ymd <= lastDay; i++, ymd = addDays(ymd, 1)) {
+    const window = workingWindow(ymd, calendar);
+    if (!window) continue;
+    const overlap = Math.min(window[1].getTime(), endMs) - Math.max(window[0].getTime(), startMs);
+    if (overlap > 0) total += overlap;
+  }
+  return total / 3600000;
+}
+
+async function getSlaTargetHours(businessUnitId, priority) {
+  if (!businessUnitId || priority == null) return null;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT sla_target_hours FROM priority_levels
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND priority_value = ${dbType === 'mysql' ? '?' : '$2'} AND is_active = true`,
+    [businessUnitId, priority]
+  );
+  const hours = parseFloat(result.rows[0]?.sla_target_hours);
+  return Number.isFinite(hours) && hours > 0 ? hours : null;
+}
+
+/**
+ * SLA due time of a job card created at createdAt with this priority, or null when the BU's
+ * priority level has no sla_target_hours.
+ */
+async function computeSlaDueAt({ businessUnitId, priority, createdAt }) {
+  const targetHours = await getSlaTargetHours(businessUnitId, priority);
+  if (!targetHours) return null;
+  const start = new Date(createdAt || Date.now());
+  // Window wide enough for the target even across weekends and holidays
+  const horizon = new Date(start.getTime() + Math.max(14, Math.ceil(targetHours / 2)) * DAY_MS);
+  const calendar = await getWorkingCalendar(businessUnitId, start, horizon);
+  return addWorkingHours(start, targetHours, calendar);
+}
+
+/**
+ * State of a deadline at `now` for a job opened at startAt: breached once due, at_risk once
+ * atRiskPercent of the working time between start and due has elapsed, otherwise on_track.
+ */
+function evaluateDeadline({ startAt, dueAt, now, calendar, atRiskPercent }) {
+  const due = new Date(dueAt);
+  if (now >= due) return 'breached';
+  const total = workingHoursBetween(startAt, due, calendar);
+  if (!(total > 0)) return 'at_risk';
+  const elapsed = workingHoursBetween(startAt, now, calendar);
+  return (elapsed / total) * 100 >= atRiskPercent ? 'at_risk' : 'on_track';
+}
+
+// At-risk and breach flags raised on a job card, oldest first
+async function listSlaEvents(jobCardId) {
+  if (!(await tableExists('job_card_sla_events'))) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM job_card_sla_events WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'} ORDER BY detected_at ASC, id ASC`,
+    [jobCardId]
+  );
+  return result.rows || [];
+}
+
+// SQL condition on job_cards jc: closed when completed/cancelled or in a closed status of its BU
+function closedCondition(hasStatuses) {
+  return `(jc.status IN ('completed', 'cancelled')${hasStatuses
+    ? ` OR EXISTS (SELECT 1 FROM job_card_statuses s
+         WHERE s.business_unit_id = jc.business_unit_id AND s.status_code = jc.status AND s.is_closed_status = true)`
+    : ''})`;
+}
+
+async function getAtRiskPercent() {
+  const percent = await getNumberSetting('sla.at_risk_percent', 75);
+  return percent > 0 && percent < 100 ? percent : 75;
+}
+
+module.exports = {
+  slaAvailable,
+  getWorkingCalendar,
+  addWorkingHours,
+  workingHoursBetween,
+  getSlaTargetHours,
+  computeSlaDueAt,
+  evaluateDeadline,
+  listSlaEvents,
+  getAtRiskPercent,
+  closedCondition
+};
@@ -0,0 +1,225 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getSetting, getBooleanSetting } = require('../utils/settings');
+
+const DEFAULT_ALLOCATION_WEIGHT = 1;
+
+let allocationColumnsChecked = false;
+let allocationColumnsAvailable = false;
+
+async function allocationColumnsExist() {
+  if (allocationColumnsChecked) return allocationColumnsAvailable;
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW COLUMNS FROM time_logs LIKE 'allocated_seconds'`
+      : `SELECT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'time_logs' AND column_name = 'allocated_seconds') as exists`;
+    const result = await db.query(checkQuery);
+    allocationColumnsAvailable = dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+    allocationColumnsChecked = true;
+  } catch (error) {
+    allocationColumnsAvailable = false;
+  }
+  return allocationColumnsAvailable;
+}
+
+// Global switch first (new key, then legacy key), same order as POST /timelogs/start always used.
+async function isMultiTaskingEnabled() {
+  const current = await getSetting('timer.multi_tasking_enabled', null);
+  if (current != null) return getBooleanSetting('timer.multi_tasking_enabled', false);
+  return getBooleanSetting('timer.multi_tasking_allowed', false);
+}
+
+/**
+ * How many timers a technician may run at once.
+ * Multi-tasking is the global switch; technicians.max_concurrent_jobs is the per-technician cap
+ * once it is on. With multi-tasking off the limit is always 1.
+ */
+async function getConcurrentTimerLimit(technicianId) {
+  const multiTaskingEnabled = await isMultiTaskingEnabled();
+  if (!multiTaskingEnabled) {
+    return { multiTaskingEnabled, maxConcurrentJobs: 1 };
+  }
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT max_concurrent_jobs FROM technicians WHERE user_id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [technicianId]
+  );
+  const configured = parseInt(result.rows[0]?.max_concurrent_jobs, 10);
+  return {
+    multiTaskingEnabled,
+    maxConcurrentJobs: Number.isFinite(configured) && configured > 0 ? configured : 1
+  };
+}
+
+/**
+ * Decide whether the technician may start/resume a timer on the given assignment.
+ * Returns null when allowed, otherwise { status, code, message, details } for the response.
+ */
+async function checkCanStartTimer(technicianId, assignmentId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const activeResult = await db.query(
+    `SELECT id, assignment_id FROM time_logs WHERE technician_id = ${dbType === 'mysql' ? '?' : '$1'} AND status = 'active'`,
+    [technicianId]
+  );
+  const active = activeResult.rows || [];
+
+  const sameAssignment = active.find(l => String(l.assignment_id) === String(assignmentId));
+  if (sameAssignment) {
+    return {
+      status: 409,
+      code: 'TIMER_ALREADY_ACTIVE',
+      message: 'A timer is already running for this assignment.',
+      details: { time_log_id: sameAssignment.id }
+    };
+  }
+
+  const { multiTaskingEnabled, maxConcurrentJobs } = await getConcurrentTimerLimit(technicianId);
+  if (active.length === 0) return null;
+  if (!multiTaskingEnabled) {
+    return {
+      status: 409,
+      code: 'TIMER_ALREADY_ACTIVE',
+      message: 'Another timer is already active. Stop it first or enable multi-tasking.'
+    };
+  }
+  if (active.length >= maxConcurrentJobs) {
+    return {
+      status: 409,
+      code: 'CONCURRENT_TIMER_LIMIT',
+      message: `You can run at most ${maxConcurrentJobs} timer(s) at once. Pause one before starting another.`,
+      details: { max_concurrent_jobs: maxConcurrentJobs, active_timers: active.length }
+    };
+  }
+  return null;
+}
+
+async function setAllocationWeight(timeLogId, weight) {
+  if (!(await allocationColumnsExist())) return false;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `UPDATE time_logs SET allocation_weight = ? WHERE id = ?`
+      : `UPDATE time_logs SET allocation_weight = $1 WHERE id = $2`,
+    [weight, timeLogId]
+  );
+  return true;
+}
+
+/**
+ * Split wall-clock time between overlapping logs in proportion to their weights.
+ * Each second is counted once: while n logs run together, log i gets w_i / sum(w) of it.
+ * Logs without an end are treated as running until `now`.
+ *
+ * @param {Array<{id, start_ts, end_ts, allocation_weight}>} logs
+ * @returns {Map<string, number>} time log id -> allocated seconds
+ */
+function computeAllocations(logs, now = new Date()) {
+  const intervals = logs.map(l => {
+    const start = new Date(l.start_ts).getTime();
+    const end = l.end_ts ? new Date(l.end_ts).getTime() : now.getTime();
+    const weight = parseFloat(l.allocation_weight);
+    return {
+      id: String(l.id),
+      start,
+      end: Math.max(start, end),
+      weight: Number.isFinite(weight) && weight > 0 ? weight : DEFAULT_ALLOCATION_WEIGHT
+    };
+  });
+
+  const boundaries = [...new Set(intervals.flatMap(i => [i.start, i.end]))].sort((a, b) => a - b);
+  const allocatedMs = new Map(intervals.map(i => [i.id, 0]));
+
+  for (let b = 0; b < boundaries.length - 1; b++) {
+    const from = boundaries[b];
+    const to = boundaries[b + 1];
+    const running = intervals.filter(i => i.start <= from && i.end >= to);
+    const totalWeight = running.reduce((sum, i) => sum + i.weight, 0);
+    if (!(totalWeight > 0)) continue;
+    for (const i of running) {
+      allocatedMs.set(i.id, allocatedMs.get(i.id) + ((to - from) * i.weight) / totalWeight);
+    }
+  }
+
+  const allocations = new Map();
+  for (const [id, ms] of allocatedMs) allocations.set(id, Math.round(ms / 1000));
+  return allocations;
+}
+
+async function loadLogsInWindow(technicianId, from, to) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT id, start_ts, end_ts, status, allocation_weight, allocated_seconds
+     FROM time_logs
+     WHERE technician_id = ${p(1)}
+       AND status <> 'cancelled'
+       AND start_ts < ${p(2)}
+       AND COALESCE(end_ts, ${dbType === 'mysql' ? 'NOW()' : 'now()'}) > ${p(3)}`,
+    [technicianId, to, from]
+  );
+  return result.rows || [];
+}
+
+/**
+ * Recompute allocated_seconds for the technician's closed logs around [startTs, endTs].
+ * The window grows until it covers every log that transitively overlaps it, because a log's
+ * share depends on everything running alongside it. Call after any change to a log's times.
+ * Never throws: allocation is derived data and must not fail the request that changed the log.
+ */
+async function reallocateOverlappingTime(technicianId, startTs, endTs = null) {
+  try {
+    if (!technicianId || !startTs) return null;
+    if (!(await allocationColumnsExist())) return null;
+
+    const now = new Date();
+    let from = new Date(startTs);
+    let to = endTs ? new Date(endTs) : now;
+    // Include logs touching the window edges
+    from = new Date(from.getTime() - 1000);
+    to = new Date(to.getTime() + 1000);
+
+    let logs = [];
+    for (let pass = 0; pass < 10; pass++) {
+      logs = await loadLogsInWindow(technicianId, from, to);
+      if (logs.length === 0) return 0;
+      const minStart = new Date(Math.min(...logs.map(l => new Date(l.start_ts).getTime())));
+      const maxEnd = new Date(Math.max(...logs.map(l => (l.end_ts ? new Date(l.end_ts) : now).getTime())));
+      if (minStart >= from && maxEnd <= to) break;
+      from = minStart < from ? minStart : from;
+      to = maxEnd > to ? maxEnd : to;
+    }
+
+    const allocations = computeAllocations(logs, now);
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    let updated = 0;
+    for (const log of logs) {
+      // Running logs are provisional; they are settled when they close.
+      if (!log.end_ts) continue;
+      const allocated = allocations.get(String(log.id));
+      if (log.allocated_seconds != null && parseInt(log.allocated_seconds, 10) === allocated) continue;
+      await db.query(
+        dbType === 'mysql'
+          ? `UPDATE time_logs SET allocated_seconds = ? WHERE id = ?`
+          : `UPDATE time_logs SET allocated_seconds = $1 WHERE id = $2`,
+        [allocated, log.id]
+      );
+      updated++;
+    }
+    return updated;
+  } catch (error) {
+    logger.error('Failed to reallocate overlapping time:', { technicianId, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_ALLOCATION_WEIGHT,
+  allocationColumnsExist,
+  isMultiTaskingEnabled,
+  getConcurrentTimerLimit,
+  checkCanStartTimer,
+  setAllocationWeight,
+  computeAllocations,
+  reallocateOverlappingTime
+};
@@ -0,0 +1,434 @@
+const db = require('../database/connection');
+const logger = require('../utils/logger');
+const { getNumberSetting } = require('../utils/settings');
+const { isMultiTaskingEnabled, checkCanStartTimer, reallocateOverlappingTime } = require('./timerConcurrencyService');
+const { stopActiveIndirectTimers } = require('./indirectTimeService');
+const { pauseTablesExist, resolvePauseReason, recordPause, closeOpenPauses } = require('./pauseReasonService');
+const { findTechnicianTimeLock, timeLockError } = require('./payPeriodService');
+const { checkTimerApproval } = require('./estimateService');
+const { attachTimeLogToTask } = require('./jobCardTaskService');
+
+const EVENT_TYPES = ['start', 'pause', 'resume', 'stop'];
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery =
+      dbType === 'mysql'
+        ? `SHOW TABLES LIKE '${tableName}'`
+        : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch {
+    return false;
+  }
+}
+
+function reject(code, message, extra = {}) {
+  return { status: 'rejected', error: { code, message, ...extra } };
+}
+
+async function findStoredEvent(technicianId, idempotencyKey) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    dbType === 'mysql'
+      ? `SELECT result_status, result FROM timer_sync_events WHERE technician_id = ? AND idempotency_key = ? LIMIT 1`
+      : `SELECT result_status, result FROM timer_sync_events WHERE technician_id = $1 AND idempotency_key = $2 LIMIT 1`,
+    [technicianId, idempotencyKey]
+  );
+  if (result.rows.length === 0) return null;
+  const stored = result.rows[0].result;
+  return typeof stored === 'string' ? JSON.parse(stored) : stored;
+}
+
+async function storeEventResult(technicianId, event, result) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO timer_sync_events (technician_id, idempotency_key, event_type, client_ts, assignment_id, time_log_id, result_status, result)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+      : `INSERT INTO timer_sync_events (technician_id, idempotency_key, event_type, client_ts, assignment_id, time_log_id, result_status, result)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      technicianId,
+      event.idempotency_key,
+      event.type,
+      event.clientTs,
+      event.assignment_id || null,
+      result.time_log_id || null,
+      result.status,
+      JSON.stringify(result)
+    ]
+  );
+}
+
+// Server-side logs of this technician that overlap [startTs, endTs].
+// With no endTs the check is for the single instant startTs.
+async function findOverlappingLogs(technicianId, startTs, endTs = null, excludeTimeLogId = null) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const startCondition = endTs ? `start_ts < ${p(3)}` : `start_ts <= ${p(3)}`;
+  const result = await db.query(
+    `SELECT id, assignment_id, job_card_id, start_ts, end_ts, status
+     FROM time_logs
+     WHERE technician_id = ${p(1)}
+       AND id <> ${p(2)}
+       AND status <> 'cancelled'
+       AND ${startCondition}
+       AND COALESCE(end_ts, ${dbType === 'mysql' ? 'NOW()' : 'now()'}) > ${p(4)}
+     ORDER BY start_ts ASC`,
+    [technicianId, excludeTimeLogId || 0, endTs || startTs, startTs]
+  );
+  return result.rows || [];
+}
+
+function blockingOverlaps(overlaps, assignmentId, multiTaskingEnabled) {
+  // With multi-tasking, parallel timers on other assignments are legitimate.
+  return multiTaskingEnabled
+    ? overlaps.filter(o => String(o.assignment_id) === String(assignmentId))
+    : overlaps;
+}
+
+function describeOverlaps(overlaps) {
+  return overlaps.map(o => ({
+    time_log_id: o.id,
+    assignment_id: o.assignment_id,
+    job_card_id: o.job_card_id,
+    start_ts: o.start_ts,
+    end_ts: o.end_ts,
+    status: o.status
+  }));
+}
+
+async function writeAudit(actorId, action, timeLogId, details) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  await db.query(
+    dbType === 'mysql'
+      ? `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES (?, ?, 'time_log', ?, ?)`
+      : `INSERT INTO audit_logs (actor_id, action, object_type, object_id, details) VALUES ($1, $2, 'time_log', $3, $4)`,
+    [actorId, action, String(timeLogId), JSON.stringify(details)]
+  );
+}
+
+async function loadAssignment(assignmentId) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT a.id, a.technician_id, a.job_card_id, a.status, jc.estimated_hours
+     FROM assignments a
+     LEFT JOIN job_cards jc ON a.job_card_id = jc.id
+     WHERE a.id = ${dbType === 'mysql' ? '?' : '$1'}`,
+    [assignmentId]
+  );
+  return result.rows[0] || null;
+}
+
+async function findTargetLog(technicianId, event) {
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  if (event.time_log_id) {
+    const result = await db.query(
+      `SELECT * FROM time_logs WHERE id = ${p(1)} AND technician_id = ${p(2)}`,
+      [event.time_log_id, technicianId]
+    );
+    return result.rows[0] || null;
+  }
+  const result = await db.query(
+    `SELECT * FROM time_logs
+     WHERE assignment_id = ${p(1)} AND technician_id = ${p(2)} AND status = 'active'
+     ORDER BY start_ts DESC LIMIT 1`,
+    [event.assignment_id, technicianId]
+  );
+  return result.rows[0] || null;
+}
+
+async function wasClockedInAt(technicianId, ts) {
+  if (!(await tableExists('technician_shifts'))) return true;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+  const result = await db.query(
+    `SELECT id FROM technician_shifts
+     WHERE technician_id = ${p(1)}
+       AND clock_in_time <= ${p(2)}
+       AND (clock_out_time IS NULL OR clock_out_time >= ${p(3)})
+     LIMIT 1`,
+    [technicianId, ts, ts]
+  );
+  return result.rows.length > 0;
+}
+
+async function applyStartEvent(technicianId, event, context, { taskId = null } = {}) {
+  const assignment = await loadAssignment(event.assignment_id);
+  if (!assignment) {
+    return reject('RESOURCE_NOT_FOUND', 'Assignment not found');
+  }
+  if (assignment.technician_id !== technicianId) {
+    return reject('AUTHORIZATION_FAILED', 'Assignment does not belong to this technician');
+  }
+  if (assignment.status === 'completed' || assignment.status === 'cancelled') {
+    return reject('INVALID_WORKFLOW_STATE', `Cannot start timer for an assignment in status "${assignment.status}".`);
+  }
+  if (!(parseFloat(assignment.estimated_hours || 0) > 0)) {
+    return reject('MISSING_ESTIMATE', 'Estimated hours are required before a technician can start time tracking.');
+  }
+  // Same estimate approval rule as starting or resuming online
+  const approval = await checkTimerApproval(assignment.job_card_id, taskId);
+  if (approval && approval.error) {
+    return reject(approval.error.code, approval.error.message);
+  }
+  if (!(await wasClockedInAt(technicianId, event.clientTs))) {
+    return reject('NOT_CLOCKED_IN', 'No shift covers the offline start time. Clock in before starting a job timer.');
+  }
+
+  const concurrencyError = await checkCanStartTimer(technicianId, event.assignment_id);
+  if (concurrencyError) {
+    return reject(concurrencyError.code, concurrencyError.message, concurrencyError.details || {});
+  }
+
+  const overlaps = blockingOverlaps(
+    await findOverlappingLogs(technicianId, event.clientTs),
+    event.assignment_id,
+    context.multiTaskingEnabled
+  );
+  if (overlaps.length > 0) {
+    return reject('TIME_OVERLAP', 'Offline start overlaps time already recorded on the server', {
+      conflicts: describeOverlaps(overlaps)
+    });
+  }
+
+  await stopActiveIndirectTimers(technicianId, event.clientTs, 'job_timer_start');
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const notesValue = event.notes !== undefined ? event.notes : null;
+  let timeLogId;
+  if (dbType === 'mysql') {
+    const insertResult = await db.query(
+      `INSERT INTO time_logs
+       (assignment_id, technician_id, job_card_id, start_ts, client_start_ts, status, notes)
+       VALUES (?, ?, ?, ?, ?, 'active', ?)`,
+      [event.assignment_id, technicianId, assignment.job_card_id, event.clientTs, event.clientTs, notesValue]
+    );
+    timeLogId = insertResult.rows.insertId;
+  } else {
+    const insertResult = await db.query(
+      `INSERT INTO time_logs
+       (assignment_id, technician_id, job_card_id, start_ts, client_start_ts, status, notes)
+       VALUES ($1, $2, $3, $4, $5, 'active', $6)
+       RETURNING id`,
+      [event.assignment_id, technicianId, assignment.job_card_id, event.clientTs, event.clientTs, notesValue]
+    );
+    timeLogId = insertResult.rows[0].id;
+  }
+
+  // A resumed segment stays on the same checklist task (same as POST /:id/resume)
+  if (taskId) {
+    await attachTimeLogToTask(timeLogId, { id: taskId });
+  }
+
+  await closeOpenPauses(event.assignment_id, event.clientTs, timeLogId);
+
+  await db.query(
+    dbType === 'mysql'
+      ? `UPDATE assignments SET status = 'in_progress', started_at = COALESCE(started_at, ?) WHERE id = ?`
+      : `UPDATE assignments SET status = 'in_progress', started_at = COALESCE(started_at, $1) WHERE id = $2`,
+    [event.clientTs, event.assignment_id]
+  );
+
+  await writeAudit(technicianId, event.type === 'resume' ? 'timelog.resumed' : 'timelog.started', timeLogId, {
+    assignment_id: event.assignment_id,
+    offline_sync: true,
+    idempotency_key: event.idempotency_key,
+    client_ts: event.clientTs.toISOString()
+  });
+
+  const accepted = { status: 'accepted', time_log_id: timeLogId };
+  if (taskId) accepted.task_id = taskId;
+  if (approval && approval.warning) accepted.estimate_warning = approval.warning;
+  return accepted;
+}
+
+async function applyCloseEvent(technicianId, event, context) {
+  const timeLog = await findTargetLog(technicianId, event);
+  if (!timeLog) {
+    return reject('NO_ACTIVE_TIMER', 'No active time log found for this event');
+  }
+  if (timeLog.status !== 'active') {
+    return reject('VALIDATION_ERROR', `Time log is ${timeLog.status}, not active`, { time_log_id: timeLog.id });
+  }
+
+  const startTs = new Date(timeLog.start_ts);
+  if (event.clientTs < startTs) {
+    return reject('INVALID_SEQUENCE', 'Event time is before the start of the time log', { time_log_id: timeLog.id });
+  }
+
+  const overlaps = blockingOverlaps(
+    await findOverlappingLogs(technicianId, startTs, event.clientTs, timeLog.id),
+    timeLog.assignment_id,
+    context.multiTaskingEnabled
+  );
+  if (overlaps.length > 0) {
+    return reject('TIME_OVERLAP', 'Offline segment overlaps time already recorded on the server', {
+      time_log_id: timeLog.id,
+      conflicts: describeOverlaps(overlaps)
+    });
+  }
+
+  let pauseReason = null;
+  if (event.type === 'pause' && await pauseTablesExist()) {
+    const resolved = await resolvePauseReason(technicianId, event);
+    if (resolved.error) {
+      return reject(resolved.error.code, resolved.error.message, { time_log_id: timeLog.id });
+    }
+    pauseReason = resolved.reason;
+  }
+
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const newStatus = event.type === 'stop' ? 'finished' : 'paused';
+  const durationSeconds = Math.max(0, Math.floor((event.clientTs - startTs) / 1000));
+  const notesValue = event.notes !== undefined ? event.notes : null;
+
+  const updateResult = await db.query(
+    dbType === 'mysql'
+      ? `UPDATE time_logs
+         SET end_ts = ?, client_end_ts = ?, status = ?, notes = COALESCE(?, notes), duration_seconds = ?
+         WHERE id = ? AND status = 'active'`
+      : `UPDATE time_logs
+         SET end_ts = $1, client_end_ts = $2, status = $3, notes = COALESCE($4, notes), duration_seconds = $5
+         WHERE id = $6 AND status = 'active'`,
+    [event.clientTs, event.clientTs, newStatus, notesValue, durationSeconds, timeLog.id]
+  );
+  if (!updateResult.rowCount) {
+    return reject('VALIDATION_ERROR', 'Time log is no longer active', { time_log_id: timeLog.id });
+  }
+
+  if (event.type === 'stop') {
+    await db.query(
+      dbType === 'mysql'
+        ? `UPDATE assignments SET status = 'completed', completed_at = ? WHERE id = ?`
+        : `UPDATE assignments SET status = 'completed', completed_at = $1 WHERE id = $2`,
+      [event.clientTs, timeLog.assignment_id]
+    );
+  }
+
+  await reallocateOverlappingTime(technicianId, startTs, event.clientTs);
+
+  if (pauseReason) {
+    await recordPause({
+      timeLog,
+      reason: pauseReason,
+      pausedAt: event.clientTs,
+      source: 'offline_sync',
+      notes: notesValue,
+      createdBy: technicianId
+    });
+  }
+
+  await writeAudit(technicianId, event.type === 'stop' ? 'timelog.stopped' : 'timelog.paused', timeLog.id, {
+    duration_seconds: durationSeconds,
+    ...(pauseReason ? { pause_reason: pauseReason.reason_code } : {}),
+    offline_sync: true,
+    idempotency_key: event.idempotency_key,
+    client_ts: event.clientTs.toISOString()
+  });
+
+  return { status: 'accepted', time_log_id: timeLog.id, duration_seconds: durationSeconds };
+}
+
+async function applyResumeEvent(technicianId, event, context) {
+  // Resume = open a new segment on the assignment of a paused log (same model as POST /:id/resume)
+  let taskId = null;
+  if (!event.assignment_id && event.time_log_id) {
+    const paused = await findTargetLog(technicianId, event);
+    if (!paused) return reject('RESOURCE_NOT_FOUND', 'Paused time log not found');
+    event.assignment_id = paused.assignment_id;
+    taskId = paused.task_id || null;
+  }
+  return applyStartEvent(technicianId, event, context, { taskId });
+}
+
+function normalizeEvents(events) {
+  return events
+    .map((raw, index) => ({
+      ...raw,
+      index,
+      type: String(raw.type || '').toLowerCase(),
+      clientTs: raw.client_ts ? new Date(raw.client_ts) : null
+    }))
+    // Replay in device order; ties keep queue order
+    .sort((a, b) => {
+      const ta = a.clientTs && !Number.isNaN(a.clientTs.getTime()) ? a.clientTs.getTime() : 0;
+      const tb = b.clientTs && !Number.isNaN(b.clientTs.getTime()) ? b.clientTs.getTime() : 0;
+      return ta - tb || a.index - b.index;
+    });
+}
+
+/**
+ * Replay a queue of offline timer events for a technician.
+ * Events are applied in client timestamp order and each gets its own accept/reject result;
+ * one rejected event never aborts the rest of the batch.
+ */
+async function replayOfflineEvents(technicianId, events) {
+  const maxAgeHours = await getNumberSetting('timer.offline_sync_max_age_hours', 72);
+  const maxSkewSeconds = await getNumberSetting('timer.offline_sync_max_clock_skew_seconds', 300);
+  const context = { multiTaskingEnabled: await isMultiTaskingEnabled() };
+  const now = Date.now();
+
+  const results = [];
+  for (const event of normalizeEvents(events)) {
+    const base = {
+      index: event.index,
+      idempotency_key: event.idempotency_key,
+      type: event.type,
+      client_ts: event.client_ts
+    };
+
+    try {
+      const stored = await findStoredEvent(technicianId, event.idempotency_key);
+      if (stored) {
+        results.push({ ...base, ...stored, duplicate: true });
+        continue;
+      }
+
+      const clientTsValid = event.clientTs && !Number.isNaN(event.clientTs.getTime());
+      const timeLock = clientTsValid ? await findTechnicianTimeLock(technicianId, event.clientTs) : null;
+
+      let result;
+      if (!EVENT_TYPES.includes(event.type)) {
+        result = reject('VALIDATION_ERROR', `Unknown event type "${event.type}"`);
+      } else if (!clientTsValid) {
+        result = reject('VALIDATION_ERROR', 'client_ts must be a valid ISO8601 timestamp');
+      } else if (event.clientTs.getTime() > now + maxSkewSeconds * 1000) {
+        result = reject('CLOCK_SKEW', 'client_ts is in the future; check the device clock');
+      } else if (maxAgeHours > 0 && event.clientTs.getTime() < now - maxAgeHours * 3600 * 1000) {
+        result = reject('EVENT_TOO_OLD', `Offline events older than ${maxAgeHours} hours cannot be synced`);
+      } else if (timeLock) {
+        const { code, message, details } = timeLockError(timeLock);
+        result = reject(code, message, { details });
+      } else if (event.type === 'start' && !event.assignment_id) {
+        result = reject('VALIDATION_ERROR', 'assignment_id is required for start events');
+      } else if (event.type !== 'start' && !event.assignment_id && !event.time_log_id) {
+        result = reject('VALIDATION_ERROR', 'assignment_id or time_log_id is required');
+      } else if (event.type === 'start') {
+        result = await applyStartEvent(technicianId, event, context);
+      } else if (event.type === 'resume') {
+        result = await applyResumeEvent(technicianId, event, context);
+      } else {
+        result = await applyCloseEvent(technicianId, event, context);
+      }
+
+      await storeEventResult(technicianId, event, result);
+      results.push({ ...base, ...result });
+    } catch (error) {
+      // Not stored: transient failures can be retried with the same idempotency key
+      logger.error('Offline timer event replay failed:', { technicianId, idempotency_key: event.idempotency_key, error: error.message });
+      results.push({ ...base, ...reject('INTERNAL_ERROR', 'Event could not be processed, retry later'), retryable: true });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  replayOfflineEvents,
+  findOverlappingLogs
+};
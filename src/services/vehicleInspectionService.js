@@ -0,0 +1,263 @@
+const sharp = require('sharp');
+const db = require('../database/connection');
+
+const INSPECTION_RESULTS = ['ok', 'attention', 'damaged', 'not_applicable'];
+const DIAGRAM_VIEWS = ['top', 'front', 'rear', 'left', 'right'];
+const DAMAGE_TYPES = ['scratch', 'dent', 'crack', 'chip', 'rust', 'missing', 'broken', 'other'];
+const DAMAGE_SEVERITIES = ['minor', 'moderate', 'severe'];
+const ODOMETER_UNITS = ['km', 'mi'];
+const MAX_SIGNATURE_BYTES = 512 * 1024;
+
+async function tableExists(tableName) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE '${tableName}'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = '${tableName}') as exists`;
+    const result = await db.query(checkQuery);
+    return dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseJsonArray(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function getInspectionItems(businessUnitId) {
+  if (!businessUnitId || !(await tableExists('inspection_checklist_items'))) return [];
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT * FROM inspection_checklist_items
+     WHERE business_unit_id = ${dbType === 'mysql' ? '?' : '$1'} AND is_active = true
+     ORDER BY display_order ASC, label ASC`,
+    [businessUnitId]
+  );
+  return result.rows || [];
+}
+
+function isNumberInRange(value, min, max) {
+  const n = Number(value);
+  return value !== null && value !== '' && Number.isFinite(n) && n >= min && n <= max;
+}
+
+/**
+ * Validate an inspection payload against the BU's checklist items.
+ * Returns { errors } (express-validator style { path, msg } entries) or { inspection } with
+ * checklist entries resolved to their item labels. Marker attachment ids are checked by the caller.
+ */
+function validateInspection(payload, items) {
+  const errors = [];
+  const { fuel_level_percent, odometer_reading, odometer_unit = 'km', checklist = [], damage_markers = [], notes = null } = payload || {};
+
+  if (fuel_level_percent !== undefined && fuel_level_percent !== null && !isNumberInRange(fuel_level_percent, 0, 100)) {
+    errors.push({ path: 'fuel_level_percent', msg: 'fuel_level_percent must be between 0 and 100' });
+  }
+  if (odometer_reading !== undefined && odometer_reading !== null && !isNumberInRange(odometer_reading, 0, 99999999)) {
+    errors.push({ path: 'odometer_reading', msg: 'odometer_reading must be a non-negative number' });
+  }
+  if (!ODOMETER_UNITS.includes(odometer_unit)) {
+    errors.push({ path: 'odometer_unit', msg: `odometer_unit must be one of ${ODOMETER_UNITS.join(', ')}` });
+  }
+  if (!Array.isArray(checklist)) {
+    errors.push({ path: 'checklist', msg: 'checklist must be an array' });
+  }
+  if (!Array.isArray(damage_markers)) {
+    errors.push({ path: 'damage_markers', msg: 'damage_markers must be an array' });
+  }
+  if (errors.length > 0) return { errors };
+
+  const itemsByCode = new Map(items.map(item => [item.item_code, item]));
+  const seen = new Set();
+  const checklistEntries = [];
+  checklist.forEach((entry, index) => {
+    const code = String(entry?.item_code || '').trim().toUpperCase();
+    const item = itemsByCode.get(code);
+    if (!item) {
+      errors.push({ path: `checklist[${index}].item_code`, msg: `Unknown checklist item "${entry?.item_code || ''}"` });
+      return;
+    }
+    if (seen.has(code)) {
+      errors.push({ path: `checklist[${index}].item_code`, msg: `Checklist item ${code} is listed more than once` });
+      return;
+    }
+    seen.add(code);
+    if (!INSPECTION_RESULTS.includes(entry.result)) {
+      errors.push({ path: `checklist[${index}].result`, msg: `result must be one of ${INSPECTION_RESULTS.join(', ')}` });
+      return;
+    }
+    checklistEntries.push({
+      item_code: code,
+      label: item.label,
+      category: item.category || null,
+      result: entry.result,
+      comment: entry.comment ? String(entry.comment).slice(0, 1000) : null
+    });
+  });
+  for (const item of items) {
+    if ((item.is_required === true || item.is_required === 1) && !seen.has(item.item_code)) {
+      errors.push({ path: 'checklist', msg: `Required checklist item ${item.item_code} (${item.label}) has no result` });
+    }
+  }
+
+  const markers = [];
+  damage_markers.forEach((marker, index) => {
+    const at = `damage_markers[${index}]`;
+    if (!DIAGRAM_VIEWS.includes(marker?.view)) {
+      errors.push({ path: `${at}.view`, msg: `view must be one of ${DIAGRAM_VIEWS.join(', ')}` });
+      return;
+    }
+    if (!isNumberInRange(marker.x, 0, 1) || !isNumberInRange(marker.y, 0, 1)) {
+      errors.push({ path: at, msg: 'x and y must be between 0 and 1 (fraction of the diagram width/height)' });
+      return;
+    }
+    if (!DAMAGE_TYPES.includes(marker.damage_type)) {
+      errors.push({ path: `${at}.damage_type`, msg: `damage_type must be one of ${DAMAGE_TYPES.join(', ')}` });
+      return;
+    }
+    const severity = marker.severity || 'minor';
+    if (!DAMAGE_SEVERITIES.includes(severity)) {
+      errors.push({ path: `${at}.severity`, msg: `severity must be one of ${DAMAGE_SEVERITIES.join(', ')}` });
+      return;
+    }
+    markers.push({
+      marker_id: index + 1,
+      view: marker.view,
+      x: Math.round(Number(marker.x) * 10000) / 10000,
+      y: Math.round(Number(marker.y) * 10000) / 10000,
+      damage_type: marker.damage_type,
+      severity,
+      note: marker.note ? String(marker.note).slice(0, 1000) : null,
+      attachment_id: marker.attachment_id != null && marker.attachment_id !== '' ? marker.attachment_id : null
+    });
+  });
+
+  if (errors.length > 0) return { errors };
+  return {
+    inspection: {
+      fuel_level_percent: fuel_level_percent != null ? Math.round(Number(fuel_level_percent)) : null,
+      odometer_reading: odometer_reading != null ? Number(odometer_reading) : null,
+      odometer_unit,
+      checklist: checklistEntries,
+      damage_markers: markers,
+      notes: notes ? String(notes) : null
+    }
+  };
+}
+
+/**
+ * Decode a signature sent as a PNG data URL ("data:image/png;base64,...").
+ * Returns { buffer } or { error }.
+ */
+async function decodeSignature(dataUrl) {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ''));
+  if (!match) {
+    return { error: 'customer_signature must be a PNG data URL (data:image/png;base64,...)' };
+  }
+  const buffer = Buffer.from(match[1].replace(/\s/g, ''), 'base64');
+  if (buffer.length === 0 || buffer.length > MAX_SIGNATURE_BYTES) {
+    return { error: `customer_signature must be between 1 byte and ${MAX_SIGNATURE_BYTES / 1024} KB` };
+  }
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format !== 'png') return { error: 'customer_signature is not a PNG image' };
+  } catch (error) {
+    return { error: 'customer_signature is not a valid PNG image' };
+  }
+  return { buffer };
+}
+
+function formatInspection(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    is_current: row.is_current === true || row.is_current === 1,
+    odometer_reading: row.odometer_reading != null ? Number(row.odometer_reading) : null,
+    checklist: parseJsonArray(row.checklist),
+    damage_markers: parseJsonArray(row.damage_markers)
+  };
+}
+
+// Short form for lists such as plate history
+function summarizeInspection(inspection) {
+  if (!inspection) return null;
+  const flagged = inspection.checklist.filter(entry => entry.result === 'attention' || entry.result === 'damaged');
+  return {
+    inspection_id: inspection.id,
+    version: inspection.version,
+    inspected_at: inspection.created_at,
+    fuel_level_percent: inspection.fuel_level_percent,
+    odometer_reading: inspection.odometer_reading,
+    odometer_unit: inspection.odometer_unit,
+    damage_marker_count: inspection.damage_markers.length,
+    flagged_items: flagged.map(entry => ({ item_code: entry.item_code, label: entry.label, result: entry.result })),
+    signed: !!inspection.customer_signature_attachment_id
+  };
+}
+
+// Current inspection per job card: { [jobCardId]: inspection }
+async function getCurrentInspections(jobCardIds) {
+  const ids = [...new Set((jobCardIds || []).filter(Boolean))];
+  if (ids.length === 0 || !(await tableExists('vehicle_inspections'))) return {};
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const placeholders = ids.map((_, i) => (dbType === 'mysql' ? '?' : `$${i + 1}`)).join(', ');
+  const result = await db.query(
+    `SELECT vi.*, u.display_name as inspected_by_name
+     FROM vehicle_inspections vi
+     LEFT JOIN users u ON vi.inspected_by = u.id
+     WHERE vi.job_card_id IN (${placeholders}) AND vi.is_current = true`,
+    ids
+  );
+  const byJobCard = {};
+  for (const row of result.rows || []) {
+    byJobCard[row.job_card_id] = formatInspection(row);
+  }
+  return byJobCard;
+}
+
+/**
+ * Inspection (any version) that uses the attachment as its customer signature or a damage
+ * marker photo, as { inspection_id, version, usage }, or null.
+ */
+async function findInspectionUsingAttachment(jobCardId, attachmentId) {
+  if (!(await tableExists('vehicle_inspections'))) return null;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const result = await db.query(
+    `SELECT id, version, customer_signature_attachment_id, damage_markers
+     FROM vehicle_inspections
+     WHERE job_card_id = ${dbType === 'mysql' ? '?' : '$1'}
+     ORDER BY version DESC`,
+    [jobCardId]
+  );
+  for (const row of result.rows || []) {
+    if (String(row.customer_signature_attachment_id) === String(attachmentId)) {
+      return { inspection_id: row.id, version: row.version, usage: 'customer_signature' };
+    }
+    if (parseJsonArray(row.damage_markers).some(marker => marker && String(marker.attachment_id) === String(attachmentId))) {
+      return { inspection_id: row.id, version: row.version, usage: 'damage_marker' };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  INSPECTION_RESULTS,
+  DIAGRAM_VIEWS,
+  DAMAGE_TYPES,
+  DAMAGE_SEVERITIES,
+  getInspectionItems,
+  validateInspection,
+  decodeSignature,
+  formatInspection,
+  summarizeInspection,
+  getCurrentInspections,
+  findInspectionUsingAttachment
+};
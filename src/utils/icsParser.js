@@ -0,0 +1,75 @@
+// Minimal iCalendar (RFC 5545) reader for holiday calendars: pulls all-day / dated VEVENTs
+// and expands multi-day events into one entry per calendar day. Recurrence rules are not
+// expanded; public holiday feeds publish one VEVENT per occurrence.
+
+// Continuation lines start with a space or tab and belong to the previous line
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+}
+
+function unescapeText(value) {
+  return String(value)
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// DTSTART;VALUE=DATE:20260320 or DTSTART:20260320T000000Z -> '2026-03-20'
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+function addDays(ymd, days) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse ICS text into [{ date: 'YYYY-MM-DD', name, uid }].
+ * DTEND of a dated event is exclusive, so a one-day holiday has DTEND = DTSTART + 1.
+ */
+function parseHolidayIcs(text, { maxDaysPerEvent = 31 } = {}) {
+  const holidays = [];
+  let event = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      continue;
+    }
+    if (line === 'END:VEVENT') {
+      if (event && event.start) {
+        const name = event.summary || 'Holiday';
+        let end = event.end && event.end > event.start ? event.end : addDays(event.start, 1);
+        if (end > addDays(event.start, maxDaysPerEvent)) end = addDays(event.start, maxDaysPerEvent);
+        for (let day = event.start; day < end; day = addDays(day, 1)) {
+          holidays.push({ date: day, name, uid: event.uid || null });
+        }
+      }
+      event = null;
+      continue;
+    }
+    if (!event) continue;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+    const property = line.slice(0, colon).split(';')[0].toUpperCase();
+    const value = line.slice(colon + 1);
+    if (property === 'DTSTART') event.start = parseIcsDate(value);
+    else if (property === 'DTEND') event.end = parseIcsDate(value);
+    else if (property === 'SUMMARY') event.summary = unescapeText(value).slice(0, 150);
+    else if (property === 'UID') event.uid = value.trim().slice(0, 255);
+  }
+
+  return holidays;
+}
+
+module.exports = {
+  parseHolidayIcs
+};
@@ -0,0 +1,44 @@
+const db = require('../database/connection');
+const logger = require('./logger');
+
+// Recompute job_cards.actual_hours from its closed time_logs segments.
+// Cancelled and still-running segments are excluded.
+async function recalculateActualHours(jobCardId) {
+  if (!jobCardId) return null;
+  const dbType = process.env.DB_TYPE || 'postgresql';
+  const p = (n) => (dbType === 'mysql' ? '?' : `$${n}`);
+
+  const sumResult = await db.query(
+    `SELECT COALESCE(SUM(duration_seconds), 0) as total_seconds
+     FROM time_logs
+     WHERE job_card_id = ${p(1)} AND end_ts IS NOT NULL AND status <> 'cancelled'`,
+    [jobCardId]
+  );
+  const totalSeconds = parseInt(sumResult.rows[0]?.total_seconds || 0, 10) || 0;
+  const actualHours = Math.round((totalSeconds / 3600) * 100) / 100;
+
+  await db.query(
+    `UPDATE job_cards SET actual_hours = ${p(1)} WHERE id = ${p(2)}`,
+    [actualHours, jobCardId]
+  );
+  return actualHours;
+}
+
+// Convenience for changes touching several job cards (split/reassign). Never throws.
+async function recalculateActualHoursFor(jobCardIds) {
+  const results = {};
+  for (const id of [...new Set(jobCardIds.filter(Boolean).map(String))]) {
+    try {
+      results[id] = await recalculateActualHours(id);
+    } catch (error) {
+      logger.error('Failed to recalculate job card actual hours:', { jobCardId: id, error: error.message });
+      results[id] = null;
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  recalculateActualHours,
+  recalculateActualHoursFor
+};
@@ -0,0 +1,58 @@
+const db = require('../database/connection');
+const logger = require('./logger');
+
+let historyTableChecked = false;
+let historyTableAvailable = false;
+
+async function historyTableExists() {
+  if (historyTableChecked) return historyTableAvailable;
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const checkQuery = dbType === 'mysql'
+      ? `SHOW TABLES LIKE 'job_history'`
+      : `SELECT EXISTS (SELECT FROM information_schema.tables WHERE table_name = 'job_history') as exists`;
+    const result = await db.query(checkQuery);
+    historyTableAvailable = dbType === 'mysql' ? result.rows.length > 0 : !!result.rows[0]?.exists;
+    historyTableChecked = true;
+  } catch (error) {
+    historyTableAvailable = false;
+  }
+  return historyTableAvailable;
+}
+
+// Append an entry to job_history (the supervisor-facing work order timeline).
+// Never throws: history is informational and must not break the action that produced it.
+async function recordJobHistory({
+  workOrderId,
+  assignmentId = null,
+  technicianId = null,
+  actionType,
+  startTime = null,
+  endTime = null,
+  durationSeconds = null,
+  status = null,
+  notes = null,
+  createdBy = null
+}) {
+  try {
+    if (!(await historyTableExists())) return false;
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const placeholders = dbType === 'mysql'
+      ? '?, ?, ?, ?, ?, ?, ?, ?, ?, ?'
+      : '$1, $2, $3, $4, $5, $6, $7, $8, $9, $10';
+    await db.query(
+      `INSERT INTO job_history
+       (work_order_id, assignment_id, technician_id, action_type, start_time, end_time, duration_seconds, status, notes, created_by)
+       VALUES (${placeholders})`,
+      [workOrderId, assignmentId, technicianId, actionType, startTime, endTime, durationSeconds, status, notes, createdBy]
+    );
+    return true;
+  } catch (error) {
+    logger.error('Failed to record job history:', { actionType, workOrderId, error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  recordJobHistory
+};
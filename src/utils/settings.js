@@ -0,0 +1,53 @@
+const db = require('../database/connection');
+const logger = require('./logger');
+
+// Read a raw value from system_settings.
+// Values are stored as JSON: PostgreSQL seeds plain JSON ('300', 'false'), MySQL seeds JSON strings ('"300"', '"false"'),
+// so unwrap one level of string encoding to get the same JS value on both databases.
+async function getSetting(key, defaultValue = null) {
+  try {
+    const dbType = process.env.DB_TYPE || 'postgresql';
+    const result = await db.query(
+      dbType === 'mysql'
+        ? 'SELECT value FROM system_settings WHERE `key` = ? LIMIT 1'
+        : 'SELECT value FROM system_settings WHERE key = $1 LIMIT 1',
+      [key]
+    );
+    if (!result.rows || result.rows.length === 0 || result.rows[0].value == null) {
+      return defaultValue;
+    }
+    let value = result.rows[0].value;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (e) {
+        // Plain (non-JSON) string value - use as-is
+      }
+    }
+    return value;
+  } catch (error) {
+    logger.warn(`Could not read system setting "${key}", using default`, { error: error.message });
+    return defaultValue;
+  }
+}
+
+async function getNumberSetting(key, defaultValue) {
+  const value = await getSetting(key, defaultValue);
+  const n = Number(value && typeof value === 'object' ? value.value : value);
+  return Number.isFinite(n) ? n : defaultValue;
+}
+
+async function getBooleanSetting(key, defaultValue = false) {
+  const value = await getSetting(key, defaultValue);
+  const v = value && typeof value === 'object' ? (value.enabled ?? value.value) : value;
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return v.toLowerCase() === 'true';
+  return defaultValue;
+}
+
+module.exports = {
+  getSetting,
+  getNumberSetting,
+  getBooleanSetting
+};
@@ -0,0 +1,129 @@
+// Helpers for the technician_shifts.notes JSON document.
+// Older schemas have no break columns, so notes carries break_state / break_segments,
+// and every admin or system change to a shift is appended to shift_adjustments.
+
+function safeParseJson(value) {
+  if (value == null) return null;
+  if (typeof value === 'object') return value;
+  if (typeof value !== 'string') return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+function buildNotesWithBreakState(existingNotes, breakState) {
+  const parsed = safeParseJson(existingNotes);
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+    return JSON.stringify({ ...parsed, break_state: breakState });
+  }
+  if (existingNotes && String(existingNotes).trim().length > 0) {
+    return JSON.stringify({ notes_text: String(existingNotes), break_state: breakState });
+  }
+  return JSON.stringify({ break_state: breakState });
+}
+
+function appendBreakSegmentToNotes(existingNotes, segment) {
+  const parsed = safeParseJson(existingNotes);
+  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
+  const prior = Array.isArray(base.break_segments) ? base.break_segments : [];
+  return JSON.stringify({
+    ...base,
+    break_segments: [...prior, segment]
+  });
+}
+
+// extra is merged into the closed segment (e.g. { auto_ended: true })
+function closeOpenBreakSegmentInNotes(existingNotes, endTimeIso, extra = {}) {
+  const parsed = safeParseJson(existingNotes);
+  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
+  const prior = Array.isArray(base.break_segments) ? base.break_segments : [];
+  if (!prior.length) return JSON.stringify(base);
+  const lastOpenFromEnd = [...prior].reverse().findIndex(s => s && !s.end_time);
+  if (lastOpenFromEnd < 0) return JSON.stringify(base);
+  const realIdx = prior.length - 1 - lastOpenFromEnd;
+  const seg = prior[realIdx];
+  const start = seg?.start_time ? new Date(seg.start_time) : null;
+  const end = endTimeIso ? new Date(endTimeIso) : null;
+  const durationSeconds = (start && end && !Number.isNaN(start.getTime()) && !Number.isNaN(end.getTime()))
+    ? Math.max(0, Math.floor((end.getTime() - start.getTime()) / 1000))
+    : (seg?.duration_seconds ?? null);
+  const updated = prior.map((s, i) => i === realIdx ? { ...s, ...extra, end_time: endTimeIso, duration_seconds: durationSeconds } : s);
+  return JSON.stringify({ ...base, break_segments: updated });
+}
+
+function getBreakSegmentsFromNotes(notes) {
+  const parsed = safeParseJson(notes);
+  return Array.isArray(parsed?.break_segments) ? parsed.break_segments.filter(Boolean) : [];
+}
+
+function getOpenBreakSegmentFromNotes(notes) {
+  const segments = getBreakSegmentsFromNotes(notes);
+  return [...segments].reverse().find(s => !s.end_time) || null;
+}
+
+// Break policy violations (break_overrun, missed_mandatory_break) recorded on the shift
+function addBreakViolationToNotes(existingNotes, violation) {
+  const parsed = safeParseJson(existingNotes);
+  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
+  const prior = Array.isArray(base.break_violations) ? base.break_violations : [];
+  return JSON.stringify({
+    ...base,
+    break_violations: [...prior, violation]
+  });
+}
+
+function getBreakViolationsFromNotes(notes) {
+  const parsed = safeParseJson(notes);
+  return Array.isArray(parsed?.break_violations) ? parsed.break_violations.filter(Boolean) : [];
+}
+
+function getBreakStartFromNotes(notes) {
+  const parsed = safeParseJson(notes);
+  const start = parsed?.break_state?.start_time || null;
+  return typeof start === 'string' ? start : null;
+}
+
+function getTotalBreakSecondsFromNotes(notes) {
+  const parsed = safeParseJson(notes);
+  const total = parsed?.break_state?.total_break_seconds;
+  const n = Number(total);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 0;
+}
+
+function addShiftAdjustmentAudit(existingNotes, auditEntry) {
+  const parsed = safeParseJson(existingNotes);
+  const base = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : (existingNotes ? { notes_text: String(existingNotes) } : {});
+  const prior = Array.isArray(base.shift_adjustments) ? base.shift_adjustments : [];
+  return JSON.stringify({
+    ...base,
+    shift_adjustments: [...prior, auditEntry]
+  });
+}
+
+// An auto-closed shift stays flagged until an admin adjusts or reviews it (a later shift_adjustments entry).
+function getShiftReviewState(notes) {
+  const parsed = safeParseJson(notes);
+  const adjustments = Array.isArray(parsed?.shift_adjustments) ? parsed.shift_adjustments : [];
+  const last = adjustments[adjustments.length - 1];
+  if (!last || !last.needs_review) {
+    return { needs_review: false, review_reason: null };
+  }
+  return { needs_review: true, review_reason: last.reason || null };
+}
+
+module.exports = {
+  safeParseJson,
+  buildNotesWithBreakState,
+  appendBreakSegmentToNotes,
+  closeOpenBreakSegmentInNotes,
+  getBreakSegmentsFromNotes,
+  getOpenBreakSegmentFromNotes,
+  addBreakViolationToNotes,
+  getBreakViolationsFromNotes,
+  getBreakStartFromNotes,
+  getTotalBreakSecondsFromNotes,
+  addShiftAdjustmentAudit,
+  getShiftReviewState
+};
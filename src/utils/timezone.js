@@ -0,0 +1,50 @@
+// Timezone helpers for schedule math. tech_schedules stores wall-clock times plus an IANA
+// timezone; these convert between those and instants without a timezone library.
+
+// Calendar date, weekday and UTC offset of an instant in an IANA timezone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  const ymd = `${String(get('year')).padStart(4, '0')}-${String(get('month')).padStart(2, '0')}-${String(get('day')).padStart(2, '0')}`;
+  return {
+    ymd,
+    weekday: new Date(`${ymd}T00:00:00Z`).getUTCDay(),
+    offsetMs: asUtc - Math.floor(date.getTime() / 1000) * 1000
+  };
+}
+
+// "YYYY-MM-DD" + "HH:MM[:SS]" wall-clock time in timeZone -> Date
+function zonedTimeToDate(ymd, time, timeZone) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const [hh = 0, mm = 0, ss = 0] = String(time).split(':').map(n => parseInt(n, 10) || 0);
+  const wallClockAsUtc = Date.UTC(y, m - 1, d, hh, mm, ss);
+  const { offsetMs } = zonedParts(new Date(wallClockAsUtc), timeZone);
+  return new Date(wallClockAsUtc - offsetMs);
+}
+
+// Fall back to UTC for missing or unknown zone names instead of throwing mid-calculation
+function safeTimeZone(timeZone) {
+  if (!timeZone) return 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+module.exports = {
+  safeTimeZone,
+  zonedParts,
+  zonedTimeToDate
+};